@@ -1,9 +1,14 @@
+require("@nomicfoundation/hardhat-toolbox");
+require("@openzeppelin/hardhat-upgrades");
 require("@matterlabs/hardhat-zksync-deploy");
 require("@matterlabs/hardhat-zksync-solc");
 require("@matterlabs/hardhat-zksync-upgradable");
 require("dotenv").config();
 require('./tasks/genie.js');
 
+// genie can sign without a key in the environment, see tasks/signers.js
+const accounts = process.env.MY_PRIVATE_KEY ? [process.env.MY_PRIVATE_KEY] : [];
+
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
@@ -56,7 +61,22 @@ module.exports = {
   networks: {
     goerli: {
       url: `${process.env.ALCHEMY_GOERLI_URL}`,
-      accounts: [`${process.env.MY_PRIVATE_KEY}`],
+      accounts: accounts,
+      zksync: false
+    },
+    base: {
+      url: `${process.env.BASE_URL}`,
+      accounts: accounts,
+      zksync: false
+    },
+    baseGoerli: {
+      url: `${process.env.BASE_GOERLI_URL}`,
+      accounts: accounts,
+      zksync: false
+    },
+    scrollsepolia: {
+      url: `${process.env.SCROLL_SEPOLIA_URL}`,
+      accounts: accounts,
       zksync: false
     },
     zkSyncTestnet: {
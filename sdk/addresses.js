@@ -0,0 +1,110 @@
+const { ethers } = require('ethers');
+
+///////////////////////////////////////////
+// Address Resolution
+//
+// The SDK finds the Locksmith contracts on a chain the
+// same way genie does, by alias. In order, it looks at:
+//
+//   - options.addresses:   { <alias>: <address> }
+//     (or options.assets:  { <alias>: <asset> } for tokens)
+//   - options.addressBook: anything with getAddress(chainId, alias),
+//                          like the module genie export generates
+//   - the network registries in this repository, or in
+//     GENIE_REGISTRY_DIR when it is set, like genie
+//
+// The registries are only read when the first two don't
+// have the answer, so browsers never need the file system.
+// They are read as plain JSON, without genie.
+///////////////////////////////////////////
+
+/////////////////////////////////////////////
+// readRegistry
+//
+// Reads a network registry straight from genie's
+// registry directory, or {} if there isn't one.
+/////////////////////////////////////////////
+const readRegistry = function(chainId, registryType) {
+  const fs = require('fs');
+  const path = require('path');
+  const fileName = path.join(process.env.GENIE_REGISTRY_DIR || path.join(__dirname, '..', 'registries'),
+    'network-' + registryType + '-' + chainId + '.json');
+  return fs.existsSync(fileName) ? JSON.parse(fs.readFileSync(fileName)) : {};
+};
+
+/////////////////////////////////////////////
+// resolveAddress
+//
+// Finds the address for the alias on the chain,
+// or returns null if nobody knows it.
+/////////////////////////////////////////////
+const resolveAddress = function(chainId, alias, options = {}) {
+  const explicit = (options.addresses || {})[alias];
+  if (explicit) {
+    return ethers.utils.getAddress(explicit);
+  }
+
+  if (options.addressBook) {
+    const address = options.addressBook.getAddress(chainId, alias);
+    if (address) {
+      return ethers.utils.getAddress(address);
+    }
+  }
+
+  const address = (readRegistry(chainId, 'contracts')[alias] || {}).address;
+  return address ? ethers.utils.getAddress(address) : null;
+};
+
+/////////////////////////////////////////////
+// requireAddress
+//
+// Like resolveAddress, but blows up when
+// the address can't be found.
+/////////////////////////////////////////////
+const requireAddress = function(chainId, alias, options = {}) {
+  const address = resolveAddress(chainId, alias, options);
+  if (address === null) {
+    throw new Error('There is no known address for ' + alias + ' on chain ID ' + chainId + '.');
+  }
+  return address;
+};
+
+/////////////////////////////////////////////
+// resolveAssets
+//
+// The known tokens on the chain, as a list of
+// { alias, address, symbol?, decimals?, standard? },
+// from the same places as the addresses.
+/////////////////////////////////////////////
+const resolveAssets = function(chainId, options = {}) {
+  if (options.assets) {
+    return Object.entries(options.assets).map(([alias, asset]) => ({ alias, ...asset }));
+  }
+
+  if (options.addressBook) {
+    return options.addressBook.getAssets(chainId);
+  }
+
+  return Object.entries(readRegistry(chainId, 'assets')).map(([alias, asset]) => ({ alias, ...asset }));
+};
+
+/////////////////////////////////////////////
+// getChainId
+//
+// Determines the chain ID from the options,
+// or else from the signer or provider.
+/////////////////////////////////////////////
+const getChainId = async function(signerOrProvider, options = {}) {
+  if (options.chainId !== undefined) {
+    return options.chainId;
+  }
+  return ethers.Signer.isSigner(signerOrProvider) ?
+    signerOrProvider.getChainId() : (await signerOrProvider.getNetwork()).chainId;
+};
+
+module.exports = {
+  resolveAddress,
+  requireAddress,
+  resolveAssets,
+  getChainId
+};
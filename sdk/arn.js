@@ -0,0 +1,250 @@
+const { ethers } = require('ethers');
+const { resolveAssets } = require('./addresses.js');
+
+///////////////////////////////////////////
+// Asset Resource Names
+//
+// The JavaScript side of libraries/AssetResourceName.sol.
+// An ARN is the keccak256 of the abi encoded asset type:
+//
+//   (address contractAddress, uint256 tokenStandard, uint256 id)
+//
+// Gas tokens are (0x0, 0, 0), fungible tokens use an ID of
+// zero, and NFTs carry their token ID.
+//
+// Since an ARN is a hash, the ledger can't tell you what it
+// stands for. An ArnBook remembers every asset it has
+// encoded, so the ARNs in a trust can be looked up and
+// their balances formatted.
+///////////////////////////////////////////
+
+const GAS_TOKEN_CONTRACT = ethers.constants.AddressZero;
+const GAS_TOKEN_STANDARD = 0;
+const GAS_ID = 0;
+
+const STANDARDS = {
+  GAS: GAS_TOKEN_STANDARD,
+  ERC20: 20,
+  ERC721: 721,
+  ERC1155: 1155
+};
+
+// the ledger's balance contexts
+const CONTEXTS = {
+  LEDGER: 0,
+  TRUST: 1,
+  KEY: 2
+};
+
+const LEDGER_ABI = [
+  'function getContextArnRegistry(uint256 context, uint256 identifier, address provider) view returns (bytes32[])',
+  'function getContextProviderRegistry(uint256 context, uint256 identifier, bytes32 arn) view returns (address[])',
+  'function getContextArnBalances(uint256 context, uint256 identifier, address provider, bytes32[] arns) view returns (uint256[])'
+];
+
+/////////////////////////////////////////////
+// arn
+//
+// Encodes any asset type.
+/////////////////////////////////////////////
+const arn = function(contractAddress, tokenStandard, id = 0) {
+  return ethers.utils.keccak256(ethers.utils.defaultAbiCoder.encode(
+    ['address', 'uint256', 'uint256'], [contractAddress, tokenStandard, id]));
+};
+
+const gasArn = () => arn(GAS_TOKEN_CONTRACT, GAS_TOKEN_STANDARD, GAS_ID);
+const erc20Arn = (contractAddress) => arn(contractAddress, STANDARDS.ERC20, 0);
+const erc721Arn = (contractAddress, id) => arn(contractAddress, STANDARDS.ERC721, id);
+const erc1155Arn = (contractAddress, id) => arn(contractAddress, STANDARDS.ERC1155, id);
+
+/////////////////////////////////////////////
+// formatAmount
+//
+// Formats an amount with the decimals, or as whole
+// units when the decimals aren't known.
+/////////////////////////////////////////////
+const formatAmount = function(amount, decimals) {
+  return decimals === null || decimals === undefined ?
+    ethers.BigNumber.from(amount).toString() : ethers.utils.formatUnits(amount, decimals);
+};
+
+/////////////////////////////////////////////
+// createArnBook
+//
+// Builds a reverse lookup table for ARNs. Options:
+//
+//   - gasSymbol:   the symbol of the chain's gas token (ETH)
+//   - gasDecimals: the decimals of the gas token (18)
+//
+// The gas token is always in the book.
+/////////////////////////////////////////////
+const createArnBook = function(options = {}) {
+  var assets = {};
+
+  // metadata by token contract, so that every NFT ID
+  // of a known collection gets its symbol
+  var contracts = {};
+
+  const book = {
+    /////////////////////////////////////////////
+    // add
+    //
+    // Remembers an asset and returns its entry:
+    // { arn, contract, standard, id, alias, symbol, decimals }.
+    // Missing metadata is taken from what is known
+    // about the contract. NFTs have no decimals.
+    /////////////////////////////////////////////
+    add: function(asset) {
+      const contract = ethers.utils.getAddress(asset.contract);
+      const standard = asset.standard === undefined ? STANDARDS.ERC20 : asset.standard;
+      if (!Object.values(STANDARDS).includes(standard)) {
+        throw new Error('Unknown token standard ' + standard + ' for ' + contract + '.');
+      }
+      const id = ethers.BigNumber.from(asset.id || 0).toString();
+      const known = contracts[contract] || {};
+      const pick = (field) => asset[field] !== undefined && asset[field] !== null ? asset[field] :
+        (known[field] === undefined ? null : known[field]);
+
+      const entry = {
+        arn: arn(contract, standard, id),
+        contract: contract,
+        standard: standard,
+        id: id,
+        alias: pick('alias'),
+        symbol: pick('symbol'),
+        decimals: standard === STANDARDS.ERC721 ? 0 : pick('decimals')
+      };
+      assets[entry.arn] = entry;
+      contracts[contract] ||= { alias: entry.alias, symbol: entry.symbol, decimals: entry.decimals };
+      return entry;
+    },
+
+    /////////////////////////////////////////////
+    // addGas
+    //
+    // Remembers the gas token.
+    /////////////////////////////////////////////
+    addGas: function() {
+      const entry = {
+        arn: gasArn(),
+        contract: GAS_TOKEN_CONTRACT,
+        standard: GAS_TOKEN_STANDARD,
+        id: '' + GAS_ID,
+        alias: 'gas',
+        symbol: options.gasSymbol || 'ETH',
+        decimals: options.gasDecimals === undefined ? 18 : options.gasDecimals
+      };
+      assets[entry.arn] = entry;
+      return entry;
+    },
+
+    /////////////////////////////////////////////
+    // addToken
+    //
+    // Remembers a specific NFT of a collection, or an
+    // ERC20, using the collection's known metadata.
+    /////////////////////////////////////////////
+    addToken: function(contractAddress, standard, id = 0) {
+      return book.add({ contract: contractAddress, standard, id });
+    },
+
+    /////////////////////////////////////////////
+    // loadAssets
+    //
+    // Remembers every asset known on the chain, with the
+    // symbol and decimals from the asset registry. ERC20s
+    // get their ARN right away, while NFT collections only
+    // lend their metadata to the IDs added later.
+    /////////////////////////////////////////////
+    loadAssets: function(chainId, resolveOptions = {}) {
+      for (const asset of resolveAssets(chainId, resolveOptions)) {
+        const contract = ethers.utils.getAddress(asset.address);
+        const standard = asset.standard === undefined ? STANDARDS.ERC20 : asset.standard;
+        contracts[contract] = {
+          alias: asset.alias,
+          symbol: asset.symbol === undefined ? null : asset.symbol,
+          decimals: asset.decimals === undefined ? null : asset.decimals
+        };
+        if (standard === STANDARDS.ERC20) {
+          book.add({ contract, standard });
+        }
+      }
+      return book;
+    },
+
+    /////////////////////////////////////////////
+    // lookup
+    //
+    // The asset behind the ARN, or null if the
+    // book has never seen it.
+    /////////////////////////////////////////////
+    lookup: function(assetArn) {
+      return assets[assetArn.toLowerCase()] || null;
+    },
+
+    /////////////////////////////////////////////
+    // getAssets
+    //
+    // Everything in the book.
+    /////////////////////////////////////////////
+    getAssets: function() {
+      return Object.values(assets);
+    },
+
+    /////////////////////////////////////////////
+    // formatBalance
+    //
+    // Formats the amount of an ARN with its decimals.
+    // Unknown ARNs are shown in whole units, with no symbol.
+    /////////////////////////////////////////////
+    formatBalance: function(assetArn, amount) {
+      const asset = book.lookup(assetArn);
+      const decimals = asset === null ? null : asset.decimals;
+      const formatted = formatAmount(amount, decimals);
+      var label = asset === null ? null : (asset.symbol || asset.alias);
+      if (asset !== null && asset.standard !== STANDARDS.GAS && asset.standard !== STANDARDS.ERC20) {
+        label = (label || asset.contract) + ' #' + asset.id;
+      }
+      return {
+        arn: assetArn,
+        asset: asset,
+        amount: ethers.BigNumber.from(amount).toString(),
+        formatted: formatted,
+        display: label === null ? formatted + ' of ' + assetArn : formatted + ' ' + label
+      };
+    },
+
+    /////////////////////////////////////////////
+    // getBalances
+    //
+    // Reads the balances a collateral provider holds for
+    // a ledger context (see CONTEXTS), formatted. Without
+    // ARNs, every ARN the context has seen is read.
+    /////////////////////////////////////////////
+    getBalances: async function(ledger, context, identifier, provider, arns) {
+      const reader = new ethers.Contract(ledger.address, LEDGER_ABI, ledger.signer || ledger.provider);
+      const list = arns || await reader.getContextArnRegistry(context, identifier, provider);
+      const balances = await reader.getContextArnBalances(context, identifier, provider, list);
+      return list.map((a, i) => book.formatBalance(a, balances[i]));
+    }
+  };
+
+  book.addGas();
+  return book;
+};
+
+module.exports = {
+  GAS_TOKEN_CONTRACT,
+  GAS_TOKEN_STANDARD,
+  GAS_ID,
+  STANDARDS,
+  CONTEXTS,
+  LEDGER_ABI,
+  arn,
+  gasArn,
+  erc20Arn,
+  erc721Arn,
+  erc1155Arn,
+  formatAmount,
+  createArnBook
+};
@@ -0,0 +1,681 @@
+const { ethers } = require('ethers');
+
+///////////////////////////////////////////
+// Errors
+//
+// The contracts revert with terse codes, like KEY_NOT_HELD.
+// This digs the revert reason out of whatever ethers, hardhat,
+// or zkSync threw, and explains it with the catalog below.
+//
+// Every entry has:
+//
+//   - explanation: what the contract refused to do, and why
+//   - remediation: what to do about it
+//   - contracts:   the contracts that revert with it
+//
+// Panics are cataloged as Panic(0x..), with the code in hex.
+///////////////////////////////////////////
+
+const CATALOG = {
+  // Locksmith and KeyVault
+  'KEY_NOT_HELD': {
+    explanation: 'The sender does not hold the key the call is made with.',
+    remediation: 'Send the transaction from a wallet that holds the key, or the root key of its trust.',
+    contracts: ['AlarmClock', 'Allowance', 'Distributor', 'EtherVault', 'KeyOracle', 'Locksmith', 'Notary',
+      'PostOffice', 'TokenVault', 'TrustRecoveryCenter', 'Trustee']
+  },
+  'KEY_NOT_ROOT': {
+    explanation: 'The key used is not the root key of its trust.',
+    remediation: 'Use the trust\'s root key ID. Locksmith#getTrustInfo returns it.',
+    contracts: ['AlarmClock', 'Allowance', 'KeyOracle', 'Locksmith', 'Notary', 'Trustee']
+  },
+  'TRUST_KEY_NOT_FOUND': {
+    explanation: 'The key is not part of the root key\'s trust.',
+    remediation: 'Check the key ID. Only keys created in the same trust can be copied, soulbound, or burned.',
+    contracts: ['Locksmith']
+  },
+  'INVALID_TRUST': {
+    explanation: 'The trust does not exist.',
+    remediation: 'Check the trust ID against Locksmith#trustCount.',
+    contracts: ['Locksmith']
+  },
+  'INVALID_KEY_ON_RING': {
+    explanation: 'A key on the key ring was never created.',
+    remediation: 'Only include key IDs below Locksmith#keyCount.',
+    contracts: ['Locksmith']
+  },
+  'ROOT_ON_RING': {
+    explanation: 'The key ring includes the root key, which is not allowed here.',
+    remediation: 'Remove the root key from the key ring.',
+    contracts: ['Locksmith']
+  },
+  'NON_TRUST_KEY': {
+    explanation: 'A key on the key ring belongs to a different trust.',
+    remediation: 'Only include keys from the trust being operated on.',
+    contracts: ['Locksmith']
+  },
+  'NOT_OWNER': {
+    explanation: 'Only the KeyVault\'s owner can upgrade it or change its respected Locksmith.',
+    remediation: 'Send the transaction from the wallet that deployed the KeyVault.',
+    contracts: ['KeyVault']
+  },
+  'NOT_LOCKSMITH': {
+    explanation: 'Only the respected Locksmith can mint or soulbind keys.',
+    remediation: 'Go through the Locksmith, and check that the KeyVault respects it (genie respect).',
+    contracts: ['KeyVault']
+  },
+  'NOT_LOCKSMITH_OR_HOLDER': {
+    explanation: 'Keys can only be burned by the Locksmith, or by their holder.',
+    remediation: 'Burn the key through Locksmith#burnKey with the root key, or from the holder\'s wallet.',
+    contracts: ['KeyVault']
+  },
+  'SOUL_BREACH': {
+    explanation: 'The transfer would leave the holder with fewer keys than are soulbound to them.',
+    remediation: 'Have the root key holder lower the soulbound amount with Locksmith#soulbindKey first.',
+    contracts: ['KeyVault']
+  },
+
+  // Notary
+  'REDUNDANT_PROVISION': {
+    explanation: 'The actor is already trusted in that role for the ledger.',
+    remediation: 'Nothing to do, the role is already in place.',
+    contracts: ['Notary']
+  },
+  'NOT_CURRENT_ACTOR': {
+    explanation: 'The actor being removed is not trusted in that role for the ledger.',
+    remediation: 'Check the role, ledger, and actor. Notary#getTrustedActors lists the current ones.',
+    contracts: ['Notary']
+  },
+  'UNAPPROVED_AMOUNT': {
+    explanation: 'The withdrawal is larger than the allowance the key holder gave the provider.',
+    remediation: 'Raise the allowance with Notary#setWithdrawalAllowance, or withdraw less.',
+    contracts: ['Notary']
+  },
+  'UNTRUSTED_PROVIDER': {
+    explanation: 'The collateral provider is not trusted by the trust.',
+    remediation: 'Trust the provider as a collateral provider with Notary#setTrustedLedgerRole (genie wire).',
+    contracts: ['Notary']
+  },
+  'UNTRUSTED_DISPATCHER': {
+    explanation: 'The event dispatcher is not trusted by the trust.',
+    remediation: 'Trust the dispatcher with Notary#setTrustedLedgerRole (genie wire).',
+    contracts: ['Notary']
+  },
+  'UNTRUSTED_ACTOR': {
+    explanation: 'The contract acting on the ledger is not trusted by the trust in that role.',
+    remediation: 'Trust it with Notary#setTrustedLedgerRole, or run genie wire for the trust.',
+    contracts: ['Notary']
+  },
+  'INVALID_KEY': {
+    explanation: 'The key does not exist.',
+    remediation: 'Check the key ID against Locksmith#keyCount.',
+    contracts: ['Notary']
+  },
+  'KEY_AMOUNT_SIZE_MISMATCH': {
+    explanation: 'The distribution has a different number of keys and amounts.',
+    remediation: 'Pass one amount for every key.',
+    contracts: ['Notary']
+  },
+
+  // Ledger
+  'ZERO_AMOUNT': {
+    explanation: 'Deposits and withdrawals have to be for more than zero.',
+    remediation: 'Use a positive amount.',
+    contracts: ['Ledger']
+  },
+  'SELF_DISTRIBUTION': {
+    explanation: 'A distribution can not send funds back to its source key.',
+    remediation: 'Remove the source key from the destination keys.',
+    contracts: ['Ledger']
+  },
+  'INVALID_CONTEXT': {
+    explanation: 'The ledger context is unknown.',
+    remediation: 'Use 0 for the ledger, 1 for a trust, or 2 for a key.',
+    contracts: ['Ledger']
+  },
+  'OVERDRAFT': {
+    explanation: 'The key does not have enough of the asset on the ledger.',
+    remediation: 'Check the balance with Ledger#getContextArnBalances and withdraw or distribute less.',
+    contracts: ['CollateralProviderLedger']
+  },
+
+  // TrustEventLog
+  'DUPLICATE_REGISTRATION': {
+    explanation: 'An event with the same hash is already registered.',
+    remediation: 'Use a different event description.',
+    contracts: ['TrustEventLog']
+  },
+  'INVALID_DISPATCH': {
+    explanation: 'Only the dispatcher that registered the event can fire it.',
+    remediation: 'Fire the event through its dispatcher, like the KeyOracle or AlarmClock.',
+    contracts: ['TrustEventLog']
+  },
+  'DUPLICATE_EVENT': {
+    explanation: 'The event has already fired, and events only fire once.',
+    remediation: 'Nothing to do, the event is already in effect.',
+    contracts: ['TrustEventLog']
+  },
+
+  // PostOffice
+  'DUPLICATE_ADDRESS_REGISTRATION': {
+    explanation: 'The inbox is already registered with the PostOffice.',
+    remediation: 'Nothing to do, or deregister the inbox first.',
+    contracts: ['PostOffice']
+  },
+  'OWNER_NOT_ROOT': {
+    explanation: 'The inbox\'s owner key is not a valid root key.',
+    remediation: 'Create the inbox with the trust\'s root key as its owner.',
+    contracts: ['PostOffice']
+  },
+  'INVALID_INBOX_KEY': {
+    explanation: 'The inbox\'s key is invalid, or outside the owner\'s trust.',
+    remediation: 'Use a key from the same trust as the owner key.',
+    contracts: ['PostOffice']
+  },
+  'DUPLICATE_KEY_REGISTRATION': {
+    explanation: 'The key already has an inbox.',
+    remediation: 'Use the existing inbox, or deregister it first.',
+    contracts: ['PostOffice']
+  },
+  'MISSING_REGISTRATION': {
+    explanation: 'The inbox is not registered with the PostOffice.',
+    remediation: 'Check the inbox address.',
+    contracts: ['PostOffice']
+  },
+  'CORRUPT_IDENTITY': {
+    explanation: 'The inbox is not the one registered for its key.',
+    remediation: 'Check the inbox address against PostOffice#getKeyInbox.',
+    contracts: ['PostOffice']
+  },
+  'REGISTRATION_NOT_YOURS': {
+    explanation: 'The inbox is not owned by the sender\'s root key.',
+    remediation: 'Deregister the inbox with the root key that owns it.',
+    contracts: ['PostOffice']
+  },
+
+  // KeyLocker
+  'INVALID_AMOUNT': {
+    explanation: 'The amount of keys has to be more than zero.',
+    remediation: 'Use a positive amount.',
+    contracts: ['KeyLocker']
+  },
+  'INSUFFICIENT_KEYS': {
+    explanation: 'The KeyLocker does not hold enough of the key.',
+    remediation: 'Check how many keys are in the locker before using or redeeming them.',
+    contracts: ['KeyLocker']
+  },
+  'INVALID_ROOT_KEY': {
+    explanation: 'The root key is invalid, or belongs to a different trust.',
+    remediation: 'Use the root key of the key\'s trust.',
+    contracts: ['KeyLocker', 'Trustee']
+  },
+  'UNAUTHORIZED': {
+    explanation: 'The sender can not use or redeem keys from the KeyLocker.',
+    remediation: 'Send the transaction from a wallet that holds the key or the trust\'s root key.',
+    contracts: ['KeyLocker']
+  },
+  'KEY_NOT_RETURNED': {
+    explanation: 'The keys borrowed from the KeyLocker were not returned by the end of the call.',
+    remediation: 'Make sure the called contract sends the keys back to the KeyLocker.',
+    contracts: ['KeyLocker']
+  },
+  'CALLER_KEY_STRIPPED': {
+    explanation: 'The call through the KeyLocker took keys from the caller.',
+    remediation: 'Check what the called contract does with the caller\'s keys.',
+    contracts: ['KeyLocker']
+  },
+
+  // agents
+  'IMPROPER_KEY_INPUT': {
+    explanation: 'The agent expects exactly one key to be sent to it.',
+    remediation: 'Send a single copy of the key with safeTransferFrom.',
+    contracts: ['KeyAddressFactory', 'MegaKeyCreator', 'RecoveryPolicyCreator', 'TrustRecoveryCenter']
+  },
+  'LOCKSMITH_MISMATCH': {
+    explanation: 'The key comes from a different Locksmith than the PostOffice uses.',
+    remediation: 'Use a key from the PostOffice\'s Locksmith.',
+    contracts: ['KeyAddressFactory']
+  },
+  'NULL_ADDRESS': {
+    explanation: 'The virtual key address could not be created.',
+    remediation: 'Check the KeyAddressFactory\'s beacon and dependencies (genie audit).',
+    contracts: ['KeyAddressFactory']
+  },
+  'DIMENSION_MISMATCH': {
+    explanation: 'The lists passed in have different lengths.',
+    remediation: 'Pass the same number of entries in each list.',
+    contracts: ['MegaKeyCreator', 'TrustRecoveryCenter']
+  },
+  'UNKNOWN_KEY_TYPE': {
+    explanation: 'The token sent is not a key from the Locksmith\'s KeyVault.',
+    remediation: 'Send a Locksmith key.',
+    contracts: ['RecoveryPolicyCreator', 'TrustRecoveryCenter']
+  },
+  '1': {
+    explanation: 'TrustCreator#spawnTrust only succeeds when the trust name is empty.',
+    remediation: 'spawnTrust only accepts an empty trust name; create the trust through the Locksmith.',
+    contracts: ['TrustCreator']
+  },
+  'KEY_ALIAS_RECEIVER_DIMENSION_MISMATCH': {
+    explanation: 'The trust has a different number of key names and key receivers.',
+    remediation: 'Pass one list of receivers for every key name.',
+    contracts: ['TrustCreator']
+  },
+  'INVALID_POLICY': {
+    explanation: 'The key has no recovery policy.',
+    remediation: 'Create a recovery policy for the key first.',
+    contracts: ['TrustRecoveryCenter']
+  },
+  'INVALID_GUARDIAN': {
+    explanation: 'The sender is not a guardian of the key\'s recovery policy.',
+    remediation: 'Recover the key from one of the policy\'s guardians.',
+    contracts: ['TrustRecoveryCenter']
+  },
+  'DUPLICATE_POLICY': {
+    explanation: 'The key already has a recovery policy.',
+    remediation: 'Change the existing policy instead.',
+    contracts: ['TrustRecoveryCenter']
+  },
+  'MISSING_GUARDIANS': {
+    explanation: 'A recovery policy needs at least one guardian.',
+    remediation: 'Add a guardian to the policy.',
+    contracts: ['TrustRecoveryCenter']
+  },
+  'INVALID_OPERATOR': {
+    explanation: 'The sender does not hold the key the virtual address is for.',
+    remediation: 'Send the transaction from a wallet that holds the key, or the trust\'s root key.',
+    contracts: ['VirtualKeyAddress']
+  },
+  'INVARIANT_CONTROL': {
+    explanation: 'A virtual key address can not call the Locksmith through multicall.',
+    remediation: 'Remove the Locksmith calls from the multicall.',
+    contracts: ['VirtualKeyAddress']
+  },
+  'NO_TOKENS': {
+    explanation: 'The virtual key address has none of the token to accept.',
+    remediation: 'Send tokens to the address before accepting them.',
+    contracts: ['VirtualKeyAddress']
+  },
+
+  // dispatchers
+  'INVALID_SNOOZE_KEY': {
+    explanation: 'The snooze key is invalid, or outside the root key\'s trust.',
+    remediation: 'Use a key from the same trust as the root key.',
+    contracts: ['AlarmClock']
+  },
+  'INVALID_ALARM_EVENT': {
+    explanation: 'The event has no alarm.',
+    remediation: 'Check the event hash.',
+    contracts: ['AlarmClock']
+  },
+  'UNSNOOZABLE_ALARM': {
+    explanation: 'The alarm was created without a snooze interval.',
+    remediation: 'Nothing to do, the alarm can not be snoozed.',
+    contracts: ['AlarmClock']
+  },
+  'OVERSNOOZE': {
+    explanation: 'The alarm\'s event has already fired.',
+    remediation: 'Nothing to do, the alarm can not be snoozed anymore.',
+    contracts: ['AlarmClock']
+  },
+  'TOO_EARLY': {
+    explanation: 'It is too early: the alarm is not within a snooze interval of going off, ' +
+      'or the allowance\'s next tranche has not vested.',
+    remediation: 'Wait, and try again later.',
+    contracts: ['AlarmClock', 'Allowance']
+  },
+  'CHALLENGE_FAILED': {
+    explanation: 'The alarm has not gone off yet.',
+    remediation: 'Wait for the alarm time before challenging it.',
+    contracts: ['AlarmClock']
+  },
+  'INVALID_ORACLE_KEY': {
+    explanation: 'The oracle key is invalid, or outside the root key\'s trust.',
+    remediation: 'Use a key from the same trust as the root key.',
+    contracts: ['KeyOracle']
+  },
+  'MISSING_KEY_EVENT': {
+    explanation: 'The key has no oracle for the event.',
+    remediation: 'Check the key and event hash, or create the oracle first.',
+    contracts: ['KeyOracle']
+  },
+
+  // providers
+  'INVALID_ARN': {
+    explanation: 'The EtherVault only holds ether.',
+    remediation: 'Withdraw tokens from the TokenVault instead.',
+    contracts: ['EtherVault']
+  },
+  'INSUFFICIENT_TOKENS': {
+    explanation: 'The sender does not have enough of the token to deposit.',
+    remediation: 'Deposit less, or fund the wallet first.',
+    contracts: ['TokenVault']
+  },
+
+  // scribes
+  'INVALID_RECIPIENT_KEY': {
+    explanation: 'The allowance\'s recipient key is invalid, or outside the trust.',
+    remediation: 'Use a key from the same trust as the root key.',
+    contracts: ['Allowance']
+  },
+  'ZERO_TRANCHE': {
+    explanation: 'An allowance needs at least one tranche.',
+    remediation: 'Use a positive tranche count.',
+    contracts: ['Allowance']
+  },
+  'ZERO_INTERVAL': {
+    explanation: 'An allowance needs a vesting interval.',
+    remediation: 'Use a positive vesting interval.',
+    contracts: ['Allowance']
+  },
+  'ZERO_ENTITLEMENTS': {
+    explanation: 'An allowance needs at least one entitlement.',
+    remediation: 'Add an entitlement to the allowance.',
+    contracts: ['Allowance']
+  },
+  'ZERO_ENTITLEMENT_AMOUNT': {
+    explanation: 'Every entitlement has to be for more than zero.',
+    remediation: 'Use positive entitlement amounts.',
+    contracts: ['Allowance']
+  },
+  'INVALID_SOURCE_KEY': {
+    explanation: 'The source key is invalid, or outside the trust.',
+    remediation: 'Use a key from the same trust as the root key.',
+    contracts: ['Allowance', 'Trustee']
+  },
+  'INVALID_ALLOWANCE_ID': {
+    explanation: 'The allowance does not exist.',
+    remediation: 'Check the allowance ID.',
+    contracts: ['Allowance']
+  },
+  'ALLOWANCE_EXHAUSTED': {
+    explanation: 'Every tranche of the allowance has been paid out.',
+    remediation: 'Nothing to do, or create a new allowance.',
+    contracts: ['Allowance']
+  },
+  'UNAFFORDABLE_DISTRIBUTION': {
+    explanation: 'The source key can not afford a single tranche of the allowance.',
+    remediation: 'Fund the source key, then redeem again.',
+    contracts: ['Allowance']
+  },
+  'MISSING_EVENT': {
+    explanation: 'An event the policy requires has not fired yet.',
+    remediation: 'Wait for the required events, or fire them through their dispatchers.',
+    contracts: ['Allowance', 'TrustRecoveryCenter', 'Trustee']
+  },
+  'ZERO_BENEFICIARIES': {
+    explanation: 'A trustee policy needs at least one beneficiary.',
+    remediation: 'Add a beneficiary key to the policy.',
+    contracts: ['Trustee']
+  },
+  'INVALID_TRUSTEE_KEY': {
+    explanation: 'The trustee key does not exist.',
+    remediation: 'Check the trustee key ID.',
+    contracts: ['Trustee']
+  },
+  'TRUSTEE_OUTSIDE_TRUST': {
+    explanation: 'The trustee key belongs to a different trust.',
+    remediation: 'Use a trustee key from the root key\'s trust.',
+    contracts: ['Trustee']
+  },
+  'SOURCE_OUTSIDE_TRUST': {
+    explanation: 'The source key belongs to a different trust.',
+    remediation: 'Use a source key from the root key\'s trust.',
+    contracts: ['Trustee']
+  },
+  'KEY_POLICY_EXISTS': {
+    explanation: 'The trustee key already has a policy.',
+    remediation: 'Remove the existing policy first.',
+    contracts: ['Trustee']
+  },
+  'SOURCE_IS_DESTINATION': {
+    explanation: 'The source key is also a beneficiary.',
+    remediation: 'Remove the source key from the beneficiaries.',
+    contracts: ['Trustee']
+  },
+  'MISSING_POLICY': {
+    explanation: 'The trustee key has no policy.',
+    remediation: 'Create a policy for the trustee key first.',
+    contracts: ['Trustee']
+  },
+  'INVALID_BENEFICIARY': {
+    explanation: 'A key is not a beneficiary of the trustee\'s policy.',
+    remediation: 'Only distribute to the policy\'s beneficiaries.',
+    contracts: ['Trustee']
+  },
+
+  // the libraries the contracts are built on
+  'Initializable: contract is already initialized': {
+    explanation: 'The proxy has already been initialized.',
+    remediation: 'Nothing to do. Upgrades should not call initialize again.',
+    contracts: ['OpenZeppelin']
+  },
+  'ERC1155: insufficient balance for transfer': {
+    explanation: 'The sender does not hold enough of the key to send it.',
+    remediation: 'Check the key balance of the sender.',
+    contracts: ['KeyVault']
+  },
+  'ERC1155: caller is not token owner or approved': {
+    explanation: 'The sender can not move keys from that holder.',
+    remediation: 'Send the keys from the holder\'s wallet, or approve the sender first.',
+    contracts: ['KeyVault']
+  },
+  'ERC1155: transfer to non-ERC1155Receiver implementer': {
+    explanation: 'The receiving contract can not accept keys.',
+    remediation: 'Send the key to a wallet, or a contract that implements onERC1155Received.',
+    contracts: ['KeyVault']
+  },
+  'ERC20: insufficient allowance': {
+    explanation: 'The TokenVault is not approved to move that many tokens.',
+    remediation: 'Approve the TokenVault for the token first.',
+    contracts: ['TokenVault']
+  },
+  'ERC20: transfer amount exceeds balance': {
+    explanation: 'The sender does not have that many tokens.',
+    remediation: 'Transfer less, or fund the wallet first.',
+    contracts: ['TokenVault']
+  },
+
+  // solidity panics
+  'Panic(0x01)': {
+    explanation: 'An assertion failed. Locksmith#getKeys asserts when the trust does not exist.',
+    remediation: 'Check the IDs used in the call.',
+    contracts: ['Locksmith']
+  },
+  'Panic(0x11)': {
+    explanation: 'An arithmetic operation overflowed or underflowed.',
+    remediation: 'Check the amounts used in the call.',
+    contracts: []
+  },
+  'Panic(0x12)': {
+    explanation: 'A division by zero.',
+    remediation: 'Check the amounts used in the call.',
+    contracts: []
+  },
+  'Panic(0x32)': {
+    explanation: 'An array was read out of bounds.',
+    remediation: 'Check the indexes and list lengths used in the call.',
+    contracts: []
+  }
+};
+
+const ERROR_SELECTOR = '0x08c379a0';   // Error(string)
+const PANIC_SELECTOR = '0x4e487b71';   // Panic(uint256)
+
+/////////////////////////////////////////////
+// formatPanic
+//
+// The catalog name of a panic code.
+/////////////////////////////////////////////
+const formatPanic = function(code) {
+  return 'Panic(0x' + code.toNumber().toString(16).padStart(2, '0') + ')';
+};
+
+/////////////////////////////////////////////
+// decodeRevertData
+//
+// Decodes the return data of a reverted call, or
+// returns null if it isn't a reason or panic.
+/////////////////////////////////////////////
+const decodeRevertData = function(data) {
+  if (typeof data !== 'string' || !ethers.utils.isHexString(data) || data.length < 10) {
+    return null;
+  }
+  const selector = data.slice(0, 10).toLowerCase();
+  try {
+    if (selector === ERROR_SELECTOR) {
+      return ethers.utils.defaultAbiCoder.decode(['string'], '0x' + data.slice(10))[0];
+    }
+    if (selector === PANIC_SELECTOR) {
+      return formatPanic(ethers.utils.defaultAbiCoder.decode(['uint256'], '0x' + data.slice(10))[0]);
+    }
+  } catch (err) {
+    // malformed return data has no reason
+  }
+  return null;
+};
+
+/////////////////////////////////////////////
+// parseMessage
+//
+// Finds the revert reason in an error message, in
+// the ways hardhat, geth, and zkSync word it.
+/////////////////////////////////////////////
+const parseMessage = function(message) {
+  if (typeof message !== 'string') {
+    return null;
+  }
+  const patterns = [
+    /reverted with reason string '([^']*)'/,
+    /reverted with panic code (0x[0-9a-f]+)/i,
+    /execution reverted: ([^"\n]+?)(?:"|\n|$)/
+  ];
+  for (const [i, pattern] of patterns.entries()) {
+    const match = message.match(pattern);
+    if (match) {
+      return i === 1 ? formatPanic(ethers.BigNumber.from(match[1])) : match[1].trim();
+    }
+  }
+
+  // zkSync reports failed calls with the raw return data
+  const data = message.match(/data = (0x[0-9a-fA-F]+)/);
+  return data === null ? null : decodeRevertData(data[1]);
+};
+
+/////////////////////////////////////////////
+// getRevertReason
+//
+// Digs the revert reason out of an error. Providers nest
+// the node's error under error, body, data, or cause,
+// depending on how far the transaction got, so every
+// level is searched. Returns null if there isn't one.
+/////////////////////////////////////////////
+const getRevertReason = function(error) {
+  var seen = new Set();
+  var search = function(e, depth) {
+    if (e === null || e === undefined || depth > 8 || seen.has(e)) {
+      return null;
+    }
+    if (typeof e === 'string') {
+      return decodeRevertData(e) || parseMessage(e);
+    }
+    if (typeof e !== 'object') {
+      return null;
+    }
+    seen.add(e);
+
+    // the return data is the most reliable
+    const data = decodeRevertData(typeof e.data === 'string' ? e.data : (e.data || {}).data);
+    if (data !== null) {
+      return data;
+    }
+
+    // json rpc responses come back as a string body
+    if (typeof e.body === 'string') {
+      try {
+        const body = JSON.parse(e.body);
+        const reason = search(body.error, depth + 1);
+        if (reason !== null) {
+          return reason;
+        }
+      } catch (err) {
+        // not json
+      }
+    }
+
+    for (const nested of [e.error, e.data, e.cause]) {
+      const reason = search(nested, depth + 1);
+      if (reason !== null) {
+        return reason;
+      }
+    }
+
+    // ethers decodes the reason of failed calls itself
+    if (e.errorName === 'Error' && e.errorArgs) {
+      return e.errorArgs[0];
+    }
+    return parseMessage(e.reason) || parseMessage(e.message);
+  };
+  return search(error, 0);
+};
+
+/////////////////////////////////////////////
+// explain
+//
+// Looks up a revert reason, or the reason in an
+// error, in the catalog. Returns null for reasons
+// the catalog doesn't know.
+/////////////////////////////////////////////
+const explain = function(errorOrReason) {
+  const reason = typeof errorOrReason === 'string' ? errorOrReason : getRevertReason(errorOrReason);
+  if (reason === null || !Object.prototype.hasOwnProperty.call(CATALOG, reason)) {
+    return null;
+  }
+  return { reason: reason, ...CATALOG[reason] };
+};
+
+/////////////////////////////////////////////
+// formatError
+//
+// Describes an error for people: the explanation and
+// remediation of its revert reason when known, or the
+// raw reason, or failing both, the error message.
+/////////////////////////////////////////////
+const formatError = function(error) {
+  const reason = getRevertReason(error);
+  if (reason === null) {
+    return (error && error.message) || '' + error;
+  }
+  const entry = explain(reason);
+  if (entry === null) {
+    return 'The transaction reverted with ' + reason + '.';
+  }
+  return 'The transaction reverted with ' + reason + ': ' + entry.explanation + '\n' + entry.remediation;
+};
+
+/////////////////////////////////////////////
+// LocksmithError
+//
+// What the SDK throws when a transaction fails,
+// carrying the reason and the original error.
+/////////////////////////////////////////////
+class LocksmithError extends Error {
+  constructor(error) {
+    super(formatError(error));
+    const entry = explain(error);
+    this.name = 'LocksmithError';
+    this.reason = getRevertReason(error);
+    this.explanation = entry === null ? null : entry.explanation;
+    this.remediation = entry === null ? null : entry.remediation;
+    this.cause = error;
+  }
+}
+
+module.exports = {
+  CATALOG,
+  decodeRevertData,
+  getRevertReason,
+  explain,
+  formatError,
+  LocksmithError
+};
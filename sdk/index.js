@@ -0,0 +1,16 @@
+///////////////////////////////////////////
+// SmarTrust SDK
+//
+// JavaScript clients for the Locksmith contracts, for
+// frontends and scripts. Only depends on ethers, and
+// on the file system when it falls back to the registries.
+///////////////////////////////////////////
+module.exports = {
+  Locksmith: require('./locksmith.js'),
+  Arn: require('./arn.js'),
+  Errors: require('./errors.js'),
+  Payloads: require('./payloads.js'),
+  Multicall: require('./multicall.js'),
+  Statement: require('./statement.js'),
+  ...require('./addresses.js')
+};
@@ -0,0 +1,309 @@
+const { ethers } = require('ethers');
+const { requireAddress, getChainId } = require('./addresses.js');
+const { LocksmithError } = require('./errors.js');
+
+///////////////////////////////////////////
+// Locksmith SDK
+//
+// A client for the trusts and keys in the Locksmith and
+// KeyVault. Reads come back as plain objects with names
+// decoded to strings, and writes wait for the transaction
+// and come back with the events they produced, or throw
+// a LocksmithError explaining why they failed:
+//
+//   const sdk = await Locksmith.connect(signer);
+//   const { trustId, rootKeyId } = await sdk.createTrust('My Trust');
+//   const trust = await sdk.getTrust(trustId);
+//
+// Addresses are resolved by chain ID, see addresses.js.
+///////////////////////////////////////////
+
+const LOCKSMITH_ABI = [
+  'function getKeyVault() view returns (address)',
+  'function trustCount() view returns (uint256)',
+  'function keyCount() view returns (uint256)',
+  'function getTrustInfo(uint256 trustId) view returns (uint256, bytes32, uint256, uint256)',
+  'function getKeys(uint256 trustId) view returns (uint256[])',
+  'function isRootKey(uint256 keyId) view returns (bool)',
+  'function inspectKey(uint256 keyId) view returns (bool, bytes32, uint256, bool, uint256[])',
+  'function hasKeyOrTrustRoot(address keyHolder, uint256 keyId) view returns (bool)',
+  'function createTrustAndRootKey(bytes32 trustName, address recipient) returns (uint256, uint256)',
+  'function createKey(uint256 rootKeyId, bytes32 keyName, address receiver, bool bind) returns (uint256)',
+  'function copyKey(uint256 rootKeyId, uint256 keyId, address receiver, bool bind)',
+  'function soulbindKey(uint256 rootKeyId, address keyHolder, uint256 keyId, uint256 amount)',
+  'function burnKey(uint256 rootKeyId, uint256 keyId, address holder, uint256 amount)',
+  'event trustCreated(address creator, uint256 trustId, bytes32 trustName, address recipient)',
+  'event keyMinted(address creator, uint256 trustId, uint256 keyId, bytes32 keyName, address receiver)',
+  'event keyBurned(address rootHolder, uint256 trustId, uint256 keyId, address target, uint256 amount)'
+];
+
+const KEY_VAULT_ABI = [
+  'function locksmith() view returns (address)',
+  'function getKeys(address holder) view returns (uint256[])',
+  'function getHolders(uint256 keyId) view returns (address[])',
+  'function keyBalanceOf(address account, uint256 id, bool soulbound) view returns (uint256)',
+  'function balanceOf(address account, uint256 id) view returns (uint256)',
+  'function keySupply(uint256 keyId) view returns (uint256)',
+  'function safeTransferFrom(address from, address to, uint256 id, uint256 amount, bytes data)',
+  'event setSoulboundKeyAmount(address operator, address keyHolder, uint256 keyId, uint256 amount)'
+];
+
+/////////////////////////////////////////////
+// toBytes32
+//
+// Encodes a trust or key name.
+/////////////////////////////////////////////
+const toBytes32 = function(name) {
+  return ethers.utils.formatBytes32String(name);
+};
+
+/////////////////////////////////////////////
+// fromBytes32
+//
+// Decodes a trust or key name. Names that fill all
+// 32 bytes have no null terminator, so the padding
+// is stripped before decoding.
+/////////////////////////////////////////////
+const fromBytes32 = function(name) {
+  const bytes = ethers.utils.arrayify(name);
+  var length = bytes.length;
+  while (length > 0 && bytes[length - 1] === 0) {
+    length--;
+  }
+  return ethers.utils.toUtf8String(bytes.slice(0, length));
+};
+
+/////////////////////////////////////////////
+// toNumbers
+//
+// IDs are small enough to be numbers.
+/////////////////////////////////////////////
+const toNumbers = function(ids) {
+  return ids.map((id) => ethers.BigNumber.from(id).toNumber());
+};
+
+/////////////////////////////////////////////
+// connect
+//
+// Builds a client for the Locksmith on the chain the
+// signer or provider is connected to. Options:
+//
+//   - chainId:     skips asking the network
+//   - addresses:   { Locksmith, KeyVault } overrides
+//   - addressBook: a generated address book to resolve from
+//
+// If the KeyVault can't be resolved, the Locksmith
+// is asked for it.
+/////////////////////////////////////////////
+const connect = async function(signerOrProvider, options = {}) {
+  const chainId = await getChainId(signerOrProvider, options);
+  const locksmith = new ethers.Contract(requireAddress(chainId, 'Locksmith', options),
+    LOCKSMITH_ABI, signerOrProvider);
+
+  var keyVaultAddress;
+  try {
+    keyVaultAddress = requireAddress(chainId, 'KeyVault', options);
+  } catch (err) {
+    keyVaultAddress = await locksmith.getKeyVault();
+  }
+  const keyVault = new ethers.Contract(keyVaultAddress, KEY_VAULT_ABI, signerOrProvider);
+
+  // waits for the transaction, and decodes the events
+  // either contract emitted in it. Failures are explained.
+  const send = async function(transaction) {
+    var receipt;
+    try {
+      receipt = await (await transaction).wait();
+    } catch (err) {
+      throw new LocksmithError(err);
+    }
+    var events = [];
+    for (const log of receipt.logs) {
+      for (const contract of [locksmith, keyVault]) {
+        if (log.address !== contract.address) {
+          continue;
+        }
+        try {
+          const parsed = contract.interface.parseLog(log);
+          events.push({ name: parsed.name, args: parsed.args });
+        } catch (err) {
+          // events outside the ABI aren't interesting here
+        }
+      }
+    }
+    return { events, receipt };
+  };
+
+  const findEvents = (events, name) => events.filter((e) => e.name === name).map((e) => e.args);
+
+  const decodeMinted = (args) => ({
+    trustId: args.trustId.toNumber(),
+    keyId: args.keyId.toNumber(),
+    keyName: fromBytes32(args.keyName),
+    receiver: args.receiver
+  });
+
+  const client = {
+    chainId: chainId,
+    locksmith: locksmith,
+    keyVault: keyVault,
+
+    /////////////////////////////////////////////
+    // getTrust
+    //
+    // The trust's name, root key, and keys, or
+    // null if the trust doesn't exist. The reads
+    // take call overrides, like { blockTag }.
+    /////////////////////////////////////////////
+    getTrust: async function(trustId, overrides = {}) {
+      if (ethers.BigNumber.from(trustId).gte(await locksmith.trustCount(overrides))) {
+        return null;
+      }
+      const [id, name, rootKeyId, keyCount] = await locksmith.getTrustInfo(trustId, overrides);
+      return {
+        id: id.toNumber(),
+        name: fromBytes32(name),
+        rootKeyId: rootKeyId.toNumber(),
+        keyCount: keyCount.toNumber(),
+        keys: toNumbers(await locksmith.getKeys(trustId, overrides))
+      };
+    },
+
+    /////////////////////////////////////////////
+    // getKey
+    //
+    // The key's name, trust, and whether it is a root
+    // key. Keys that were never minted are not valid.
+    /////////////////////////////////////////////
+    getKey: async function(keyId, overrides = {}) {
+      const [valid, name, trustId, isRoot] = await locksmith.inspectKey(keyId, overrides);
+      return {
+        id: ethers.BigNumber.from(keyId).toNumber(),
+        valid: valid,
+        name: valid ? fromBytes32(name) : '',
+        trustId: valid ? trustId.toNumber() : null,
+        isRoot: isRoot
+      };
+    },
+
+    /////////////////////////////////////////////
+    // getTrustKeys
+    //
+    // Every key in the trust, inspected.
+    /////////////////////////////////////////////
+    getTrustKeys: async function(trustId, overrides = {}) {
+      const trust = await client.getTrust(trustId, overrides);
+      return trust === null ? [] : Promise.all(trust.keys.map((keyId) => client.getKey(keyId, overrides)));
+    },
+
+    /////////////////////////////////////////////
+    // getKeyHolders
+    //
+    // Who holds the key, how many, and how many
+    // of those are soulbound to them.
+    /////////////////////////////////////////////
+    getKeyHolders: async function(keyId) {
+      const holders = await keyVault.getHolders(keyId);
+      return Promise.all(holders.map(async (address) => ({
+        address: address,
+        balance: (await keyVault.balanceOf(address, keyId)).toNumber(),
+        soulbound: (await keyVault.keyBalanceOf(address, keyId, true)).toNumber()
+      })));
+    },
+
+    /////////////////////////////////////////////
+    // getHolderKeys
+    //
+    // The keys an address holds.
+    /////////////////////////////////////////////
+    getHolderKeys: async function(address) {
+      return toNumbers(await keyVault.getKeys(address));
+    },
+
+    /////////////////////////////////////////////
+    // createTrust
+    //
+    // Creates a trust, sending its root key to the
+    // recipient, or the signer by default.
+    /////////////////////////////////////////////
+    createTrust: async function(name, recipient) {
+      const to = recipient || await locksmith.signer.getAddress();
+      const { events, receipt } = await send(locksmith.createTrustAndRootKey(toBytes32(name), to));
+      const created = findEvents(events, 'trustCreated')[0];
+      const minted = decodeMinted(findEvents(events, 'keyMinted')[0]);
+      return {
+        trustId: created.trustId.toNumber(),
+        name: fromBytes32(created.trustName),
+        rootKeyId: minted.keyId,
+        recipient: created.recipient,
+        events, receipt
+      };
+    },
+
+    /////////////////////////////////////////////
+    // createKey
+    //
+    // Creates a new key in the root key's trust,
+    // optionally soulbound to the receiver.
+    /////////////////////////////////////////////
+    createKey: async function(rootKeyId, name, receiver, soulbound = false) {
+      const { events, receipt } = await send(locksmith.createKey(rootKeyId, toBytes32(name), receiver, soulbound));
+      return { ...decodeMinted(findEvents(events, 'keyMinted')[0]), soulbound, events, receipt };
+    },
+
+    /////////////////////////////////////////////
+    // copyKey
+    //
+    // Mints another copy of a key in the root
+    // key's trust.
+    /////////////////////////////////////////////
+    copyKey: async function(rootKeyId, keyId, receiver, soulbound = false) {
+      const { events, receipt } = await send(locksmith.copyKey(rootKeyId, keyId, receiver, soulbound));
+      return { ...decodeMinted(findEvents(events, 'keyMinted')[0]), soulbound, events, receipt };
+    },
+
+    /////////////////////////////////////////////
+    // soulbindKey
+    //
+    // Sets how many of the key are soulbound to the
+    // holder. Zero unbinds them.
+    /////////////////////////////////////////////
+    soulbindKey: async function(rootKeyId, holder, keyId, amount = 1) {
+      const { events, receipt } = await send(locksmith.soulbindKey(rootKeyId, holder, keyId, amount));
+      const bound = findEvents(events, 'setSoulboundKeyAmount')[0];
+      return {
+        keyId: bound.keyId.toNumber(),
+        holder: bound.keyHolder,
+        amount: bound.amount.toNumber(),
+        events, receipt
+      };
+    },
+
+    /////////////////////////////////////////////
+    // burnKey
+    //
+    // Burns copies of the key from the holder.
+    /////////////////////////////////////////////
+    burnKey: async function(rootKeyId, keyId, holder, amount = 1) {
+      const { events, receipt } = await send(locksmith.burnKey(rootKeyId, keyId, holder, amount));
+      const burned = findEvents(events, 'keyBurned')[0];
+      return {
+        trustId: burned.trustId.toNumber(),
+        keyId: burned.keyId.toNumber(),
+        holder: burned.target,
+        amount: burned.amount.toNumber(),
+        events, receipt
+      };
+    }
+  };
+
+  return client;
+};
+
+module.exports = {
+  LOCKSMITH_ABI,
+  KEY_VAULT_ABI,
+  toBytes32,
+  fromBytes32,
+  connect
+};
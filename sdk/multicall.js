@@ -0,0 +1,246 @@
+const { ethers } = require('ethers');
+const { CONTEXTS, LEDGER_ABI, gasArn, erc20Arn } = require('./arn.js');
+const { LocksmithError } = require('./errors.js');
+
+///////////////////////////////////////////
+// Multicall
+//
+// A VirtualKeyAddress can withdraw its key's funds from the
+// collateral providers and spend them in one transaction:
+//
+//   multicall(FundingPreparation[] assets, Call[] calls)
+//
+// The builder takes the actions instead, and works out the
+// rest: what each call spends, which providers hold enough
+// of it for the inbox's key on the ledger, and how much to
+// withdraw from each. The multicall is simulated before it
+// is sent:
+//
+//   const builder = await Multicall.connect(signer, inboxAddress);
+//   builder.sendEther(friend, ethers.utils.parseEther('1'))
+//     .sendToken(coin, friend, 100);
+//   const { assets, calls, receipt } = await builder.send();
+//
+// Providers with the largest balances are drawn from first,
+// so an ARN is usually withdrawn from only one of them.
+///////////////////////////////////////////
+
+const VIRTUAL_ADDRESS_ABI = [
+  'function locksmith() view returns (address)',
+  'function keyId() view returns (uint256)',
+  'function getDefaultEthDepositProvider() view returns (address)',
+  'function multicall(tuple(address provider, bytes32 arn, uint256 amount)[] assets, ' +
+    'tuple(address target, bytes callData, uint256 msgValue)[] calls) payable'
+];
+
+const PROVIDER_ABI = [
+  'function getTrustedLedger() view returns (address)'
+];
+
+const ERC20_ABI = [
+  'function transfer(address to, uint256 amount) returns (bool)',
+  'function approve(address spender, uint256 amount) returns (bool)'
+];
+
+const erc20 = new ethers.utils.Interface(ERC20_ABI);
+
+/////////////////////////////////////////////
+// isCollateralProvider
+//
+// The ledger registers whatever its notary lets deposit,
+// which can be an account, or a contract that nothing
+// can be withdrawn from. Only contracts that name the
+// ledger as their trusted ledger are providers.
+/////////////////////////////////////////////
+const isCollateralProvider = async function(ledger, provider) {
+  if ((await ledger.provider.getCode(provider)) === '0x') {
+    return false;
+  }
+  try {
+    const trusted = await new ethers.Contract(provider, PROVIDER_ABI, ledger.provider).getTrustedLedger();
+    return ethers.utils.getAddress(trusted) === ethers.utils.getAddress(ledger.address);
+  } catch (err) {
+    return false;
+  }
+};
+
+/////////////////////////////////////////////
+// connect
+//
+// Builds a multicall for the inbox, sent by the signer,
+// who has to hold the inbox's key. Options:
+//
+//   - ledger: the ledger's address, by default the one
+//             the inbox's default ether provider trusts
+/////////////////////////////////////////////
+const connect = async function(signer, inboxAddress, options = {}) {
+  const inbox = new ethers.Contract(inboxAddress, VIRTUAL_ADDRESS_ABI, signer);
+  const keyId = await inbox.keyId();
+  const locksmith = ethers.utils.getAddress(await inbox.locksmith());
+  const ledgerAddress = options.ledger || await new ethers.Contract(
+    await inbox.getDefaultEthDepositProvider(), PROVIDER_ABI, signer).getTrustedLedger();
+  const ledger = new ethers.Contract(ledgerAddress, LEDGER_ABI, signer);
+
+  // the calls, and what each of them spends
+  var actions = [];
+
+  const builder = {
+    inbox: inbox,
+    keyId: keyId,
+    ledger: ledger,
+
+    /////////////////////////////////////////////
+    // call
+    //
+    // Queues an encoded call. Options:
+    //
+    //   - value:  the ether sent along with it
+    //   - spends: [{ arn, amount }] the call needs
+    //             in the inbox, other than the ether
+    /////////////////////////////////////////////
+    call: function(target, callData, options = {}) {
+      const to = ethers.utils.getAddress(target);
+      if (to === locksmith) {
+        throw new Error('The inbox can\'t call the Locksmith.');
+      }
+      const value = ethers.BigNumber.from(options.value || 0);
+      actions.push({
+        call: { target: to, callData: callData || '0x', msgValue: value },
+        spends: (value.isZero() ? [] : [{ arn: gasArn(), amount: value }]).concat(
+          (options.spends || []).map((s) => ({ arn: s.arn, amount: ethers.BigNumber.from(s.amount) })))
+      });
+      return builder;
+    },
+
+    /////////////////////////////////////////////
+    // sendEther
+    //
+    // Sends ether to an address.
+    /////////////////////////////////////////////
+    sendEther: function(to, amount) {
+      return builder.call(to, '0x', { value: amount });
+    },
+
+    /////////////////////////////////////////////
+    // sendToken
+    //
+    // Transfers an ERC20 to an address.
+    /////////////////////////////////////////////
+    sendToken: function(token, to, amount) {
+      return builder.call(token, erc20.encodeFunctionData('transfer', [to, amount]), {
+        spends: [{ arn: erc20Arn(token), amount: amount }]
+      });
+    },
+
+    /////////////////////////////////////////////
+    // approveAndCall
+    //
+    // Approves a dApp to take an amount of an ERC20,
+    // and calls it. Options:
+    //
+    //   - spender: who is approved, if not the target
+    //   - value:   the ether sent along with the call
+    /////////////////////////////////////////////
+    approveAndCall: function(token, amount, target, callData, options = {}) {
+      builder.call(token, erc20.encodeFunctionData('approve', [options.spender || target, amount]), {
+        spends: [{ arn: erc20Arn(token), amount: amount }]
+      });
+      return builder.call(target, callData, { value: options.value });
+    },
+
+    /////////////////////////////////////////////
+    // getSpending
+    //
+    // How much of each ARN the calls spend, in the
+    // order they are first spent: [{ arn, amount }].
+    /////////////////////////////////////////////
+    getSpending: function() {
+      var totals = {};
+      for (const spend of [].concat(...actions.map((a) => a.spends))) {
+        totals[spend.arn] = (totals[spend.arn] || ethers.constants.Zero).add(spend.amount);
+      }
+      return Object.entries(totals).map(([arn, amount]) => ({ arn, amount }));
+    },
+
+    /////////////////////////////////////////////
+    // prepare
+    //
+    // Picks the providers to withdraw each ARN from, by
+    // the key's balances on the ledger, and returns the
+    // multicall's arguments: { assets, calls }. Throws
+    // when the key can't cover what the calls spend.
+    // Balances held by anything but a collateral
+    // provider can't be withdrawn, and don't count.
+    /////////////////////////////////////////////
+    prepare: async function() {
+      var assets = [];
+      for (const { arn, amount } of builder.getSpending()) {
+        const providers = await ledger.getContextProviderRegistry(CONTEXTS.KEY, keyId, arn);
+        var balances = [];
+        for (const provider of providers) {
+          if (!(await isCollateralProvider(ledger, provider))) {
+            continue;
+          }
+          const [balance] = await ledger.getContextArnBalances(CONTEXTS.KEY, keyId, provider, [arn]);
+          balances.push({ provider, balance });
+        }
+        balances.sort((a, b) => b.balance.gt(a.balance) ? 1 : (b.balance.lt(a.balance) ? -1 : 0));
+
+        var needed = amount;
+        for (const { provider, balance } of balances.filter((b) => !b.balance.isZero())) {
+          if (needed.isZero()) {
+            break;
+          }
+          const take = balance.lt(needed) ? balance : needed;
+          assets.push({ provider, arn, amount: take });
+          needed = needed.sub(take);
+        }
+        if (!needed.isZero()) {
+          throw new Error('Key ' + keyId + ' only has ' + amount.sub(needed) + ' of ' + arn +
+            ' across its providers, but the calls spend ' + amount + '.');
+        }
+      }
+      return { assets: assets, calls: actions.map((a) => a.call) };
+    },
+
+    /////////////////////////////////////////////
+    // simulate
+    //
+    // Prepares the multicall and runs it without
+    // sending it. Reverts throw a LocksmithError.
+    /////////////////////////////////////////////
+    simulate: async function() {
+      const { assets, calls } = await builder.prepare();
+      try {
+        await inbox.callStatic.multicall(assets, calls);
+      } catch (err) {
+        throw new LocksmithError(err);
+      }
+      return { assets, calls };
+    },
+
+    /////////////////////////////////////////////
+    // send
+    //
+    // Simulates the multicall, sends it, and waits
+    // for it: { assets, calls, receipt }.
+    /////////////////////////////////////////////
+    send: async function() {
+      const { assets, calls } = await builder.simulate();
+      try {
+        const receipt = await (await inbox.multicall(assets, calls)).wait();
+        return { assets, calls, receipt };
+      } catch (err) {
+        throw new LocksmithError(err);
+      }
+    }
+  };
+
+  return builder;
+};
+
+module.exports = {
+  VIRTUAL_ADDRESS_ABI,
+  ERC20_ABI,
+  connect
+};
@@ -0,0 +1,367 @@
+const { ethers } = require('ethers');
+const { LOCKSMITH_ABI, KEY_VAULT_ABI, toBytes32, fromBytes32 } = require('./locksmith.js');
+const { LocksmithError } = require('./errors.js');
+
+///////////////////////////////////////////
+// Payloads
+//
+// The agents are driven by sending them a key, with their
+// instructions ABI encoded in the data of the ERC1155
+// transfer. This encodes and decodes the instructions of
+// each of them:
+//
+//   - KeyAddressFactory:     InboxRequest
+//   - MegaKeyCreator:        (keyName, provider, receivers,
+//                             soulbound)
+//   - RecoveryPolicyCreator: RecoveryPolicyConfiguration
+//   - TrustRecoveryCenter:   (guardians, events)
+//   - KeyLocker:             RootKeyLockerInstructions
+//
+// Encoders take plain objects with names as strings, and
+// refuse what the agent would revert on, before the key
+// is sent. Decoders give the same objects back:
+//
+//   const data = Payloads.encodeRecoveryPolicy({
+//     guardians: [guardian],
+//     keyOracles: [{ description: 'Proof of death', keyId: 2 }]
+//   });
+//   await Payloads.safeTransferFrom(keyVault, policyCreator, rootKeyId, data);
+//
+// Whether a recovery policy needs the notary flags depends
+// on the trust, see checkNotaryFlags, which safeTransferFrom
+// runs when it's given the contracts.
+///////////////////////////////////////////
+
+const TYPES = {
+  InboxRequest: 'tuple(uint256 virtualKeyId, address defaultEthDepositProvider, bool copyKey)',
+  MegaKey: ['bytes32', 'address', 'address[]', 'bool[]'],
+  RecoveryPolicyConfiguration: 'tuple(bool needAlarmNotary, bool needOracleNotary, address[] guardians, ' +
+    'tuple(bytes32 description, uint256 alarmTime, uint256 snoozeInterval, uint256 snoozeKeyId)[] deadmen, ' +
+    'tuple(bytes32 description, uint256 keyId)[] keyOracles)',
+  RecoveryPolicy: ['address[]', 'bytes32[]'],
+  RootKeyLockerInstructions: 'tuple(address destination, bytes data)'
+};
+
+// the notary role of event dispatchers
+const DISPATCHER = 2;
+
+const NOTARY_ABI = [
+  'function getTrustedActors(address ledger, uint256 trustId, uint8 role) view returns (address[])'
+];
+
+/////////////////////////////////////////////
+// requireAddress
+//
+// Checksums an address, or explains what is
+// wrong with it.
+/////////////////////////////////////////////
+const requireAddress = function(address, field) {
+  try {
+    return ethers.utils.getAddress(address);
+  } catch (err) {
+    throw new Error('The ' + field + ' ' + address + ' is not an address.');
+  }
+};
+
+/////////////////////////////////////////////
+// requireId
+//
+// Key IDs, times, and intervals are all
+// unsigned integers.
+/////////////////////////////////////////////
+const requireId = function(id, field) {
+  var value;
+  try {
+    value = ethers.BigNumber.from(id);
+  } catch (err) {
+    throw new Error('The ' + field + ' ' + id + ' is not a number.');
+  }
+  if (value.isNegative()) {
+    throw new Error('The ' + field + ' ' + id + ' is negative.');
+  }
+  return value;
+};
+
+/////////////////////////////////////////////
+// requireName
+//
+// Names are bytes32, so they have to fit in
+// 31 bytes of UTF-8.
+/////////////////////////////////////////////
+const requireName = function(name, field) {
+  if (typeof name !== 'string') {
+    throw new Error('The ' + field + ' has to be a string.');
+  }
+  if (ethers.utils.toUtf8Bytes(name).length > 31) {
+    throw new Error('The ' + field + ' "' + name + '" is longer than 31 bytes.');
+  }
+  return toBytes32(name);
+};
+
+/////////////////////////////////////////////
+// requireGuardians
+//
+// Recovery policies can't be created without
+// a guardian.
+/////////////////////////////////////////////
+const requireGuardians = function(guardians) {
+  if (!Array.isArray(guardians) || guardians.length === 0) {
+    throw new Error('A recovery policy needs at least one guardian.');
+  }
+  return guardians.map((g) => requireAddress(g, 'guardian'));
+};
+
+/////////////////////////////////////////////
+// encodeInboxRequest
+//
+// Sent with a root key to the KeyAddressFactory, which
+// deploys a virtual key address for the key, and copies
+// the key into it when asked to.
+/////////////////////////////////////////////
+const encodeInboxRequest = function(request) {
+  return ethers.utils.defaultAbiCoder.encode([TYPES.InboxRequest], [[
+    requireId(request.virtualKeyId, 'virtual key ID'),
+    requireAddress(request.defaultEthDepositProvider, 'default ether deposit provider'),
+    !!request.copyKey
+  ]]);
+};
+
+const decodeInboxRequest = function(data) {
+  const [request] = ethers.utils.defaultAbiCoder.decode([TYPES.InboxRequest], data);
+  return {
+    virtualKeyId: request.virtualKeyId.toNumber(),
+    defaultEthDepositProvider: request.defaultEthDepositProvider,
+    copyKey: request.copyKey
+  };
+};
+
+/////////////////////////////////////////////
+// encodeMegaKey
+//
+// Sent with a root key to the MegaKeyCreator, which
+// creates the key with its inbox, and copies it to
+// every receiver, soulbound or not.
+/////////////////////////////////////////////
+const encodeMegaKey = function(request) {
+  const receivers = request.receivers || [];
+  const soulbound = request.soulbound || receivers.map(() => false);
+  if (receivers.length !== soulbound.length) {
+    throw new Error('There are ' + receivers.length + ' receivers, but ' + soulbound.length +
+      ' soulbound flags.');
+  }
+  return ethers.utils.defaultAbiCoder.encode(TYPES.MegaKey, [
+    requireName(request.keyName, 'key name'),
+    requireAddress(request.provider, 'default ether deposit provider'),
+    receivers.map((r) => requireAddress(r, 'receiver')),
+    soulbound.map((s) => !!s)
+  ]);
+};
+
+const decodeMegaKey = function(data) {
+  const [keyName, provider, receivers, soulbound] = ethers.utils.defaultAbiCoder.decode(TYPES.MegaKey, data);
+  return {
+    keyName: fromBytes32(keyName),
+    provider: provider,
+    receivers: receivers,
+    soulbound: soulbound
+  };
+};
+
+/////////////////////////////////////////////
+// encodeRecoveryPolicy
+//
+// Sent with a root key to the RecoveryPolicyCreator,
+// which creates the alarms and key oracles, and hands
+// them to the TrustRecoveryCenter as the policy's events:
+//
+//   {
+//     needAlarmNotary, needOracleNotary,
+//     guardians: [address],
+//     deadmen: [{ description, alarmTime,
+//                 snoozeInterval, snoozeKeyId }],
+//     keyOracles: [{ description, keyId }]
+//   }
+//
+// Alarms that can't be snoozed don't need a snooze key.
+/////////////////////////////////////////////
+const encodeRecoveryPolicy = function(config) {
+  const deadmen = (config.deadmen || []).map((d) => {
+    const snoozeInterval = requireId(d.snoozeInterval || 0, 'snooze interval');
+    if (!snoozeInterval.isZero() && d.snoozeKeyId === undefined) {
+      throw new Error('The alarm "' + d.description + '" can be snoozed, but has no snooze key.');
+    }
+    return [
+      requireName(d.description, 'alarm description'),
+      requireId(d.alarmTime, 'alarm time'),
+      snoozeInterval,
+      requireId(d.snoozeKeyId || 0, 'snooze key ID')
+    ];
+  });
+  const keyOracles = (config.keyOracles || []).map((o) => [
+    requireName(o.description, 'key oracle description'),
+    requireId(o.keyId, 'key oracle key ID')
+  ]);
+  return ethers.utils.defaultAbiCoder.encode([TYPES.RecoveryPolicyConfiguration], [[
+    !!config.needAlarmNotary,
+    !!config.needOracleNotary,
+    requireGuardians(config.guardians),
+    deadmen,
+    keyOracles
+  ]]);
+};
+
+const decodeRecoveryPolicy = function(data) {
+  const [config] = ethers.utils.defaultAbiCoder.decode([TYPES.RecoveryPolicyConfiguration], data);
+  return {
+    needAlarmNotary: config.needAlarmNotary,
+    needOracleNotary: config.needOracleNotary,
+    guardians: config.guardians,
+    deadmen: config.deadmen.map((d) => ({
+      description: fromBytes32(d.description),
+      alarmTime: d.alarmTime.toNumber(),
+      snoozeInterval: d.snoozeInterval.toNumber(),
+      snoozeKeyId: d.snoozeKeyId.toNumber()
+    })),
+    keyOracles: config.keyOracles.map((o) => ({
+      description: fromBytes32(o.description),
+      keyId: o.keyId.toNumber()
+    }))
+  };
+};
+
+/////////////////////////////////////////////
+// encodeRecovery
+//
+// Sent with a root key to the TrustRecoveryCenter, which
+// keeps it for the guardians, once the events have fired.
+/////////////////////////////////////////////
+const encodeRecovery = function(policy) {
+  return ethers.utils.defaultAbiCoder.encode(TYPES.RecoveryPolicy, [
+    requireGuardians(policy.guardians),
+    (policy.events || []).map((e) => {
+      if (!ethers.utils.isHexString(e, 32)) {
+        throw new Error('The event ' + e + ' is not an event hash.');
+      }
+      return e;
+    })
+  ]);
+};
+
+const decodeRecovery = function(data) {
+  const [guardians, events] = ethers.utils.defaultAbiCoder.decode(TYPES.RecoveryPolicy, data);
+  return { guardians: guardians, events: events };
+};
+
+/////////////////////////////////////////////
+// encodeKeyLocker
+//
+// Sent with a root key that isn't soulbound to the
+// KeyLocker. It keeps the key, soulbinds a copy to the
+// sender, and then lends the key to the destination
+// with the data, which is usually another payload.
+/////////////////////////////////////////////
+const encodeKeyLocker = function(instructions) {
+  const destination = requireAddress(instructions.destination, 'destination');
+  if (destination === ethers.constants.AddressZero) {
+    throw new Error('The key locker can\'t lend the key to the zero address.');
+  }
+  const data = instructions.data || '0x';
+  if (!ethers.utils.isBytesLike(data)) {
+    throw new Error('The data for ' + destination + ' has to be bytes.');
+  }
+  return ethers.utils.defaultAbiCoder.encode([TYPES.RootKeyLockerInstructions], [[destination, data]]);
+};
+
+const decodeKeyLocker = function(data) {
+  const [instructions] = ethers.utils.defaultAbiCoder.decode([TYPES.RootKeyLockerInstructions], data);
+  return { destination: instructions.destination, data: instructions.data };
+};
+
+/////////////////////////////////////////////
+// checkNotaryFlags
+//
+// The RecoveryPolicyCreator only makes the alarm clock
+// and key oracle trusted dispatchers of the trust when
+// the flags say so, and the notary refuses to do it
+// twice. Given the notary, event log, alarm clock, and
+// key oracle, this tells what the flags of the policy
+// have to be for the trust, and throws when they're wrong:
+//
+//   { needAlarmNotary, needOracleNotary }
+/////////////////////////////////////////////
+const checkNotaryFlags = async function(contracts, trustId, config) {
+  const { trustEventLog, alarmClock, keyOracle } = contracts;
+  const notary = new ethers.Contract(contracts.notary.address, NOTARY_ABI, contracts.notary.provider);
+  const trusted = (await notary.getTrustedActors(trustEventLog.address, trustId, DISPATCHER))
+    .map((a) => ethers.utils.getAddress(a));
+
+  const check = function(flag, dispatcher, name, count) {
+    const isTrusted = trusted.includes(ethers.utils.getAddress(dispatcher.address));
+    if (config[flag] && isTrusted) {
+      throw new Error('The ' + name + ' is already a trusted dispatcher of trust ' + trustId +
+        ', so ' + flag + ' has to be false.');
+    }
+    if (!config[flag] && !isTrusted && count > 0) {
+      throw new Error('The ' + name + ' is not a trusted dispatcher of trust ' + trustId +
+        ' yet, so ' + flag + ' has to be true.');
+    }
+    return !isTrusted && count > 0;
+  };
+
+  return {
+    needAlarmNotary: check('needAlarmNotary', alarmClock, 'alarm clock', (config.deadmen || []).length),
+    needOracleNotary: check('needOracleNotary', keyOracle, 'key oracle', (config.keyOracles || []).length)
+  };
+};
+
+/////////////////////////////////////////////
+// safeTransferFrom
+//
+// Sends one of the key from the signer of the key vault
+// to the agent with the encoded instructions, and waits
+// for it. Failures throw a LocksmithError.
+//
+// Given the contracts of checkNotaryFlags, along with the
+// recovery policy creator and optionally the key locker,
+// a recovery policy on its way to the creator, directly
+// or lent through the locker, has its flags checked
+// before the key is sent.
+/////////////////////////////////////////////
+const safeTransferFrom = async function(keyVault, to, keyId, data, amount = 1, contracts = null) {
+  if (contracts !== null) {
+    var destination = ethers.utils.getAddress(to);
+    var instructions = data;
+    if (contracts.keyLocker && destination === ethers.utils.getAddress(contracts.keyLocker.address)) {
+      ({ destination, data: instructions } = decodeKeyLocker(data));
+    }
+    if (destination === ethers.utils.getAddress(contracts.recoveryPolicyCreator.address)) {
+      const vault = new ethers.Contract(keyVault.address, KEY_VAULT_ABI, keyVault.provider);
+      const locksmith = new ethers.Contract(await vault.locksmith(), LOCKSMITH_ABI, keyVault.provider);
+      const [, , trustId] = await locksmith.inspectKey(keyId);
+      await checkNotaryFlags(contracts, trustId, decodeRecoveryPolicy(instructions));
+    }
+  }
+
+  const from = await keyVault.signer.getAddress();
+  try {
+    return await (await keyVault.safeTransferFrom(from, to, keyId, amount, data)).wait();
+  } catch (err) {
+    throw new LocksmithError(err);
+  }
+};
+
+module.exports = {
+  TYPES,
+  encodeInboxRequest,
+  decodeInboxRequest,
+  encodeMegaKey,
+  decodeMegaKey,
+  encodeRecoveryPolicy,
+  decodeRecoveryPolicy,
+  encodeRecovery,
+  decodeRecovery,
+  encodeKeyLocker,
+  decodeKeyLocker,
+  checkNotaryFlags,
+  safeTransferFrom
+};
@@ -0,0 +1,260 @@
+const { ethers } = require('ethers');
+const { STANDARDS } = require('./arn.js');
+
+///////////////////////////////////////////
+// Statement
+//
+// Every VirtualKeyAddress keeps a log of what moved through
+// it, one entry per transaction:
+//
+//   (TxType, blockTime, operator, target, provider, arn, amount)
+//
+// This pages through the log and turns it into a statement,
+// like a wallet would show: what came in, what went out, of
+// which asset, through which provider, with the amounts
+// formatted with the asset's decimals. Statements can cover
+// one inbox, or every inbox a key owns in the PostOffice,
+// and render to CSV:
+//
+//   const book = Arn.createArnBook().loadAssets(chainId);
+//   const statement = await Statement.buildStatement(provider, inbox, book);
+//   fs.writeFileSync('inbox.csv', Statement.renderCsv(statement));
+//
+// ARNs the book doesn't know are looked up in the TokenVault
+// that moved them, and the token asked for its symbol.
+///////////////////////////////////////////
+
+const VIRTUAL_ADDRESS_ABI = [
+  'function keyId() view returns (uint256)',
+  'function ownerKeyId() view returns (uint256)',
+  'function transactionCount() view returns (uint256)',
+  'function transactions(uint256 index) view returns (uint8 transactionType, uint256 blockTime, ' +
+    'address operator, address target, address provider, bytes32 arn, uint256 amount)'
+];
+
+const POST_OFFICE_ABI = [
+  'function getInboxesForKey(uint256 ownerKeyId) view returns (address[])'
+];
+
+// what a token vault and its tokens can tell about an ARN
+const TOKEN_ABI = [
+  'function arnContracts(bytes32 arn) view returns (address)',
+  'function symbol() view returns (string)',
+  'function decimals() view returns (uint8)'
+];
+
+// IVirtualAddress.TxType, by value
+const TX_TYPES = ['INVALID', 'SEND', 'RECEIVE', 'ABI'];
+
+// funds leave the key when they are sent, or withdrawn
+// into the inbox for a multicall
+const DIRECTIONS = { INVALID: null, SEND: 'out', RECEIVE: 'in', ABI: 'out' };
+
+const CSV_COLUMNS = ['inbox', 'index', 'time', 'timestamp', 'type', 'direction', 'operator', 'target',
+  'provider', 'providerName', 'arn', 'asset', 'amount', 'formatted'];
+
+/////////////////////////////////////////////
+// csvField
+//
+// Quotes a field when it has to be. Shared with
+// the CSV exports of genie.
+/////////////////////////////////////////////
+const csvField = function(value) {
+  const text = value === null || value === undefined ? '' : '' + value;
+  return /[",\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+};
+
+/////////////////////////////////////////////
+// getTransactions
+//
+// Reads the inbox's transaction log, pageSize entries
+// at a time. Options:
+//
+//   - start:    the first index to read (0)
+//   - count:    how many to read, by default the rest
+//   - pageSize: how many to ask for at once (50)
+//
+// Returns [{ index, txType, blockTime, operator, target,
+// provider, arn, amount }], with the type decoded.
+/////////////////////////////////////////////
+const getTransactions = async function(signerOrProvider, inboxAddress, options = {}) {
+  const inbox = new ethers.Contract(inboxAddress, VIRTUAL_ADDRESS_ABI, signerOrProvider);
+  const total = (await inbox.transactionCount()).toNumber();
+  const start = Math.min(options.start || 0, total);
+  const end = options.count === undefined ? total : Math.min(total, start + options.count);
+  const pageSize = options.pageSize || 50;
+
+  var transactions = [];
+  for (var page = start; page < end; page += pageSize) {
+    const indexes = [...Array(Math.min(pageSize, end - page)).keys()].map((i) => page + i);
+    const entries = await Promise.all(indexes.map((i) => inbox.transactions(i)));
+    transactions.push(...entries.map((t, i) => ({
+      index: indexes[i],
+      txType: TX_TYPES[t.transactionType] || 'INVALID',
+      blockTime: t.blockTime.toNumber(),
+      operator: t.operator,
+      target: t.target,
+      provider: t.provider,
+      arn: t.arn,
+      amount: t.amount
+    })));
+  }
+  return transactions;
+};
+
+/////////////////////////////////////////////
+// resolveAsset
+//
+// Makes sure the book knows the ARN, if the provider
+// that moved it can say which token it is.
+/////////////////////////////////////////////
+const resolveAsset = async function(signerOrProvider, book, provider, arn) {
+  if (book.lookup(arn) !== null) {
+    return;
+  }
+  try {
+    const contract = await new ethers.Contract(provider, TOKEN_ABI, signerOrProvider).arnContracts(arn);
+    if (contract === ethers.constants.AddressZero) {
+      return;
+    }
+    const token = new ethers.Contract(contract, TOKEN_ABI, signerOrProvider);
+    const [symbol, decimals] = await Promise.all([
+      token.symbol().catch(() => null),
+      token.decimals().catch(() => null)
+    ]);
+    book.add({ contract: contract, standard: STANDARDS.ERC20, symbol: symbol, decimals: decimals });
+  } catch (err) {
+    // not a token vault, so the ARN stays unknown
+  }
+};
+
+/////////////////////////////////////////////
+// getTotals
+//
+// What came in and went out of each asset.
+/////////////////////////////////////////////
+const getTotals = function(book, transactions) {
+  var totals = {};
+  for (const t of transactions.filter((t) => t.direction !== null)) {
+    totals[t.arn] ||= { arn: t.arn, asset: t.asset, in: ethers.constants.Zero, out: ethers.constants.Zero };
+    totals[t.arn][t.direction] = totals[t.arn][t.direction].add(t.amount);
+  }
+  return Object.values(totals).map((total) => ({
+    arn: total.arn,
+    asset: total.asset,
+    in: book.formatBalance(total.arn, total.in).formatted,
+    out: book.formatBalance(total.arn, total.out).formatted,
+    net: book.formatBalance(total.arn, total.in.sub(total.out)).display
+  }));
+};
+
+/////////////////////////////////////////////
+// buildStatement
+//
+// The inbox's transactions, with their assets resolved
+// through the ARN book. Takes the options of
+// getTransactions, and:
+//
+//   - names: { address: name } for the providers
+//
+// Returns:
+//
+//   {
+//     inbox, keyId, ownerKeyId, transactionCount,
+//     transactions: [{ inbox, index, time, timestamp,
+//       type, direction, operator, target, provider,
+//       providerName, arn, asset, amount, formatted,
+//       display }],
+//     totals: [{ arn, asset, in, out, net }]
+//   }
+/////////////////////////////////////////////
+const buildStatement = async function(signerOrProvider, inboxAddress, book, options = {}) {
+  const inbox = new ethers.Contract(inboxAddress, VIRTUAL_ADDRESS_ABI, signerOrProvider);
+  const names = Object.fromEntries(Object.entries(options.names || {})
+    .map(([address, name]) => [ethers.utils.getAddress(address), name]));
+  const raw = await getTransactions(signerOrProvider, inboxAddress, options);
+
+  var transactions = [];
+  for (const t of raw) {
+    await resolveAsset(signerOrProvider, book, t.provider, t.arn);
+    const balance = book.formatBalance(t.arn, t.amount);
+    const asset = balance.asset === null ? null : (balance.asset.symbol || balance.asset.alias);
+    transactions.push({
+      inbox: inbox.address,
+      index: t.index,
+      time: new Date(t.blockTime * 1000).toISOString(),
+      timestamp: t.blockTime,
+      type: t.txType,
+      direction: DIRECTIONS[t.txType],
+      operator: t.operator,
+      target: t.target,
+      provider: t.provider,
+      providerName: names[t.provider] || null,
+      arn: t.arn,
+      asset: asset,
+      amount: balance.amount,
+      formatted: balance.formatted,
+      display: balance.display
+    });
+  }
+
+  return {
+    inbox: inbox.address,
+    keyId: (await inbox.keyId()).toString(),
+    ownerKeyId: (await inbox.ownerKeyId()).toString(),
+    transactionCount: (await inbox.transactionCount()).toNumber(),
+    transactions: transactions,
+    totals: getTotals(book, transactions)
+  };
+};
+
+/////////////////////////////////////////////
+// buildKeyStatement
+//
+// The statements of every inbox the key owns in the
+// PostOffice, and their transactions merged in time
+// order. Takes the options of buildStatement:
+//
+//   {
+//     keyId, inboxes: [statement],
+//     transactions: [...], totals: [...]
+//   }
+/////////////////////////////////////////////
+const buildKeyStatement = async function(signerOrProvider, postOfficeAddress, keyId, book, options = {}) {
+  const postOffice = new ethers.Contract(postOfficeAddress, POST_OFFICE_ABI, signerOrProvider);
+  var inboxes = [];
+  for (const inbox of await postOffice.getInboxesForKey(keyId)) {
+    inboxes.push(await buildStatement(signerOrProvider, inbox, book, options));
+  }
+  const transactions = [].concat(...inboxes.map((s) => s.transactions))
+    .sort((a, b) => a.timestamp - b.timestamp);
+  return {
+    keyId: keyId.toString(),
+    inboxes: inboxes,
+    transactions: transactions,
+    totals: getTotals(book, transactions)
+  };
+};
+
+/////////////////////////////////////////////
+// renderCsv
+//
+// One line per transaction of an inbox or key
+// statement, with a header.
+/////////////////////////////////////////////
+const renderCsv = function(statement) {
+  return [CSV_COLUMNS.join(',')].concat(statement.transactions.map((t) =>
+    CSV_COLUMNS.map((c) => csvField(t[c])).join(',')
+  )).join('\n') + '\n';
+};
+
+module.exports = {
+  VIRTUAL_ADDRESS_ABI,
+  POST_OFFICE_ABI,
+  TX_TYPES,
+  csvField,
+  getTransactions,
+  buildStatement,
+  buildKeyStatement,
+  renderCsv
+};
@@ -0,0 +1,190 @@
+const fs = require('fs');
+const path = require('path');
+const { runTypeChain } = require('typechain');
+
+///////////////////////////////////////////
+// GenieAddressBook
+//
+// Frontends need the addresses and ABIs of the Locksmith
+// contracts on every chain we deploy to. This compiles every
+// contracts and assets registry, along with the ABIs of the
+// registry's contract list, into a generated module:
+//
+//   <output>/package.json
+//   <output>/index.js     getAddress, getContract, getAsset, ...
+//   <output>/index.d.ts   typings for the above
+//   <output>/abis/        one ABI per contract alias
+//   <output>/types/       typechain contract types for the ABIs
+//
+// The module only depends on ethers, so it can be installed
+// into a frontend as is.
+///////////////////////////////////////////
+GenieAddressBook = (function() {
+  const HEADER = '// Generated by genie export from the registries. Do not edit.\n';
+
+  /////////////////////////////////////////////
+  // getAddresses
+  //
+  // Collects the deployed addresses of every chain
+  // with a contracts registry, by chain ID and alias.
+  /////////////////////////////////////////////
+  var getAddresses = function() {
+    var addresses = {};
+    for (const chainId of LocksmithRegistry.getChainIds('contracts')) {
+      addresses[chainId] = {};
+      for (const alias of LocksmithRegistry.getContractList()) {
+        const address = LocksmithRegistry.getContractAddress(chainId, alias);
+        if (address !== null) {
+          addresses[chainId][alias] = address;
+        }
+      }
+    }
+    return addresses;
+  };
+
+  /////////////////////////////////////////////
+  // getAssetMetadata
+  //
+  // Collects every asset registry, by chain ID and
+  // alias. Each asset carries its own alias.
+  /////////////////////////////////////////////
+  var getAssetMetadata = function() {
+    var assets = {};
+    for (const chainId of LocksmithRegistry.getChainIds('assets')) {
+      assets[chainId] = {};
+      for (const [alias, asset] of Object.entries(LocksmithRegistry.getAssets(chainId))) {
+        assets[chainId][alias] = { alias: alias, ...asset };
+      }
+    }
+    return assets;
+  };
+
+  /////////////////////////////////////////////
+  // renderModule
+  //
+  // The CommonJS module itself. ABIs are required one
+  // by one so that bundlers can follow them.
+  /////////////////////////////////////////////
+  var renderModule = function(aliases, addresses, assets) {
+    return HEADER +
+      "const { ethers } = require('ethers');\n\n" +
+      'const CONTRACTS = ' + JSON.stringify(addresses, null, 2) + ';\n\n' +
+      'const ASSETS = ' + JSON.stringify(assets, null, 2) + ';\n\n' +
+      'const ABIS = {\n' +
+      aliases.map((alias) => "  " + alias + ": require('./abis/" + alias + ".json')").join(',\n') + '\n};\n\n' +
+      'function getChainIds() {\n' +
+      '  return Object.keys(CONTRACTS).map(Number);\n' +
+      '}\n\n' +
+      'function getAddress(chainId, alias) {\n' +
+      '  return (CONTRACTS[chainId] || {})[alias] || null;\n' +
+      '}\n\n' +
+      'function getAbi(alias) {\n' +
+      '  return ABIS[alias] || null;\n' +
+      '}\n\n' +
+      'function getContract(chainId, alias, signerOrProvider) {\n' +
+      '  const address = getAddress(chainId, alias);\n' +
+      '  return address === null ? null : new ethers.Contract(address, ABIS[alias], signerOrProvider);\n' +
+      '}\n\n' +
+      'function getAsset(chainId, alias) {\n' +
+      '  return (ASSETS[chainId] || {})[alias] || null;\n' +
+      '}\n\n' +
+      'function getAssets(chainId) {\n' +
+      '  return Object.values(ASSETS[chainId] || {});\n' +
+      '}\n\n' +
+      'module.exports = {\n' +
+      '  CONTRACTS, ASSETS, ABIS,\n' +
+      '  getChainIds, getAddress, getAbi, getContract, getAsset, getAssets\n' +
+      '};\n';
+  };
+
+  /////////////////////////////////////////////
+  // renderTypings
+  //
+  // The typings for the module, using the contract
+  // types typechain generated for each alias.
+  /////////////////////////////////////////////
+  var renderTypings = function(aliases, addresses) {
+    const chainIds = Object.keys(addresses);
+    return HEADER +
+      "import type { Signer, providers } from 'ethers';\n" +
+      'import type { ' + aliases.join(', ') + " } from './types';\n\n" +
+      'export type ChainId = ' + (chainIds.length === 0 ? 'never' : chainIds.join(' | ')) + ';\n\n' +
+      'export type ContractAlias =\n' + aliases.map((a) => "  | '" + a + "'").join('\n') + ';\n\n' +
+      'export interface ContractTypes {\n' + aliases.map((a) => '  ' + a + ': ' + a + ';').join('\n') + '\n}\n\n' +
+      'export interface Asset {\n' +
+      '  alias: string;\n' +
+      '  address: string;\n' +
+      '  symbol?: string;\n' +
+      '  decimals?: number;\n' +
+      '  standard?: 20 | 721 | 1155;\n' +
+      '}\n\n' +
+      'export declare const CONTRACTS: {\n' +
+      '  readonly [chainId: number]: { readonly [alias in ContractAlias]?: string };\n' +
+      '};\n' +
+      'export declare const ASSETS: {\n' +
+      '  readonly [chainId: number]: { readonly [alias: string]: Asset };\n' +
+      '};\n' +
+      'export declare const ABIS: { readonly [alias in ContractAlias]: any[] };\n\n' +
+      'export declare function getChainIds(): ChainId[];\n' +
+      'export declare function getAddress(chainId: number, alias: ContractAlias): string | null;\n' +
+      'export declare function getAbi(alias: ContractAlias): any[] | null;\n' +
+      'export declare function getContract<A extends ContractAlias>(chainId: number, alias: A,\n' +
+      '  signerOrProvider: Signer | providers.Provider): ContractTypes[A] | null;\n' +
+      'export declare function getAsset(chainId: number, alias: string): Asset | null;\n' +
+      'export declare function getAssets(chainId: number): Asset[];\n';
+  };
+
+  return {
+    /////////////////////////////////////////////
+    // build
+    //
+    // Generates the address book in the given directory.
+    // The ABIs and types are regenerated from scratch, so
+    // contracts that left the registry don't linger.
+    /////////////////////////////////////////////
+    build: async function(outDir) {
+      const aliases = LocksmithRegistry.getContractList();
+      const addresses = getAddresses();
+      const assets = getAssetMetadata();
+      const abiDir = path.join(outDir, 'abis');
+      const typesDir = path.join(outDir, 'types');
+
+      fs.rmSync(abiDir, { recursive: true, force: true });
+      fs.rmSync(typesDir, { recursive: true, force: true });
+      fs.mkdirSync(abiDir, { recursive: true });
+
+      var abiFiles = [];
+      for (const alias of aliases) {
+        const fileName = path.join(abiDir, alias + '.json');
+        fs.writeFileSync(fileName, JSON.stringify((await hre.artifacts.readArtifact(alias)).abi, null, 2));
+        abiFiles.push(fileName);
+      }
+
+      const typechain = await runTypeChain({
+        cwd: outDir,
+        filesToProcess: abiFiles,
+        allFiles: abiFiles,
+        outDir: typesDir,
+        target: 'ethers-v5'
+      });
+
+      fs.writeFileSync(path.join(outDir, 'index.js'), renderModule(aliases, addresses, assets));
+      fs.writeFileSync(path.join(outDir, 'index.d.ts'), renderTypings(aliases, addresses));
+      fs.writeFileSync(path.join(outDir, 'package.json'), JSON.stringify({
+        name: 'smartrust-addressbook',
+        version: '1.0.0',
+        private: true,
+        main: 'index.js',
+        types: 'index.d.ts',
+        peerDependencies: { ethers: '^5.7.0' }
+      }, null, 2));
+
+      return {
+        chainIds: Object.keys(addresses).map(Number),
+        addresses: addresses,
+        assets: assets,
+        types: typechain.filesGenerated
+      };
+    }
+  };
+})();
@@ -0,0 +1,224 @@
+const readline = require('readline');
+const { ethers } = require("ethers");
+const { HardhatPluginError } = require('hardhat/plugins');
+const { Arn, Locksmith } = require('../sdk');
+
+///////////////////////////////////////////
+// GenieAdmin
+//
+// What the trust administration tasks share. Every one of
+// them shows what it is about to send with the names of the
+// keys and trusts involved, asks before sending it, and says
+// what the contracts logged once it is mined.
+//
+// Keys and trusts are named the way the Locksmith knows them:
+//
+//   key 3 (Beneficiary), trust 0 (Family Trust)
+//
+// Assets are picked by their registry alias or symbol, or
+// by their token address, and amounts are given in whole
+// units of the asset.
+///////////////////////////////////////////
+GenieAdmin = (function() {
+  const TOKEN_ABI = [
+    'function symbol() view returns (string)',
+    'function decimals() view returns (uint8)'
+  ];
+
+  // the bytes32 event arguments that hold names
+  const NAME_ARGS = ['trustName', 'keyName', 'allowanceName', 'eventDescription'];
+
+  // the event arguments that are amounts of the event's arn
+  const AMOUNT_ARGS = ['amount', 'amounts', 'keyBalance', 'trustBalance', 'ledgerBalance', 'finalRootBalance'];
+
+  /////////////////////////////////////////////
+  // isGas
+  //
+  // Whether the asset given to a task is the gas
+  // token, which is also the default.
+  /////////////////////////////////////////////
+  var isGas = function(asset) {
+    return !asset || ['eth', 'gas'].includes(asset.toLowerCase());
+  };
+
+  /////////////////////////////////////////////
+  // describeArg
+  //
+  // An event argument, with names decoded and amounts
+  // formatted with the asset's decimals.
+  /////////////////////////////////////////////
+  var describeArg = function(event, name, book) {
+    const value = event.args[name];
+    if (NAME_ARGS.includes(name)) {
+      return '"' + Locksmith.fromBytes32(value) + '"';
+    }
+    if (AMOUNT_ARGS.includes(name) && event.args.arn !== undefined) {
+      const format = (amount) => book.formatBalance(event.args.arn, amount).display;
+      return Array.isArray(value) ? '[' + value.map(format).join(', ') + ']' : format(value);
+    }
+    return Array.isArray(value) ? '[' + value.join(', ') + ']' : value;
+  };
+
+  return {
+    /////////////////////////////////////////////
+    // getNames
+    //
+    // Names keys and trusts through the Locksmith,
+    // asking for each one only once.
+    /////////////////////////////////////////////
+    getNames: function(locksmith) {
+      var keys = {};
+      var trusts = {};
+      const names = {
+        key: async function(keyId) {
+          if (keys[keyId] === undefined) {
+            const [valid, name] = await locksmith.inspectKey(keyId);
+            keys[keyId] = valid ? Locksmith.fromBytes32(name) : null;
+          }
+          return 'key ' + keyId + (keys[keyId] === null ? ' (invalid)' : ' (' + keys[keyId] + ')');
+        },
+        trust: async function(trustId) {
+          if (trusts[trustId] === undefined) {
+            const [, name] = await locksmith.getTrustInfo(trustId);
+            trusts[trustId] = Locksmith.fromBytes32(name);
+          }
+          return 'trust ' + trustId + ' (' + trusts[trustId] + ')';
+        },
+        keys: async function(keyIds) {
+          var described = [];
+          for (const keyId of keyIds) {
+            described.push(await names.key(keyId));
+          }
+          return described.join(', ');
+        }
+      };
+      return names;
+    },
+    /////////////////////////////////////////////
+    // requireKey
+    //
+    // Makes sure the key exists, and that the address
+    // holds it, or the root key of its trust. Root keys
+    // have to be held themselves. Returns the key's
+    // trust ID.
+    /////////////////////////////////////////////
+    requireKey: async function(locksmith, address, keyId, root = false) {
+      const [valid, , trustId, isRoot] = await locksmith.inspectKey(keyId);
+      if (!valid) {
+        throw new HardhatPluginError('genie', 'Key ' + keyId + ' does not exist.');
+      }
+      if (root && !isRoot) {
+        throw new HardhatPluginError('genie', 'Key ' + keyId + ' is not a root key.');
+      }
+      const keyVault = new ethers.Contract(await locksmith.getKeyVault(), Locksmith.KEY_VAULT_ABI,
+        locksmith.provider);
+      const held = root ? (await keyVault.keyBalanceOf(address, keyId, false)).gt(0) :
+        await locksmith.hasKeyOrTrustRoot(address, keyId);
+      if (!held) {
+        throw new HardhatPluginError('genie', address + ' does not hold key ' + keyId + '.');
+      }
+      return trustId;
+    },
+    /////////////////////////////////////////////
+    // isGas
+    /////////////////////////////////////////////
+    isGas: function(asset) {
+      return isGas(asset);
+    },
+    /////////////////////////////////////////////
+    // resolveAsset
+    //
+    // The book's entry for the gas token, when nothing,
+    // ETH, or gas is given, or for an ERC20 by alias,
+    // symbol, or address. The token is asked for the
+    // symbol and decimals the registry doesn't have.
+    /////////////////////////////////////////////
+    resolveAsset: async function(provider, book, asset) {
+      if (isGas(asset)) {
+        return book.lookup(Arn.gasArn());
+      }
+
+      var entry = ethers.utils.isAddress(asset) ? book.lookup(Arn.erc20Arn(ethers.utils.getAddress(asset))) :
+        book.getAssets().find((a) => a.standard === Arn.STANDARDS.ERC20 &&
+          [a.alias, a.symbol].some((n) => n !== null && n.toLowerCase() === asset.toLowerCase())) || null;
+      if (entry === null && !ethers.utils.isAddress(asset)) {
+        throw new HardhatPluginError('genie', 'There is no asset "' + asset + '" in the registry. ' +
+          'Use its token address instead.');
+      }
+
+      const contract = entry === null ? ethers.utils.getAddress(asset) : entry.contract;
+      if (entry === null || entry.symbol === null || entry.decimals === null) {
+        const token = new ethers.Contract(contract, TOKEN_ABI, provider);
+        entry = book.add({
+          contract: contract,
+          alias: entry === null ? null : entry.alias,
+          symbol: entry !== null && entry.symbol !== null ? entry.symbol : await token.symbol(),
+          decimals: entry !== null && entry.decimals !== null ? entry.decimals : await token.decimals()
+        });
+      }
+      return entry;
+    },
+    /////////////////////////////////////////////
+    // parseAmount
+    //
+    // An amount in whole units of the asset.
+    /////////////////////////////////////////////
+    parseAmount: function(asset, amount) {
+      try {
+        return ethers.utils.parseUnits('' + amount, asset.decimals);
+      } catch (err) {
+        throw new HardhatPluginError('genie', '"' + amount + '" is not an amount of ' +
+          (asset.symbol || asset.contract) + ', which has ' + asset.decimals + ' decimals.');
+      }
+    },
+    /////////////////////////////////////////////
+    // confirm
+    //
+    // Asks a yes or no question, and waits for the
+    // answer. Anything but yes is a no, and so is
+    // running out of input. Options:
+    //
+    //   - yes:    answers yes without asking
+    //   - input:  where the answer comes from (stdin)
+    //   - output: where the question goes (stdout)
+    /////////////////////////////////////////////
+    confirm: async function(question, options = {}) {
+      if (options.yes) {
+        return true;
+      }
+      const prompt = readline.createInterface({
+        input: options.input || process.stdin,
+        output: options.output || process.stdout
+      });
+      const answer = await new Promise((resolve) => {
+        prompt.on('close', () => resolve(''));
+        prompt.question(question + ' [y/N] ', resolve);
+      });
+      prompt.close();
+      return ['y', 'yes'].includes(answer.trim().toLowerCase());
+    },
+    /////////////////////////////////////////////
+    // describeEvents
+    //
+    // One line per event of a mined transaction, as
+    // decoded by GenieIndexer.decodeReceipt, followed
+    // by the names of the keys and trust it concerns.
+    /////////////////////////////////////////////
+    describeEvents: async function(events, names, book) {
+      var lines = [];
+      for (const event of events) {
+        const args = Object.keys(event.args).map((name) => name + ': ' + describeArg(event, name, book));
+        var concerns = [];
+        if (event.args.trustId !== undefined) {
+          concerns.push(await names.trust(event.args.trustId));
+        }
+        if (event.keyIds.length > 0) {
+          concerns.push(await names.keys(event.keyIds));
+        }
+        lines.push(event.contract + '.' + event.event + '(' + args.join(', ') + ')' +
+          (concerns.length === 0 ? '' : ' for ' + concerns.join(', ')));
+      }
+      return lines;
+    }
+  };
+})();
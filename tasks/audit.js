@@ -0,0 +1,217 @@
+const { ethers } = require("ethers");
+
+///////////////////////////////////////////
+// GenieAudit
+//
+// Verifies the registry for a chain against what is actually
+// deployed. For every registered contract:
+//
+//   - each #initialize dependency is read on-chain through its
+//     public getter, and compared to the registry address.
+//   - the implementation behind the proxy is found through the
+//     ERC-1967 slot and its code is compared to the registered
+//     code hash.
+//
+// The result is a plain report object, so it can be
+// rendered or written out as JSON.
+///////////////////////////////////////////
+GenieAudit = (function() {
+  // bytes32(uint256(keccak256('eip1967.proxy.implementation')) - 1)
+  const IMPLEMENTATION_SLOT = '0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc';
+
+  // bytes32(uint256(keccak256('eip1967.proxy.admin')) - 1)
+  const ADMIN_SLOT = '0xb53127684a568b3173ae13b9f8a6016e243e63b6e8ee1178d6a717850b5d6103';
+
+  /////////////////////////////////////////////
+  // check
+  //
+  // Builds a single check result.
+  /////////////////////////////////////////////
+  var check = function(name, expected, actual, ok, message = null) {
+    return { check: name, expected, actual, ok, message };
+  };
+
+  /////////////////////////////////////////////
+  // sameAddress
+  //
+  // Compares two addresses without caring about
+  // checksum casing.
+  /////////////////////////////////////////////
+  var sameAddress = function(a, b) {
+    return a !== null && b !== null && a.toLowerCase() === b.toLowerCase();
+  };
+
+  /////////////////////////////////////////////
+  // maskImmutables
+  //
+  // On EVM chains the runtime code of an implementation contains
+  // its immutables (UUPS stores its own address), which are
+  // zeroed out in the compiled artifact. This zeroes them in the
+  // on-chain code so the two can be compared.
+  /////////////////////////////////////////////
+  var maskImmutables = async function(artifact, code) {
+    const buildInfo = await hre.artifacts.getBuildInfo(artifact.sourceName + ':' + artifact.contractName);
+    const output = buildInfo.output.contracts[artifact.sourceName][artifact.contractName];
+    var bytes = ethers.utils.arrayify(code);
+    for (const references of Object.values(output.evm.deployedBytecode.immutableReferences || {})) {
+      for (const r of references) {
+        bytes.fill(0, r.start, r.start + r.length);
+      }
+    }
+    return ethers.utils.hexlify(bytes);
+  };
+
+  return {
+    /////////////////////////////////////////////
+    // getImplementationAddress
+    //
+    // Reads the implementation address behind a proxy.
+    /////////////////////////////////////////////
+    getImplementationAddress: async function(provider, proxy) {
+      const slot = await provider.getStorageAt(proxy, IMPLEMENTATION_SLOT);
+      return ethers.utils.getAddress(ethers.utils.hexDataSlice(slot, 12));
+    },
+    /////////////////////////////////////////////
+    // getProxyInfo
+    //
+    // Determines the kind of proxy and who administers it.
+    // Transparent proxies keep their admin in the ERC-1967
+    // slot, while UUPS proxies are administered by the owner
+    // of the implementation.
+    /////////////////////////////////////////////
+    getProxyInfo: async function(provider, proxy, abi) {
+      const slot = await provider.getStorageAt(proxy, ADMIN_SLOT);
+      const admin = ethers.utils.getAddress(ethers.utils.hexDataSlice(slot, 12));
+      if (admin !== ethers.constants.AddressZero) {
+        return { kind: 'transparent', admin: admin };
+      }
+
+      var owner = null;
+      if (abi.find((f) => f.type === 'function' && f.name === 'owner' && f.inputs.length === 0)) {
+        owner = await (new ethers.Contract(proxy, abi, provider)).owner();
+      }
+      return { kind: 'uups', admin: owner };
+    },
+    /////////////////////////////////////////////
+    // auditContract
+    //
+    // Runs every check for a single registered alias.
+    /////////////////////////////////////////////
+    auditContract: async function(owner, alias) {
+      const chainId = owner.chainId;
+      const provider = owner.signer.provider;
+      const address = LocksmithRegistry.getContractAddress(chainId, alias);
+      const codeHash = LocksmithRegistry.getContractCodeHash(chainId, alias);
+      const artifact = await owner.loadArtifact(alias);
+      var result = { alias, address, codeHash, implementation: null, checks: [] };
+
+      if ((await provider.getCode(address)) === '0x') {
+        result.checks.push(check('deployed', 'code', '0x', false, 'There is no code at the registered address.'));
+        return result;
+      }
+
+      // every dependency, through its actual getter
+      const contract = new ethers.Contract(address, artifact.abi, owner.signer);
+      const initializer = artifact.abi.find((f) => f.type === 'function' && f.name === 'initialize');
+      for (const input of (initializer || { inputs: [] }).inputs) {
+        const dependency = input.name.replace(/_/g, '');
+        const name = 'dependency:' + dependency;
+        const expected = LocksmithRegistry.getContractAddress(chainId, dependency);
+        const getter = LocksmithRegistry.getDependencyGetter(artifact.abi, dependency);
+
+        if (getter === null) {
+          result.checks.push(check(name, expected, null, false, 'There is no public getter for the dependency.'));
+          continue;
+        }
+
+        try {
+          const actual = await contract[getter]();
+          result.checks.push(check(name, expected, actual, sameAddress(expected, actual),
+            sameAddress(expected, actual) ? null : getter + '() does not match the registry.'));
+        } catch (err) {
+          result.checks.push(check(name, expected, null, false, getter + '() failed: ' + err.message));
+        }
+      }
+
+      // the implementation behind the proxy
+      try {
+        result.implementation = await GenieAudit.getImplementationAddress(provider, address);
+        const code = await provider.getCode(result.implementation);
+
+        // older registry records don't know their implementation
+        const record = LocksmithRegistry.getContractRecord(chainId, alias);
+        if (record.implementation !== null) {
+          result.checks.push(check('implementation', record.implementation, result.implementation,
+            sameAddress(record.implementation, result.implementation),
+            sameAddress(record.implementation, result.implementation) ? null :
+              'The proxy points to a different implementation than the registry.'));
+        }
+
+        if (owner.zksync) {
+          // zkSync bytecode is the same on-chain as in the artifact
+          const actual = ethers.utils.keccak256(code);
+          result.checks.push(check('codeHash', codeHash, actual, actual === codeHash,
+            actual === codeHash ? null : 'The implementation does not match the registered code hash.'));
+        } else {
+          // on EVM chains the registered hash is for the creation code, so the
+          // runtime code can only be verified against the matching local artifact.
+          const localCodeHash = ethers.utils.keccak256(artifact.bytecode);
+          if (localCodeHash !== codeHash) {
+            result.checks.push(check('codeHash', codeHash, localCodeHash, false,
+              'The local artifact does not match the registered code hash, so the implementation can not be verified.'));
+          } else {
+            const expected = ethers.utils.keccak256(artifact.deployedBytecode);
+            const actual = ethers.utils.keccak256(await maskImmutables(artifact, code));
+            result.checks.push(check('codeHash', expected, actual, actual === expected,
+              actual === expected ? null : 'The implementation does not match the registered code hash.'));
+          }
+        }
+      } catch (err) {
+        result.checks.push(check('codeHash', codeHash, null, false, 'Could not read the implementation: ' + err.message));
+      }
+
+      return result;
+    },
+    /////////////////////////////////////////////
+    // auditRegistry
+    //
+    // Audits every registered contract in the contract list,
+    // as well as the key vault's respect for the locksmith.
+    // Contracts that haven't been deployed yet are reported
+    // as missing, but don't fail the audit.
+    /////////////////////////////////////////////
+    auditRegistry: async function(owner) {
+      var contracts = [];
+      var missing = [];
+      for (const alias of LocksmithRegistry.getContractList()) {
+        if (LocksmithRegistry.getContractAddress(owner.chainId, alias) === null) {
+          missing.push(alias);
+        } else {
+          contracts.push(await GenieAudit.auditContract(owner, alias));
+        }
+      }
+
+      var integrity = [];
+      const keyVaultAddress = LocksmithRegistry.getContractAddress(owner.chainId, 'KeyVault');
+      const locksmithAddress = LocksmithRegistry.getContractAddress(owner.chainId, 'Locksmith');
+      try {
+        const keyVault = await owner.getContract('KeyVault', keyVaultAddress);
+        const respected = await keyVault.locksmith();
+        integrity.push(check('KeyVault respects the Locksmith', locksmithAddress, respected,
+          sameAddress(locksmithAddress, respected)));
+      } catch (err) {
+        integrity.push(check('KeyVault respects the Locksmith', locksmithAddress, null, false, err.message));
+      }
+
+      return {
+        chainId: owner.chainId,
+        network: hre.network.name,
+        timestamp: new Date().toISOString(),
+        ok: contracts.every((c) => c.checks.every((k) => k.ok)) && integrity.every((k) => k.ok),
+        contracts,
+        integrity,
+        missing
+      };
+    }
+  };
+})();
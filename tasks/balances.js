@@ -0,0 +1,124 @@
+const { ethers } = require("ethers");
+const { HardhatPluginError } = require('hardhat/plugins');
+const { Arn, Locksmith, Statement } = require('../sdk');
+
+///////////////////////////////////////////
+// GenieBalances
+//
+// Builds the balance sheet of a trust from the Ledger's
+// context views. Balances are read for three contexts:
+//
+//   - ledger: everything the ledger holds, across trusts
+//   - trust:  everything the trust holds
+//   - key:    what each key of the trust holds
+//
+// Every context is broken down by collateral provider, and
+// every provider by asset. ARNs are resolved against the
+// chain's asset registry. Everything is read at one block,
+// so the numbers add up.
+///////////////////////////////////////////
+GenieBalances = (function() {
+  const CSV_COLUMNS = ['blockNumber', 'context', 'identifier', 'name', 'provider', 'providerAlias',
+    'arn', 'asset', 'symbol', 'standard', 'tokenId', 'amount', 'formatted'];
+
+  /////////////////////////////////////////////
+  // getContractAliases
+  //
+  // Maps the registered addresses back to
+  // their aliases, to name the providers.
+  /////////////////////////////////////////////
+  var getContractAliases = function(chainId) {
+    var aliases = {};
+    for (const alias of LocksmithRegistry.getContractList()) {
+      const address = LocksmithRegistry.getContractAddress(chainId, alias);
+      if (address !== null) {
+        aliases[address.toLowerCase()] = alias;
+      }
+    }
+    return aliases;
+  };
+
+  return {
+    /////////////////////////////////////////////
+    // buildBalanceSheet
+    //
+    // Reads every balance of the trust, returning:
+    // {
+    //   chainId, blockNumber, trust: { id, name, rootKeyId },
+    //   rows: [{ context, identifier, name, provider,
+    //            providerAlias, arn, asset, symbol, standard,
+    //            tokenId, amount, formatted }]
+    // }
+    /////////////////////////////////////////////
+    buildBalanceSheet: async function(owner, trustId) {
+      const chainId = owner.chainId;
+      const ledgerAddress = LocksmithRegistry.getContractAddress(chainId, 'Ledger');
+      if (ledgerAddress === null) {
+        throw new HardhatPluginError('genie', 'There is no Ledger in the registry for chain ID ' + chainId + '.');
+      }
+      const ledger = await owner.getContract('Ledger', ledgerAddress);
+      const sdk = await Locksmith.connect(owner.signer, { chainId });
+      const arns = Arn.createArnBook().loadAssets(chainId);
+      const aliases = getContractAliases(chainId);
+      const blockNumber = await owner.signer.provider.getBlockNumber();
+      const at = { blockTag: blockNumber };
+
+      const trust = await sdk.getTrust(trustId, at);
+      if (trust === null) {
+        throw new HardhatPluginError('genie', 'Trust ' + trustId + ' does not exist.');
+      }
+
+      var contexts = [
+        { context: 'ledger', id: Arn.CONTEXTS.LEDGER, identifier: 0, name: 'Ledger' },
+        { context: 'trust', id: Arn.CONTEXTS.TRUST, identifier: trust.id, name: trust.name }
+      ];
+      for (const key of await sdk.getTrustKeys(trust.id, at)) {
+        contexts.push({ context: 'key', id: Arn.CONTEXTS.KEY, identifier: key.id, name: key.name });
+      }
+
+      var rows = [];
+      for (const c of contexts) {
+        const providers = await ledger.getContextProviderRegistry(c.id, c.identifier, ethers.constants.HashZero, at);
+        for (const provider of providers) {
+          const [assetArns, amounts] = await ledger.getContextBalanceSheet(c.id, c.identifier, provider, at);
+          for (const [i, assetArn] of assetArns.entries()) {
+            const balance = arns.formatBalance(assetArn, amounts[i]);
+            const asset = balance.asset;
+            rows.push({
+              context: c.context,
+              identifier: c.identifier,
+              name: c.name,
+              provider: provider,
+              providerAlias: aliases[provider.toLowerCase()] || null,
+              arn: assetArn,
+              asset: asset === null ? null : asset.alias,
+              symbol: asset === null ? null : asset.symbol,
+              standard: asset === null ? null : asset.standard,
+              tokenId: asset === null ? null : asset.id,
+              amount: balance.amount,
+              formatted: balance.formatted
+            });
+          }
+        }
+      }
+
+      return {
+        chainId: chainId,
+        blockNumber: blockNumber,
+        trust: { id: trust.id, name: trust.name, rootKeyId: trust.rootKeyId },
+        rows: rows
+      };
+    },
+    /////////////////////////////////////////////
+    // renderCsv
+    //
+    // One line per context, provider, and asset,
+    // with a header.
+    /////////////////////////////////////////////
+    renderCsv: function(sheet) {
+      return [CSV_COLUMNS.join(',')].concat(sheet.rows.map((row) =>
+        CSV_COLUMNS.map((c) => Statement.csvField(c === 'blockNumber' ? sheet.blockNumber : row[c])).join(',')
+      )).join('\n') + '\n';
+    }
+  };
+})();
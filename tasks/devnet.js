@@ -0,0 +1,222 @@
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+const { ethers } = require("ethers");
+const { HardhatPluginError } = require('hardhat/plugins');
+const { Arn } = require('../sdk');
+
+///////////////////////////////////////////
+// GenieDevnet
+//
+// Seeds a freshly deployed local chain with demo trusts,
+// keys, and balances, so the frontend has something to show.
+// What gets created is described by a scenario file
+// (see scenarios/scenario.schema.json):
+//
+//   - accounts: names for the node's accounts, in order
+//   - fund:     ether sent from the first account to outside addresses
+//   - assets:   shadow ERC20s, and who they get minted to
+//   - trusts:   each with its root key holder, keys, notary
+//               roles, deposits, and distributions
+//
+// Keys are referred to by name within their trust, and the
+// root key is always "root". Anywhere an actor is expected,
+// a registry alias, account name, or address will do.
+///////////////////////////////////////////
+GenieDevnet = (function() {
+  const ajv = new Ajv({ allErrors: true });
+  var validate = null;
+
+  /////////////////////////////////////////////
+  // send
+  //
+  // Sends a transaction and waits for it to be mined,
+  // so that IDs read from the contracts afterward are
+  // always up to date.
+  /////////////////////////////////////////////
+  var send = async function(transaction) {
+    return (await transaction).wait();
+  };
+
+  return {
+    /////////////////////////////////////////////
+    // loadScenario
+    //
+    // Reads and validates a scenario file.
+    /////////////////////////////////////////////
+    loadScenario: function(fileName) {
+      if (validate === null) {
+        validate = ajv.compile(JSON.parse(fs.readFileSync(
+          path.join(__dirname, '..', 'scenarios', 'scenario.schema.json'))));
+      }
+
+      var scenario;
+      try {
+        scenario = JSON.parse(fs.readFileSync(fileName));
+      } catch (err) {
+        throw new HardhatPluginError('genie', 'Could not read the scenario ' + fileName + ': ' + err.message);
+      }
+
+      if (!validate(scenario)) {
+        throw new HardhatPluginError('genie', 'The scenario ' + fileName + ' is invalid:\n' +
+          validate.errors.map((e) => '  ' + (e.instancePath || '/') + ' ' + e.message).join('\n'));
+      }
+      return scenario;
+    },
+    /////////////////////////////////////////////
+    // seed
+    //
+    // Plays the scenario against the owner's chain, which
+    // needs the full suite deployed and in the registry.
+    // Assets are saved to the asset registry as they are
+    // deployed. Returns what was created.
+    /////////////////////////////////////////////
+    seed: async function(owner, scenario) {
+      const chainId = owner.chainId;
+      const signers = await hre.ethers.getSigners();
+      const contract = async (alias) =>
+        owner.getContract(alias, LocksmithRegistry.getContractAddress(chainId, alias));
+
+      var accounts = {};
+      scenario.accounts.forEach((name, i) => {
+        if (signers[i] === undefined) {
+          throw new HardhatPluginError('genie', 'The node has no account for "' + name + '".');
+        }
+        accounts[name] = signers[i];
+      });
+
+      const account = function(name) {
+        if (!accounts[name]) {
+          throw new HardhatPluginError('genie', 'The scenario has no account named "' + name + '".');
+        }
+        return accounts[name];
+      };
+
+      const resolve = function(actor) {
+        if (ethers.utils.isAddress(actor)) {
+          return ethers.utils.getAddress(actor);
+        }
+        return LocksmithRegistry.getContractAddress(chainId, actor) || account(actor).address;
+      };
+
+      const locksmith = await contract('Locksmith');
+      const notary = await contract('Notary');
+      const etherVault = await contract('EtherVault');
+      const tokenVault = await contract('TokenVault');
+      const distributor = await contract('Distributor');
+      var summary = { accounts: {}, assets: {}, trusts: [] };
+
+      for (const [name, signer] of Object.entries(accounts)) {
+        summary.accounts[name] = signer.address;
+      }
+
+      // ether for outside wallets
+      for (const [to, amount] of Object.entries(scenario.fund || {})) {
+        await send(signers[0].sendTransaction({ to: resolve(to), value: ethers.utils.parseEther(amount) }));
+        console.log(' Funded ' + to + ' with ' + amount + ' ether');
+      }
+
+      // shadow coins, minted and approved for the token vault
+      var tokens = {};
+      const shadow = await owner.loadArtifact('ShadowERC');
+      for (const asset of scenario.assets || []) {
+        const token = await owner.deploy(shadow, [asset.name, asset.symbol]);
+        await token.deployed();
+        for (const [name, amount] of Object.entries(asset.mint || {})) {
+          await send(token.connect(account(name)).spawn(ethers.utils.parseEther(amount)));
+          await send(token.connect(account(name)).approve(tokenVault.address, ethers.constants.MaxUint256));
+        }
+        LocksmithRegistry.saveAsset(chainId, asset.alias, { address: token.address, symbol: asset.symbol,
+          decimals: await token.decimals(), standard: 20 });
+        tokens[asset.alias] = token;
+        summary.assets[asset.alias] = token.address;
+        console.log(' Deployed ' + asset.symbol + ' as ' + asset.alias + ': ' + token.address);
+      }
+
+      const getToken = function(alias) {
+        if (alias !== 'ether' && !tokens[alias]) {
+          throw new HardhatPluginError('genie', 'The scenario has no asset named "' + alias + '".');
+        }
+        return alias === 'ether' ? null : tokens[alias];
+      };
+
+      for (const trust of scenario.trusts) {
+        const holder = account(trust.holder);
+        const trustId = (await locksmith.trustCount()).toNumber();
+        const rootKeyId = (await locksmith.keyCount()).toNumber();
+        await send(locksmith.connect(holder).createTrustAndRootKey(
+          ethers.utils.formatBytes32String(trust.name), holder.address));
+        console.log(' Created ' + trust.name + ' (' + trustId + ') with root key ' + rootKeyId +
+          ' for ' + trust.holder);
+
+        var keys = { root: rootKeyId };
+        const key = function(name) {
+          if (keys[name] === undefined) {
+            throw new HardhatPluginError('genie', trust.name + ' has no key named "' + name + '".');
+          }
+          return keys[name];
+        };
+
+        // the roles from the chain's wiring manifest
+        var roles = [];
+        if (trust.wire) {
+          const { changes } = await GenieWiring.diffRoles(chainId, notary, trustId, GenieWiring.getManifest(chainId));
+          roles = changes.filter((c) => c.trustLevel)
+            .map((c) => ({ role: c.role, roleName: c.roleName, ledger: c.ledger, actor: c.actor, name: c.name }));
+        }
+        roles = roles.concat((trust.roles || []).map((r) => ({
+          role: GenieWiring.getRoles()[r.role], roleName: r.role,
+          ledger: resolve(r.ledger), actor: resolve(r.actor), name: r.name
+        })));
+        for (const r of roles) {
+          await send(notary.connect(holder).setTrustedLedgerRole(rootKeyId, r.role, r.ledger, r.actor,
+            true, ethers.utils.formatBytes32String(r.name)));
+          console.log('   Trusted ' + r.name + ' (' + r.actor + ') as ' + r.roleName);
+        }
+
+        for (const k of trust.keys || []) {
+          const keyId = (await locksmith.keyCount()).toNumber();
+          const [first, ...copies] = k.holders;
+          await send(locksmith.connect(holder).createKey(rootKeyId, ethers.utils.formatBytes32String(k.name),
+            resolve(first.account), first.soulbound === true));
+          for (const copy of copies) {
+            await send(locksmith.connect(holder).copyKey(rootKeyId, keyId, resolve(copy.account),
+              copy.soulbound === true));
+          }
+          keys[k.name] = keyId;
+          console.log('   Created key ' + k.name + ' (' + keyId + ') for ' +
+            k.holders.map((h) => h.account + (h.soulbound ? ' (soulbound)' : '')).join(', '));
+        }
+
+        for (const deposit of trust.deposits || []) {
+          const from = account(deposit.from || trust.holder);
+          const keyId = key(deposit.key || 'root');
+          const token = getToken(deposit.asset);
+          const amount = ethers.utils.parseEther(deposit.amount);
+          if (token === null) {
+            await send(etherVault.connect(from).deposit(keyId, { value: amount }));
+          } else {
+            await send(tokenVault.connect(from).deposit(keyId, token.address, amount));
+          }
+          console.log('   Deposited ' + deposit.amount + ' ' + deposit.asset + ' into key ' + keyId);
+        }
+
+        for (const distribution of trust.distributions || []) {
+          const token = getToken(distribution.asset);
+          const provider = token === null ? etherVault.address : tokenVault.address;
+          const sourceKeyId = key(distribution.from || 'root');
+          const targets = Object.keys(distribution.to);
+          await send(distributor.connect(holder).distribute(provider,
+            token === null ? Arn.gasArn() : Arn.erc20Arn(token.address), sourceKeyId,
+            targets.map(key), targets.map((t) => ethers.utils.parseEther(distribution.to[t]))));
+          console.log('   Distributed ' + distribution.asset + ' from key ' + sourceKeyId + ' to ' +
+            targets.join(', '));
+        }
+
+        summary.trusts.push({ name: trust.name, trustId, rootKeyId, keys });
+      }
+
+      return summary;
+    }
+  };
+})();
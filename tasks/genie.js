@@ -1,6 +1,8 @@
 const { Deployer } = require("@matterlabs/hardhat-zksync-deploy");
-const { Wallet } = require("zksync-web3");
 const { ethers } = require('ethers');
+const { HardhatPluginError } = require('hardhat/plugins');
+const fs = require('fs');
+const path = require('path');
 
 ///////////////////////////////////////////
 // Genie 
@@ -19,7 +21,24 @@ const { ethers } = require('ethers');
 // we need to consider a different deploy mechanism.
 ///////////////////////////////////////////
 require('./registry.js');
+require('./planner.js');
+require('./wiring.js');
+require('./audit.js');
+require('./signers.js');
+require('./layout.js');
+require('./addressbook.js');
+require('./devnet.js');
+require('./balances.js');
+require('./indexer.js');
+require('./timeline.js');
+require('./rounds.js');
+require('./keeper.js');
+require('./redeemer.js');
+require('./recovery.js');
+require('./admin.js');
+require('./trustspec.js');
 const { BigNumber } = require('ethers');
+const { Arn, Errors, Locksmith, Statement } = require('../sdk');
 
 const redText = '\x1b[31m%s\x1b[0m';
 const greenText  = '\x1b[32m%s\x1b[0m';
@@ -43,10 +62,9 @@ const blue   = (s) => '\x1b[34m' + s + '\x1b[0m';
 // method makes a lot of assumptions about how initialization
 // parameters are defined in the contracts.
 ///////////////////////////////////////////
-const getContractInitializationDependencies = async function(alias) {
-  const owner = await patchOwner();
+const getContractInitializationDependencies = async function(owner, alias) {
   const contract = await owner.loadArtifact(alias);
-  const chainId = 280; // await contract.signer.getChainId();
+  const chainId = owner.chainId;
   var dependencies = [];
   for (pt of contract.abi.filter(f => f.type === 'function' && f.name === 'initialize')[0].inputs) {
     var contractDependency = pt.name.replace(/_/g,'');
@@ -57,7 +75,7 @@ const getContractInitializationDependencies = async function(alias) {
       alias: contractDependency,
       address: contractAddress,
       codeHash: contractCodeHash,
-      integrity: await LocksmithRegistry.getDeployedDependencyAddress(chainId, alias, contractDependency)
+      integrity: await LocksmithRegistry.getDeployedDependencyAddress(owner, chainId, alias, contractDependency)
     });
   }
   return dependencies;
@@ -69,8 +87,8 @@ const getContractInitializationDependencies = async function(alias) {
 // Given contract, get the initialization dependencies
 // and find the missing ones.
 ///////////////////////////////////////////
-const sortDependencies = async function(alias) {
-  const dependencies = await getContractInitializationDependencies(alias);
+const sortDependencies = async function(owner, alias) {
+  const dependencies = await getContractInitializationDependencies(owner, alias);
   const missing      = dependencies.filter(d => !d.address );
   return { dependencies, missing } 
 }
@@ -84,25 +102,319 @@ const sortDependencies = async function(alias) {
 // support the right over-rides in hardhat.config.js.
 //
 // https://github.com/NomicFoundation/hardhat/issues/3418
+//
+// The chain ID is taken from the active --network. Networks
+// flagged with `zksync: true` in hardhat.config.js go through
+// the zkSync Deployer and zkUpgrades, everything else goes
+// through plain ethers and the openzeppelin upgrades plugin.
+// Either way, the owner exposes the same surface to the tasks.
+//
+// The signer is picked by the task's --signer flag, see
+// GenieSigners for the available signers.
+//
+// If there is no registry committed for the chain, this will
+// refuse to continue.
+///////////////////////////////////////////
+const patchOwner = async function(taskArgs) {
+  const zksync = hre.network.config.zksync === true;
+  const options = GenieSigners.resolveSignerOptions(GenieSigners.getSignerOptions(taskArgs), zksync);
+  const owner = zksync ?
+    await patchZkSyncOwner(options) : await patchEthersOwner(options);
+  owner.chainId = await owner.signer.getChainId();
+  owner.zksync = zksync;
+  owner.signerType = options.type;
+  owner.address = await owner.signer.getAddress();
+  owner.compiler = (owner.zksync ? 'zksolc ' + hre.config.zksolc.version + ', ' : '') +
+    'solc ' + hre.config.solidity.compilers[0].version;
+  owner.getContract = async function(alias, address) {
+    return new ethers.Contract(address, (await owner.loadArtifact(alias)).abi, owner.signer);
+  };
+
+  if (!LocksmithRegistry.hasNetworkRegistry(owner.chainId)) {
+    throw new HardhatPluginError('genie', 'There is no genie registry for chain ID ' + owner.chainId +
+      ' on network "' + hre.network.name + '". Expected: registries/network-contracts-' +
+      owner.chainId + '.json');
+  }
+
+  return owner;
+}
+
+///////////////////////////////////////////
+// patchZkSyncOwner
+//
+// Builds the owner for zkSync networks.
 ///////////////////////////////////////////
-const patchOwner = async function() {
-  const zkWallet = new Wallet(process.env.MY_PRIVATE_KEY)
+const patchZkSyncOwner = async function(options) {
+  const zkWallet = GenieSigners.getZkSyncWallet(options);
   const deployer = new Deployer(hre, zkWallet);
-  return deployer; 
+  return {
+    signer: deployer.zkWallet,
+    loadArtifact: async function(alias) {
+      return deployer.loadArtifact(alias);
+    },
+    deploy: async function(artifact, args) {
+      return deployer.deploy(artifact, args);
+    },
+    deployProxy: async function(artifact, args) {
+      return hre.zkUpgrades.deployProxy(deployer.zkWallet, artifact, args, {
+        initializer: 'initialize',
+      });
+    },
+    upgradeProxy: async function(address, artifact, opts = {}) {
+      return hre.zkUpgrades.upgradeProxy(deployer.zkWallet, address, artifact, {
+        timeout: 180000,
+        ...opts
+      });
+    }
+  };
 }
 
-task("show", "Show the state of the current genie deployment")
+///////////////////////////////////////////
+// patchEthersOwner
+//
+// Builds the owner for standard EVM networks, using the
+// selected signer.
+///////////////////////////////////////////
+const patchEthersOwner = async function(options) {
+  const signer = await GenieSigners.getEthersSigner(options);
+  const factory = async function(artifact) {
+    return hre.ethers.getContractFactory(artifact.contractName, signer);
+  };
+  return {
+    signer: signer,
+    loadArtifact: async function(alias) {
+      return hre.artifacts.readArtifact(alias);
+    },
+    deploy: async function(artifact, args) {
+      return (await factory(artifact)).deploy(...args);
+    },
+    deployProxy: async function(artifact, args) {
+      return hre.upgrades.deployProxy(await factory(artifact), args, {
+        initializer: 'initialize',
+      });
+    },
+    upgradeProxy: async function(address, artifact, opts = {}) {
+      return hre.upgrades.upgradeProxy(address, await factory(artifact), opts);
+    }
+  };
+}
+
+///////////////////////////////////////////
+// getDeploymentRecord
+//
+// Once a proxy deployment or upgrade has been mined, gathers
+// everything the registry keeps track of about it.
+///////////////////////////////////////////
+const getDeploymentRecord = async function(owner, artifact, deployment, action, previousImplementation) {
+  const provider = owner.signer.provider;
+  const receipt = await deployment.deployTransaction.wait();
+  const block = await provider.getBlock(receipt.blockNumber);
+
+  return {
+    action: action,
+    address: deployment.address,
+    codeHash: ethers.utils.keccak256(artifact.bytecode),
+    proxy: await GenieAudit.getProxyInfo(provider, deployment.address, artifact.abi),
+    implementation: await GenieAudit.getImplementationAddress(provider, deployment.address),
+    previousImplementation: previousImplementation,
+    deployer: owner.address,
+    txHash: receipt.transactionHash,
+    blockNumber: receipt.blockNumber,
+    timestamp: block.timestamp,
+    compiler: owner.compiler
+  };
+}
+
+///////////////////////////////////////////
+// printPlan
+//
+// Renders a genie plan, one step per line, colored
+// by what will happen to the contract.
+///////////////////////////////////////////
+const printPlan = function(plan) {
+  const colors = { deploy: greenText, upgrade: yellowText, skip: cyanText };
+  plan.steps.forEach((step, index) => {
+    const status = step.status === 'done' ? '[✓]' : (step.status === 'failed' ? '[x]' : '[ ]');
+    console.log(colors[step.action], ' ' + status + ' ' + (index + 1) + '. ' +
+      step.action.toUpperCase() + ' ' + step.alias +
+      (step.address ? ' (' + step.address + ')' : ''));
+    console.log('        - Dependencies: ' + (step.dependencies.join(', ') || 'none'));
+    if (step.action === 'upgrade') {
+      console.log('        - Current Code Hash: ' + step.codeHash);
+      console.log('        - Local Code Hash: ' + step.localCodeHash);
+    }
+  });
+
+  const count = (action) => plan.steps.filter((s) => s.action === action).length;
+  console.log('\n Deploy: ' + count('deploy') + ', Upgrade: ' + count('upgrade') +
+    ', Skip: ' + count('skip'));
+}
+
+///////////////////////////////////////////
+// checkStorageLayout
+//
+// Compares the storage layout snapshot of the live
+// implementation with the local artifact, and prints
+// the differences. Returns true if it is safe to upgrade.
+///////////////////////////////////////////
+const checkStorageLayout = async function(owner, alias, artifact) {
+  const codeHash = LocksmithRegistry.getContractCodeHash(owner.chainId, alias);
+  const live = LocksmithRegistry.getStorageLayout(owner.chainId, codeHash);
+  if (live === null) {
+    console.log(yellowText, " There is no storage layout snapshot for the live code hash: " + codeHash);
+    console.log(yellowText, " Check out the deployed code, and run: layout --contract " + alias + " --record true");
+    console.log(yellowText, " Or, if you have checked the layouts yourself, upgrade with --unsafe true");
+    return false;
+  }
+
+  const changes = GenieLayout.compareLayouts(live, await GenieLayout.getStorageLayout(artifact));
+  if (changes.length === 0) {
+    console.log(greenText, " The storage layout is unchanged.");
+  }
+  GenieLayout.formatChanges(changes).forEach((line, i) =>
+    console.log(changes[i].safe ? greenText : redText, line));
+  return GenieLayout.isCompatible(changes);
+}
+
+///////////////////////////////////////////
+// saveStorageLayout
+//
+// Snapshots the storage layout of a freshly deployed
+// implementation, so the next upgrade can be checked.
+///////////////////////////////////////////
+const saveStorageLayout = async function(owner, artifact) {
+  const codeHash = ethers.utils.keccak256(artifact.bytecode);
+  try {
+    LocksmithRegistry.saveStorageLayout(owner.chainId, codeHash, await GenieLayout.getStorageLayout(artifact));
+    console.log(greenText, "The storage layout has been saved for: " + codeHash);
+  } catch (err) {
+    console.log(yellowText, "Could not save the storage layout: " + err.message);
+  }
+}
+
+///////////////////////////////////////////
+// explainError
+//
+// Turns a reverted transaction into an error that
+// says what the revert reason means. Anything else
+// is passed along untouched.
+///////////////////////////////////////////
+const explainError = function(err) {
+  if (err instanceof HardhatPluginError || Errors.getRevertReason(err) === null) {
+    return err;
+  }
+  return new HardhatPluginError('genie', Errors.formatError(err), err);
+}
+
+///////////////////////////////////////////
+// genieTask
+//
+// Declares a task with the signer selection
+// every genie task shares. Reverts in the task's
+// action are explained with the error catalog.
+///////////////////////////////////////////
+const genieTask = function(name, description) {
+  const definition = task(name, description)
+    .addOptionalParam('signer', 'The signer to use: ' + GenieSigners.getSignerTypes().join(', ') +
+      '. zkSync networks only take key and mnemonic.')
+    .addOptionalParam('derivationPath', 'The HD path for the mnemonic and ledger signers.')
+    .addOptionalParam('from', 'The address the offline signer prepares unsigned transactions for. ' +
+      'Not available on zkSync networks.');
+
+  const setAction = definition.setAction.bind(definition);
+  definition.setAction = (action) => setAction(async (taskArgs, hre, runSuper) => {
+    try {
+      return await action(taskArgs, hre, runSuper);
+    } catch (err) {
+      throw explainError(err);
+    }
+  });
+  return definition;
+}
+
+///////////////////////////////////////////
+// administer
+//
+// The flow every trust administration task shares. The
+// contracts are resolved from the registry by alias, and
+// prepare turns them into the transactions to send, as
+// [{ description, submit }] named with GenieAdmin. They
+// are previewed, and once confirmed, sent one after the
+// other with the events each one logged. A dry run stops
+// at the preview.
+///////////////////////////////////////////
+const administer = async function(taskArgs, title, aliases, prepare) {
+  const owner = await patchOwner(taskArgs);
+  const chainId = owner.chainId;
+
+  console.log(greenText, '\n==== GENIE, ' + title + '! ====\n');
+  console.log(JSON.stringify(taskArgs, null, 2));
+  console.log(greenText, "\n=== SIGNER INFO ===\n");
+  console.log(" Signer Network Chain ID: " + chainId);
+  console.log(" Signer Wallet Address: " + owner.address);
+
+  console.log(greenText, "\n=== CONTRACT INFO ===\n");
+  var contracts = {};
+  for (const alias of ['Locksmith'].concat(aliases)) {
+    const address = LocksmithRegistry.getContractAddress(chainId, alias);
+    console.log(address ? greenText : redText, " " + alias + ": " + address);
+    if (address !== null) {
+      contracts[alias] = await owner.getContract(alias, address);
+    }
+  }
+  if (Object.keys(contracts).length !== aliases.length + 1) {
+    console.log(yellowText, "\n\nYou are missing dependencies for this action!");
+    return 1;
+  }
+
+  const names = GenieAdmin.getNames(contracts.Locksmith);
+  const book = Arn.createArnBook().loadAssets(chainId);
+  const changes = await prepare(owner, contracts, names, book);
+
+  console.log(greenText, "\n=== PREVIEW ===\n");
+  if (changes.length === 0) {
+    console.log(greenText, "Nothing to change.");
+    return 0;
+  }
+  changes.forEach((c) => console.log(" - " + c.description));
+  console.log('');
+  if (taskArgs['dry']) {
+    console.log(yellowText, "This is a dry run, nothing was sent.");
+    return 0;
+  }
+  const question = 'Send ' + (changes.length === 1 ? 'this transaction' : 'these ' + changes.length + ' transactions') + '?';
+  if (!(await GenieAdmin.confirm(question, { yes: taskArgs['yes'] }))) {
+    console.log(yellowText, "\nNothing was sent.");
+    return 1;
+  }
+
+  console.log(greenText, "\n=== SENDING ===\n");
+  const decoders = await GenieIndexer.getContracts(chainId);
+  for (const c of changes) {
+    const receipt = await (await c.submit()).wait();
+    console.log(greenText, "[✓] " + c.description);
+    console.log("     Transaction: " + receipt.transactionHash);
+    const events = GenieIndexer.decodeReceipt(decoders, receipt);
+    for (const line of await GenieAdmin.describeEvents(events, names, book)) {
+      console.log("     - " + line);
+    }
+  }
+  return 0;
+}
+
+genieTask("show", "Show the state of the current genie deployment")
   .setAction(async (taskArgs) => {
-    const owner = await patchOwner(); 
-    const chainId = 280; 
-    const balance = await owner.zkWallet.getBalance(owner.address);
-    const gasPrice = await owner.zkWallet.getGasPrice();
+    const owner = await patchOwner(taskArgs);
+    const chainId = owner.chainId; 
+    const balance = await owner.signer.getBalance();
+    const gasPrice = await owner.signer.getGasPrice();
 
     console.log(greenText, '\n==== GENIE, SHOW! ====\n');
     console.log(JSON.stringify(taskArgs, null, 2));
     console.log(greenText, "\n=== SIGNER INFO ===\n");
     console.log(" Signer Network Chain ID: " + chainId);
-    console.log(" Signer Wallet Address: " + owner.zkWallet.address);
+    console.log(" Signer Wallet Address: " + owner.address);
+    console.log(" Signer Type: " + owner.signerType);
     console.log(" Signer Balance: " + ethers.utils.formatEther(balance));
     console.log(greenText, "\n=== NETWORK CONDITIONS ===\n");
     console.log( " Gas Price: " + ethers.utils.formatUnits(gasPrice, "gwei"));
@@ -119,10 +431,15 @@ task("show", "Show the state of the current genie deployment")
       const localCodeHash = ethers.utils.keccak256(contract.bytecode);
 
       // build the contract and get the dependencies
-      const { dependencies, missing } = await sortDependencies(c);
+      const { dependencies, missing } = await sortDependencies(owner, c);
 
       console.log("----------------------");
       console.log(currentAddress != null ? greenText : (missing.length === 0 ? yellowText : redText), c + ": " + currentAddress);
+      const record = LocksmithRegistry.getContractRecord(chainId, c);
+      if (record !== null && record.implementation !== null) {
+        console.log(" - Implementation: " + record.implementation + " (" + record.proxy.kind +
+          ", " + record.history.length + " deployments)");
+      }
       if (currentCodeHash === localCodeHash) {
         console.log(greenText, " - Code Hash: " + currentCodeHash);
       } else {
@@ -156,10 +473,8 @@ task("show", "Show the state of the current genie deployment")
     var keyVaultAddress = LocksmithRegistry.getContractAddress(chainId, 'KeyVault');
     var locksmithAddress = LocksmithRegistry.getContractAddress(chainId, 'Locksmith');
 
-    var keyVaultArtifact = await owner.loadArtifact('KeyVault');
-    var keyVaultContract = new ethers.Contract(keyVaultAddress, keyVaultArtifact.abi, owner.zkWallet);
-
     try {
+      var keyVaultContract = await owner.getContract('KeyVault', keyVaultAddress);
       if (keyVaultAddress !== null && locksmithAddress !== null &&
           ((await keyVaultContract.locksmith()) === locksmithAddress)) {
         console.log(greenText, "[✓] KeyVault respects *the* Locksmith");
@@ -171,15 +486,13 @@ task("show", "Show the state of the current genie deployment")
     }
   });
 
-task("shadow", "Deploy a shadow ERC20 and fund the signer, mainly for localhost.")
+genieTask("shadow", "Deploy a shadow ERC20 and fund the signer, mainly for localhost.")
   .addParam('alias', 'The alias you want to give this coin')
   .addParam('ticker', 'The alias you want to give this coin')
   .addOptionalParam('amount', 'The amount you want to fund into the wallet', 1000, types.int)
   .setAction(async (taskArgs) => {
-      const owner = await patchOwner(); 
-      const chainId = await owner.getChainId()
-
-      const ShadowCoin = await ethers.getContractFactory("ShadowERC", owner);
+      const owner = await patchOwner(taskArgs);
+      const chainId = owner.chainId;
 
       console.log(greenText, '\n==== GENIE, SHADOW! ====\n');
       console.log(JSON.stringify(taskArgs, null, 2));
@@ -187,7 +500,7 @@ task("shadow", "Deploy a shadow ERC20 and fund the signer, mainly for localhost.
       console.log(" Signer Network Chain ID: " + chainId);
       console.log(" Signer Wallet Address: " + owner.address);    
       
-      const gasPrice = await owner.provider.getGasPrice();
+      const gasPrice = await owner.signer.getGasPrice();
       console.log(greenText, "\n=== NETWORK CONDITIONS ===\n");
       console.log( " Gas Price: " + ethers.utils.formatUnits(gasPrice, "gwei"));
 
@@ -203,26 +516,29 @@ task("shadow", "Deploy a shadow ERC20 and fund the signer, mainly for localhost.
         return 1;
       }
 
-      const contract = await ShadowCoin.deploy(taskArgs.alias, taskArgs.ticker);
-      await contract.connect(owner).spawn(ethers.utils.parseEther('' + taskArgs.amount));
-      await contract.connect(owner).approve(tokenVaultAddress, ethers.utils.parseEther("100"));
+      const contract = await owner.deploy(await owner.loadArtifact('ShadowERC'), [taskArgs.alias, taskArgs.ticker]);
+      await contract.deployed();
+      await (await contract.spawn(ethers.utils.parseEther('' + taskArgs.amount))).wait();
+      await (await contract.approve(tokenVaultAddress, ethers.utils.parseEther("100"))).wait();
       
-      LocksmithRegistry.saveContractAddress(chainId, taskArgs.alias, contract.address, 'assets');
+      LocksmithRegistry.saveAsset(chainId, taskArgs.alias, { address: contract.address, symbol: taskArgs.ticker,
+        decimals: await contract.decimals(), standard: 20 });
       console.log(greenText, 'Successful! The asset address has been saved as ' + contract.address);
   });
 
-task("deploy", "Deploy a specific contract generating a new address for it.")
+genieTask("deploy", "Deploy a specific contract generating a new address for it.")
   .addParam('contract', 'The name of the contract you want to deploy.')
   .addOptionalParam('force', 'Flag to force deploy even if there\'s and existing address.', false, types.boolean)
   .addOptionalParam('upgrade', 'Flag to do an upgrade deployment even if there\'s and existing address.', false, types.boolean)
   .addOptionalParam('dry', 'Flag to do the operation up until the point of actually deploying/upgrading, and stopping.')
+  .addOptionalParam('unsafe', 'Flag to upgrade even if the storage layout is not compatible.', false, types.boolean)
   .setAction(async (taskArgs) => {
     // this assumes that the signer has been loaded, either through
     // hardhat local defaults, or using alchemy and testnet or production
     // credentials via dotenv (.env) and hardhat.config.js
-    const owner = await patchOwner();
-    const chainId = 280; //await owner.getChainId();
-    const balance = await owner.zkWallet.getBalance(owner.address);
+    const owner = await patchOwner(taskArgs);
+    const chainId = owner.chainId;
+    const balance = await owner.signer.getBalance();
 
     // do a sanity check.
     if (taskArgs.force && taskArgs.upgrade) {
@@ -235,21 +551,23 @@ task("deploy", "Deploy a specific contract generating a new address for it.")
     console.log(greenText, "\n=== SIGNER INFO ===\n"); 
     console.log(" Signer Network Chain ID: " + chainId); 
     console.log(" Signer Wallet Address: " + owner.address);
+    console.log(" Signer Type: " + owner.signerType);
     console.log(" Signer Balance: " + ethers.utils.formatEther(balance));
 
     // Create the signer for the mnemonic, connected to the provider with hardcoded fee data
-    const contract = await owner.loadArtifact(taskArgs['contract'], owner);
+    const contract = await owner.loadArtifact(taskArgs['contract']);
     
     console.log(greenText, "\n=== CONTRACT INFO ===\n");
     console.log(" Input alias: " + taskArgs['contract']);
-    console.log(" Factory Signer Chain ID: " + 280); 
+    console.log(" Factory Signer Chain ID: " + chainId); 
+    console.log(" Factory Signer zkSync: " + owner.zksync); 
     console.log(" Factory Signer Address:" + owner.address);
 
-    const gasPrice = await owner.zkWallet.getGasPrice();
+    const gasPrice = await owner.signer.getGasPrice();
     console.log(greenText, "\n=== NETWORK CONDITIONS ===\n");
     console.log( " Gas Price: " + ethers.utils.formatUnits(gasPrice, "gwei"));
 
-    const { dependencies, missing } = await sortDependencies(taskArgs['contract']); 
+    const { dependencies, missing } = await sortDependencies(owner, taskArgs['contract']); 
     const color = missing.length === 0 ? greenText : (
       missing.length === dependencies.length ? redText : yellowText );
     console.log(color, "\n=== Contract Dependencies ===\n")
@@ -304,6 +622,19 @@ task("deploy", "Deploy a specific contract generating a new address for it.")
 
     console.log("Local Code Hash: " + localCodeHash);
 
+    // an upgrade has to leave the live storage where it is
+    if (taskArgs['upgrade']) {
+      console.log(greenText, "\n=== STORAGE LAYOUT ===\n");
+      if (!(await checkStorageLayout(owner, taskArgs['contract'], contract))) {
+        if (!taskArgs['unsafe']) {
+          console.log(redText, "\nThe upgrade can't be shown to be compatible with the live storage layout.");
+          console.log(yellowText, "If you are sure, try again with --unsafe true");
+          return 1;
+        }
+        console.log(yellowText, "\nWARNING: Upgrading with an incompatible storage layout.");
+      }
+    }
+
     // stop here if its a dry run
     if (taskArgs['dry']) {
       console.log(greenText, "Upgrade: " + taskArgs['upgrade']);
@@ -321,39 +652,78 @@ task("deploy", "Deploy a specific contract generating a new address for it.")
         return 1;
       }
 
+      const previousImplementation = await GenieAudit.getImplementationAddress(
+        owner.signer.provider, currentAddress);
+      console.log("Current Implementation: " + previousImplementation);
+
       console.log("Calling upgrades.upgradeProxy(" + currentAddress + 
         ", [contract:" + taskArgs['contract'] + "])"); 
-      const deployment = await hre.zkUpgrades.upgradeProxy(currentAddress, contract, {
-        timeout: 180000,
-      });
-      LocksmithRegistry.saveContractCodeHash(chainId, taskArgs['contract'], localCodeHash);
+      const deployment = await owner.upgradeProxy(currentAddress, contract,
+        taskArgs['unsafe'] ? { unsafeSkipStorageCheck: true } : {});
+      const record = await getDeploymentRecord(owner, contract, deployment, 'upgrade', previousImplementation);
+      LocksmithRegistry.saveContractDeployment(chainId, taskArgs['contract'], record);
       console.log(greenText, "The code hash been saved as well: " + localCodeHash); 
+      await saveStorageLayout(owner, contract);
+      console.log(greenText, "New Implementation: " + record.implementation);
       console.log("Upgrade complete!");
     } else {
       // nah, just a standard deloyment. forced or otherwise.
       console.log("Calling upgrades.deployProxy with #initialize([" + preparedArguments + "])"); 
-      try {
-        const deployment = await hre.zkUpgrades.deployProxy(owner.zkWallet, contract, preparedArguments, {
-          initializer: 'initialize',
-        });
-        await deployment.deployed();
-      
-        console.log(greenText, "Deployment complete! Address: " + deployment.address);
-        LocksmithRegistry.saveContractAddress(chainId, taskArgs['contract'], deployment.address);
-        console.log(greenText, "Address has been successfully saved in the registry!");
-        LocksmithRegistry.saveContractCodeHash(chainId, taskArgs['contract'], localCodeHash);
-        console.log(greenText, "The code hash been saved as well: " + localCodeHash); 
-      } catch (error) {
-        console.log("oooops!: " + error);
-        throw error;
+      const deployment = await owner.deployProxy(contract, preparedArguments);
+      await deployment.deployed();
+
+      console.log(greenText, "Deployment complete! Address: " + deployment.address);
+      const record = await getDeploymentRecord(owner, contract, deployment, 'deploy');
+      LocksmithRegistry.saveContractDeployment(chainId, taskArgs['contract'], record);
+      console.log(greenText, "Address has been successfully saved in the registry!");
+      console.log(greenText, "The code hash been saved as well: " + localCodeHash); 
+      await saveStorageLayout(owner, contract);
+      console.log(greenText, "Implementation: " + record.implementation + " (" + record.proxy.kind + ")");
+    }
+  });
+
+genieTask("layout", "Compare the live storage layout of a contract with the local one.")
+  .addParam('contract', 'The name of the contract you want to check.')
+  .addOptionalParam('record', 'Flag to snapshot the local layout for the live code hash, if they match.', false, types.boolean)
+  .setAction(async (taskArgs) => {
+    const owner = await patchOwner(taskArgs);
+    const alias = taskArgs['contract'];
+    const artifact = await owner.loadArtifact(alias);
+    const currentCodeHash = LocksmithRegistry.getContractCodeHash(owner.chainId, alias);
+    const localCodeHash = ethers.utils.keccak256(artifact.bytecode);
+
+    console.log(greenText, '\n==== GENIE, LAYOUT! ====\n');
+    console.log(" Signer Network Chain ID: " + owner.chainId);
+    console.log(" Live Code Hash: " + currentCodeHash);
+    console.log(" Local Code Hash: " + localCodeHash);
+
+    if (taskArgs['record']) {
+      // the local artifact has to be the live code, or the snapshot is a lie
+      if (currentCodeHash !== localCodeHash) {
+        console.log(redText, "\nThe local code is not what is deployed, so its layout can't be recorded.");
+        console.log(yellowText, "Check out the deployed code and try again.");
+        return 1;
       }
+      if (LocksmithRegistry.getStorageLayout(owner.chainId, currentCodeHash) !== null) {
+        console.log(greenText, "\nThere is already a storage layout snapshot for this code hash.");
+        return 0;
+      }
+      await saveStorageLayout(owner, artifact);
+      return 0;
     }
+
+    console.log(greenText, "\n=== STORAGE LAYOUT ===\n");
+    if (!(await checkStorageLayout(owner, alias, artifact))) {
+      console.log(redText, "\nUpgrading to the local code can't be shown to be safe.");
+      return 1;
+    }
+    console.log(greenText, "\nUpgrading to the local code would be safe.");
   });
 
-task("respect", "Make the current registry's key vault respect the current locksmith.")
+genieTask("respect", "Make the current registry's key vault respect the current locksmith.")
   .setAction(async (taskArgs) => {
-    const owner = await patchOwner(); 
-    const chainId = 280; // await owner.getChainId();
+    const owner = await patchOwner(taskArgs);
+    const chainId = owner.chainId;
 
     console.log(greenText, '\n==== GENIE, RESPECT! ====\n');
     console.log(JSON.stringify(taskArgs, null, 2));
@@ -373,8 +743,7 @@ task("respect", "Make the current registry's key vault respect the current locks
     }
 
     console.log(greenText, "\n=== Calling setRespectedLocksmith... ===\n");
-    var keyVaultArtifact = await owner.loadArtifact('KeyVault');
-    var keyVaultContract = new ethers.Contract(keyVaultAddress, keyVaultArtifact.abi, owner.zkWallet);
+    var keyVaultContract = await owner.getContract('KeyVault', keyVaultAddress);
     
     var respectAddress = await keyVaultContract.locksmith(); 
     console.log(" The current respect address is: " + respectAddress);
@@ -387,19 +756,175 @@ task("respect", "Make the current registry's key vault respect the current locks
     try {
       var response = await keyVaultContract
         .setRespectedLocksmith(locksmithAddress);
+      await response.wait();
 
       console.log("\nIt seems it was successful!");
       console.log("New respect address is: " + await keyVaultContract.attach(keyVaultAddress).locksmith());
     } catch (e) {
-      console.log("ERROR!");
-      console.log(e.message);
+      console.log(redText, "ERROR!");
+      console.log(Errors.formatError(e));
     }
   });
 
-task("metrics", "Take a look at high level metrics for this deployment.")
+genieTask("wire", "Wire a trust's notary roles, key locker, and key vault respect from the manifest.")
+  .addParam('root', 'The root key ID of the trust you want to wire.', undefined, types.int)
+  .addOptionalParam('dry', 'Flag to show the changes without submitting them.', false, types.boolean)
   .setAction(async (taskArgs) => {
-    const owner = await patchOwner();
-    const chainId = await owner.getChainId();
+    const owner = await patchOwner(taskArgs);
+    const chainId = owner.chainId;
+
+    console.log(greenText, '\n==== GENIE, WIRE! ====\n');
+    console.log(JSON.stringify(taskArgs, null, 2));
+    console.log(greenText, "\n=== SIGNER INFO ===\n");
+    console.log(" Signer Network Chain ID: " + chainId);
+    console.log(" Signer Wallet Address: " + owner.address);
+
+    const manifest = GenieWiring.getManifest(chainId);
+
+    console.log(greenText, "\n=== CONTRACT INFO ===\n");
+    var keyVaultAddress = LocksmithRegistry.getContractAddress(chainId, 'KeyVault');
+    var locksmithAddress = LocksmithRegistry.getContractAddress(chainId, 'Locksmith');
+    var notaryAddress = LocksmithRegistry.getContractAddress(chainId, 'Notary');
+    var keyLockerAddress = LocksmithRegistry.getContractAddress(chainId, 'KeyLocker');
+    console.log(keyVaultAddress ? greenText : redText, " KeyVault: " + keyVaultAddress);
+    console.log(locksmithAddress ? greenText : redText, " Locksmith: " + locksmithAddress);
+    console.log(notaryAddress ? greenText : redText, " Notary: " + notaryAddress);
+    console.log(keyLockerAddress ? greenText : redText, " KeyLocker: " + keyLockerAddress);
+
+    if (keyVaultAddress === null || locksmithAddress === null || notaryAddress === null ||
+        (manifest.lockRootKey && keyLockerAddress === null)) {
+      console.log(yellowText, "\n\nYou are missing dependencies for this action!");
+      return 1;
+    }
+
+    const keyVault = await owner.getContract('KeyVault', keyVaultAddress);
+    const locksmith = await owner.getContract('Locksmith', locksmithAddress);
+    const notary = await owner.getContract('Notary', notaryAddress);
+
+    console.log(greenText, "\n=== ROOT KEY INFO ===\n");
+    const [valid, keyAlias, trustId, isRoot] = await locksmith.inspectKey(taskArgs['root']);
+    console.log(" Key: " + taskArgs['root'] + " (" + (valid ? ethers.utils.parseBytes32String(keyAlias) : 'invalid') + ")");
+    console.log(" Trust ID: " + trustId);
+
+    if (!isRoot) {
+      console.log(redText, "\nThe key provided is not a root key.");
+      return 1;
+    }
+    if ((await keyVault.keyBalanceOf(owner.address, taskArgs['root'], false)).eq(0)) {
+      console.log(redText, "\nThe signer is not holding the root key.");
+      return 1;
+    }
+
+    var changes = [];
+
+    // key vault respect is global, but is part of a healthy wiring
+    if (manifest.respect && (await keyVault.locksmith()) !== locksmithAddress) {
+      changes.push({
+        description: "KeyVault respects Locksmith " + locksmithAddress,
+        submit: () => keyVault.setRespectedLocksmith(locksmithAddress)
+      });
+    }
+
+    // the trust creator keeps a copy of the root key in the locker
+    if (manifest.lockRootKey &&
+        (await keyVault.keyBalanceOf(keyLockerAddress, taskArgs['root'], false)).eq(0)) {
+      changes.push({
+        description: "Copy root key " + taskArgs['root'] + " into the KeyLocker",
+        submit: () => locksmith.copyKey(taskArgs['root'], taskArgs['root'], keyLockerAddress, false)
+      });
+    }
+
+    const { changes: roleChanges, unresolved } =
+      await GenieWiring.diffRoles(owner.chainId, notary, trustId, manifest);
+    for (const c of roleChanges) {
+      changes.push({
+        description: (c.trustLevel ? "Trust " : "Distrust ") + c.actorAlias + " as " +
+          c.roleName + " on " + c.ledgerAlias + (c.trustLevel ? " (" + c.name + ")" : ""),
+        submit: () => notary.setTrustedLedgerRole(taskArgs['root'], c.role, c.ledger, c.actor,
+          c.trustLevel, ethers.utils.formatBytes32String(c.name))
+      });
+    }
+
+    console.log(greenText, "\n=== CHANGES ===\n");
+    for (const u of unresolved) {
+      console.log(yellowText, " Not in the registry, skipping: " + u.roleName + " " +
+        u.ledgerAlias + (u.actorAlias ? " " + u.actorAlias : ""));
+    }
+    if (changes.length === 0) {
+      console.log(greenText, " The trust is already wired!");
+      return 0;
+    }
+    changes.forEach((c) => console.log(" - " + c.description));
+
+    // stop here if its a dry run
+    if (taskArgs['dry']) {
+      console.log(greenText, "\nThis was a dry run, so we won't actualy do this.");
+      return 0;
+    }
+
+    console.log(greenText, "\n=== Wiring... ===\n");
+    for (const c of changes) {
+      const response = await c.submit();
+      await response.wait();
+      console.log(greenText, "[✓] " + c.description);
+    }
+  });
+
+genieTask("audit", "Verify every registered contract's dependencies and implementation on-chain.")
+  .addOptionalParam('output', 'A file to write the JSON report to.')
+  .addOptionalParam('json', 'Flag to print only the JSON report.', false, types.boolean)
+  .setAction(async (taskArgs) => {
+    const owner = await patchOwner(taskArgs);
+    const report = await GenieAudit.auditRegistry(owner);
+
+    if (taskArgs['output']) {
+      fs.writeFileSync(taskArgs['output'], JSON.stringify(report, null, 2));
+    }
+
+    // releases are gated on this, so the exit code has to reflect it
+    process.exitCode = report.ok ? 0 : 1;
+
+    if (taskArgs['json']) {
+      console.log(JSON.stringify(report, null, 2));
+      return report.ok ? 0 : 1;
+    }
+
+    console.log(greenText, '\n==== GENIE, AUDIT! ====\n');
+    console.log(JSON.stringify(taskArgs, null, 2));
+    console.log(greenText, "\n=== SIGNER INFO ===\n");
+    console.log(" Signer Network Chain ID: " + owner.chainId);
+    console.log(" Signer Wallet Address: " + owner.address);
+
+    console.log(greenText, "\n=== CONTRACTS ===\n");
+    for (const c of report.contracts) {
+      console.log(c.checks.every((k) => k.ok) ? greenText : redText, c.alias + ": " + c.address);
+      console.log("   Implementation: " + c.implementation);
+      for (const k of c.checks) {
+        console.log(k.ok ? greenText : redText, "   [" + (k.ok ? '✓' : ' ') + "] " + k.check +
+          (k.ok ? '' : " (expected " + k.expected + ", got " + k.actual + ")"));
+        if (k.message) {
+          console.log(yellowText, "       " + k.message);
+        }
+      }
+    }
+
+    console.log(greenText, "\n=== INTEGRITY ===\n");
+    for (const k of report.integrity) {
+      console.log(k.ok ? greenText : redText, "[" + (k.ok ? '✓' : ' ') + "] " + k.check);
+    }
+
+    if (report.missing.length !== 0) {
+      console.log(yellowText, "\nNot deployed: " + report.missing.join(', '));
+    }
+
+    console.log(report.ok ? greenText : redText, "\nAudit " + (report.ok ? "passed." : "failed!"));
+    return report.ok ? 0 : 1;
+  });
+
+genieTask("metrics", "Take a look at high level metrics for this deployment.")
+  .setAction(async (taskArgs) => {
+    const owner = await patchOwner(taskArgs);
+    const chainId = owner.chainId;
 
     console.log(greenText, '\n==== GENIE, METRICS! ====\n');
     console.log(JSON.stringify(taskArgs, null, 2));
@@ -414,51 +939,998 @@ task("metrics", "Take a look at high level metrics for this deployment.")
     console.log(locksmithAddress ? greenText : redText, " Locksmith: " + locksmithAddress);
     
     console.log(greenText, "\n=== LOCKSMITH INFO ===\n");
-    var locksmithContract = await ethers.getContractFactory('Locksmith');
-    var trusts = await locksmithContract 
-        .attach(locksmithAddress)
-        .trustCount();
+    var locksmithContract = await owner.getContract('Locksmith', locksmithAddress);
+    var trusts = await locksmithContract.trustCount();
     console.log(" Trust Count: " + trusts);
-    var keys = await locksmithContract 
-        .attach(locksmithAddress)
-        .keyCount();
+    var keys = await locksmithContract.keyCount();
     console.log(" Key Count: " + keys);
     
     console.log(greenText, "\n=== VAULT INFO ===\n");
     var etherVaultAddress = LocksmithRegistry.getContractAddress(chainId, 'EtherVault');
-    var tvl = await ethers.provider.getBalance(etherVaultAddress);
+    var tvl = await owner.signer.provider.getBalance(etherVaultAddress);
     console.log(" Ether Vault TVL (eth): " + ethers.utils.formatEther(tvl));
   });
 
-task("assets", "Degenerately spam the network with ERC20s.")
+genieTask("balances", "Show the balance sheet of a trust, by key, provider, and asset.")
+  .addParam('trust', 'The ID of the trust.', undefined, types.int)
+  .addOptionalParam('format', 'How to print the balances: table, json, or csv.', 'table')
+  .addOptionalParam('output', 'A file to write the balances to, as json unless the format is csv.')
   .setAction(async (taskArgs) => {
-    await run("shadow", {alias: 'usdc', ticker: 'USDC', amount: 100000});
-    await run("shadow", {alias: 'link', ticker: 'LINK', amount: 100000});
+    const format = taskArgs['format'];
+    if (!['table', 'json', 'csv'].includes(format)) {
+      throw new HardhatPluginError('genie', 'Unknown format "' + format + '". Use table, json, or csv.');
+    }
+
+    const owner = await patchOwner(taskArgs);
+    const sheet = await GenieBalances.buildBalanceSheet(owner, taskArgs['trust']);
+    const render = (f) => f === 'csv' ? GenieBalances.renderCsv(sheet) : JSON.stringify(sheet, null, 2) + '\n';
+
+    if (taskArgs['output']) {
+      fs.writeFileSync(taskArgs['output'], render(format));
+    }
+
+    // nothing but the data, so it can be piped
+    if (format !== 'table') {
+      process.stdout.write(render(format));
+      return 0;
+    }
+
+    console.log(greenText, '\n==== GENIE, BALANCES! ====\n');
+    console.log(JSON.stringify(taskArgs, null, 2));
+    console.log(greenText, "\n=== SIGNER INFO ===\n");
+    console.log(" Signer Network Chain ID: " + owner.chainId);
+    console.log(" Signer Wallet Address: " + owner.address);
+
+    console.log(greenText, "\n=== TRUST INFO ===\n");
+    console.log(" Trust: " + sheet.trust.id + " (" + sheet.trust.name + ")");
+    console.log(" Root Key: " + sheet.trust.rootKeyId);
+    console.log(" Block Number: " + sheet.blockNumber);
+
+    var context = null;
+    var provider = null;
+    for (const row of sheet.rows) {
+      if (context !== row.context + row.identifier) {
+        context = row.context + row.identifier;
+        provider = null;
+        console.log(greenText, "\n=== " + (row.context === 'key' ? 'KEY ' + row.identifier + ' (' + row.name + ')' :
+          row.context.toUpperCase() + (row.context === 'trust' ? ' ' + row.identifier : '')) + " ===\n");
+      }
+      if (provider !== row.provider) {
+        provider = row.provider;
+        console.log(cyanText, " " + (row.providerAlias || 'Unknown Provider') + " (" + row.provider + ")");
+      }
+      const label = row.symbol || row.asset || row.arn;
+      const nft = row.standard === 721 || row.standard === 1155;
+      console.log((row.amount === '0' ? yellowText : '%s'), "   " + row.formatted + " " + label +
+        (nft ? ' #' + row.tokenId : ''));
+    }
+
+    if (sheet.rows.length === 0) {
+      console.log(yellowText, "\nNothing is on balance for this trust.");
+    }
   });
 
-task("blast", "Degenerately deploy the entire platform, assuming a clean slate.")
-  .addOptionalParam('upgrade', 'Flag to do an upgrade deployment even if there\'s and existing address.', false, types.boolean)
+genieTask("index", "Index the registry contracts' events into a local database, by trust and key.")
+  .addOptionalParam('fromBlock', 'The block a new index starts at, by default the first deployment, if the registry knows it.', undefined, types.int)
+  .addOptionalParam('toBlock', 'The block to index up to, by default the latest.', undefined, types.int)
+  .addOptionalParam('reorgDepth', 'How many blocks to roll back when the chain reorganizes.', 12, types.int)
+  .addOptionalParam('batchSize', 'How many blocks to request logs for at once.', 2000, types.int)
+  .addOptionalParam('db', 'The index database file, by default one per chain in the cache.')
+  .addOptionalParam('reset', 'Flag to discard the index and start over.', false, types.boolean)
+  .setAction(async (taskArgs) => {
+    const owner = await patchOwner(taskArgs);
+    const fileName = taskArgs['db'] || GenieIndexer.getDatabaseFileName(owner.chainId);
+
+    console.log(greenText, '\n==== GENIE, INDEX! ====\n');
+    console.log(JSON.stringify(taskArgs, null, 2));
+    console.log(" Signer Network Chain ID: " + owner.chainId);
+    console.log(" Index Database: " + fileName);
+
+    const result = await GenieIndexer.sync(owner.signer.provider, owner.chainId, {
+      fileName: fileName,
+      fromBlock: taskArgs['fromBlock'],
+      toBlock: taskArgs['toBlock'],
+      reorgDepth: taskArgs['reorgDepth'],
+      batchSize: taskArgs['batchSize'],
+      reset: taskArgs['reset']
+    });
+
+    console.log(greenText, "\n=== INDEX ===\n");
+    if (result.rolledBack > 0) {
+      console.log(yellowText, " The chain reorganized, rolled back " + result.rolledBack + " blocks.");
+    }
+    if (result.fromBlock > result.toBlock) {
+      console.log(yellowText, " Already indexed up to block " + result.toBlock + ".");
+    } else {
+      console.log(" Blocks: " + result.fromBlock + " to " + result.toBlock);
+    }
+    console.log(" Events Added: " + result.added);
+    console.log(" Events Indexed: " + result.events);
+    console.log(" Trusts: " + result.trusts);
+    console.log(" Keys: " + result.keys);
+
+    var counts = {};
+    for (const event of GenieIndexer.load(fileName).events) {
+      const name = event.contract + '.' + event.event;
+      counts[name] = (counts[name] || 0) + 1;
+    }
+    console.log(greenText, "\n=== EVENTS ===\n");
+    for (const [name, count] of Object.entries(counts).sort()) {
+      console.log(" " + name + ": " + count);
+    }
+  });
+
+genieTask("timeline", "Show the history of a trust from the event index, as markdown, json, or csv.")
+  .addParam('trust', 'The ID of the trust.', undefined, types.int)
+  .addOptionalParam('format', 'How to print the timeline: markdown, json, or csv.', 'markdown')
+  .addOptionalParam('output', 'A file to write the timeline to, in the same format.')
+  .addOptionalParam('db', 'The index database file, by default one per chain in the cache.')
   .setAction(async (taskArgs) => {
-    await run("deploy", {contract: 'KeyVault', upgrade: taskArgs['upgrade']});
-    await run("deploy", {contract: 'Locksmith', upgrade: taskArgs['upgrade']});
-    await run("deploy", {contract: 'KeyLocker', upgrade: taskArgs['upgrade']});
-    await run("deploy", {contract: 'Notary', upgrade: taskArgs['upgrade']});
-    await run("deploy", {contract: 'Ledger', upgrade: taskArgs['upgrade']});
-    await run("deploy", {contract: 'EtherVault', upgrade: taskArgs['upgrade']});
-    await run("deploy", {contract: 'TokenVault', upgrade: taskArgs['upgrade']});
-    await run("deploy", {contract: 'TrustEventLog', upgrade: taskArgs['upgrade']});
-    await run("deploy", {contract: 'AlarmClock', upgrade: taskArgs['upgrade']});
-    await run("deploy", {contract: 'KeyOracle', upgrade: taskArgs['upgrade']});
-    await run("deploy", {contract: 'Trustee', upgrade: taskArgs['upgrade']});
-    await run("deploy", {contract: 'Allowance', upgrade: taskArgs['upgrade']});
-    await run("deploy", {contract: 'Distributor', upgrade: taskArgs['upgrade']});
-    await run("deploy", {contract: 'PostOffice', upgrade: taskArgs['upgrade']});
-    await run("deploy", {contract: 'KeyAddressFactory', upgrade: taskArgs['upgrade']});
-    await run("deploy", {contract: 'MegaKeyCreator', upgrade: taskArgs['upgrade']});
-    await run("deploy", {contract: 'TrustCreator', upgrade: taskArgs['upgrade']});
-    await run("deploy", {contract: 'TrustRecoveryCenter', upgrade: taskArgs['upgrade']});
-    await run("deploy", {contract: 'RecoveryPolicyCreator', upgrade: taskArgs['upgrade']});
-    if(!taskArgs['upgrade']) {
-      await run("respect");
+    const format = taskArgs['format'];
+    if (!['markdown', 'json', 'csv'].includes(format)) {
+      throw new HardhatPluginError('genie', 'Unknown format "' + format + '". Use markdown, json, or csv.');
+    }
+
+    // bring the index up to date first
+    const owner = await patchOwner(taskArgs);
+    const provider = owner.signer.provider;
+    const fileName = taskArgs['db'] || GenieIndexer.getDatabaseFileName(owner.chainId);
+    await GenieIndexer.sync(provider, owner.chainId, { fileName: fileName });
+
+    const timeline = await GenieTimeline.buildTimeline(GenieIndexer.load(fileName), provider,
+      taskArgs['trust'], Arn.createArnBook().loadAssets(owner.chainId));
+    const rendered = format === 'markdown' ? GenieTimeline.renderMarkdown(timeline) :
+      (format === 'csv' ? GenieTimeline.renderCsv(timeline) : JSON.stringify(timeline, null, 2) + '\n');
+
+    if (taskArgs['output']) {
+      fs.writeFileSync(taskArgs['output'], rendered);
+    }
+
+    // nothing but the timeline, so it can be piped
+    process.stdout.write(rendered);
+  });
+
+genieTask("keeper", "Watch the alarm clock, and challenge every alarm once it is due.")
+  .addOptionalParam('interval', 'How many seconds to wait between rounds.', 60, types.int)
+  .addOptionalParam('rounds', 'How many rounds to run, or 0 to run until stopped.', 0, types.int)
+  .addOptionalParam('dry', 'Flag to only report the alarms that are due.', false, types.boolean)
+  .addOptionalParam('fromBlock', 'The block a new state starts scanning at, by default the alarm clock deployment, if the registry knows it.', undefined, types.int)
+  .addOptionalParam('state', 'The keeper state file, by default one per chain in the cache.')
+  .addOptionalParam('reset', 'Flag to discard the keeper state and start over.', false, types.boolean)
+  .setAction(async (taskArgs) => {
+    const owner = await patchOwner(taskArgs);
+    const chainId = owner.chainId;
+    const fileName = taskArgs['state'] || GenieKeeper.getStateFileName(chainId);
+
+    console.log(greenText, '\n==== GENIE, KEEP! ====\n');
+    console.log(JSON.stringify(taskArgs, null, 2));
+    console.log(greenText, "\n=== SIGNER INFO ===\n");
+    console.log(" Signer Network Chain ID: " + chainId);
+    console.log(" Signer Wallet Address: " + owner.address);
+
+    console.log(greenText, "\n=== CONTRACT INFO ===\n");
+    const alarmClockAddress = LocksmithRegistry.getContractAddress(chainId, 'AlarmClock');
+    console.log(alarmClockAddress ? greenText : redText, " AlarmClock: " + alarmClockAddress);
+    if (alarmClockAddress === null) {
+      console.log(yellowText, "\n\nThere is no alarm clock to keep!");
+      return 1;
+    }
+    const alarmClock = await owner.getContract('AlarmClock', alarmClockAddress);
+    const trustEventLog = await owner.getContract('TrustEventLog', await alarmClock.trustEventLog());
+    console.log(" TrustEventLog: " + trustEventLog.address);
+    console.log(" Keeper State: " + fileName);
+    if (taskArgs['dry']) {
+      console.log(yellowText, " Dry run, nothing will be challenged.");
+    }
+
+    const record = LocksmithRegistry.getContractRecord(chainId, 'AlarmClock');
+    const colors = { challenged: greenText, fired: cyanText, snoozed: cyanText, due: yellowText, failed: redText };
+    await GenieKeeper.run({ alarmClock, trustEventLog }, chainId, {
+      fileName: fileName,
+      fromBlock: taskArgs['fromBlock'] === undefined ? (record || {}).blockNumber : taskArgs['fromBlock'],
+      reset: taskArgs['reset'],
+      dryRun: taskArgs['dry'],
+      interval: taskArgs['interval'],
+      rounds: taskArgs['rounds'],
+      onRound: (report) => {
+        console.log(greenText, "\n=== ROUND " + report.round + " (" + new Date().toISOString() + ") ===\n");
+        if (report.error) {
+          console.log(redText, " " + Errors.formatError(report.error));
+          return;
+        }
+        if (report.fromBlock > report.toBlock) {
+          console.log(" Already scanned up to block " + report.toBlock + ".");
+        } else {
+          console.log(" Blocks: " + report.fromBlock + " to " + report.toBlock + ", " + report.found + " alarm events");
+        }
+        console.log(" Waiting Alarms: " + report.waiting);
+        for (const result of report.results) {
+          console.log(colors[result.action], " " + result.action.toUpperCase() + " " + result.eventHash +
+            " (trust " + result.trustId + ", due " + new Date(result.alarmTime * 1000).toISOString() + ")" +
+            (result.transactionHash ? ": " + result.transactionHash : ''));
+          if (result.error) {
+            console.log(redText, "   " + result.error);
+          }
+        }
+      }
+    });
+  });
+
+genieTask("redeem", "Redeem the signer's vested allowances, and show when the next tranches vest.")
+  .addOptionalParam('keys', 'The comma separated key IDs to redeem for, by default every key the signer holds.')
+  .addOptionalParam('interval', 'How many seconds to wait between rounds.', 60, types.int)
+  .addOptionalParam('rounds', 'How many rounds to run, or 0 to run until stopped.', 0, types.int)
+  .addOptionalParam('batchSize', 'How many redemptions to send at once.', 5, types.int)
+  .addOptionalParam('upcoming', 'How many of the next vest dates to show per allowance.', 3, types.int)
+  .addOptionalParam('dry', 'Flag to only report the allowances that are redeemable.', false, types.boolean)
+  .setAction(async (taskArgs) => {
+    const owner = await patchOwner(taskArgs);
+    const chainId = owner.chainId;
+
+    console.log(greenText, '\n==== GENIE, REDEEM! ====\n');
+    console.log(JSON.stringify(taskArgs, null, 2));
+    console.log(greenText, "\n=== SIGNER INFO ===\n");
+    console.log(" Signer Network Chain ID: " + chainId);
+    console.log(" Signer Wallet Address: " + owner.address);
+
+    console.log(greenText, "\n=== CONTRACT INFO ===\n");
+    const allowanceAddress = LocksmithRegistry.getContractAddress(chainId, 'Allowance');
+    const keyVaultAddress = LocksmithRegistry.getContractAddress(chainId, 'KeyVault');
+    console.log(allowanceAddress ? greenText : redText, " Allowance: " + allowanceAddress);
+    console.log(keyVaultAddress ? greenText : redText, " KeyVault: " + keyVaultAddress);
+    if (allowanceAddress === null || keyVaultAddress === null) {
+      console.log(yellowText, "\n\nYou are missing dependencies for this action!");
+      return 1;
+    }
+    const allowance = await owner.getContract('Allowance', allowanceAddress);
+    const keyVault = await owner.getContract('KeyVault', keyVaultAddress);
+    const trustEventLog = await owner.getContract('TrustEventLog', await allowance.trustEventLog());
+    if (taskArgs['dry']) {
+      console.log(yellowText, " Dry run, nothing will be redeemed.");
+    }
+
+    const arns = Arn.createArnBook().loadAssets(chainId);
+    const date = (timestamp) => new Date(timestamp * 1000).toISOString();
+    const colors = { redeemable: greenText, vesting: cyanText, 'waiting for events': yellowText,
+      unaffordable: redText, exhausted: '%s' };
+    await GenieRedeemer.run({ allowance, keyVault, trustEventLog }, {
+      keys: taskArgs['keys'] ? taskArgs['keys'].split(',').map((k) => k.trim()) : undefined,
+      dryRun: taskArgs['dry'],
+      batchSize: taskArgs['batchSize'],
+      upcoming: taskArgs['upcoming'],
+      interval: taskArgs['interval'],
+      rounds: taskArgs['rounds'],
+      onRound: (report) => {
+        console.log(greenText, "\n=== ROUND " + report.round + " (" + new Date().toISOString() + ") ===\n");
+        if (report.error) {
+          console.log(redText, " " + Errors.formatError(report.error));
+          return;
+        }
+        console.log(" Keys: " + (report.keys.join(', ') || 'none'));
+        console.log(" Block Time: " + date(report.timestamp));
+        for (const a of report.allowances) {
+          console.log(colors[a.status], "\n " + a.name + " for key " + a.recipientKeyId + ": " + a.status);
+          console.log("   - Allowance ID: " + a.allowanceId);
+          console.log("   - Tranches Left: " + a.remainingTrancheCount + ", every " + a.vestingInterval + " seconds");
+          console.log("   - Each Tranche: " + a.entitlements.map((e) => arns.formatBalance(e.arn, e.amount).display +
+            " from key " + e.sourceKey).join(', '));
+          a.requiredEvents.filter((e) => !e.fired).forEach((e) => console.log("   - Waiting For: " + e.eventHash));
+          if (a.upcoming.length > 0) {
+            console.log("   - Vests: " + a.upcoming.map(date).join(', '));
+          }
+        }
+        if (report.allowances.length === 0) {
+          console.log(yellowText, " There are no allowances for these keys.");
+        }
+        for (const result of report.results) {
+          console.log(result.action === 'failed' ? redText : (result.action === 'due' ? yellowText : greenText),
+            "\n " + result.action.toUpperCase() + " " + result.allowanceId +
+            (result.action === 'redeemed' ? ": " + result.redeemedTranches + " tranches in " +
+              result.transactionHash + ", next vest " + date(result.nextVestTime) : ''));
+          if (result.error) {
+            console.log(redText, "   " + result.error);
+          }
+        }
+      }
+    });
+  });
+
+genieTask("readiness", "Check whether a root key could be recovered today, and what stands in the way.")
+  .addParam('key', 'The ID of the root key.', undefined, types.int)
+  .setAction(async (taskArgs) => {
+    const owner = await patchOwner(taskArgs);
+    const chainId = owner.chainId;
+
+    console.log(greenText, '\n==== GENIE, READINESS! ====\n');
+    console.log(JSON.stringify(taskArgs, null, 2));
+    console.log(" Signer Network Chain ID: " + chainId);
+
+    console.log(greenText, "\n=== CONTRACT INFO ===\n");
+    var contracts = {};
+    var aliases = {};
+    for (const [name, alias] of [['recovery', 'TrustRecoveryCenter'], ['keyVault', 'KeyVault'],
+        ['alarmClock', 'AlarmClock'], ['keyOracle', 'KeyOracle']]) {
+      const address = LocksmithRegistry.getContractAddress(chainId, alias);
+      console.log(address ? greenText : yellowText, " " + alias + ": " + address);
+      if (address !== null) {
+        contracts[name] = await owner.getContract(alias, address);
+        aliases[ethers.utils.getAddress(address)] = alias;
+      }
+    }
+    if (!contracts.recovery || !contracts.keyVault) {
+      console.log(yellowText, "\n\nYou are missing dependencies for this action!");
+      return 1;
+    }
+    contracts.trustEventLog = await owner.getContract('TrustEventLog', await contracts.recovery.trustEventLog());
+    console.log(" TrustEventLog: " + contracts.trustEventLog.address);
+
+    const report = await GenieRecovery.checkReadiness(contracts, taskArgs['key']);
+    const date = (timestamp) => new Date(timestamp * 1000).toISOString();
+
+    console.log(greenText, "\n=== POLICY ===\n");
+    console.log(" Root Key: " + report.rootKeyId);
+    console.log(" Block: " + report.blockNumber + " (" + date(report.timestamp) + ")");
+    console.log(report.policy ? '%s' : redText, " Policy: " + (report.policy ? 'yes' : 'none'));
+    if (report.policy) {
+      console.log(report.keyHeld ? '%s' : redText, " Key Held For Recovery: " + (report.keyHeld ? 'yes' : 'no'));
+    }
+
+    if (report.events.length > 0) {
+      console.log(greenText, "\n=== EVENTS ===\n");
+    }
+    for (const event of report.events) {
+      console.log(event.fired ? greenText : yellowText, " [" + (event.fired ? '✓' : ' ') + "] " +
+        (event.description === null ? event.eventHash : event.description + ' (' + event.eventHash + ')'));
+      if (event.registered) {
+        console.log("       - Dispatcher: " + (aliases[event.dispatcher] || event.dispatcher));
+      }
+      if (event.backing && event.backing.type === 'alarm') {
+        console.log("       - Alarm Time: " + date(event.backing.alarmTime) + (event.backing.due ? ', due' : ''));
+        if (event.backing.snoozeKeyId !== null) {
+          console.log("       - Snoozed By: key " + event.backing.snoozeKeyId + ", every " +
+            event.backing.snoozeInterval + " seconds");
+        }
+      }
+      if (event.backing && event.backing.type === 'oracle') {
+        console.log("       - Oracle Key: " + event.backing.keyId + ", held by " +
+          (event.backing.holders.join(', ') || 'nobody'));
+      }
+    }
+
+    if (report.guardians.length > 0) {
+      console.log(greenText, "\n=== GUARDIANS ===\n");
+    }
+    for (const guardian of report.guardians) {
+      console.log(guardian.ready ? greenText : (guardian.canFinish ? cyanText : yellowText), " " + guardian.address +
+        ": " + (guardian.ready ? 'can recover now' : (guardian.canFinish ? 'can fire what is left, then recover' :
+        'blocked')));
+      if (!guardian.ready && guardian.canFire.length > 0) {
+        console.log("       - Can Fire: " + guardian.canFire.join(', '));
+      }
+    }
+
+    console.log(greenText, "\n=== VERDICT ===\n");
+    if (report.ready) {
+      console.log(greenText, " Any guardian could recover key " + report.rootKeyId + " today.");
+    }
+    report.blockers.forEach((blocker) => console.log(redText, " " + blocker));
+  });
+
+genieTask("statement", "Export the transaction history of an inbox, or every inbox of a key, as json or csv.")
+  .addOptionalParam('inbox', 'The address of the inbox.')
+  .addOptionalParam('key', 'The ID of the key whose inboxes to export, from the post office.', undefined, types.int)
+  .addOptionalParam('format', 'How to print the statement: json or csv.', 'json')
+  .addOptionalParam('output', 'A file to write the statement to, in the same format.')
+  .addOptionalParam('pageSize', 'How many transactions to read at once.', 50, types.int)
+  .setAction(async (taskArgs) => {
+    const format = taskArgs['format'];
+    if (!['json', 'csv'].includes(format)) {
+      throw new HardhatPluginError('genie', 'Unknown format "' + format + '". Use json or csv.');
+    }
+    if ((taskArgs['inbox'] === undefined) === (taskArgs['key'] === undefined)) {
+      throw new HardhatPluginError('genie', 'Give either an --inbox or a --key.');
+    }
+
+    const owner = await patchOwner(taskArgs);
+    const provider = owner.signer.provider;
+    const book = Arn.createArnBook().loadAssets(owner.chainId);
+
+    // the providers, by their registry names
+    var names = {};
+    for (const alias of LocksmithRegistry.getContractList()) {
+      const address = LocksmithRegistry.getContractAddress(owner.chainId, alias);
+      if (address !== null) {
+        names[address] = alias;
+      }
+    }
+    const options = { names: names, pageSize: taskArgs['pageSize'] };
+
+    var statement;
+    if (taskArgs['inbox'] !== undefined) {
+      statement = await Statement.buildStatement(provider, taskArgs['inbox'], book, options);
+    } else {
+      const postOfficeAddress = LocksmithRegistry.getContractAddress(owner.chainId, 'PostOffice');
+      if (postOfficeAddress === null) {
+        throw new HardhatPluginError('genie', 'There is no post office to find the inboxes of key ' +
+          taskArgs['key'] + ' in.');
+      }
+      statement = await Statement.buildKeyStatement(provider, postOfficeAddress, taskArgs['key'], book, options);
+    }
+    const rendered = format === 'csv' ? Statement.renderCsv(statement) : JSON.stringify(statement, null, 2) + '\n';
+
+    if (taskArgs['output']) {
+      fs.writeFileSync(taskArgs['output'], rendered);
+    }
+
+    // nothing but the statement, so it can be piped
+    process.stdout.write(rendered);
+  });
+
+genieTask("trust:create", "Create a trust, and send its root key to the recipient.")
+  .addParam('name', 'The name of the trust.')
+  .addOptionalParam('recipient', 'The address to send the root key to, by default the signer.')
+  .addOptionalParam('dry', 'Flag to show the changes without submitting them.', false, types.boolean)
+  .addOptionalParam('yes', 'Flag to send without asking for confirmation.', false, types.boolean)
+  .setAction(async (taskArgs) => {
+    return administer(taskArgs, 'TRUST:CREATE', [], async (owner, contracts) => {
+      const recipient = taskArgs['recipient'] || owner.address;
+      return [{
+        description: 'Create trust "' + taskArgs['name'] + '", sending its root key to ' + recipient,
+        submit: () => contracts.Locksmith.createTrustAndRootKey(Locksmith.toBytes32(taskArgs['name']), recipient)
+      }];
+    });
+  });
+
+genieTask("key:create", "Create a key in the trust of a root key, and send it to the receiver.")
+  .addParam('root', 'The ID of the root key.', undefined, types.int)
+  .addParam('name', 'The name of the new key.')
+  .addOptionalParam('receiver', 'The address to send the key to, by default the signer.')
+  .addOptionalParam('soulbind', 'Flag to soulbind the key to the receiver.', false, types.boolean)
+  .addOptionalParam('dry', 'Flag to show the changes without submitting them.', false, types.boolean)
+  .addOptionalParam('yes', 'Flag to send without asking for confirmation.', false, types.boolean)
+  .setAction(async (taskArgs) => {
+    return administer(taskArgs, 'KEY:CREATE', [], async (owner, contracts, names) => {
+      const trustId = await GenieAdmin.requireKey(contracts.Locksmith, owner.address, taskArgs['root'], true);
+      const receiver = taskArgs['receiver'] || owner.address;
+      return [{
+        description: 'Create key "' + taskArgs['name'] + '" in ' + await names.trust(trustId) + ' with ' +
+          await names.key(taskArgs['root']) + ', for ' + receiver + (taskArgs['soulbind'] ? ', soulbound' : ''),
+        submit: () => contracts.Locksmith.createKey(taskArgs['root'], Locksmith.toBytes32(taskArgs['name']),
+          receiver, taskArgs['soulbind'])
+      }];
+    });
+  });
+
+genieTask("key:copy", "Mint another copy of a key in the trust of a root key, and send it to the receiver.")
+  .addParam('root', 'The ID of the root key.', undefined, types.int)
+  .addParam('key', 'The ID of the key to copy.', undefined, types.int)
+  .addOptionalParam('receiver', 'The address to send the copy to, by default the signer.')
+  .addOptionalParam('soulbind', 'Flag to soulbind the copy to the receiver.', false, types.boolean)
+  .addOptionalParam('dry', 'Flag to show the changes without submitting them.', false, types.boolean)
+  .addOptionalParam('yes', 'Flag to send without asking for confirmation.', false, types.boolean)
+  .setAction(async (taskArgs) => {
+    return administer(taskArgs, 'KEY:COPY', [], async (owner, contracts, names) => {
+      const trustId = await GenieAdmin.requireKey(contracts.Locksmith, owner.address, taskArgs['root'], true);
+      const receiver = taskArgs['receiver'] || owner.address;
+      return [{
+        description: 'Copy ' + await names.key(taskArgs['key']) + ' of ' + await names.trust(trustId) + ' to ' +
+          receiver + ' with ' + await names.key(taskArgs['root']) + (taskArgs['soulbind'] ? ', soulbound' : ''),
+        submit: () => contracts.Locksmith.copyKey(taskArgs['root'], taskArgs['key'], receiver, taskArgs['soulbind'])
+      }];
+    });
+  });
+
+genieTask("key:soulbind", "Set how many of a holder's keys are soulbound, or 0 to unbind them.")
+  .addParam('root', 'The ID of the root key.', undefined, types.int)
+  .addParam('key', 'The ID of the key to soulbind.', undefined, types.int)
+  .addParam('holder', 'The address holding the key.')
+  .addOptionalParam('amount', 'How many of the holder\'s keys to soulbind.', 1, types.int)
+  .addOptionalParam('dry', 'Flag to show the changes without submitting them.', false, types.boolean)
+  .addOptionalParam('yes', 'Flag to send without asking for confirmation.', false, types.boolean)
+  .setAction(async (taskArgs) => {
+    return administer(taskArgs, 'KEY:SOULBIND', ['KeyVault'], async (owner, contracts, names) => {
+      await GenieAdmin.requireKey(contracts.Locksmith, owner.address, taskArgs['root'], true);
+      const key = await names.key(taskArgs['key']);
+      const held = await contracts.KeyVault.keyBalanceOf(taskArgs['holder'], taskArgs['key'], false);
+      const bound = await contracts.KeyVault.keyBalanceOf(taskArgs['holder'], taskArgs['key'], true);
+      return [{
+        description: (taskArgs['amount'] === 0 ? 'Unbind ' + key + ' from ' + taskArgs['holder'] :
+          'Soulbind ' + taskArgs['amount'] + ' of ' + key + ' to ' + taskArgs['holder']) + ' with ' +
+          await names.key(taskArgs['root']) + ' (holds ' + held + ', ' + bound + ' soulbound)',
+        submit: () => contracts.Locksmith.soulbindKey(taskArgs['root'], taskArgs['holder'], taskArgs['key'],
+          taskArgs['amount'])
+      }];
+    });
+  });
+
+genieTask("key:burn", "Burn keys held by an address, using the root key of their trust.")
+  .addParam('root', 'The ID of the root key.', undefined, types.int)
+  .addParam('key', 'The ID of the key to burn.', undefined, types.int)
+  .addParam('holder', 'The address holding the key.')
+  .addOptionalParam('amount', 'How many of the holder\'s keys to burn.', 1, types.int)
+  .addOptionalParam('dry', 'Flag to show the changes without submitting them.', false, types.boolean)
+  .addOptionalParam('yes', 'Flag to send without asking for confirmation.', false, types.boolean)
+  .setAction(async (taskArgs) => {
+    return administer(taskArgs, 'KEY:BURN', ['KeyVault'], async (owner, contracts, names) => {
+      await GenieAdmin.requireKey(contracts.Locksmith, owner.address, taskArgs['root'], true);
+      const held = await contracts.KeyVault.keyBalanceOf(taskArgs['holder'], taskArgs['key'], false);
+      if (held.lt(taskArgs['amount'])) {
+        throw new HardhatPluginError('genie', taskArgs['holder'] + ' only holds ' + held + ' of key ' +
+          taskArgs['key'] + '.');
+      }
+      return [{
+        description: 'Burn ' + taskArgs['amount'] + ' of ' + await names.key(taskArgs['key']) + ' held by ' +
+          taskArgs['holder'] + ' (holds ' + held + ') with ' + await names.key(taskArgs['root']),
+        submit: () => contracts.Locksmith.burnKey(taskArgs['root'], taskArgs['key'], taskArgs['holder'],
+          taskArgs['amount'])
+      }];
+    });
+  });
+
+genieTask("key:inspect", "Show a key's name, trust, and holders, and the other keys of its trust.")
+  .addParam('key', 'The ID of the key.', undefined, types.int)
+  .setAction(async (taskArgs) => {
+    const owner = await patchOwner(taskArgs);
+    const chainId = owner.chainId;
+
+    console.log(greenText, '\n==== GENIE, KEY:INSPECT! ====\n');
+    console.log(JSON.stringify(taskArgs, null, 2));
+    console.log(" Signer Network Chain ID: " + chainId);
+
+    console.log(greenText, "\n=== CONTRACT INFO ===\n");
+    const locksmithAddress = LocksmithRegistry.getContractAddress(chainId, 'Locksmith');
+    const keyVaultAddress = LocksmithRegistry.getContractAddress(chainId, 'KeyVault');
+    console.log(locksmithAddress ? greenText : redText, " Locksmith: " + locksmithAddress);
+    console.log(keyVaultAddress ? greenText : redText, " KeyVault: " + keyVaultAddress);
+    if (locksmithAddress === null || keyVaultAddress === null) {
+      console.log(yellowText, "\n\nYou are missing dependencies for this action!");
+      return 1;
+    }
+    const locksmith = await owner.getContract('Locksmith', locksmithAddress);
+    const keyVault = await owner.getContract('KeyVault', keyVaultAddress);
+    const names = GenieAdmin.getNames(locksmith);
+
+    const [valid, , trustId, isRoot, keys] = await locksmith.inspectKey(taskArgs['key']);
+    if (!valid) {
+      console.log(redText, "\nKey " + taskArgs['key'] + " does not exist.");
+      return 1;
+    }
+    const [, , rootKeyId] = await locksmith.getTrustInfo(trustId);
+
+    console.log(greenText, "\n=== KEY INFO ===\n");
+    console.log(" Key: " + await names.key(taskArgs['key']));
+    console.log(" Trust: " + await names.trust(trustId));
+    console.log(" Root Key: " + (isRoot ? 'yes' : 'no, ' + await names.key(rootKeyId)));
+    console.log(" Supply: " + await keyVault.keySupply(taskArgs['key']));
+
+    console.log(greenText, "\n=== HOLDERS ===\n");
+    const holders = await keyVault.getHolders(taskArgs['key']);
+    for (const holder of holders) {
+      const held = await keyVault.keyBalanceOf(holder, taskArgs['key'], false);
+      const bound = await keyVault.keyBalanceOf(holder, taskArgs['key'], true);
+      console.log(" " + holder + ": " + held + (bound.gt(0) ? ', ' + bound + ' soulbound' : ''));
+    }
+    if (holders.length === 0) {
+      console.log(yellowText, " Nobody holds this key.");
+    }
+
+    console.log(greenText, "\n=== TRUST KEYS ===\n");
+    for (const keyId of keys) {
+      console.log((keyId.eq(taskArgs['key']) ? cyanText : '%s'), " " + await names.key(keyId));
+    }
+  });
+
+genieTask("notary:role", "Trust or distrust an actor in a ledger role for the trust of a root key.")
+  .addParam('root', 'The ID of the root key.', undefined, types.int)
+  .addParam('role', 'The role: ' + Object.keys(GenieWiring.getRoles()).join(', ') + '.')
+  .addParam('actor', 'The registry alias or address of the actor.')
+  .addOptionalParam('ledger', 'The registry alias or address of the ledger, by default the Ledger, ' +
+    'or the TrustEventLog for dispatchers.')
+  .addOptionalParam('name', 'The name the trust knows the actor by, by default its alias.')
+  .addOptionalParam('distrust', 'Flag to take the role away instead.', false, types.boolean)
+  .addOptionalParam('dry', 'Flag to show the changes without submitting them.', false, types.boolean)
+  .addOptionalParam('yes', 'Flag to send without asking for confirmation.', false, types.boolean)
+  .setAction(async (taskArgs) => {
+    const roleName = taskArgs['role'].toUpperCase();
+    const role = GenieWiring.getRoles()[roleName];
+    if (role === undefined) {
+      throw new HardhatPluginError('genie', 'Unknown role "' + taskArgs['role'] + '". Use one of: ' +
+        Object.keys(GenieWiring.getRoles()).join(', ') + '.');
+    }
+    return administer(taskArgs, 'NOTARY:ROLE', ['Notary'], async (owner, contracts, names) => {
+      const trustId = await GenieAdmin.requireKey(contracts.Locksmith, owner.address, taskArgs['root'], true);
+      const ledgerAlias = taskArgs['ledger'] || (roleName === 'EVENT_DISPATCHER' ? 'TrustEventLog' : 'Ledger');
+      const ledger = GenieWiring.resolveAddress(owner.chainId, ledgerAlias);
+      const actor = GenieWiring.resolveAddress(owner.chainId, taskArgs['actor']);
+      if (ledger === null || actor === null) {
+        throw new HardhatPluginError('genie', 'There is no ' + (ledger === null ? ledgerAlias : taskArgs['actor']) +
+          ' in the registry.');
+      }
+
+      // by default, actors are named like the wiring manifest names them
+      const manifest = GenieWiring.getManifest(owner.chainId);
+      const wired = ((manifest.roles || {})[roleName] || {})[ledgerAlias] || {};
+      const trustLevel = !taskArgs['distrust'];
+      const name = !trustLevel ? '' : taskArgs['name'] || wired[taskArgs['actor']] ||
+        (ethers.utils.isAddress(taskArgs['actor']) ? '' : taskArgs['actor']);
+      const trusted = (await contracts.Notary.getTrustedActors(ledger, trustId, role))
+        .map((a) => ethers.utils.getAddress(a)).includes(actor);
+      if (trusted === trustLevel) {
+        throw new HardhatPluginError('genie', taskArgs['actor'] + ' is ' + (trusted ? 'already' : 'not') +
+          ' trusted as ' + roleName + ' on ' + ledgerAlias + ' for trust ' + trustId + '.');
+      }
+
+      return [{
+        description: (trustLevel ? 'Trust ' : 'Distrust ') + taskArgs['actor'] + (name ? ' ("' + name + '")' : '') +
+          ' as ' + roleName + ' on ' + ledgerAlias + ' for ' + await names.trust(trustId) + ' with ' +
+          await names.key(taskArgs['root']),
+        submit: () => contracts.Notary.setTrustedLedgerRole(taskArgs['root'], role, ledger, actor, trustLevel,
+          Locksmith.toBytes32(name))
+      }];
+    });
+  });
+
+genieTask("vault:deposit", "Deposit ether or an ERC20 from the signer into a key's vault.")
+  .addParam('key', 'The ID of the key to deposit for.', undefined, types.int)
+  .addParam('amount', 'The amount, in whole units of the asset.')
+  .addOptionalParam('asset', 'The asset\'s alias, symbol, or token address, by default ETH.')
+  .addOptionalParam('dry', 'Flag to show the changes without submitting them.', false, types.boolean)
+  .addOptionalParam('yes', 'Flag to send without asking for confirmation.', false, types.boolean)
+  .setAction(async (taskArgs) => {
+    const vaultAlias = GenieAdmin.isGas(taskArgs['asset']) ? 'EtherVault' : 'TokenVault';
+    return administer(taskArgs, 'VAULT:DEPOSIT', [vaultAlias], async (owner, contracts, names, book) => {
+      await GenieAdmin.requireKey(contracts.Locksmith, owner.address, taskArgs['key']);
+      const asset = await GenieAdmin.resolveAsset(owner.signer.provider, book, taskArgs['asset']);
+      const amount = GenieAdmin.parseAmount(asset, taskArgs['amount']);
+      const display = book.formatBalance(asset.arn, amount).display;
+      const vault = contracts[vaultAlias];
+      const description = 'Deposit ' + display + ' into the ' + vaultAlias + ' for ' + await names.key(taskArgs['key']);
+
+      if (vaultAlias === 'EtherVault') {
+        return [{ description, submit: () => vault.deposit(taskArgs['key'], { value: amount }) }];
+      }
+      const token = await owner.getContract('IERC20', asset.contract);
+      var changes = [];
+      if ((await token.allowance(owner.address, vault.address)).lt(amount)) {
+        changes.push({
+          description: 'Approve the TokenVault to take ' + display + ' from ' + owner.address,
+          submit: () => token.approve(vault.address, amount)
+        });
+      }
+      changes.push({ description, submit: () => vault.deposit(taskArgs['key'], asset.contract, amount) });
+      return changes;
+    });
+  });
+
+genieTask("vault:withdraw", "Withdraw ether or an ERC20 of a key from its vault to the signer.")
+  .addParam('key', 'The ID of the key to withdraw for.', undefined, types.int)
+  .addParam('amount', 'The amount, in whole units of the asset.')
+  .addOptionalParam('asset', 'The asset\'s alias, symbol, or token address, by default ETH.')
+  .addOptionalParam('dry', 'Flag to show the changes without submitting them.', false, types.boolean)
+  .addOptionalParam('yes', 'Flag to send without asking for confirmation.', false, types.boolean)
+  .setAction(async (taskArgs) => {
+    const vaultAlias = GenieAdmin.isGas(taskArgs['asset']) ? 'EtherVault' : 'TokenVault';
+    const aliases = [vaultAlias, 'Ledger', 'Notary'];
+    return administer(taskArgs, 'VAULT:WITHDRAW', aliases, async (owner, contracts, names, book) => {
+      await GenieAdmin.requireKey(contracts.Locksmith, owner.address, taskArgs['key']);
+      const asset = await GenieAdmin.resolveAsset(owner.signer.provider, book, taskArgs['asset']);
+      const amount = GenieAdmin.parseAmount(asset, taskArgs['amount']);
+      const display = book.formatBalance(asset.arn, amount).display;
+      const key = await names.key(taskArgs['key']);
+      const vault = contracts[vaultAlias];
+      const ledger = contracts.Ledger.address;
+      const [balance] = await contracts.Ledger.getContextArnBalances(Arn.CONTEXTS.KEY, taskArgs['key'],
+        vault.address, [asset.arn]);
+
+      // the notary only lets the vault withdraw what the key holder allows
+      var changes = [];
+      if ((await contracts.Notary.withdrawalAllowances(ledger, taskArgs['key'], vault.address, asset.arn)).lt(amount)) {
+        changes.push({
+          description: 'Allow the ' + vaultAlias + ' to withdraw ' + display + ' of ' + key,
+          submit: () => contracts.Notary.setWithdrawalAllowance(ledger, vault.address, taskArgs['key'], asset.arn, amount)
+        });
+      }
+      changes.push({
+        description: 'Withdraw ' + display + ' of ' + key + ' from the ' + vaultAlias + ' to ' + owner.address +
+          ' (has ' + book.formatBalance(asset.arn, balance).display + ')',
+        submit: () => vaultAlias === 'EtherVault' ? vault.withdrawal(taskArgs['key'], amount) :
+          vault.withdrawal(taskArgs['key'], asset.contract, amount)
+      });
+      return changes;
+    });
+  });
+
+genieTask("ledger:distribute", "Move a key's funds on the ledger to other keys of its trust.")
+  .addParam('source', 'The ID of the key to move the funds from.', undefined, types.int)
+  .addParam('keys', 'The comma separated IDs of the keys to move the funds to.')
+  .addParam('amounts', 'The comma separated amounts for each key, in whole units of the asset.')
+  .addOptionalParam('asset', 'The asset\'s alias, symbol, or token address, by default ETH.')
+  .addOptionalParam('provider', 'The registry alias or address of the collateral provider, by default ' +
+    'the EtherVault or TokenVault.')
+  .addOptionalParam('dry', 'Flag to show the changes without submitting them.', false, types.boolean)
+  .addOptionalParam('yes', 'Flag to send without asking for confirmation.', false, types.boolean)
+  .setAction(async (taskArgs) => {
+    const ids = taskArgs['keys'].split(',').map((k) => k.trim());
+    const amounts = taskArgs['amounts'].split(',').map((a) => a.trim());
+    const invalid = ids.find((k) => !/^[0-9]+$/.test(k));
+    if (invalid !== undefined) {
+      throw new HardhatPluginError('genie', '"' + invalid + '" is not a key ID.');
+    }
+    if (ids.length !== amounts.length) {
+      throw new HardhatPluginError('genie', 'There are ' + ids.length + ' keys, but ' + amounts.length +
+        ' amounts.');
+    }
+    const keys = ids.map((k) => parseInt(k));
+    return administer(taskArgs, 'LEDGER:DISTRIBUTE', ['Distributor', 'Ledger'], async (owner, contracts, names, book) => {
+      await GenieAdmin.requireKey(contracts.Locksmith, owner.address, taskArgs['source']);
+      const asset = await GenieAdmin.resolveAsset(owner.signer.provider, book, taskArgs['asset']);
+      const values = amounts.map((a) => GenieAdmin.parseAmount(asset, a));
+      const providerAlias = taskArgs['provider'] || (GenieAdmin.isGas(taskArgs['asset']) ? 'EtherVault' : 'TokenVault');
+      const provider = GenieWiring.resolveAddress(owner.chainId, providerAlias);
+      if (provider === null) {
+        throw new HardhatPluginError('genie', 'There is no ' + providerAlias + ' in the registry.');
+      }
+
+      const [balance] = await contracts.Ledger.getContextArnBalances(Arn.CONTEXTS.KEY, taskArgs['source'],
+        provider, [asset.arn]);
+      var moves = [];
+      for (var i = 0; i < keys.length; i++) {
+        moves.push(book.formatBalance(asset.arn, values[i]).display + ' to ' + await names.key(keys[i]));
+      }
+      return [{
+        description: 'Move ' + moves.join(', ') + ' from ' + await names.key(taskArgs['source']) + ' at the ' +
+          providerAlias + ' (has ' + book.formatBalance(asset.arn, balance).display + ')',
+        submit: () => contracts.Distributor.distribute(provider, asset.arn, taskArgs['source'], keys, values)
+      }];
+    });
+  });
+
+///////////////////////////////////////////
+// registryAddresses
+//
+// Every contract in the chain's registry, as
+// { alias: address }, to resolve trust specs with.
+///////////////////////////////////////////
+const registryAddresses = function(chainId) {
+  var addresses = {};
+  for (const alias of LocksmithRegistry.getContractList()) {
+    const address = LocksmithRegistry.getContractAddress(chainId, alias);
+    if (address !== null) {
+      addresses[alias] = address;
+    }
+  }
+  return addresses;
+}
+
+genieTask("trust:apply", "Bring the trust of a root key in line with a trust spec, in YAML or JSON.")
+  .addParam('root', 'The ID of the root key.', undefined, types.int)
+  .addParam('spec', 'The trust spec file to apply.')
+  .addOptionalParam('prune', 'Flag to also take away what the spec doesn\'t have, and replace what it ' +
+    'has otherwise.', false, types.boolean)
+  .addOptionalParam('dry', 'Flag to only preview the changes.', false, types.boolean)
+  .addOptionalParam('yes', 'Flag to send without asking for confirmation.', false, types.boolean)
+  .setAction(async (taskArgs) => {
+    const spec = GenieTrustSpec.load(taskArgs['spec']);
+    const aliases = GenieTrustSpec.getAliases(spec).filter((alias) => alias !== 'Locksmith');
+    return administer(taskArgs, 'TRUST:APPLY', aliases, async (owner, contracts, names, book) => {
+      await GenieAdmin.requireKey(contracts.Locksmith, owner.address, taskArgs['root'], true);
+      const trust = await GenieTrustSpec.connect(contracts, registryAddresses(owner.chainId), taskArgs['root'], book);
+      const { changes, skipped, unsupported } = await GenieTrustSpec.diff(trust, spec, { prune: taskArgs['prune'] });
+
+      if (skipped.length > 0) {
+        console.log(yellowText, "\n=== SKIPPED, ONLY WITH --prune ===\n");
+        skipped.forEach((description) => console.log(" - " + description));
+      }
+      if (unsupported.length > 0) {
+        console.log(yellowText, "\n=== UNSUPPORTED ===\n");
+        unsupported.forEach((description) => console.log(" - " + description));
+      }
+      return changes;
+    });
+  });
+
+genieTask("trust:export", "Write the trust of a root key as a trust spec, or show it.")
+  .addParam('root', 'The ID of the root key.', undefined, types.int)
+  .addOptionalParam('output', 'The file to write, as JSON if it ends in .json and YAML otherwise.')
+  .setAction(async (taskArgs) => {
+    const owner = await patchOwner(taskArgs);
+    const chainId = owner.chainId;
+
+    console.log(greenText, '\n==== GENIE, TRUST:EXPORT! ====\n');
+    console.log(JSON.stringify(taskArgs, null, 2));
+    console.log(" Signer Network Chain ID: " + chainId);
+
+    console.log(greenText, "\n=== CONTRACT INFO ===\n");
+    var contracts = {};
+    for (const alias of GenieTrustSpec.getAliases()) {
+      const address = LocksmithRegistry.getContractAddress(chainId, alias);
+      console.log(address ? greenText : yellowText, " " + alias + ": " + address);
+      if (address !== null) {
+        contracts[alias] = await owner.getContract(alias, address);
+      }
+    }
+    if (contracts.Locksmith === undefined || contracts.KeyVault === undefined) {
+      console.log(yellowText, "\n\nYou are missing dependencies for this action!");
+      return 1;
+    }
+
+    const book = Arn.createArnBook().loadAssets(chainId);
+    const trust = await GenieTrustSpec.connect(contracts, registryAddresses(chainId), taskArgs['root'], book);
+    const spec = await GenieTrustSpec.exportSpec(trust);
+
+    if (taskArgs['output']) {
+      GenieTrustSpec.save(taskArgs['output'], spec);
+      console.log(greenText, "\n[✓] Wrote trust " + trust.trustId + " to " + taskArgs['output']);
+    } else {
+      console.log(greenText, "\n=== TRUST SPEC ===\n");
+      console.log(JSON.stringify(spec, null, 2));
+    }
+    return 0;
+  });
+
+genieTask("assets", "Degenerately spam the network with ERC20s.")
+  .setAction(async (taskArgs) => {
+    const signerOptions = GenieSigners.getSignerOptions(taskArgs);
+    await run("shadow", {alias: 'usdc', ticker: 'USDC', amount: 100000, ...signerOptions});
+    await run("shadow", {alias: 'link', ticker: 'LINK', amount: 100000, ...signerOptions});
+  });
+
+task("export", "Export the registries and ABIs as a typed address book module for frontends.")
+  .addOptionalParam('output', 'The directory to generate the address book in.', 'addressbook')
+  .setAction(async (taskArgs) => {
+    console.log(greenText, '\n==== GENIE, EXPORT! ====\n');
+    console.log(JSON.stringify(taskArgs, null, 2));
+
+    // the ABIs come from the artifacts, so make sure they are current
+    await run("compile", {quiet: true});
+
+    const outDir = path.resolve(hre.config.paths.root, taskArgs['output']);
+    const book = await GenieAddressBook.build(outDir);
+
+    console.log(greenText, "\n=== ADDRESS BOOK ===\n");
+    for (const chainId of book.chainIds) {
+      const contracts = Object.keys(book.addresses[chainId]).length;
+      const assets = Object.keys(book.assets[chainId] || {}).length;
+      console.log((contracts === 0 ? yellowText : greenText), " Chain " + chainId + ": " +
+        contracts + " contracts, " + assets + " assets");
+    }
+    console.log("\n Contract types: " + book.types + " files");
+    console.log(greenText, "\nThe address book has been written to: " + outDir);
+  });
+
+genieTask("plan", "Show what genie would deploy, upgrade, or skip, in dependency order.")
+  .setAction(async (taskArgs) => {
+    const owner = await patchOwner(taskArgs);
+    const plan = await GeniePlanner.buildPlan(owner);
+
+    console.log(greenText, '\n==== GENIE, PLAN! ====\n');
+    console.log(" Signer Network Chain ID: " + owner.chainId);
+    console.log(" Signer Wallet Address: " + owner.address);
+
+    const progress = GeniePlanner.getProgress(owner.chainId);
+    if (progress !== null) {
+      console.log(yellowText, "\nThere is an unfinished plan for this chain. Running apply will resume it.");
+    }
+
+    console.log(greenText, "\n=== PLAN ===\n");
+    printPlan(plan);
+  });
+
+genieTask("apply", "Execute the genie plan, resuming from the last successful step after a failure.")
+  .addOptionalParam('fresh', 'Flag to discard any unfinished plan and start over.', false, types.boolean)
+  .addOptionalParam('unsafe', 'Flag to upgrade even if the storage layout is not compatible.', false, types.boolean)
+  .setAction(async (taskArgs) => {
+    const owner = await patchOwner(taskArgs);
+
+    console.log(greenText, '\n==== GENIE, APPLY! ====\n');
+    console.log(JSON.stringify(taskArgs, null, 2));
+    console.log(" Signer Network Chain ID: " + owner.chainId);
+    console.log(" Signer Wallet Address: " + owner.address);
+
+    if (taskArgs['fresh']) {
+      GeniePlanner.clearProgress(owner.chainId);
+    }
+
+    var plan = GeniePlanner.getProgress(owner.chainId);
+    if (plan !== null) {
+      console.log(yellowText, "\nResuming an unfinished plan for this chain.");
+
+      // the plan was made against the artifacts at the time, so if they
+      // have changed underneath us the plan can't be trusted anymore.
+      const stale = GeniePlanner.getStaleSteps(plan, await GeniePlanner.buildPlan(owner));
+      if (stale.length !== 0) {
+        console.log(redText, "The local code has changed since this plan was made: " +
+          stale.map((s) => s.alias).join(', '));
+        console.log(yellowText, "If you want to start over, try again with --fresh true");
+        return 1;
+      }
+    } else {
+      plan = await GeniePlanner.buildPlan(owner);
+    }
+
+    console.log(greenText, "\n=== PLAN ===\n");
+    printPlan(plan);
+    GeniePlanner.saveProgress(plan);
+
+    const failed = await GeniePlanner.applyPlan(plan, async (step) => {
+      console.log(greenText, "\n=== " + step.action.toUpperCase() + " " + step.alias + " ===\n");
+      try {
+        return await run("deploy", {contract: step.alias, upgrade: step.action === 'upgrade',
+          unsafe: taskArgs['unsafe'], ...GenieSigners.getSignerOptions(taskArgs)});
+      } catch (err) {
+        console.log(redText, err.message);
+        return 1;
+      }
+    }, (step) => console.log(cyanText, "\n" + step.alias + " has already been applied, moving on."));
+
+    if (failed !== null) {
+      console.log(redText, "\nThe plan failed at " + failed.alias + ".");
+      console.log(yellowText, "Run apply again to resume from this step.");
+      return 1;
+    }
+
+    // a freshly deployed key vault or locksmith needs to be respected
+    if (plan.steps.some((s) => s.action === 'deploy' && ['KeyVault', 'Locksmith'].includes(s.alias))) {
+      await run("respect", GenieSigners.getSignerOptions(taskArgs));
+    }
+
+    GeniePlanner.clearProgress(owner.chainId);
+    console.log(greenText, "\nThe plan has been applied!");
+  });
+
+genieTask("blast", "Degenerately deploy or upgrade the entire platform by applying the genie plan.")
+  .addOptionalParam('unsafe', 'Flag to upgrade even if the storage layout is not compatible.', false, types.boolean)
+  .setAction(async (taskArgs) => {
+    await run("apply", {unsafe: taskArgs['unsafe'], ...GenieSigners.getSignerOptions(taskArgs)});
+  });
+
+genieTask("devnet", "Deploy the full suite to a local node, and seed it from a scenario.")
+  .addOptionalParam('scenario', 'The scenario file to seed the devnet with.', 'scenarios/devnet.json')
+  .setAction(async (taskArgs) => {
+    const scenario = GenieDevnet.loadScenario(path.resolve(hre.config.paths.root, taskArgs['scenario']));
+    const chainId = (await hre.ethers.provider.getNetwork()).chainId;
+
+    console.log(greenText, '\n==== GENIE, DEVNET! ====\n');
+    console.log(JSON.stringify(taskArgs, null, 2));
+    console.log(" Network: " + hre.network.name);
+    console.log(" Chain ID: " + chainId);
+
+    if (chainId !== 31337) {
+      console.log(redText, "\nThe devnet can only be deployed to a local node, with chain ID 31337.");
+      return 1;
+    }
+    if (hre.network.name === 'hardhat') {
+      console.log(redText, "\nThe in-process hardhat network goes away when this task ends.");
+      console.log(yellowText, "Start a node with 'npx hardhat node', and use --network localhost");
+      return 1;
+    }
+
+    // whatever was there before doesn't survive a restarted node
+    LocksmithRegistry.resetNetworkRegistry(chainId, 'contracts');
+    LocksmithRegistry.resetNetworkRegistry(chainId, 'assets');
+    LocksmithRegistry.resetNetworkRegistry(chainId, 'layouts');
+
+    console.log(greenText, "\n=== DEPLOYING ===\n");
+    if ((await run("apply", {fresh: true, ...GenieSigners.getSignerOptions(taskArgs)})) === 1) {
+      return 1;
+    }
+
+    console.log(greenText, "\n=== SEEDING ===\n");
+    const owner = await patchOwner(taskArgs);
+    const summary = await GenieDevnet.seed(owner, scenario);
+
+    console.log(greenText, "\n=== ACCOUNTS ===\n");
+    for (const [name, address] of Object.entries(summary.accounts)) {
+      console.log(" " + name + ": " + address);
+    }
+    console.log(greenText, "\n=== ASSETS ===\n");
+    for (const [alias, address] of Object.entries(summary.assets)) {
+      console.log(" " + alias + ": " + address);
+    }
+    console.log(greenText, "\n=== TRUSTS ===\n");
+    for (const trust of summary.trusts) {
+      console.log(" " + trust.name + " (" + trust.trustId + "): " + Object.entries(trust.keys)
+        .map(([name, keyId]) => name + "=" + keyId).join(', '));
     }
+    console.log(greenText, "\nThe devnet is ready, and registered for chain ID " + chainId + ".");
   });
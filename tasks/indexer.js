@@ -0,0 +1,476 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require("ethers");
+const { HardhatPluginError } = require('hardhat/plugins');
+
+///////////////////////////////////////////
+// GenieIndexer
+//
+// Rebuilds the state of every trust from the logs of the
+// registry's contracts, without a hosted indexer. Logs are
+// pulled over a block range, decoded with the artifacts'
+// ABIs, and kept in a JSON database on disk:
+//
+//   {
+//     version, chainId, fromBlock, lastBlock, lastBlockHash,
+//     events: [{ blockNumber, blockHash, transactionHash,
+//                logIndex, contract, address, event, args,
+//                trustIds, keyIds }],
+//     trusts: { trustId: [event index, ...] },
+//     keys:   { keyId:   [event index, ...] }
+//   }
+//
+// Key inboxes aren't in the registry, so the inboxes the
+// PostOffice registers are followed from then on as well.
+//
+// Indexing resumes from the last indexed block. If that
+// block's hash has since changed, the chain reorganized and
+// the last N blocks are rolled back and indexed again.
+///////////////////////////////////////////
+GenieIndexer = (function() {
+  const VERSION = 1;
+
+  // event arguments that hold key IDs, by name
+  const KEY_ARGS = ['keyId', 'rootKeyId', 'sourceKeyId', 'recipientKeyId', 'snoozeKeyId',
+    'trusteeKeyId', 'ownerKeyId', 'inboxKey', 'keys', 'beneficiaries'];
+
+  // the key vault's transfers are keys too
+  const KEY_VAULT_ARGS = ['id', 'ids'];
+
+  // the contract behind every key inbox
+  const INBOX = 'VirtualKeyAddress';
+
+  /////////////////////////////////////////////
+  // toJson
+  //
+  // Turns decoded event arguments into something
+  // JSON can hold. Numbers become decimal strings,
+  // and structs become objects.
+  /////////////////////////////////////////////
+  var toJson = function(value, param) {
+    if (param.baseType === 'array') {
+      return value.map((v) => toJson(v, param.arrayChildren));
+    }
+    if (param.baseType === 'tuple') {
+      var struct = {};
+      param.components.forEach((c, i) => { struct[c.name || i] = toJson(value[i], c); });
+      return struct;
+    }
+    return ethers.BigNumber.isBigNumber(value) ? value.toString() : value;
+  };
+
+  /////////////////////////////////////////////
+  // emptyDatabase
+  /////////////////////////////////////////////
+  var emptyDatabase = function(chainId, fromBlock) {
+    return {
+      version: VERSION,
+      chainId: chainId,
+      fromBlock: fromBlock,
+      lastBlock: fromBlock - 1,
+      lastBlockHash: null,
+      events: [],
+      trusts: {},
+      keys: {}
+    };
+  };
+
+  /////////////////////////////////////////////
+  // learn
+  //
+  // Remembers what an event tells us about other
+  // events: which trust a key or event hash is in,
+  // which keys an allowance is between, and which
+  // inboxes to follow. None of it ever changes once
+  // it is on the chain.
+  /////////////////////////////////////////////
+  var learn = function(lookups, event) {
+    const args = event.args;
+    if (event.event === 'keyAddressRegistration' && args.eventType === 0) {
+      lookups.inboxes[args.inbox] = true;
+    }
+    if (event.event === 'keyMinted') {
+      lookups.keyTrusts[args.keyId] = args.trustId;
+    }
+    if (event.event === 'trustEventRegistered') {
+      lookups.eventTrusts[args.eventHash] = args.trustId;
+    }
+    if (event.event === 'allowanceCreated') {
+      lookups.allowanceKeys[args.allowanceId] = [args.rootKeyId, args.recipientKeyId];
+    }
+  };
+
+  /////////////////////////////////////////////
+  // getKeyIds
+  //
+  // The key IDs an event names in its arguments.
+  /////////////////////////////////////////////
+  var getKeyIds = function(event) {
+    const keyArgs = event.contract === 'KeyVault' ? KEY_ARGS.concat(KEY_VAULT_ARGS) : KEY_ARGS;
+    var keyIds = [];
+    for (const name of keyArgs) {
+      if (event.args[name] !== undefined) {
+        keyIds = keyIds.concat(event.args[name]);
+      }
+    }
+    return keyIds;
+  };
+
+  /////////////////////////////////////////////
+  // attribute
+  //
+  // Works out which trusts and keys an event belongs
+  // to, and files it under them. Events that only name
+  // a key are filed under the key's trust, and events
+  // that only name an event hash or allowance are filed
+  // with whatever registered them. Contracts don't always
+  // log the mint before the transfer, so the lookups have
+  // to be learned for a whole batch before filing it.
+  /////////////////////////////////////////////
+  var attribute = function(db, lookups, event, index) {
+    var keyIds = getKeyIds(event);
+    var trustIds = [];
+    const args = event.args;
+
+    if (args.trustId !== undefined) {
+      trustIds.push(args.trustId);
+    }
+
+    if (args.eventHash !== undefined && lookups.eventTrusts[args.eventHash] !== undefined) {
+      trustIds.push(lookups.eventTrusts[args.eventHash]);
+    }
+    if (args.allowanceId !== undefined && lookups.allowanceKeys[args.allowanceId] !== undefined) {
+      keyIds = keyIds.concat(lookups.allowanceKeys[args.allowanceId]);
+    }
+    for (const keyId of keyIds) {
+      if (lookups.keyTrusts[keyId] !== undefined) {
+        trustIds.push(lookups.keyTrusts[keyId]);
+      }
+    }
+
+    event.keyIds = [...new Set(keyIds)];
+    event.trustIds = [...new Set(trustIds)];
+    for (const keyId of event.keyIds) {
+      (db.keys[keyId] = db.keys[keyId] || []).push(index);
+    }
+    for (const trustId of event.trustIds) {
+      (db.trusts[trustId] = db.trusts[trustId] || []).push(index);
+    }
+  };
+
+  /////////////////////////////////////////////
+  // reindex
+  //
+  // Files every event again from scratch, returning
+  // the lookups so indexing can carry on from there.
+  /////////////////////////////////////////////
+  var reindex = function(db) {
+    var lookups = { keyTrusts: {}, eventTrusts: {}, allowanceKeys: {}, inboxes: {} };
+    db.trusts = {};
+    db.keys = {};
+    db.events.forEach((event) => learn(lookups, event));
+    db.events.forEach((event, i) => attribute(db, lookups, event, i));
+    return lookups;
+  };
+
+  /////////////////////////////////////////////
+  // getContracts
+  //
+  // The registry's deployed contracts on the chain, with
+  // the interfaces to decode their logs.
+  /////////////////////////////////////////////
+  var getContracts = async function(chainId, addresses) {
+    var contracts = [];
+    for (const alias of LocksmithRegistry.getContractList()) {
+      const address = addresses ? (addresses[alias] || null) :
+        LocksmithRegistry.getContractAddress(chainId, alias);
+      if (address !== null) {
+        contracts.push({
+          alias: alias,
+          address: ethers.utils.getAddress(address),
+          iface: new ethers.utils.Interface((await hre.artifacts.readArtifact(alias)).abi)
+        });
+      }
+    }
+    return contracts;
+  };
+
+  /////////////////////////////////////////////
+  // getStartBlock
+  //
+  // Nothing can be logged before the registry's
+  // earliest deployment. Older registries don't know
+  // when their contracts were deployed, and starting
+  // at block 0 would ask for the whole chain, so the
+  // start has to be given for them.
+  /////////////////////////////////////////////
+  var getStartBlock = function(chainId, contracts) {
+    const registered = LocksmithRegistry.hasNetworkRegistry(chainId);
+    const blocks = contracts.map((c) =>
+      ((registered && LocksmithRegistry.getContractRecord(chainId, c.alias)) || {}).blockNumber);
+    const unknown = contracts.filter((c, i) => blocks[i] === undefined || blocks[i] === null);
+    if (unknown.length > 0) {
+      throw new HardhatPluginError('genie', 'The registry has no deployment block for ' +
+        unknown.map((c) => c.alias).join(', ') + ' on chain ID ' + chainId +
+        '. Give the block to start at with --fromBlock.');
+    }
+    return Math.min(...blocks);
+  };
+
+  /////////////////////////////////////////////
+  // decodeLog
+  //
+  // Decodes a log with its contract's interface, or
+  // returns null for logs the ABI doesn't know.
+  /////////////////////////////////////////////
+  var decodeLog = function(contract, log) {
+    var parsed;
+    try {
+      parsed = contract.iface.parseLog(log);
+    } catch (err) {
+      return null;
+    }
+
+    var args = {};
+    parsed.eventFragment.inputs.forEach((input, i) => {
+      args[input.name || i] = toJson(parsed.args[i], input);
+    });
+
+    return {
+      blockNumber: log.blockNumber,
+      blockHash: log.blockHash,
+      transactionHash: log.transactionHash,
+      logIndex: log.logIndex,
+      contract: contract.alias,
+      address: contract.address,
+      event: parsed.name,
+      args: args
+    };
+  };
+
+  /////////////////////////////////////////////
+  // getLogs
+  //
+  // The decoded events of a contract over a range
+  // of blocks.
+  /////////////////////////////////////////////
+  var getLogs = async function(provider, contract, fromBlock, toBlock) {
+    const logs = await provider.getLogs({ address: contract.address, fromBlock: fromBlock, toBlock: toBlock });
+    return logs.map((log) => decodeLog(contract, log)).filter((event) => event !== null);
+  };
+
+  return {
+    /////////////////////////////////////////////
+    // getDatabaseFileName
+    //
+    // Where a chain's index lives by default.
+    /////////////////////////////////////////////
+    getDatabaseFileName: function(chainId) {
+      return path.join(hre.config.paths.cache, 'index-' + chainId + '.json');
+    },
+    /////////////////////////////////////////////
+    // load
+    //
+    // Reads the index from disk, or returns null
+    // if nothing has been indexed yet.
+    /////////////////////////////////////////////
+    load: function(fileName) {
+      if (!fs.existsSync(fileName)) {
+        return null;
+      }
+      const db = JSON.parse(fs.readFileSync(fileName));
+      if (db.version !== VERSION) {
+        throw new HardhatPluginError('genie', 'The index ' + fileName + ' is version ' + db.version +
+          ', but this genie reads version ' + VERSION + '. Reset it.');
+      }
+      return db;
+    },
+    /////////////////////////////////////////////
+    // save
+    //
+    // Replaces the index on disk in one go, so that
+    // an interrupted save never leaves half of it.
+    /////////////////////////////////////////////
+    save: function(db, fileName) {
+      const tempName = fileName + '.' + process.pid + '.tmp';
+      fs.mkdirSync(path.dirname(fileName), { recursive: true });
+      fs.writeFileSync(tempName, JSON.stringify(db));
+      fs.renameSync(tempName, fileName);
+    },
+    /////////////////////////////////////////////
+    // rollback
+    //
+    // Forgets the last given number of blocks, never
+    // going back past where indexing started.
+    /////////////////////////////////////////////
+    rollback: function(db, blocks) {
+      const lastBlock = Math.max(db.fromBlock - 1, db.lastBlock - blocks);
+      db.events = db.events.filter((e) => e.blockNumber <= lastBlock);
+      db.lastBlock = lastBlock;
+      db.lastBlockHash = null;
+      reindex(db);
+      return db;
+    },
+    /////////////////////////////////////////////
+    // sync
+    //
+    // Indexes the chain from where the index left off up
+    // to the given block (the latest by default), saving
+    // it after every batch. Options:
+    //
+    //   fileName:   the database, per chain by default
+    //   fromBlock:  where a new index starts, by default
+    //               the registry's first deployment, if
+    //               the registry knows when that was
+    //   toBlock:    where to stop
+    //   reorgDepth: blocks to roll back on a reorg, at
+    //               least 1 (12)
+    //   batchSize:  blocks per log request (2000)
+    //   reset:      start over
+    //   addresses:  contract addresses by alias, instead
+    //               of the registry's
+    //
+    // Returns what happened: { fromBlock, toBlock, added,
+    // rolledBack, events, trusts, keys }.
+    /////////////////////////////////////////////
+    sync: async function(provider, chainId, options = {}) {
+      const fileName = options.fileName || GenieIndexer.getDatabaseFileName(chainId);
+      const reorgDepth = options.reorgDepth === undefined ? 12 : options.reorgDepth;
+      const batchSize = options.batchSize || 2000;
+      if (!Number.isInteger(reorgDepth) || reorgDepth < 1) {
+        throw new HardhatPluginError('genie', 'The reorg depth has to be at least 1 block, not ' + reorgDepth + '.');
+      }
+      const contracts = await getContracts(chainId, options.addresses);
+      if (contracts.length === 0) {
+        throw new HardhatPluginError('genie', 'There are no contracts to index on chain ID ' + chainId + '.');
+      }
+
+      var db = options.reset ? null : GenieIndexer.load(fileName);
+      if (db === null) {
+        db = emptyDatabase(chainId, options.fromBlock === undefined ?
+          getStartBlock(chainId, contracts) : options.fromBlock);
+      }
+      if (db.chainId !== chainId) {
+        throw new HardhatPluginError('genie', 'The index ' + fileName + ' is for chain ID ' + db.chainId +
+          ', not ' + chainId + '.');
+      }
+
+      // roll back for as long as what we indexed last is no
+      // longer on the chain
+      var rolledBack = 0;
+      const canonical = async function() {
+        const last = db.events.length > 0 ? db.events[db.events.length - 1] : null;
+        if (db.lastBlockHash !== null) {
+          const block = await provider.getBlock(db.lastBlock);
+          if (block === null || block.hash !== db.lastBlockHash) {
+            return false;
+          }
+        }
+        if (last !== null) {
+          const block = await provider.getBlock(last.blockNumber);
+          return block !== null && block.hash === last.blockHash;
+        }
+        return true;
+      };
+      while (db.lastBlock >= db.fromBlock && !(await canonical())) {
+        const before = db.lastBlock;
+        GenieIndexer.rollback(db, reorgDepth);
+        rolledBack += before - db.lastBlock;
+      }
+
+      const head = await provider.getBlockNumber();
+      const toBlock = Math.min(options.toBlock === undefined ? head : options.toBlock, head);
+      const fromBlock = db.lastBlock + 1;
+      const inbox = new ethers.utils.Interface((await hre.artifacts.readArtifact(INBOX)).abi);
+      var lookups = reindex(db);
+      var added = 0;
+
+      for (var start = fromBlock; start <= toBlock; start += batchSize) {
+        const end = Math.min(start + batchSize - 1, toBlock);
+        var batch = [];
+        for (const contract of contracts) {
+          batch = batch.concat(await getLogs(provider, contract, start, end));
+        }
+
+        // inboxes registered in this batch are followed from its start
+        batch.forEach((event) => learn(lookups, event));
+        for (const address of Object.keys(lookups.inboxes)) {
+          batch = batch.concat(await getLogs(provider, { alias: INBOX, address: address, iface: inbox }, start, end));
+        }
+
+        batch.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+        batch.forEach((event) => learn(lookups, event));
+        for (const event of batch) {
+          db.events.push(event);
+          attribute(db, lookups, event, db.events.length - 1);
+        }
+        added += batch.length;
+
+        // a long sync that fails only loses the batch it was on
+        db.lastBlock = end;
+        db.lastBlockHash = (await provider.getBlock(end)).hash;
+        GenieIndexer.save(db, fileName);
+      }
+
+      // a roll back has to be saved, even with nothing to add
+      if (toBlock < fromBlock) {
+        GenieIndexer.save(db, fileName);
+      }
+
+      return {
+        fromBlock: fromBlock,
+        toBlock: db.lastBlock,
+        added: added,
+        rolledBack: rolledBack,
+        events: db.events.length,
+        trusts: Object.keys(db.trusts).length,
+        keys: Object.keys(db.keys).length
+      };
+    },
+    /////////////////////////////////////////////
+    // getContracts
+    //
+    // The registry's contracts on the chain, or the
+    // given { alias: address } instead, ready to
+    // decode logs with.
+    /////////////////////////////////////////////
+    getContracts: function(chainId, addresses) {
+      return getContracts(chainId, addresses);
+    },
+    /////////////////////////////////////////////
+    // decodeReceipt
+    //
+    // The events of a mined transaction, decoded like
+    // the index files them, with the key IDs they name.
+    // Logs of other contracts are left out.
+    /////////////////////////////////////////////
+    decodeReceipt: function(contracts, receipt) {
+      var events = [];
+      for (const log of receipt.logs) {
+        const contract = contracts.find((c) => c.address === ethers.utils.getAddress(log.address));
+        const event = contract === undefined ? null : decodeLog(contract, log);
+        if (event !== null) {
+          event.keyIds = [...new Set(getKeyIds(event))];
+          events.push(event);
+        }
+      }
+      return events;
+    },
+    /////////////////////////////////////////////
+    // getTrustEvents
+    //
+    // Everything that happened to a trust, in order.
+    /////////////////////////////////////////////
+    getTrustEvents: function(db, trustId) {
+      return (db.trusts[trustId] || []).map((i) => db.events[i]);
+    },
+    /////////////////////////////////////////////
+    // getKeyEvents
+    //
+    // Everything that happened to a key, in order.
+    /////////////////////////////////////////////
+    getKeyEvents: function(db, keyId) {
+      return (db.keys[keyId] || []).map((i) => db.events[i]);
+    }
+  };
+})();
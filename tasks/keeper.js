@@ -0,0 +1,255 @@
+const { ethers } = require("ethers");
+const { HardhatPluginError } = require('hardhat/plugins');
+const fs = require('fs');
+const path = require('path');
+const { Errors } = require('../sdk');
+
+///////////////////////////////////////////
+// GenieKeeper
+//
+// Anyone can challenge an alarm once its alarm time has
+// passed, but nobody has to. The keeper does: it learns the
+// alarms from the AlarmClock's registrations, follows their
+// snoozes, and challenges every alarm that is due so its
+// event fires into the TrustEventLog.
+//
+// What it knows is kept in a JSON file per chain:
+//
+//   {
+//     version, chainId, alarmClock, fromBlock, lastBlock,
+//     alarms: { eventHash: { trustId, rootKeyId, alarmTime,
+//       snoozeInterval, snoozeKeyId, blockNumber, status,
+//       transactionHash } }
+//   }
+//
+// An alarm is 'waiting' until it is 'challenged' by the
+// keeper, or found 'fired' by someone else. The events can
+// lag behind the chain, so the alarm and its event are read
+// again before every challenge.
+///////////////////////////////////////////
+GenieKeeper = (function() {
+  const VERSION = 1;
+
+  /////////////////////////////////////////////
+  // emptyState
+  /////////////////////////////////////////////
+  var emptyState = function(chainId, alarmClock, fromBlock) {
+    return {
+      version: VERSION,
+      chainId: chainId,
+      alarmClock: alarmClock,
+      fromBlock: fromBlock,
+      lastBlock: fromBlock - 1,
+      alarms: {}
+    };
+  };
+
+  /////////////////////////////////////////////
+  // apply
+  //
+  // Updates the alarms with a registration
+  // or a snooze.
+  /////////////////////////////////////////////
+  var apply = function(state, event) {
+    const args = event.args;
+    if (event.event === 'alarmClockRegistered') {
+      state.alarms[args.eventHash] = {
+        trustId: args.trustId.toString(),
+        rootKeyId: args.rootKeyId.toString(),
+        alarmTime: args.alarmTime.toNumber(),
+        snoozeInterval: args.snoozeInterval.toNumber(),
+        snoozeKeyId: args.snoozeKeyId.toString(),
+        blockNumber: event.blockNumber,
+        status: 'waiting',
+        transactionHash: null
+      };
+    }
+    if (event.event === 'alarmClockSnoozed' && state.alarms[args.eventHash]) {
+      state.alarms[args.eventHash].alarmTime = args.newAlarmTime.toNumber();
+    }
+  };
+
+  return {
+    /////////////////////////////////////////////
+    // getStateFileName
+    //
+    // Where a chain's keeper state lives by default.
+    /////////////////////////////////////////////
+    getStateFileName: function(chainId) {
+      return path.join(hre.config.paths.cache, 'keeper-' + chainId + '.json');
+    },
+    /////////////////////////////////////////////
+    // load
+    //
+    // Reads the keeper state from disk, or returns
+    // null if the keeper never ran.
+    /////////////////////////////////////////////
+    load: function(fileName) {
+      if (!fs.existsSync(fileName)) {
+        return null;
+      }
+      const state = JSON.parse(fs.readFileSync(fileName));
+      if (state.version !== VERSION) {
+        throw new HardhatPluginError('genie', 'The keeper state ' + fileName + ' is version ' + state.version +
+          ', but this genie reads version ' + VERSION + '. Reset it.');
+      }
+      return state;
+    },
+    /////////////////////////////////////////////
+    // save
+    //
+    // Replaces the state on disk in one go.
+    /////////////////////////////////////////////
+    save: function(state, fileName) {
+      const tempName = fileName + '.' + process.pid + '.tmp';
+      fs.mkdirSync(path.dirname(fileName), { recursive: true });
+      fs.writeFileSync(tempName, JSON.stringify(state, null, 2));
+      fs.renameSync(tempName, fileName);
+    },
+    /////////////////////////////////////////////
+    // scan
+    //
+    // Learns the alarms registered and snoozed since
+    // the last scan, up to the given block. Given a
+    // file name, the state is saved after every batch.
+    /////////////////////////////////////////////
+    scan: async function(alarmClock, state, toBlock, batchSize = 2000, fileName = null) {
+      const filters = [alarmClock.filters.alarmClockRegistered(), alarmClock.filters.alarmClockSnoozed()];
+      const fromBlock = state.lastBlock + 1;
+      var found = 0;
+      for (var start = fromBlock; start <= toBlock; start += batchSize) {
+        const end = Math.min(start + batchSize - 1, toBlock);
+        var events = [];
+        for (const filter of filters) {
+          events = events.concat(await alarmClock.queryFilter(filter, start, end));
+        }
+        events.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+        events.forEach((event) => apply(state, event));
+        found += events.length;
+        state.lastBlock = end;
+        if (fileName !== null) {
+          GenieKeeper.save(state, fileName);
+        }
+      }
+      return found;
+    },
+    /////////////////////////////////////////////
+    // tick
+    //
+    // Challenges every waiting alarm that is due as of
+    // the latest block, unless it's a dry run. Returns
+    // what happened to each due alarm:
+    //
+    //   challenged: the keeper fired the event
+    //   fired:      the event had fired already
+    //   snoozed:    it was snoozed after the last scan
+    //   due:        a dry run would have challenged it
+    //   failed:     the challenge reverted, and will
+    //               be tried again next time
+    /////////////////////////////////////////////
+    tick: async function(contracts, state, options = {}) {
+      const { alarmClock, trustEventLog } = contracts;
+      const block = await alarmClock.provider.getBlock('latest');
+      var results = [];
+
+      for (const [eventHash, alarm] of Object.entries(state.alarms)) {
+        if (alarm.status !== 'waiting' || alarm.alarmTime > block.timestamp) {
+          continue;
+        }
+        var result = { eventHash: eventHash, trustId: alarm.trustId, alarmTime: alarm.alarmTime };
+        results.push(result);
+
+        if (await trustEventLog.firedEvents(eventHash)) {
+          alarm.status = result.action = 'fired';
+          continue;
+        }
+        alarm.alarmTime = (await alarmClock.alarms(eventHash)).alarmTime.toNumber();
+        if (alarm.alarmTime > block.timestamp) {
+          result.action = 'snoozed';
+          result.alarmTime = alarm.alarmTime;
+          continue;
+        }
+        if (options.dryRun) {
+          result.action = 'due';
+          continue;
+        }
+
+        try {
+          const receipt = await (await alarmClock.challengeAlarm(eventHash)).wait();
+          alarm.status = result.action = 'challenged';
+          alarm.transactionHash = result.transactionHash = receipt.transactionHash;
+        } catch (err) {
+          const reason = Errors.getRevertReason(err);
+          if (reason === null) {
+            throw err;
+          }
+          result.action = 'failed';
+          result.reason = reason;
+          result.error = Errors.formatError(err);
+        }
+      }
+      return results;
+    },
+    /////////////////////////////////////////////
+    // run
+    //
+    // Scans, challenges, and saves, every interval
+    // until the rounds run out. Options:
+    //
+    //   fileName:  the state, per chain by default
+    //   fromBlock: where a new state starts scanning,
+    //              required without a saved state
+    //   reset:     start over
+    //   dryRun:    report due alarms, never challenge
+    //   interval:  seconds between rounds (60)
+    //   rounds:    how many rounds, 0 for forever (0)
+    //   batchSize: blocks per log request (2000)
+    //   onRound:   called with every round's report,
+    //              { round, fromBlock, toBlock, found,
+    //                waiting, results } or { round, error }
+    //
+    // A round that fails is reported, and the next
+    // round starts over from the saved state.
+    /////////////////////////////////////////////
+    run: async function(contracts, chainId, options = {}) {
+      const fileName = options.fileName || GenieKeeper.getStateFileName(chainId);
+      const alarmClock = ethers.utils.getAddress(contracts.alarmClock.address);
+
+      var state = options.reset ? null : GenieKeeper.load(fileName);
+      if (state === null) {
+        if (options.fromBlock === undefined || options.fromBlock === null) {
+          throw new HardhatPluginError('genie', 'There is no keeper state in ' + fileName +
+            ' yet, so give the block to start scanning at with --fromBlock.');
+        }
+        state = emptyState(chainId, alarmClock, options.fromBlock);
+      }
+      if (state.chainId !== chainId || state.alarmClock !== alarmClock) {
+        throw new HardhatPluginError('genie', 'The keeper state ' + fileName + ' is for the alarm clock ' +
+          state.alarmClock + ' on chain ID ' + state.chainId + ', not ' + alarmClock + ' on ' + chainId + '.');
+      }
+      GenieKeeper.save(state, fileName);
+
+      await GenieRounds.repeat(options, async function(round) {
+        try {
+          const fromBlock = state.lastBlock + 1;
+          const toBlock = (await contracts.alarmClock.provider.getBlock('latest')).number;
+          const found = await GenieKeeper.scan(contracts.alarmClock, state, toBlock, options.batchSize, fileName);
+          const results = await GenieKeeper.tick(contracts, state, options);
+          GenieKeeper.save(state, fileName);
+          return {
+            round: round,
+            fromBlock: fromBlock,
+            toBlock: toBlock,
+            found: found,
+            waiting: Object.values(state.alarms).filter((a) => a.status === 'waiting').length,
+            results: results
+          };
+        } catch (err) {
+          state = GenieKeeper.load(fileName);
+          throw err;
+        }
+      });
+      return state;
+    }
+  };
+})();
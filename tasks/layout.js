@@ -0,0 +1,267 @@
+const { HardhatPluginError } = require('hardhat/plugins');
+
+///////////////////////////////////////////
+// GenieLayout
+//
+// Every Locksmith contract is an upgradeable proxy, so an
+// upgrade has to leave the storage of the live implementation
+// where it is. Genie keeps a snapshot of the storage layout
+// of every code hash it deploys in the layouts registry, and
+// compares it to the layout of the local artifact before
+// upgrading.
+//
+// A snapshot looks like:
+//
+// {
+//   "contract": "contracts/Locksmith.sol:Locksmith",
+//   "storage": [{ label, contract, slot, offset, type }],
+//   "types": { "<type>": { label, encoding, numberOfBytes,
+//                          key?, value?, base?, members? } }
+// }
+//
+// The type identifiers are the compiler's, without the
+// AST ids, so they are stable across builds.
+///////////////////////////////////////////
+GenieLayout = (function() {
+  /////////////////////////////////////////////
+  // normalizeType
+  //
+  // solc appends AST ids to user defined types, like
+  // t_struct(Trust)8735_storage, which change with any
+  // edit to the source.
+  /////////////////////////////////////////////
+  var normalizeType = function(type) {
+    return type.replace(/(t_(?:struct|contract|enum|userDefinedValueType)\([^)]*\))\d+/g, '$1');
+  };
+
+  /////////////////////////////////////////////
+  // normalizeVariable
+  //
+  // Keeps what matters about a variable or
+  // struct member's place in storage.
+  /////////////////////////////////////////////
+  var normalizeVariable = function(v) {
+    return { label: v.label, contract: v.contract, slot: v.slot, offset: v.offset, type: normalizeType(v.type) };
+  };
+
+  /////////////////////////////////////////////
+  // isGap
+  //
+  // The upgradeable contracts reserve storage with
+  // a __gap array, which is meant to shrink when
+  // variables are added.
+  /////////////////////////////////////////////
+  var isGap = function(v) {
+    return v.label === '__gap';
+  };
+
+  /////////////////////////////////////////////
+  // getEndSlot
+  //
+  // The first slot after a variable.
+  /////////////////////////////////////////////
+  var getEndSlot = function(layout, v) {
+    return BigInt(v.slot) + BigInt(Math.ceil(parseInt(layout.types[v.type].numberOfBytes) / 32));
+  };
+
+  /////////////////////////////////////////////
+  // getCounterpart
+  //
+  // Finds a variable in the other layout. Every base
+  // contract has its own __gap, and solc reports them
+  // all under the most derived contract, so variables
+  // are matched by their order among the ones with
+  // the same name.
+  /////////////////////////////////////////////
+  var getCounterpart = function(from, to, v) {
+    const i = from.storage.filter((x) => x.label === v.label).indexOf(v);
+    return to.storage.filter((x) => x.label === v.label)[i];
+  };
+
+  /////////////////////////////////////////////
+  // describeType
+  //
+  // A type as it reads in solidity.
+  /////////////////////////////////////////////
+  var describeType = function(layout, type) {
+    return (layout.types[type] || { label: type }).label;
+  };
+
+  /////////////////////////////////////////////
+  // compareTypes
+  //
+  // Determines if a value stored as the before type can
+  // be read as the after type. Returns null if it can, or
+  // the reason it can't.
+  //
+  // Structs can only grow at the end, and only where the
+  // elements don't sit next to each other.
+  /////////////////////////////////////////////
+  var compareTypes = function(before, beforeType, after, afterType) {
+    const b = before.types[beforeType];
+    const a = after.types[afterType];
+    const mismatch = describeType(before, beforeType) + ' is now ' + describeType(after, afterType);
+
+    if (!b || !a) {
+      return beforeType === afterType ? null : mismatch;
+    }
+    if (b.encoding !== a.encoding) {
+      return mismatch;
+    }
+
+    if (b.encoding === 'mapping') {
+      return b.key !== a.key ? mismatch : compareTypes(before, b.value, after, a.value);
+    }
+    if (b.encoding === 'dynamic_array') {
+      return compareTypes(before, b.base, after, a.base);
+    }
+    if (b.base !== undefined) {
+      // a static array can't change length, or its elements' size
+      if (a.base === undefined || b.numberOfBytes !== a.numberOfBytes ||
+          before.types[b.base].numberOfBytes !== after.types[a.base].numberOfBytes) {
+        return mismatch;
+      }
+      return compareTypes(before, b.base, after, a.base);
+    }
+    if (b.members !== undefined) {
+      if (a.members === undefined) {
+        return mismatch;
+      }
+      for (const [i, member] of b.members.entries()) {
+        const m = a.members[i];
+        if (m === undefined) {
+          return b.label + ' lost member ' + member.label;
+        }
+        if (m.label !== member.label || m.slot !== member.slot || m.offset !== member.offset) {
+          return b.label + ' member ' + member.label + ' is now ' + m.label + ' at slot ' + m.slot;
+        }
+        const reason = compareTypes(before, member.type, after, m.type);
+        if (reason !== null) {
+          return b.label + '.' + member.label + ': ' + reason;
+        }
+      }
+      return null;
+    }
+
+    // an address and a contract are stored the same way
+    const elementary = (t) => t.label.startsWith('contract ') ? 'address' : t.label;
+    return elementary(b) === elementary(a) ? null : mismatch;
+  };
+
+  return {
+    /////////////////////////////////////////////
+    // getStorageLayout
+    //
+    // Builds the storage layout snapshot for a local
+    // artifact, from the compiler output in its
+    // build info.
+    /////////////////////////////////////////////
+    getStorageLayout: async function(artifact) {
+      const name = artifact.sourceName + ':' + artifact.contractName;
+      const buildInfo = await hre.artifacts.getBuildInfo(name);
+      const output = buildInfo === undefined ? undefined :
+        buildInfo.output.contracts[artifact.sourceName][artifact.contractName].storageLayout;
+      if (output === undefined) {
+        throw new HardhatPluginError('genie', 'The compiler output for ' + name +
+          ' has no storage layout. Recompile with storageLayout in the output selection.');
+      }
+
+      var types = {};
+      for (const [id, t] of Object.entries(output.types || {})) {
+        var type = { label: t.label, encoding: t.encoding, numberOfBytes: t.numberOfBytes };
+        if (t.key !== undefined) type.key = normalizeType(t.key);
+        if (t.value !== undefined) type.value = normalizeType(t.value);
+        if (t.base !== undefined) type.base = normalizeType(t.base);
+        if (t.members !== undefined) type.members = t.members.map(normalizeVariable);
+        types[normalizeType(id)] = type;
+      }
+
+      return {
+        contract: name,
+        storage: output.storage.map(normalizeVariable),
+        types: types
+      };
+    },
+    /////////////////////////////////////////////
+    // compareLayouts
+    //
+    // Produces every difference between the live layout and
+    // the new one. Each change is marked safe or not:
+    //
+    //   - moved:    a variable is in a different slot
+    //   - removed:  a variable is gone
+    //   - retyped:  a variable is stored differently
+    //   - gap:      a __gap changed where it ends
+    //   - renamed:  a variable has a new name, but the same place (safe)
+    //   - added:    a new variable, in unused storage (safe)
+    /////////////////////////////////////////////
+    compareLayouts: function(before, after) {
+      var changes = [];
+      const change = (kind, safe, v, message) =>
+        changes.push({ kind, safe, label: v.label, contract: v.contract.split(':').pop(), message });
+      const samePlace = (x, y) => x.slot === y.slot && x.offset === y.offset;
+
+      for (const b of before.storage) {
+        if (isGap(b)) {
+          const a = getCounterpart(before, after, b);
+          if (a !== undefined && getEndSlot(before, b) !== getEndSlot(after, a)) {
+            change('gap', false, b, 'now ends at slot ' + getEndSlot(after, a) +
+              ' instead of ' + getEndSlot(before, b) + ', which shifts everything after it');
+          }
+          continue;
+        }
+
+        const a = after.storage.find((v) => samePlace(v, b) && !isGap(v));
+        const moved = getCounterpart(before, after, b);
+
+        if (moved !== undefined && !samePlace(moved, b)) {
+          change('moved', false, b, 'moved from slot ' + b.slot + ' (offset ' + b.offset + ') to slot ' +
+            moved.slot + ' (offset ' + moved.offset + ')');
+          continue;
+        }
+        if (a === undefined) {
+          change('removed', false, b, 'was removed from slot ' + b.slot);
+          continue;
+        }
+
+        const reason = compareTypes(before, b.type, after, a.type);
+        if (a.label !== b.label) {
+          if (reason === null) {
+            change('renamed', true, b, 'is now called ' + a.label + ' in slot ' + b.slot);
+          } else {
+            change('removed', false, b, 'was removed, and slot ' + b.slot + ' is now ' + a.label + ': ' + reason);
+          }
+        } else if (reason !== null) {
+          change('retyped', false, b, reason);
+        }
+      }
+
+      for (const a of after.storage) {
+        const known = getCounterpart(after, before, a) !== undefined ||
+          before.storage.some((v) => samePlace(v, a) && !isGap(v));
+        if (!known && !isGap(a)) {
+          change('added', true, a, 'is new in slot ' + a.slot + ' (' + describeType(after, a.type) + ')');
+        }
+      }
+
+      return changes;
+    },
+    /////////////////////////////////////////////
+    // isCompatible
+    //
+    // An upgrade is compatible if every change is safe.
+    /////////////////////////////////////////////
+    isCompatible: function(changes) {
+      return changes.every((c) => c.safe);
+    },
+    /////////////////////////////////////////////
+    // formatChanges
+    //
+    // Renders the changes as a diff, one line each.
+    /////////////////////////////////////////////
+    formatChanges: function(changes) {
+      return changes.map((c) => (c.safe ? ' + ' : ' - ') + '[' + c.kind + '] ' +
+        c.contract + '.' + c.label + ' ' + c.message);
+    }
+  };
+})();
@@ -0,0 +1,228 @@
+const fs = require('fs');
+const { ethers } = require("ethers");
+
+///////////////////////////////////////////
+// GeniePlanner
+//
+// Builds a deployment plan for the entire registry by
+// introspecting the #initialize parameters of every contract
+// in the registry's contract list, the same way genie
+// determines dependencies for a single deploy.
+//
+// The dependencies form a graph, which gets topologically
+// sorted so that every contract is deployed after the
+// contracts it is initialized with. Each step of the plan
+// is then decided based on the registry address and code hash.
+//
+// The planner also keeps track of the progress of an applied
+// plan on disk, so a failed apply can pick up where it left off.
+///////////////////////////////////////////
+GeniePlanner = (function() {
+  /////////////////////////////////////////////
+  // getInitializationDependencyAliases
+  //
+  // Produces the list of contract aliases the given
+  // contract expects as #initialize arguments, in order.
+  /////////////////////////////////////////////
+  var getInitializationDependencyAliases = async function(owner, alias) {
+    const artifact = await owner.loadArtifact(alias);
+    const initializer = artifact.abi.filter(f => f.type === 'function' && f.name === 'initialize')[0];
+    return ((initializer || {}).inputs || []).map((pt) => pt.name.replace(/_/g, ''));
+  };
+
+  /////////////////////////////////////////////
+  // getProgressFileName
+  //
+  // Applied plans are tracked in the hardhat cache, on
+  // a per chain basis.
+  /////////////////////////////////////////////
+  var getProgressFileName = function(chainId) {
+    return hre.config.paths.cache + '/genie-plan-' + chainId + '.json';
+  };
+
+  return {
+    /////////////////////////////////////////////
+    // getDependencyGraph
+    //
+    // Produces a map of each alias in the contract list
+    // to the aliases it depends on. Will blow up if a
+    // contract depends on something genie doesn't manage.
+    /////////////////////////////////////////////
+    getDependencyGraph: async function(owner) {
+      const aliases = LocksmithRegistry.getContractList();
+      var graph = {};
+      for (const alias of aliases) {
+        graph[alias] = await getInitializationDependencyAliases(owner, alias);
+        for (const dependency of graph[alias]) {
+          if (!aliases.includes(dependency)) {
+            throw new Error(alias + ' depends on ' + dependency +
+              ', which is not in the registry contract list.');
+          }
+        }
+      }
+      return graph;
+    },
+    /////////////////////////////////////////////
+    // sortDependencyGraph
+    //
+    // Topologically sorts the graph so that dependencies
+    // always come first. Ties are broken by the order
+    // of the registry contract list, so the plan is stable.
+    /////////////////////////////////////////////
+    sortDependencyGraph: function(graph) {
+      const aliases = Object.keys(graph);
+      var sorted = [];
+      var remaining = aliases.slice();
+
+      while (remaining.length > 0) {
+        const next = remaining.find((alias) =>
+          graph[alias].every((d) => sorted.includes(d)));
+
+        if (next === undefined) {
+          throw new Error('There is a dependency cycle between: ' + remaining.join(', '));
+        }
+
+        sorted.push(next);
+        remaining = remaining.filter((alias) => alias !== next);
+      }
+
+      return sorted;
+    },
+    /////////////////////////////////////////////
+    // buildPlan
+    //
+    // Produces the ordered list of steps needed to bring
+    // the registry for the owner's chain in line with the
+    // local artifacts. Each step is one of:
+    //
+    //   - deploy:  there is no address in the registry
+    //   - upgrade: the registered code hash differs from local
+    //   - skip:    the registered code hash matches local
+    /////////////////////////////////////////////
+    buildPlan: async function(owner) {
+      const graph = await GeniePlanner.getDependencyGraph(owner);
+      var steps = [];
+
+      for (const alias of GeniePlanner.sortDependencyGraph(graph)) {
+        const artifact = await owner.loadArtifact(alias);
+        const currentAddress  = LocksmithRegistry.getContractAddress(owner.chainId, alias);
+        const currentCodeHash = LocksmithRegistry.getContractCodeHash(owner.chainId, alias);
+        const localCodeHash   = ethers.utils.keccak256(artifact.bytecode);
+
+        var action = 'skip';
+        if (currentAddress === null) {
+          action = 'deploy';
+        } else if (currentCodeHash !== localCodeHash) {
+          action = 'upgrade';
+        }
+
+        steps.push({
+          alias: alias,
+          action: action,
+          dependencies: graph[alias],
+          address: currentAddress,
+          codeHash: currentCodeHash,
+          localCodeHash: localCodeHash,
+          status: action === 'skip' ? 'done' : 'pending'
+        });
+      }
+
+      return {
+        chainId: owner.chainId,
+        network: hre.network.name,
+        steps: steps
+      };
+    },
+    /////////////////////////////////////////////
+    // isStepApplied
+    //
+    // Determines, from the registry, if a step has already
+    // taken effect. This covers an apply that failed after
+    // the registry was partially written for a step.
+    /////////////////////////////////////////////
+    isStepApplied: function(chainId, step) {
+      const currentAddress  = LocksmithRegistry.getContractAddress(chainId, step.alias);
+      const currentCodeHash = LocksmithRegistry.getContractCodeHash(chainId, step.alias);
+      return currentAddress !== null && currentCodeHash === step.localCodeHash;
+    },
+    /////////////////////////////////////////////
+    // getStaleSteps
+    //
+    // The unfinished steps of a plan whose local code
+    // has changed since it was made, according to a
+    // fresh plan. They can't be trusted anymore.
+    /////////////////////////////////////////////
+    getStaleSteps: function(plan, fresh) {
+      return plan.steps.filter((step) => step.status !== 'done' &&
+        fresh.steps.find((f) => f.alias === step.alias).localCodeHash !== step.localCodeHash);
+    },
+    /////////////////////////////////////////////
+    // applyPlan
+    //
+    // Applies the steps that aren't done, in order, saving
+    // the progress after each one. Steps the registry
+    // shows have taken effect are only marked done, and
+    // given to onApplied. The others are given to
+    // applyStep, which returns 1 when the step failed.
+    //
+    // Stops at the first failure, and returns that step,
+    // or null once every step is done.
+    /////////////////////////////////////////////
+    applyPlan: async function(plan, applyStep, onApplied = () => {}) {
+      for (const step of plan.steps) {
+        if (step.status === 'done') {
+          continue;
+        }
+
+        if (GeniePlanner.isStepApplied(plan.chainId, step)) {
+          onApplied(step);
+          step.status = 'done';
+          GeniePlanner.saveProgress(plan);
+          continue;
+        }
+
+        if ((await applyStep(step)) === 1) {
+          step.status = 'failed';
+          GeniePlanner.saveProgress(plan);
+          return step;
+        }
+
+        step.status = 'done';
+        GeniePlanner.saveProgress(plan);
+      }
+      return null;
+    },
+    /////////////////////////////////////////////
+    // getProgress
+    //
+    // Loads a previously applied plan for the chain,
+    // or null if there isn't one in progress.
+    /////////////////////////////////////////////
+    getProgress: function(chainId) {
+      const fileName = getProgressFileName(chainId);
+      return fs.existsSync(fileName) ? JSON.parse(fs.readFileSync(fileName)) : null;
+    },
+    /////////////////////////////////////////////
+    // saveProgress
+    //
+    // Stores the plan, with the status of each step,
+    // so it can be resumed.
+    /////////////////////////////////////////////
+    saveProgress: function(plan) {
+      fs.mkdirSync(hre.config.paths.cache, { recursive: true });
+      fs.writeFileSync(getProgressFileName(plan.chainId), JSON.stringify(plan, null, 2));
+    },
+    /////////////////////////////////////////////
+    // clearProgress
+    //
+    // Removes the tracked plan once it has been
+    // fully applied, or when starting over.
+    /////////////////////////////////////////////
+    clearProgress: function(chainId) {
+      const fileName = getProgressFileName(chainId);
+      if (fs.existsSync(fileName)) {
+        fs.unlinkSync(fileName);
+      }
+    }
+  };
+})();
@@ -0,0 +1,169 @@
+const { ethers } = require("ethers");
+const { Locksmith } = require('../sdk');
+
+///////////////////////////////////////////
+// GenieRecovery
+//
+// A guardian can only recover a root key once every event
+// of its policy has fired, and the TrustRecoveryCenter still
+// holds a copy of the key to hand over. This reads the policy
+// and everything behind its events, to tell whether a
+// recovery would succeed today, and if not, what stands
+// in the way:
+//
+//   - the events that never got registered, and can
+//     never fire
+//   - the alarms that are not due yet, or are due and
+//     only need a challenge
+//   - the key oracles, and who holds their keys
+//   - events from any other dispatcher
+///////////////////////////////////////////
+GenieRecovery = (function() {
+  /////////////////////////////////////////////
+  // getBacking
+  //
+  // What it takes for an event to fire, when the
+  // alarm clock or a key oracle dispatches it.
+  /////////////////////////////////////////////
+  var getBacking = async function(contracts, event, block) {
+    const { alarmClock, keyOracle, keyVault } = contracts;
+    const overrides = { blockTag: block.number };
+    const is = (contract) => contract && ethers.utils.getAddress(contract.address) === event.dispatcher;
+
+    if (is(alarmClock)) {
+      const alarm = await alarmClock.alarms(event.eventHash, overrides);
+      return {
+        type: 'alarm',
+        alarmTime: alarm.alarmTime.toNumber(),
+        due: alarm.alarmTime.toNumber() <= block.timestamp,
+        snoozeInterval: alarm.snoozeInterval.toNumber(),
+        snoozeKeyId: alarm.snoozeInterval.isZero() ? null : alarm.snoozeKeyId.toString()
+      };
+    }
+    if (is(keyOracle)) {
+      const keyId = await keyOracle.eventKeys(event.eventHash, overrides);
+      return {
+        type: 'oracle',
+        keyId: keyId.toString(),
+        holders: await keyVault.getHolders(keyId, overrides)
+      };
+    }
+    return null;
+  };
+
+  /////////////////////////////////////////////
+  // getBlocker
+  //
+  // Why an event that hasn't fired is holding
+  // the recovery up.
+  /////////////////////////////////////////////
+  var getBlocker = function(event) {
+    const name = event.description === null ? event.eventHash : '"' + event.description + '"';
+    if (!event.registered) {
+      return 'The event ' + event.eventHash + ' is not registered, so it can never fire.';
+    }
+    if (event.backing === null) {
+      return 'The event ' + name + ' has to be fired by its dispatcher ' + event.dispatcher + '.';
+    }
+    if (event.backing.type === 'alarm') {
+      return 'The alarm ' + name + (event.backing.due ?
+        ' is due, and fires once anyone challenges it.' :
+        ' is due at ' + new Date(event.backing.alarmTime * 1000).toISOString() + '.');
+    }
+    return 'The key oracle ' + name + ' has to be fired by a holder of key ' + event.backing.keyId +
+      (event.backing.holders.length === 0 ? ', which nobody holds.' : ': ' + event.backing.holders.join(', ') + '.');
+  };
+
+  return {
+    /////////////////////////////////////////////
+    // checkReadiness
+    //
+    // Whether the root key could be recovered as of the
+    // latest block, given the recovery center, event log,
+    // key vault, and optionally the alarm clock and key
+    // oracle. Returns:
+    //
+    //   {
+    //     rootKeyId, blockNumber, timestamp, policy,
+    //     keyHeld, ready,
+    //     events: [{ eventHash, registered, description,
+    //                dispatcher, fired, backing, blocker }],
+    //     guardians: [{ address, ready, canFire,
+    //                   canFinish }],
+    //     blockers: [reason]
+    //   }
+    //
+    // A guardian can fire the events whose oracle key
+    // it holds, and the alarms that are due. If those
+    // are all that is left, it can finish the recovery
+    // on its own.
+    /////////////////////////////////////////////
+    checkReadiness: async function(contracts, rootKeyId) {
+      const { recovery, trustEventLog, keyVault } = contracts;
+      const block = await recovery.provider.getBlock('latest');
+      const overrides = { blockTag: block.number };
+      const [policy, guardians, eventHashes] = await recovery.getRecoveryPolicy(rootKeyId, overrides);
+
+      // the center has to be able to hand over its copy
+      const held = (await keyVault.keyBalanceOf(recovery.address, rootKeyId, false, overrides))
+        .sub(await keyVault.keyBalanceOf(recovery.address, rootKeyId, true, overrides));
+
+      var events = [];
+      for (const eventHash of eventHashes) {
+        const [registered, description, dispatcher, fired] = await trustEventLog.getEventInfo(eventHash, overrides);
+        var event = {
+          eventHash: eventHash,
+          registered: registered,
+          description: registered ? Locksmith.fromBytes32(description) : null,
+          dispatcher: registered ? dispatcher : null,
+          fired: fired
+        };
+        event.backing = registered ? await getBacking(contracts, event, block) : null;
+        event.blocker = fired ? null : getBlocker(event);
+        events.push(event);
+      }
+
+      var blockers = [];
+      if (!policy) {
+        blockers.push('There is no recovery policy for key ' + rootKeyId + '.');
+      } else if (guardians.length === 0) {
+        blockers.push('The policy has no guardians left.');
+      }
+      if (policy && held.lt(1)) {
+        blockers.push('The recovery center no longer holds a transferable copy of key ' + rootKeyId + '.');
+      }
+      blockers.push(...events.filter((e) => !e.fired).map((e) => e.blocker));
+      const ready = blockers.length === 0;
+
+      var readiness = [];
+      for (const guardian of guardians) {
+        var canFire = [];
+        for (const event of events.filter((e) => !e.fired && e.backing !== null)) {
+          if ((event.backing.type === 'alarm' && event.backing.due) || (event.backing.type === 'oracle' &&
+              (await keyVault.keyBalanceOf(guardian, event.backing.keyId, false, overrides)).gt(0))) {
+            canFire.push(event.eventHash);
+          }
+        }
+        readiness.push({
+          address: guardian,
+          ready: ready,
+          canFire: canFire,
+          canFinish: !ready && blockers.length === events.filter((e) => !e.fired).length &&
+            canFire.length === blockers.length
+        });
+      }
+
+      return {
+        rootKeyId: rootKeyId.toString(),
+        blockNumber: block.number,
+        timestamp: block.timestamp,
+        policy: policy,
+        keyHeld: held.gt(0),
+        ready: ready,
+        events: events,
+        guardians: readiness,
+        blockers: blockers
+      };
+    }
+  };
+})();
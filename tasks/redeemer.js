@@ -0,0 +1,200 @@
+const { Locksmith, Errors } = require('../sdk');
+
+///////////////////////////////////////////
+// GenieRedeemer
+//
+// Allowances pay out only when the recipient asks, once per
+// vesting interval. The redeemer asks for them: it looks up
+// every allowance of the keys the signer holds, and redeems
+// the ones that have vested, once their required events have
+// fired and their source keys can afford a tranche.
+//
+// Redemptions are sent in batches, every transaction of a
+// batch at once, and each batch is mined before the next.
+// Nothing is kept between runs: the Allowance contract knows
+// what is left to redeem.
+///////////////////////////////////////////
+GenieRedeemer = (function() {
+  /////////////////////////////////////////////
+  // getStatus
+  //
+  // Why an allowance can or can't be redeemed
+  // right now.
+  /////////////////////////////////////////////
+  var getStatus = function(allowance, timestamp) {
+    if (allowance.remainingTrancheCount === 0) {
+      return 'exhausted';
+    }
+    if (allowance.requiredEvents.some((e) => !e.fired)) {
+      return 'waiting for events';
+    }
+    if (allowance.nextVestTime > timestamp) {
+      return 'vesting';
+    }
+    return allowance.redeemableTrancheCount > 0 ? 'redeemable' : 'unaffordable';
+  };
+
+  return {
+    /////////////////////////////////////////////
+    // getAllowances
+    //
+    // Everything about the allowances of the given keys,
+    // as of the latest block, with the next vest dates:
+    //
+    //   [{ allowanceId, name, rootKeyId, recipientKeyId,
+    //      remainingTrancheCount, vestingInterval,
+    //      nextVestTime, requiredEvents: [{ eventHash,
+    //      fired }], entitlements: [{ sourceKey, arn,
+    //      provider, amount }], redeemableTrancheCount,
+    //      upcoming: [timestamp], status }]
+    //
+    // The status is one of: redeemable, vesting, waiting
+    // for events, unaffordable, or exhausted.
+    /////////////////////////////////////////////
+    getAllowances: async function(contracts, keyIds, upcoming = 3) {
+      const { allowance, trustEventLog } = contracts;
+      const block = await allowance.provider.getBlock('latest');
+      const sets = await allowance.getKeyAllowances(keyIds, { blockTag: block.number });
+      var allowances = [];
+
+      for (const allowanceId of [].concat(...sets.map((s) => s.allowanceIds))) {
+        const [a, requiredEvents, entitlements] = await allowance.getAllowance(allowanceId,
+          { blockTag: block.number });
+        var entry = {
+          allowanceId: allowanceId,
+          name: Locksmith.fromBytes32(a.allowanceName),
+          rootKeyId: a.rootKeyId.toString(),
+          recipientKeyId: a.recipientKeyId.toString(),
+          remainingTrancheCount: a.remainingTrancheCount.toNumber(),
+          vestingInterval: a.vestingInterval.toNumber(),
+          nextVestTime: a.nextVestTime.toNumber(),
+          requiredEvents: [],
+          entitlements: entitlements.map((e) => ({
+            sourceKey: e.sourceKey.toString(),
+            arn: e.arn,
+            provider: e.provider,
+            amount: e.amount.toString()
+          })),
+          redeemableTrancheCount: (await allowance.getRedeemableTrancheCount(allowanceId,
+            { blockTag: block.number })).toNumber()
+        };
+        for (const eventHash of requiredEvents) {
+          entry.requiredEvents.push({
+            eventHash: eventHash,
+            fired: await trustEventLog.firedEvents(eventHash, { blockTag: block.number })
+          });
+        }
+        entry.upcoming = [...Array(Math.min(upcoming, entry.remainingTrancheCount)).keys()]
+          .map((i) => entry.nextVestTime + i * entry.vestingInterval);
+        entry.status = getStatus(entry, block.timestamp);
+        allowances.push(entry);
+      }
+      return allowances;
+    },
+    /////////////////////////////////////////////
+    // redeem
+    //
+    // Redeems the redeemable allowances, batchSize
+    // transactions at a time. Returns each one's result:
+    //
+    //   { allowanceId, action: 'redeemed', transactionHash,
+    //     redeemedTranches, nextVestTime }
+    //   { allowanceId, action: 'due' } for a dry run
+    //   { allowanceId, action: 'failed', reason, error }
+    //
+    // A redemption that was sent but can't be mined fails
+    // with a null reason when there isn't one.
+    /////////////////////////////////////////////
+    redeem: async function(contracts, allowances, options = {}) {
+      const { allowance } = contracts;
+      const batchSize = options.batchSize || 5;
+      const due = allowances.filter((a) => a.status === 'redeemable');
+      if (options.dryRun) {
+        return due.map((a) => ({ allowanceId: a.allowanceId, action: 'due' }));
+      }
+
+      // the awards, read from a receipt
+      const awarded = function(receipt) {
+        return receipt.logs.filter((log) => log.address === allowance.address)
+          .map((log) => allowance.interface.parseLog(log))
+          .find((e) => e.name === 'allowanceAwarded');
+      };
+      const failed = function(allowanceId, err) {
+        const reason = Errors.getRevertReason(err);
+        if (reason === null) {
+          throw err;
+        }
+        return { allowanceId: allowanceId, action: 'failed', reason: reason, error: Errors.formatError(err) };
+      };
+
+      var results = [];
+      for (var start = 0; start < due.length; start += batchSize) {
+        const batch = due.slice(start, start + batchSize);
+        var sent = [];
+        for (const a of batch) {
+          try {
+            sent.push(await allowance.redeemAllowance(a.allowanceId));
+          } catch (err) {
+            sent.push(err);
+          }
+        }
+        for (var i = 0; i < batch.length; i++) {
+          const allowanceId = batch[i].allowanceId;
+          if (sent[i] instanceof Error) {
+            results.push(failed(allowanceId, sent[i]));
+            continue;
+          }
+          try {
+            const receipt = await sent[i].wait();
+            const award = awarded(receipt);
+            results.push({
+              allowanceId: allowanceId,
+              action: 'redeemed',
+              transactionHash: receipt.transactionHash,
+              redeemedTranches: award.args.redeemedTranches.toNumber(),
+              nextVestTime: award.args.nextVestTime.toNumber()
+            });
+          } catch (err) {
+            // it was sent, so the batch goes on whatever went wrong
+            results.push({ allowanceId: allowanceId, action: 'failed', reason: Errors.getRevertReason(err),
+              error: Errors.formatError(err) });
+          }
+        }
+      }
+      return results;
+    },
+    /////////////////////////////////////////////
+    // run
+    //
+    // Looks up and redeems the allowances of the
+    // keys every interval, until the rounds run out.
+    // Options:
+    //
+    //   keys:      the key IDs, by default every key
+    //              the signer holds, looked up each round
+    //   dryRun:    report what is due, never redeem
+    //   batchSize: transactions sent at once (5)
+    //   upcoming:  vest dates to report per allowance (3)
+    //   interval:  seconds between rounds (60)
+    //   rounds:    how many rounds, 0 for forever (0)
+    //   onRound:   called with every round's report,
+    //              { round, timestamp, keys, allowances,
+    //                results } or { round, error }
+    /////////////////////////////////////////////
+    run: async function(contracts, options = {}) {
+      await GenieRounds.repeat(options, async function(round) {
+        const keys = options.keys ||
+          (await contracts.keyVault.getKeys(await contracts.allowance.signer.getAddress())).map((k) => k.toString());
+        const allowances = await GenieRedeemer.getAllowances(contracts, keys, options.upcoming);
+        const results = await GenieRedeemer.redeem(contracts, allowances, options);
+        return {
+          round: round,
+          timestamp: (await contracts.allowance.provider.getBlock('latest')).timestamp,
+          keys: keys,
+          allowances: allowances,
+          results: results
+        };
+      });
+    }
+  };
+})();
@@ -1,7 +1,8 @@
 const fs = require('fs');
-const { Wallet } = require("zksync-web3");
-const { Deployer } = require("@matterlabs/hardhat-zksync-deploy");
+const path = require('path');
+const Ajv = require('ajv');
 const { ethers } = require("ethers");
+const { HardhatPluginError } = require('hardhat/plugins');
 
 LocksmithRegistry = (function() {
   const CONTRACTS = [ 
@@ -15,6 +16,8 @@ LocksmithRegistry = (function() {
     'TrustEventLog',
     'KeyOracle',
     'AlarmClock',
+    'Trustee',
+    'Allowance',
     'Distributor',
     'PostOffice',
     'KeyAddressFactory',
@@ -24,20 +27,17 @@ LocksmithRegistry = (function() {
     'RecoveryPolicyCreator',
   ];
 
-///////////////////////////////////////////
-// patchOwner
-//
-// This is needed because hardhat doesn't always use EIP 1559
-// when using the default JsonRPCSigner, and doesn't necessarily
-// support the right over-rides in hardhat.config.js.
-//
-// https://github.com/NomicFoundation/hardhat/issues/3418
-///////////////////////////////////////////
-const patchOwner = async function() {
-  const zkWallet = new Wallet(process.env.MY_PRIVATE_KEY)
-  const deployer = new Deployer(hre, zkWallet);
-  return deployer;
-}
+  /////////////////////////////////////////////
+  // getRegistryDirectory
+  //
+  // The registries live in registries/, unless
+  // GENIE_REGISTRY_DIR points somewhere else, like
+  // a scratch directory for the tests. The schemas
+  // always come from registries/schema.
+  /////////////////////////////////////////////
+  var getRegistryDirectory = function() {
+    return process.env.GENIE_REGISTRY_DIR || path.join(__dirname, '..', 'registries');
+  };
 
   /////////////////////////////////////////////
   // getNetworkRegistryFileName
@@ -46,9 +46,49 @@ const patchOwner = async function() {
   // for the registry.
   /////////////////////////////////////////////
   var getNetworkRegistryFileName = function(chainId, registryType){
-    return __dirname + '/../registries/network-' + registryType + '-' + chainId + '.json';
+    return path.join(getRegistryDirectory(), 'network-' + registryType + '-' + chainId + '.json');
   };
   
+  // how long to wait on another genie holding a registry,
+  // in milliseconds, unless GENIE_LOCK_TIMEOUT says otherwise
+  const LOCK_TIMEOUT = 30000;
+
+  /////////////////////////////////////////////
+  // Registry Schemas
+  //
+  // Every registry type has a JSON schema in registries/schema,
+  // and every read and write of a registry is validated
+  // against it.
+  /////////////////////////////////////////////
+  const ajv = new Ajv({ allErrors: true });
+  ajv.addFormat('checksum-address', (s) => ethers.utils.isAddress(s) && ethers.utils.getAddress(s) === s);
+  var validators = {};
+
+  var getValidator = function(registryType) {
+    if (!validators[registryType]) {
+      const schema = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'registries',
+        'schema', 'network-' + registryType + '.schema.json')));
+      validators[registryType] = ajv.compile(schema);
+    }
+    return validators[registryType];
+  };
+
+  /////////////////////////////////////////////
+  // validateNetworkRegistry
+  //
+  // Blows up with every schema violation if the registry
+  // contents aren't valid, which is usually the result of
+  // a hand-edit gone wrong.
+  /////////////////////////////////////////////
+  var validateNetworkRegistry = function(registry) {
+    const validate = getValidator(registry.type);
+    if (!validate(registry.contracts)) {
+      throw new HardhatPluginError('genie', 'The registry ' +
+        getNetworkRegistryFileName(registry.chainId, registry.type) + ' is invalid:\n' +
+        validate.errors.map((e) => '  ' + (e.instancePath || '/') + ' ' + e.message).join('\n'));
+    }
+  };
+
   /////////////////////////////////////////////
   // getNetworkRegistry
   //
@@ -58,12 +98,114 @@ const patchOwner = async function() {
   // as any known set dependencies.
   /////////////////////////////////////////////
   var getNetworkRegistry = function(chainId, registryType = 'contracts') {
-    return {
+    const fileName = getNetworkRegistryFileName(chainId, registryType);
+    var contracts;
+    try {
+      contracts = JSON.parse(fs.readFileSync(fileName));
+    } catch (err) {
+      if (err instanceof SyntaxError) {
+        throw new HardhatPluginError('genie', 'The registry ' + fileName + ' is not valid JSON: ' + err.message);
+      }
+      throw err;
+    }
+
+    var registry = {
       chainId: chainId,
       type: registryType,
-      contracts: JSON.parse(
-        fs.readFileSync(getNetworkRegistryFileName(chainId, registryType)))
+      contracts: contracts
     }; 
+    validateNetworkRegistry(registry);
+    return registry;
+  };
+
+  /////////////////////////////////////////////
+  // mergeManifest
+  //
+  // Lays a chain's wiring overrides over the default
+  // manifest. Flags are replaced, and roles are merged
+  // down to the actor, so an override only has to name
+  // what is different on its chain.
+  /////////////////////////////////////////////
+  var mergeManifest = function(manifest, overrides) {
+    var merged = { ...manifest, ...overrides, roles: {} };
+    for (const roles of [manifest.roles || {}, overrides.roles || {}]) {
+      for (const [roleName, ledgers] of Object.entries(roles)) {
+        merged.roles[roleName] ||= {};
+        for (const [ledger, actors] of Object.entries(ledgers)) {
+          merged.roles[roleName][ledger] = { ...merged.roles[roleName][ledger], ...actors };
+        }
+      }
+    }
+    return merged;
+  };
+
+  /////////////////////////////////////////////
+  // sleep
+  //
+  // Blocks the process for the given milliseconds,
+  // because registry access is synchronous.
+  /////////////////////////////////////////////
+  var sleep = function(ms) {
+    Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+  };
+
+  /////////////////////////////////////////////
+  // acquireRegistryLock
+  //
+  // Takes an advisory lock on the registry file, so that
+  // concurrent genie invocations don't clobber each other.
+  // The lock file holds the pid of the owner, so locks left
+  // behind by a process that died are cleaned up. The lock
+  // is linked into place with the pid already written, so
+  // it is never seen empty. A lock that can't be read is
+  // treated as held until the timeout.
+  /////////////////////////////////////////////
+  var acquireRegistryLock = function(fileName) {
+    const lockName = fileName + '.lock';
+    const tempName = lockName + '.' + process.pid + '.tmp';
+    const started = Date.now();
+    const timeout = parseInt(process.env.GENIE_LOCK_TIMEOUT) || LOCK_TIMEOUT;
+
+    fs.writeFileSync(tempName, '' + process.pid);
+    try {
+      while (true) {
+        try {
+          fs.linkSync(tempName, lockName);
+          return lockName;
+        } catch (err) {
+          if (err.code !== 'EEXIST') {
+            throw err;
+          }
+        }
+
+        var holder = null;
+        try {
+          holder = parseInt(fs.readFileSync(lockName).toString());
+          if (!isNaN(holder)) {
+            process.kill(holder, 0);
+          }
+        } catch (err) {
+          // the lock just went away
+          if (err.code === 'ENOENT') {
+            continue;
+          }
+
+          // the holder is gone
+          if (err.code === 'ESRCH') {
+            try { fs.unlinkSync(lockName); } catch (e) {}
+            continue;
+          }
+        }
+
+        if (Date.now() - started > timeout) {
+          throw new HardhatPluginError('genie', 'Timed out waiting for the registry lock ' +
+            lockName + ', held by ' + (isNaN(holder) ? 'an unknown process' : 'process ' + holder));
+        }
+        sleep(100);
+      }
+    } finally {
+      fs.unlinkSync(tempName);
+    }
   };
 
   /////////////////////////////////////////////
@@ -71,14 +213,58 @@ const patchOwner = async function() {
   //
   // Takes a registry object (which contains both a chainId and
   // a map of contract aliases and their addresses), and saves
-  // it to the proper file atomically.
+  // it to the proper file atomically, by writing a temporary
+  // file next to it and renaming it into place.
   /////////////////////////////////////////////
   var commitNetworkRegistry = function(registry) {
+    validateNetworkRegistry(registry);
+    const fileName = getNetworkRegistryFileName(registry.chainId, registry.type);
+    const tempName = fileName + '.' + process.pid + '.tmp';
     let data = JSON.stringify(registry.contracts, null, 2);
-    fs.writeFileSync(getNetworkRegistryFileName(registry.chainId, registry.type), data); 
+    fs.writeFileSync(tempName, data); 
+    fs.renameSync(tempName, fileName);
+  };
+
+  /////////////////////////////////////////////
+  // updateNetworkRegistry
+  //
+  // Reads, modifies, and commits a registry while holding
+  // its lock. The update function is given the contents
+  // of the registry to change in place.
+  //
+  // Registries genie derives on its own can be created
+  // as needed, but only next to a contracts registry.
+  /////////////////////////////////////////////
+  var updateNetworkRegistry = function(chainId, registryType, update, create = false) {
+    const fileName = getNetworkRegistryFileName(chainId, registryType);
+    const lockName = acquireRegistryLock(fileName);
+    try {
+      var registry;
+      if (create && !fs.existsSync(fileName) &&
+          fs.existsSync(getNetworkRegistryFileName(chainId, 'contracts'))) {
+        registry = { chainId: chainId, type: registryType, contracts: {} };
+      } else {
+        // this will error if the registry doesn't exist, this
+        // is on purpose to ensure that typos don't create new
+        // registries
+        registry = getNetworkRegistry(chainId, registryType);
+      }
+      update(registry.contracts);
+      commitNetworkRegistry(registry);
+    } finally {
+      fs.unlinkSync(lockName);
+    }
   };
 
   return {
+    /////////////////////////////////////////////
+    // getRegistryDirectory
+    //
+    // Where the registries are read and written.
+    /////////////////////////////////////////////
+    getRegistryDirectory: function() {
+      return getRegistryDirectory();
+    },
     /////////////////////////////////////////////
     // getContractList
     //
@@ -89,24 +275,92 @@ const patchOwner = async function() {
       return CONTRACTS;
     },
     /////////////////////////////////////////////
+    // hasNetworkRegistry
+    //
+    // Determines if there is a registry file on disk
+    // for the given chain ID. Genie won't create new
+    // registries on its own, so this is the gate for
+    // operating on a network at all.
+    /////////////////////////////////////////////
+    hasNetworkRegistry: function(chainId, registryType = 'contracts') {
+      return fs.existsSync(getNetworkRegistryFileName(chainId, registryType));
+    },
+    /////////////////////////////////////////////
+    // getChainIds
+    //
+    // Lists every chain ID that has a registry of
+    // the given type on disk, in numeric order.
+    /////////////////////////////////////////////
+    getChainIds: function(registryType = 'contracts') {
+      const pattern = new RegExp('^network-' + registryType + '-(\\d+)\\.json$');
+      return fs.readdirSync(getRegistryDirectory())
+        .map((f) => (f.match(pattern) || [])[1])
+        .filter((chainId) => chainId !== undefined)
+        .map((chainId) => parseInt(chainId))
+        .sort((a, b) => a - b);
+    },
+    /////////////////////////////////////////////
+    // getAssets
+    //
+    // Opens the asset registry for the chain, which
+    // holds the known tokens by alias. Chains without
+    // one simply have no assets.
+    /////////////////////////////////////////////
+    getAssets: function(chainId) {
+      if (!LocksmithRegistry.hasNetworkRegistry(chainId, 'assets')) {
+        return {};
+      }
+      return getNetworkRegistry(chainId, 'assets').contracts;
+    },
+    /////////////////////////////////////////////
+    // getWiringManifest
+    //
+    // Opens the wiring manifest for the chain, which
+    // declares how trusts should be wired to the
+    // deployed contracts. Every chain is wired like
+    // registries/network-wiring-default.json, with the
+    // overrides in its own network-wiring-<chainId>.json,
+    // if it has one.
+    /////////////////////////////////////////////
+    getWiringManifest: function(chainId) {
+      const manifest = getNetworkRegistry('default', 'wiring').contracts;
+      return !LocksmithRegistry.hasNetworkRegistry(chainId, 'wiring') ? manifest :
+        mergeManifest(manifest, getNetworkRegistry(chainId, 'wiring').contracts);
+    },
+    /////////////////////////////////////////////
+    // getDependencyGetter
+    //
+    // Looks through the ABI for the public getter that
+    // exposes the given contract dependency. This is a
+    // view method with no inputs returning a single address,
+    // named after the dependency, like trustEventLog()
+    // or getKeyVault(). Returns null if there isn't one.
+    /////////////////////////////////////////////
+    getDependencyGetter: function(abi, dependency) {
+      const candidates = [dependency.toLowerCase(), 'get' + dependency.toLowerCase()];
+      const getter = abi.find((f) => f.type === 'function' &&
+        ['view', 'pure'].includes(f.stateMutability) &&
+        f.inputs.length === 0 && f.outputs.length === 1 &&
+        f.outputs[0].type === 'address' &&
+        candidates.includes(f.name.toLowerCase()));
+      return getter ? getter.name : null;
+    },
+    /////////////////////////////////////////////
     // getDeployedDependencyAddress 
     //
-    // Given a context of ethers, get the integrity
-    // of the given contract alias.
+    // Given a genie owner, get the integrity
+    // of the given contract alias. Returns null if
+    // the contract isn't deployed, or doesn't expose
+    // the dependency.
     /////////////////////////////////////////////
-    getDeployedDependencyAddress: async function(chainId, alias, dependency) {
-      var owner = await patchOwner();
+    getDeployedDependencyAddress: async function(owner, chainId, alias, dependency) {
       var address = LocksmithRegistry.getContractAddress(chainId, alias);
       var artifact = await owner.loadArtifact(alias);
+      var method = LocksmithRegistry.getDependencyGetter(artifact.abi, dependency);
 
-      // this is a very naughty piece of code, that assumes
-      // there is a public member that is lower-camelized for
-      // the contract dependency.
-      // note: this has already tripped me up once with the event log dependency
       try { 
-        var contract = new ethers.Contract(address, artifact.abi, owner.zkWallet);
-        var method = dependency.charAt(0).toLowerCase() + dependency.slice(1);
-        return address !== null ? await contract[method]() : null;
+        var contract = new ethers.Contract(address, artifact.abi, owner.signer);
+        return address !== null && method !== null ? await contract[method]() : null;
       } catch (err) {
         return null;
       }
@@ -130,6 +384,119 @@ const patchOwner = async function() {
       return (getNetworkRegistry(chainId, registryType).contracts[alias]||{})['codeHash'] || null; 
     },
     /////////////////////////////////////////////
+    // getContractRecord
+    //
+    // Opens the registry, and gets the full record for
+    // a contract. Older registries only store the address
+    // and code hash, so anything else will come back as
+    // null, with an empty history.
+    /////////////////////////////////////////////
+    getContractRecord: function(chainId, alias, registryType = 'contracts') {
+      var entry = getNetworkRegistry(chainId, registryType).contracts[alias];
+      if (!entry) {
+        return null;
+      }
+
+      return {
+        address: entry.address || null,
+        codeHash: entry.codeHash || null,
+        proxy: entry.proxy || null,
+        implementation: entry.implementation || null,
+        deployer: entry.deployer || null,
+        txHash: entry.txHash || null,
+        blockNumber: entry.blockNumber === undefined ? null : entry.blockNumber,
+        timestamp: entry.timestamp === undefined ? null : entry.timestamp,
+        compiler: entry.compiler || null,
+        history: entry.history || []
+      };
+    },
+    /////////////////////////////////////////////
+    // saveContractDeployment
+    //
+    // Stores a deployment or upgrade of a contract. The current
+    // fields of the record are overwritten, but every deployment
+    // is appended to the record's history, along with the
+    // implementation it replaced. The history is never rewritten.
+    //
+    // A deployment looks like:
+    // {
+    //   action, address, codeHash, proxy: { kind, admin },
+    //   implementation, deployer, txHash, blockNumber,
+    //   timestamp, compiler
+    // }
+    /////////////////////////////////////////////
+    saveContractDeployment: function(chainId, alias, deployment, registryType = 'contracts') {
+      updateNetworkRegistry(chainId, registryType, function(contracts) {
+        var entry = contracts[alias] ||= {};
+        var history = entry.history || [];
+        var previousImplementation = deployment.previousImplementation === undefined ?
+          (entry.implementation || null) : deployment.previousImplementation;
+
+        entry.address = deployment.address;
+        entry.codeHash = deployment.codeHash;
+        entry.proxy = deployment.proxy;
+        entry.implementation = deployment.implementation;
+        entry.deployer = deployment.deployer;
+        entry.txHash = deployment.txHash;
+        entry.blockNumber = deployment.blockNumber;
+        entry.timestamp = deployment.timestamp;
+        entry.compiler = deployment.compiler;
+
+        // keep the history at the end of the record
+        delete entry.history;
+        entry.history = history.concat([{
+          action: deployment.action,
+          implementation: deployment.implementation,
+          previousImplementation: previousImplementation,
+          codeHash: deployment.codeHash,
+          deployer: deployment.deployer,
+          txHash: deployment.txHash,
+          blockNumber: deployment.blockNumber,
+          timestamp: deployment.timestamp,
+          compiler: deployment.compiler
+        }]);
+      });
+    },
+    /////////////////////////////////////////////
+    // getStorageLayout
+    //
+    // Gets the storage layout snapshot that was taken
+    // when the given code hash was deployed, or null
+    // if genie never saw it.
+    /////////////////////////////////////////////
+    getStorageLayout: function(chainId, codeHash) {
+      if (codeHash === null || !LocksmithRegistry.hasNetworkRegistry(chainId, 'layouts')) {
+        return null;
+      }
+      return getNetworkRegistry(chainId, 'layouts').contracts[codeHash] || null;
+    },
+    /////////////////////////////////////////////
+    // saveStorageLayout
+    //
+    // Stores the storage layout snapshot for a code hash.
+    // The layouts registry is created with the first one.
+    /////////////////////////////////////////////
+    saveStorageLayout: function(chainId, codeHash, layout) {
+      updateNetworkRegistry(chainId, 'layouts', function(layouts) {
+        layouts[codeHash] = layout;
+      }, true);
+    },
+    /////////////////////////////////////////////
+    // resetNetworkRegistry
+    //
+    // Empties a registry, creating it if needed. This is
+    // only meant for local chains, whose deployments
+    // don't survive a restart of the node.
+    /////////////////////////////////////////////
+    resetNetworkRegistry: function(chainId, registryType = 'contracts') {
+      const lockName = acquireRegistryLock(getNetworkRegistryFileName(chainId, registryType));
+      try {
+        commitNetworkRegistry({ chainId: chainId, type: registryType, contracts: {} });
+      } finally {
+        fs.unlinkSync(lockName);
+      }
+    },
+    /////////////////////////////////////////////
     // saveContractAddress
     //
     // This method will take an address and store
@@ -137,17 +504,28 @@ const patchOwner = async function() {
     // anything that is there!
     /////////////////////////////////////////////
     saveContractAddress: function(chainId, alias, address, registryType = 'contracts') {
-      // this will error if the registry doesn't exist, this
-      // is on purpose to ensure that typos don't create new
-      // registries
-      var registry = getNetworkRegistry(chainId, registryType);
-
-      // save the registry into the map
-      registry.contracts[alias] ||= {};
-      registry.contracts[alias]['address'] = address;
-
-      // save the registry
-      commitNetworkRegistry(registry);
+      updateNetworkRegistry(chainId, registryType, function(contracts) {
+        contracts[alias] ||= {};
+        contracts[alias]['address'] = address;
+      });
+    },
+    /////////////////////////////////////////////
+    // saveAsset
+    //
+    // Stores a token in the asset registry, with whatever
+    // is known of its symbol, decimals, and token standard.
+    // Overwrites what was known about the alias before.
+    // The asset registry is created with the first one.
+    /////////////////////////////////////////////
+    saveAsset: function(chainId, alias, asset) {
+      updateNetworkRegistry(chainId, 'assets', function(assets) {
+        assets[alias] = { address: asset.address };
+        for (const field of ['symbol', 'decimals', 'standard']) {
+          if (asset[field] !== undefined && asset[field] !== null) {
+            assets[alias][field] = asset[field];
+          }
+        }
+      }, true);
     },
     /////////////////////////////////////////////
     // saveContractCodeHash
@@ -157,17 +535,10 @@ const patchOwner = async function() {
     // anything that is there!
     /////////////////////////////////////////////
     saveContractCodeHash: function(chainId, alias, codeHash, registryType = 'contracts') {
-      // this will error if the registry doesn't exist, this
-      // is on purpose to ensure that typos don't create new
-      // registries
-      var registry = getNetworkRegistry(chainId, registryType);
-
-      // save the registry into the map
-      registry.contracts[alias] ||= {};
-      registry.contracts[alias]['codeHash'] = codeHash;
-
-      // save the registry
-      commitNetworkRegistry(registry);
+      updateNetworkRegistry(chainId, registryType, function(contracts) {
+        contracts[alias] ||= {};
+        contracts[alias]['codeHash'] = codeHash;
+      });
     }
   };
 })();
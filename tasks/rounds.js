@@ -0,0 +1,50 @@
+///////////////////////////////////////////
+// GenieRounds
+//
+// The keeper and the redeemer work in rounds: they do
+// their job, report it, and sleep until the next round.
+// This is that loop, shared by both.
+///////////////////////////////////////////
+GenieRounds = (function() {
+  return {
+    /////////////////////////////////////////////
+    // sleep
+    /////////////////////////////////////////////
+    sleep: function(seconds) {
+      return new Promise((resolve) => setTimeout(resolve, seconds * 1000));
+    },
+    /////////////////////////////////////////////
+    // repeat
+    //
+    // Plays a round every interval, until the rounds
+    // run out. Options:
+    //
+    //   interval: seconds between rounds (60)
+    //   rounds:   how many rounds, 0 for forever (0)
+    //   onRound:  called with every round's report,
+    //             or { round, error } when it throws
+    //
+    // A round that throws is reported, and the next
+    // one is played anyway.
+    /////////////////////////////////////////////
+    repeat: async function(options, play) {
+      const interval = options.interval === undefined ? 60 : options.interval;
+      const rounds = options.rounds || 0;
+      const onRound = options.onRound || (() => {});
+
+      for (var round = 1; rounds === 0 || round <= rounds; round++) {
+        var report;
+        try {
+          report = await play(round);
+        } catch (err) {
+          report = { round: round, error: err };
+        }
+        onRound(report);
+
+        if (rounds === 0 || round < rounds) {
+          await GenieRounds.sleep(interval);
+        }
+      }
+    }
+  };
+})();
@@ -0,0 +1,250 @@
+const { ethers } = require("ethers");
+const { Wallet } = require("zksync-web3");
+const { HardhatPluginError } = require('hardhat/plugins');
+
+///////////////////////////////////////////
+// GenieSigners
+//
+// Genie can sign with a number of different signers, selected
+// with the --signer flag on every genie task, or GENIE_SIGNER
+// in the environment:
+//
+//   - hardhat:  the first account configured for the network
+//   - key:      the raw private key in MY_PRIVATE_KEY
+//   - mnemonic: MY_MNEMONIC, at the --derivation-path
+//   - ledger:   a Ledger device over USB, at the --derivation-path
+//   - offline:  doesn't sign at all. Transactions for the --from
+//               address are printed unsigned, so they can be signed
+//               and broadcast somewhere else.
+//
+// This way, production deploys and upgrades never need a hot
+// private key in the environment, except on zkSync. Those
+// networks go through the zkSync Deployer, which signs its own
+// transactions with a zkSync wallet built from a private key,
+// so only the key and mnemonic signers are available there.
+// The ledger and offline signers are rejected on zkSync until
+// genie can hand the Deployer's transactions to another signer.
+///////////////////////////////////////////
+GenieSigners = (function() {
+  const DEFAULT_DERIVATION_PATH = "m/44'/60'/0'/0/0";
+
+  ///////////////////////////////////////////
+  // LedgerSigner
+  //
+  // An ethers signer backed by a Ledger device running
+  // the Ethereum app. The device is only opened when
+  // something needs it.
+  ///////////////////////////////////////////
+  class LedgerSigner extends ethers.Signer {
+    constructor(path, provider) {
+      super();
+      ethers.utils.defineReadOnly(this, 'path', path.replace(/^m\//, ''));
+      ethers.utils.defineReadOnly(this, 'provider', provider || null);
+    }
+
+    async getApp() {
+      if (!this.app) {
+        const TransportNodeHid = require('@ledgerhq/hw-transport-node-hid').default;
+        const Eth = require('@ledgerhq/hw-app-eth').default;
+        try {
+          this.app = new Eth(await TransportNodeHid.create());
+        } catch (err) {
+          throw new HardhatPluginError('genie', 'Could not open the Ledger device. Make sure it is ' +
+            'connected, unlocked, and running the Ethereum app: ' + err.message);
+        }
+      }
+      return this.app;
+    }
+
+    async getAddress() {
+      const app = await this.getApp();
+      return ethers.utils.getAddress((await app.getAddress(this.path)).address);
+    }
+
+    async signMessage(message) {
+      const app = await this.getApp();
+      const bytes = typeof message === 'string' ? ethers.utils.toUtf8Bytes(message) : message;
+      const signature = await app.signPersonalMessage(this.path, ethers.utils.hexlify(bytes).substring(2));
+      return ethers.utils.joinSignature({ r: '0x' + signature.r, s: '0x' + signature.s, v: signature.v });
+    }
+
+    async signTransaction(transaction) {
+      const app = await this.getApp();
+      var tx = await ethers.utils.resolveProperties(transaction);
+      delete tx.from;
+      const unsigned = ethers.utils.serializeTransaction(tx);
+      const signature = await app.signTransaction(this.path, unsigned.substring(2), null);
+      return ethers.utils.serializeTransaction(tx, {
+        r: '0x' + signature.r,
+        s: '0x' + signature.s,
+        v: parseInt(signature.v, 16)
+      });
+    }
+
+    connect(provider) {
+      return new LedgerSigner(this.path, provider);
+    }
+  }
+
+  ///////////////////////////////////////////
+  // OfflineSigner
+  //
+  // An ethers signer for an address it holds no key for.
+  // Sending a transaction fills in everything the network
+  // would (nonce, gas, fees, chain ID), prints the unsigned
+  // transaction, and stops the task.
+  ///////////////////////////////////////////
+  class OfflineSigner extends ethers.Signer {
+    constructor(address, provider) {
+      super();
+      ethers.utils.defineReadOnly(this, 'address', ethers.utils.getAddress(address));
+      ethers.utils.defineReadOnly(this, 'provider', provider || null);
+    }
+
+    async getAddress() {
+      return this.address;
+    }
+
+    async signMessage(message) {
+      throw new HardhatPluginError('genie', 'The offline signer can not sign messages.');
+    }
+
+    async signTransaction(transaction) {
+      throw new HardhatPluginError('genie', 'The offline signer can not sign transactions.');
+    }
+
+    async getUnsignedTransaction(transaction) {
+      var tx = await this.populateTransaction(transaction);
+      delete tx.from;
+      return {
+        from: this.address,
+        transaction: Object.fromEntries(Object.entries(tx).map(([key, value]) =>
+          [key, ethers.BigNumber.isBigNumber(value) ? value.toString() : value])),
+        serialized: ethers.utils.serializeTransaction(tx)
+      };
+    }
+
+    async sendTransaction(transaction) {
+      const unsigned = await this.getUnsignedTransaction(transaction);
+      console.log('\n=== UNSIGNED TRANSACTION ===');
+      console.log(JSON.stringify(unsigned, null, 2));
+      throw new HardhatPluginError('genie', 'The offline signer does not send transactions. ' +
+        'Sign the transaction above and broadcast it, then run the task again.');
+    }
+
+    connect(provider) {
+      return new OfflineSigner(this.address, provider);
+    }
+  }
+
+  /////////////////////////////////////////////
+  // requireEnv
+  //
+  // Reads a secret from the environment, or blows up
+  // naming the signer that needed it.
+  /////////////////////////////////////////////
+  var requireEnv = function(name, signer) {
+    if (!process.env[name]) {
+      throw new HardhatPluginError('genie', 'The ' + signer + ' signer needs ' + name + ' in the environment.');
+    }
+    return process.env[name];
+  };
+
+  return {
+    LedgerSigner,
+    OfflineSigner,
+    /////////////////////////////////////////////
+    // getSignerTypes
+    //
+    // The signers genie knows how to build.
+    /////////////////////////////////////////////
+    getSignerTypes: function() {
+      return ['hardhat', 'key', 'mnemonic', 'ledger', 'offline'];
+    },
+    /////////////////////////////////////////////
+    // getSignerOptions
+    //
+    // Picks out the signer selection from a task's arguments,
+    // so it can be handed along to the tasks it runs.
+    /////////////////////////////////////////////
+    getSignerOptions: function(taskArgs) {
+      return {
+        signer: taskArgs.signer,
+        derivationPath: taskArgs.derivationPath,
+        from: taskArgs.from
+      };
+    },
+    /////////////////////////////////////////////
+    // resolveSignerOptions
+    //
+    // Fills in the defaults for anything the task wasn't
+    // given. zkSync networks have no hardhat accounts, so
+    // they default to the raw key, and only take the key
+    // and mnemonic signers.
+    /////////////////////////////////////////////
+    resolveSignerOptions: function(options, zksync) {
+      const type = options.signer || process.env.GENIE_SIGNER || (zksync ? 'key' : 'hardhat');
+      if (!GenieSigners.getSignerTypes().includes(type)) {
+        throw new HardhatPluginError('genie', 'Unknown signer "' + type + '". Expected one of: ' +
+          GenieSigners.getSignerTypes().join(', '));
+      }
+      if (zksync && !['key', 'mnemonic'].includes(type)) {
+        throw new HardhatPluginError('genie', 'The ' + type + ' signer is not supported on zkSync networks, ' +
+          'where the zkSync Deployer signs with a private key. Use the key or mnemonic signer.');
+      }
+      if (type === 'offline' && !options.from) {
+        throw new HardhatPluginError('genie', 'The offline signer needs the --from address to prepare transactions for.');
+      }
+      if (type === 'offline' && !ethers.utils.isAddress(options.from)) {
+        throw new HardhatPluginError('genie', 'The offline signer --from is not an address: ' + options.from);
+      }
+      return {
+        type: type,
+        derivationPath: options.derivationPath || process.env.GENIE_DERIVATION_PATH || DEFAULT_DERIVATION_PATH,
+        from: options.from || null
+      };
+    },
+    /////////////////////////////////////////////
+    // getEthersSigner
+    //
+    // Builds the selected signer for a standard EVM
+    // network, connected to the network's provider.
+    /////////////////////////////////////////////
+    getEthersSigner: async function(options) {
+      const provider = hre.ethers.provider;
+      switch (options.type) {
+        case 'hardhat': {
+          const [signer] = await hre.ethers.getSigners();
+          if (signer === undefined) {
+            throw new HardhatPluginError('genie', 'There are no accounts configured for network "' +
+              hre.network.name + '". Use --signer to pick another signer.');
+          }
+          return signer;
+        }
+        case 'key':
+          return new ethers.Wallet(requireEnv('MY_PRIVATE_KEY', 'key'), provider);
+        case 'mnemonic':
+          return ethers.Wallet.fromMnemonic(requireEnv('MY_MNEMONIC', 'mnemonic'), options.derivationPath)
+            .connect(provider);
+        case 'ledger':
+          return new LedgerSigner(options.derivationPath, provider);
+        case 'offline':
+          return new OfflineSigner(options.from, provider);
+      }
+    },
+    /////////////////////////////////////////////
+    // getZkSyncWallet
+    //
+    // Builds the selected signer as a zkSync wallet
+    // for the zkSync Deployer.
+    /////////////////////////////////////////////
+    getZkSyncWallet: function(options) {
+      switch (options.type) {
+        case 'key':
+          return new Wallet(requireEnv('MY_PRIVATE_KEY', 'key'));
+        case 'mnemonic':
+          return Wallet.fromMnemonic(requireEnv('MY_MNEMONIC', 'mnemonic'), options.derivationPath);
+      }
+    }
+  };
+})();
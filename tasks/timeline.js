@@ -0,0 +1,284 @@
+const { ethers } = require("ethers");
+const { HardhatPluginError } = require('hardhat/plugins');
+const { Locksmith, Statement } = require('../sdk');
+
+///////////////////////////////////////////
+// GenieTimeline
+//
+// Turns the events the indexer filed under a trust into a
+// history people can read: who minted which key to whom,
+// which scribe moved which funds, when an alarm was snoozed,
+// when a guardian recovered the root key. Every entry is a
+// sentence, with the block, time, and transaction it came from.
+//
+// Notary approvals only echo the ledger and event log, and
+// key vault mints and burns echo the Locksmith, so they are
+// left out.
+///////////////////////////////////////////
+GenieTimeline = (function() {
+  const CSV_COLUMNS = ['time', 'timestamp', 'blockNumber', 'transactionHash', 'logIndex',
+    'contract', 'event', 'actor', 'description'];
+
+  const SKIPPED = ['notaryDepositApproval', 'notaryWithdrawalApproval',
+    'notaryDistributionApproval', 'notaryEventRegistrationApproval'];
+
+  // who did it, by the event argument's name
+  const ACTOR_ARGS = ['creator', 'operator', 'rootHolder', 'keyHolder', 'scribe', 'dispatcher',
+    'guardian', 'actor', 'provider', 'from'];
+
+  const ROLE_NAMES = ['a collateral provider', 'a scribe', 'an event dispatcher'];
+
+  // IVirtualAddress.TxType
+  const TX_TYPES = { SEND: 1, RECEIVE: 2, ABI: 3 };
+
+  /////////////////////////////////////////////
+  // duration
+  //
+  // Seconds, in the largest unit that fits evenly.
+  /////////////////////////////////////////////
+  var duration = function(seconds) {
+    const s = parseInt(seconds);
+    for (const [unit, size] of [['day', 86400], ['hour', 3600], ['minute', 60]]) {
+      if (s >= size && s % size === 0) {
+        return (s / size) + ' ' + unit + (s === size ? '' : 's');
+      }
+    }
+    return s + ' second' + (s === 1 ? '' : 's');
+  };
+
+  /////////////////////////////////////////////
+  // getNames
+  //
+  // Everything needed to name the things an event
+  // refers to, learned from the index itself.
+  /////////////////////////////////////////////
+  var getNames = function(db, arns) {
+    var keys = {};
+    var addresses = {};
+    var events = {};
+    for (const event of db.events) {
+      addresses[event.address] = addresses[event.address] || event.contract;
+      if (event.event === 'keyMinted') {
+        keys[event.args.keyId] = Locksmith.fromBytes32(event.args.keyName);
+      }
+      if (event.event === 'trustEventRegistered') {
+        events[event.args.eventHash] = Locksmith.fromBytes32(event.args.eventDescription);
+      }
+      if (event.event === 'keyAddressRegistration') {
+        addresses[event.args.inbox] = 'the inbox of key ' + event.args.inboxKey;
+      }
+    }
+
+    const key = (id) => 'key ' + id + (keys[id] ? ' (' + keys[id] + ')' : '');
+    return {
+      key: key,
+      keys: (ids) => ids.map(key).join(', '),
+      who: (address) => addresses[address] || address,
+      list: (list) => list.map((a) => addresses[a] || a).join(', '),
+      event: (hash) => events[hash] ? '"' + events[hash] + '"' : hash.slice(0, 10) + '…',
+      amount: (arn, amount) => arns.formatBalance(arn, amount).display,
+      time: (timestamp) => new Date(parseInt(timestamp) * 1000).toISOString()
+    };
+  };
+
+  /////////////////////////////////////////////
+  // DESCRIPTIONS
+  //
+  // One sentence per event, by event name.
+  /////////////////////////////////////////////
+  const DESCRIPTIONS = {
+    // Locksmith and KeyVault
+    trustCreated: (a, n) => n.who(a.creator) + ' created the trust "' + Locksmith.fromBytes32(a.trustName) +
+      '" for ' + n.who(a.recipient),
+    keyMinted: (a, n) => n.who(a.creator) + ' minted ' + n.key(a.keyId) + ' to ' + n.who(a.receiver),
+    keyBurned: (a, n) => n.who(a.rootHolder) + ' burned ' + a.amount + ' of ' + n.key(a.keyId) +
+      ' held by ' + n.who(a.target),
+    TransferSingle: (a, n) => n.who(a.from) + ' sent ' + (a.value === '1' ? '' : a.value + ' of ') +
+      n.key(a.id) + ' to ' + n.who(a.to),
+    TransferBatch: (a, n) => n.who(a.from) + ' sent ' + n.keys(a.ids) + ' to ' + n.who(a.to),
+    setSoulboundKeyAmount: (a, n) => n.who(a.operator) + ' soulbound ' + a.amount + ' of ' + n.key(a.keyId) +
+      ' to ' + n.who(a.keyHolder),
+
+    // Notary and Ledger
+    trustedRoleChange: (a, n) => n.who(a.keyHolder) + (a.trustLevel ? ' trusted ' : ' stopped trusting ') +
+      n.who(a.actor) + ' as ' + (ROLE_NAMES[a.role] || 'role ' + a.role) + ' for ' + n.who(a.ledger),
+    withdrawalAllowanceAssigned: (a, n) => n.who(a.keyHolder) + ' allowed ' + n.key(a.keyId) + ' to withdraw ' +
+      n.amount(a.arn, a.amount) + ' from ' + n.who(a.provider),
+    depositOccurred: (a, n) => n.who(a.provider) + ' deposited ' + n.amount(a.arn, a.amount) + ' into ' + n.key(a.keyId),
+    withdrawalOccurred: (a, n) => n.key(a.keyId) + ' withdrew ' + n.amount(a.arn, a.amount) + ' from ' +
+      n.who(a.provider),
+    ledgerTransferOccurred: (a, n) => n.who(a.scribe) + ' moved ' +
+      a.keys.map((k, i) => n.amount(a.arn, a.amounts[i]) + ' to ' + n.key(k)).join(', ') +
+      ' from ' + n.key(a.rootKeyId) + ' at ' + n.who(a.provider),
+
+    // events, alarms, and oracles
+    trustEventRegistered: (a, n) => n.who(a.dispatcher) + ' registered the event ' + n.event(a.eventHash),
+    trustEventLogged: (a, n) => n.who(a.dispatcher) + ' fired the event ' + n.event(a.eventHash),
+    keyOracleRegistered: (a, n) => n.who(a.operator) + ' made ' + n.key(a.keyId) + ' the oracle for ' +
+      n.event(a.eventHash),
+    alarmClockRegistered: (a, n) => n.who(a.operator) + ' set the alarm ' + n.event(a.eventHash) + ' for ' +
+      n.time(a.alarmTime) + (a.snoozeInterval === '0' ? '' : ', snoozable every ' + duration(a.snoozeInterval) +
+      ' by ' + n.key(a.snoozeKeyId)),
+    alarmClockChallenged: (a, n) => n.who(a.operator) + ' challenged the alarm ' + n.event(a.eventHash) +
+      ', due ' + n.time(a.alarmTime),
+    alarmClockSnoozed: (a, n) => n.who(a.operator) + ' snoozed the alarm ' + n.event(a.eventHash) + ' with ' +
+      n.key(a.snoozeKeyId) + ' until ' + n.time(a.newAlarmTime),
+
+    // allowances and trustees
+    allowanceCreated: (a, n) => n.who(a.operator) + ' created an allowance from ' + n.key(a.rootKeyId) + ' to ' +
+      n.key(a.recipientKeyId) + ' of ' + a.tranches + ' tranches of ' +
+      a.assets.map((e) => n.amount(e.arn, e.amount)).join(', ') + ' every ' + duration(a.interval),
+    allowanceTrancheCountChanged: (a, n) => n.who(a.operator) + ' set the allowance ' + a.allowanceId.slice(0, 10) +
+      '… to ' + a.trancheCount + ' tranches',
+    allowanceRemoved: (a, n) => n.who(a.operator) + ' removed the allowance ' + a.allowanceId.slice(0, 10) + '…',
+    allowanceAwarded: (a, n) => n.who(a.operator) + ' redeemed ' + a.redeemedTranches +
+      ' tranches of the allowance ' + a.allowanceId.slice(0, 10) + '…',
+    trusteePolicySet: (a, n) => n.who(a.actor) + ' made ' + n.key(a.trusteeKeyId) + ' a trustee of ' +
+      n.key(a.sourceKeyId) + ' for ' + n.keys(a.beneficiaries),
+    trusteePolicyRemoved: (a, n) => n.who(a.actor) + ' removed the trustee policy of ' + n.key(a.trusteeKeyId),
+
+    // recovery
+    recoveryCreated: (a, n) => n.who(a.creator) + ' set up the recovery of ' + n.key(a.rootKeyId) +
+      ' by ' + n.list(a.guardians),
+    guardiansChanged: (a, n) => n.who(a.operator) + ' changed the guardians of ' + n.key(a.rootKeyId) + ': ' +
+      a.guardians.map((g, i) => (a.added[i] ? 'added ' : 'removed ') + n.who(g)).join(', '),
+    eventsChanged: (a, n) => n.who(a.operator) + ' changed the events the recovery of ' + n.key(a.rootKeyId) +
+      ' waits on: ' + a.eventIds.map((e, i) => (a.added[i] ? 'added ' : 'removed ') + n.event(e)).join(', '),
+    keyRecovered: (a, n) => n.who(a.guardian) + ' recovered ' + n.key(a.rootKeyId),
+
+    // key lockers
+    keyLockerDeposit: (a, n) => n.who(a.operator) + ' put ' + a.amount + ' of ' + n.key(a.keyId) +
+      ' in the key locker',
+    keyLockerLoan: (a, n) => n.who(a.operator) + ' borrowed ' + n.key(a.keyId) + ' from the key locker for ' +
+      n.who(a.destination),
+    keyLockerWithdrawal: (a, n) => n.who(a.operator) + ' took ' + a.amount + ' of ' + n.key(a.keyId) +
+      ' out of the key locker',
+
+    // inboxes
+    keyAddressRegistration: (a, n) => n.who(a.operator) + (a.eventType === 0 ? ' registered ' : ' removed ') +
+      n.who(a.inbox) + ' (' + a.inbox + ')'
+  };
+
+  /////////////////////////////////////////////
+  // describe
+  //
+  // The sentence for an event. Inbox transactions
+  // read differently depending on their type.
+  /////////////////////////////////////////////
+  var describe = function(event, n) {
+    const a = event.args;
+    if (event.event === 'addressTransaction') {
+      const inbox = n.who(event.address);
+      if (a.txType === TX_TYPES.SEND) {
+        return inbox + ' sent ' + n.amount(a.arn, a.amount) + ' to ' + n.who(a.target);
+      }
+      if (a.txType === TX_TYPES.RECEIVE) {
+        return inbox + ' received ' + n.amount(a.arn, a.amount) + ', deposited at ' + n.who(a.provider);
+      }
+      return n.who(a.operator) + ' had ' + inbox + ' call ' + n.who(a.target) +
+        (a.amount === '0' ? '' : ' with ' + n.amount(a.arn, a.amount));
+    }
+    return DESCRIPTIONS[event.event] ? DESCRIPTIONS[event.event](a, n) :
+      event.contract + ' logged ' + event.event;
+  };
+
+  /////////////////////////////////////////////
+  // isSkipped
+  /////////////////////////////////////////////
+  var isSkipped = function(event) {
+    return SKIPPED.includes(event.event) ||
+      (event.event.startsWith('Transfer') && (event.args.from === ethers.constants.AddressZero ||
+        event.args.to === ethers.constants.AddressZero));
+  };
+
+  /////////////////////////////////////////////
+  // markdownCell
+  //
+  // Escapes a markdown table cell.
+  /////////////////////////////////////////////
+  var markdownCell = function(value) {
+    return ('' + value).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+  };
+
+  return {
+    /////////////////////////////////////////////
+    // buildTimeline
+    //
+    // The trust's history from an index, oldest first:
+    // {
+    //   chainId, lastBlock, trust: { id, name },
+    //   entries: [{ time, timestamp, blockNumber,
+    //               transactionHash, logIndex, contract,
+    //               event, actor, keyIds, description }]
+    // }
+    /////////////////////////////////////////////
+    buildTimeline: async function(db, provider, trustId, arns) {
+      const events = GenieIndexer.getTrustEvents(db, trustId);
+      if (events.length === 0) {
+        throw new HardhatPluginError('genie', 'Trust ' + trustId + ' has no events in the index up to block ' +
+          db.lastBlock + '.');
+      }
+
+      const names = getNames(db, arns);
+      const created = events.find((e) => e.event === 'trustCreated');
+      var timestamps = {};
+      var entries = [];
+
+      for (const event of events.filter((e) => !isSkipped(e))) {
+        if (timestamps[event.blockNumber] === undefined) {
+          timestamps[event.blockNumber] = (await provider.getBlock(event.blockNumber)).timestamp;
+        }
+        const actor = ACTOR_ARGS.find((name) => event.args[name] !== undefined);
+        entries.push({
+          time: names.time(timestamps[event.blockNumber]),
+          timestamp: timestamps[event.blockNumber],
+          blockNumber: event.blockNumber,
+          transactionHash: event.transactionHash,
+          logIndex: event.logIndex,
+          contract: event.contract,
+          event: event.event,
+          actor: actor === undefined ? null : event.args[actor],
+          keyIds: event.keyIds,
+          description: describe(event, names)
+        });
+      }
+
+      return {
+        chainId: db.chainId,
+        lastBlock: db.lastBlock,
+        trust: {
+          id: trustId,
+          name: created === undefined ? null : Locksmith.fromBytes32(created.args.trustName)
+        },
+        entries: entries
+      };
+    },
+    /////////////////////////////////////////////
+    // renderMarkdown
+    //
+    // A title, and a table of what happened when.
+    /////////////////////////////////////////////
+    renderMarkdown: function(timeline) {
+      return '# Trust ' + timeline.trust.id + (timeline.trust.name === null ? '' : ': ' + timeline.trust.name) +
+        '\n\nChain ID ' + timeline.chainId + ', as of block ' + timeline.lastBlock + '.\n\n' +
+        '| Time (UTC) | Block | Activity | Transaction |\n' +
+        '| --- | --- | --- | --- |\n' +
+        timeline.entries.map((e) => '| ' + [
+          e.time.replace('T', ' ').replace(/\.\d+Z$/, ''),
+          e.blockNumber,
+          markdownCell(e.description),
+          '`' + e.transactionHash + '`'
+        ].join(' | ') + ' |\n').join('');
+    },
+    /////////////////////////////////////////////
+    // renderCsv
+    //
+    // One line per entry, with a header.
+    /////////////////////////////////////////////
+    renderCsv: function(timeline) {
+      return [CSV_COLUMNS.join(',')].concat(timeline.entries.map((entry) =>
+        CSV_COLUMNS.map((c) => Statement.csvField(entry[c])).join(',')
+      )).join('\n') + '\n';
+    }
+  };
+})();
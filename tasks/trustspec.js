@@ -0,0 +1,864 @@
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+const yaml = require('js-yaml');
+const { ethers } = require("ethers");
+const { HardhatPluginError } = require('hardhat/plugins');
+const { Arn, Locksmith, Payloads } = require('../sdk');
+
+///////////////////////////////////////////
+// GenieTrustSpec
+//
+// A trust spec says how the trust of a root key should be
+// set up, in YAML or JSON (see specs/trust-spec.schema.json):
+//
+//   - trust:      the trust's name, to make sure it's the right one
+//   - keys:       each key's holders, how many copies they hold,
+//                 and how many of those are soulbound
+//   - roles:      the notary roles, shaped like the wiring manifest
+//   - oracles:    key oracle events, by key
+//   - alarms:     alarm clock events
+//   - trustees:   trustee policies, by trustee key
+//   - allowances: allowances, by name
+//   - recovery:   the root key's guardians and events
+//
+// Keys are referred to by name, events by description, and
+// holders, actors, and providers by registry alias or address.
+//
+// The spec is compared to what the chain has for the trust,
+// and the difference becomes the transactions to send, in an
+// order where everything a change refers to exists first.
+// Sections the spec leaves out are left alone, and nothing is
+// taken away or replaced unless pruning. Until then, what
+// would be is returned as skipped.
+///////////////////////////////////////////
+GenieTrustSpec = (function() {
+  const ajv = new Ajv({ allErrors: true });
+  var validate = null;
+
+  // the contracts each section is read and changed through,
+  // besides the Locksmith and KeyVault, in the order the
+  // sections are applied
+  const SECTIONS = {
+    keys: [],
+    roles: ['Notary'],
+    oracles: ['KeyOracle', 'TrustEventLog'],
+    alarms: ['AlarmClock', 'TrustEventLog'],
+    trustees: ['Trustee', 'TrustEventLog'],
+    allowances: ['Allowance', 'TrustEventLog'],
+    recovery: ['TrustRecoveryCenter', 'TrustEventLog']
+  };
+
+  // the ledgers notary roles are read from for an export
+  const LEDGERS = ['Ledger', 'TrustEventLog'];
+
+  // what a token vault can tell about an ARN it holds
+  const TOKEN_VAULT_ABI = [
+    'function arnContracts(bytes32 arn) view returns (address)'
+  ];
+
+  /////////////////////////////////////////////
+  // toTime
+  //
+  // A spec time, in seconds or as an ISO date, in seconds.
+  /////////////////////////////////////////////
+  var toTime = function(time) {
+    const seconds = typeof time === 'number' ? time : Math.floor(Date.parse(time) / 1000);
+    if (isNaN(seconds)) {
+      throw new HardhatPluginError('genie', '"' + time + '" is not a date.');
+    }
+    return seconds;
+  };
+
+  /////////////////////////////////////////////
+  // sameSet
+  //
+  // Whether the lists have the same entries, in any order.
+  /////////////////////////////////////////////
+  var sameSet = function(a, b) {
+    return a.length === b.length && a.every((x) => b.includes(x));
+  };
+
+  /////////////////////////////////////////////
+  // quote
+  //
+  // Names, quoted and listed, for descriptions.
+  /////////////////////////////////////////////
+  var quote = function(names) {
+    return names.map((n) => '"' + n + '"').join(', ');
+  };
+
+  /////////////////////////////////////////////
+  // findNamed
+  //
+  // The ID a name is given to in { id: name }, or
+  // null. Names that are given more than once can't
+  // be used.
+  /////////////////////////////////////////////
+  var findNamed = function(named, name, what) {
+    const ids = Object.keys(named).filter((id) => named[id] === name);
+    if (ids.length > 1) {
+      throw new HardhatPluginError('genie', 'There is more than one ' + what + ' "' + name + '" in the trust. ' +
+        'Rename one of them, or use another.');
+    }
+    return ids.length === 0 ? null : ids[0];
+  };
+
+  /////////////////////////////////////////////
+  // connect
+  //
+  // What a spec is compared against: the trust of the root
+  // key, and the names of its keys and events. The names are
+  // read again when one is missing, because an earlier change
+  // may have just created it.
+  /////////////////////////////////////////////
+  var connect = async function(contracts, addresses, rootKeyId, book) {
+    const locksmith = contracts.Locksmith;
+    const [valid, , trustId, isRoot] = await locksmith.inspectKey(rootKeyId);
+    if (!valid || !isRoot) {
+      throw new HardhatPluginError('genie', 'Key ' + rootKeyId + ' is not a root key.');
+    }
+    const [, trustName] = await locksmith.getTrustInfo(trustId);
+
+    var keys = {};   // { keyId: name }
+    var events = {}; // { eventHash: description }
+    const trust = {
+      contracts: contracts,
+      addresses: addresses,
+      book: book,
+      rootKeyId: Number(rootKeyId),
+      trustId: trustId.toNumber(),
+      name: Locksmith.fromBytes32(trustName),
+      refresh: async function() {
+        for (const keyId of await locksmith.getKeys(trustId)) {
+          if (keys[keyId] === undefined) {
+            const [, name] = await locksmith.inspectKey(keyId);
+            keys[keyId] = Locksmith.fromBytes32(name);
+          }
+        }
+        if (contracts.TrustEventLog !== undefined) {
+          const log = contracts.TrustEventLog;
+          for (const hash of await log.getRegisteredTrustEvents(trustId, ethers.constants.AddressZero)) {
+            if (events[hash] === undefined) {
+              events[hash] = Locksmith.fromBytes32(await log.eventDescriptions(hash));
+            }
+          }
+        }
+      },
+      keyIds: function() {
+        return Object.keys(keys).map(Number);
+      },
+      keyName: function(keyId) {
+        return keys[keyId];
+      },
+      findKey: function(name) {
+        const keyId = findNamed(keys, name, 'key');
+        return keyId === null ? null : Number(keyId);
+      },
+      keyId: async function(name) {
+        if (trust.findKey(name) === null) {
+          await trust.refresh();
+        }
+        const keyId = trust.findKey(name);
+        if (keyId === null) {
+          throw new HardhatPluginError('genie', 'There is no key "' + name + '" in trust ' + trust.trustId + '.');
+        }
+        return keyId;
+      },
+      // events are named by description, or by their hash
+      // when the description doesn't tell them apart
+      eventName: function(hash) {
+        const description = events[hash];
+        return description && Object.values(events).filter((d) => d === description).length === 1 ?
+          description : hash;
+      },
+      eventHash: async function(name) {
+        const find = () => events[name] !== undefined ? name : findNamed(events, name, 'event');
+        if (find() === null) {
+          await trust.refresh();
+        }
+        const hash = find();
+        if (hash === null) {
+          throw new HardhatPluginError('genie', 'There is no event "' + name + '" in trust ' + trust.trustId + '.');
+        }
+        return hash;
+      },
+      address: function(aliasOrAddress) {
+        const address = GenieWiring.resolveAddress(null, aliasOrAddress, addresses);
+        if (address === null) {
+          throw new HardhatPluginError('genie', 'There is no "' + aliasOrAddress + '" in the registry.');
+        }
+        return address;
+      },
+      alias: function(address) {
+        return Object.keys(addresses).find((alias) =>
+          ethers.utils.getAddress(addresses[alias]) === ethers.utils.getAddress(address)) || address;
+      }
+    };
+    await trust.refresh();
+    return trust;
+  };
+
+  /////////////////////////////////////////////
+  // readState
+  //
+  // What the chain has for each of the sections, named
+  // the way a spec names them, with nothing left out.
+  /////////////////////////////////////////////
+  var readState = async function(trust, sections) {
+    const c = trust.contracts;
+    const keyIds = trust.keyIds().sort((a, b) => a - b);
+    const keyNames = (ids) => ids.map((id) => trust.keyName(id));
+    const eventNames = (hashes) => hashes.map((h) => trust.eventName(h));
+    var state = { trust: trust.name };
+
+    if (sections.includes('keys')) {
+      state.keys = [];
+      for (const keyId of keyIds) {
+        var holders = [];
+        for (const holder of await c.KeyVault.getHolders(keyId)) {
+          holders.push({
+            address: ethers.utils.getAddress(holder),
+            amount: (await c.KeyVault.keyBalanceOf(holder, keyId, false)).toNumber(),
+            soulbound: (await c.KeyVault.keyBalanceOf(holder, keyId, true)).toNumber()
+          });
+        }
+        state.keys.push({ keyId: keyId, name: trust.keyName(keyId), holders: holders });
+      }
+    }
+
+    if (sections.includes('roles')) {
+      state.roles = {};
+      for (const [roleName, role] of Object.entries(GenieWiring.getRoles())) {
+        for (const ledgerAlias of LEDGERS.filter((alias) => trust.addresses[alias] !== undefined)) {
+          const ledger = trust.addresses[ledgerAlias];
+          for (const actor of await c.Notary.getTrustedActors(ledger, trust.trustId, role)) {
+            state.roles[roleName] ||= {};
+            state.roles[roleName][ledgerAlias] ||= {};
+            state.roles[roleName][ledgerAlias][trust.alias(actor)] =
+              Locksmith.fromBytes32(await c.Notary.actorAliases(ledger, trust.trustId, role, actor));
+          }
+        }
+      }
+    }
+
+    if (sections.includes('oracles')) {
+      state.oracles = [];
+      for (const keyId of keyIds) {
+        for (const hash of await c.KeyOracle.getOracleKeyEvents(keyId)) {
+          state.oracles.push({ key: trust.keyName(keyId), description: trust.eventName(hash), hash: hash });
+        }
+      }
+    }
+
+    if (sections.includes('alarms')) {
+      state.alarms = [];
+      for (const hash of await c.TrustEventLog.getRegisteredTrustEvents(trust.trustId, c.AlarmClock.address)) {
+        const alarm = await c.AlarmClock.alarms(hash);
+        state.alarms.push({
+          description: trust.eventName(hash),
+          hash: hash,
+          time: alarm.alarmTime.toNumber(),
+          snoozeInterval: alarm.snoozeInterval.toNumber(),
+          snoozeKey: alarm.snoozeInterval.eq(0) ? null : trust.keyName(alarm.snoozeKeyId)
+        });
+      }
+    }
+
+    if (sections.includes('trustees')) {
+      state.trustees = [];
+      for (const keyId of await c.Trustee.getTrustPolicyKeys(trust.trustId)) {
+        const [, , sourceKeyId, beneficiaries, events] = await c.Trustee.getPolicy(keyId);
+        state.trustees.push({
+          keyId: keyId.toNumber(),
+          key: trust.keyName(keyId),
+          source: trust.keyName(sourceKeyId),
+          beneficiaries: keyNames(beneficiaries),
+          events: eventNames(events)
+        });
+      }
+    }
+
+    if (sections.includes('allowances')) {
+      state.allowances = [];
+      const sets = await c.Allowance.getKeyAllowances(keyIds);
+      for (const allowanceId of [...new Set([].concat(...sets.map((s) => s.allowanceIds)))]) {
+        const [allowance, events, entitlements] = await c.Allowance.getAllowance(allowanceId);
+        if (!allowance.rootKeyId.eq(trust.rootKeyId)) {
+          continue;
+        }
+        state.allowances.push({
+          allowanceId: allowanceId,
+          name: Locksmith.fromBytes32(allowance.allowanceName),
+          recipient: trust.keyName(allowance.recipientKeyId),
+          tranches: allowance.remainingTrancheCount.toNumber(),
+          interval: allowance.vestingInterval.toNumber(),
+          start: allowance.nextVestTime.toNumber(),
+          entitlements: entitlements.map((e) => ({
+            source: trust.keyName(e.sourceKey),
+            arn: e.arn,
+            provider: ethers.utils.getAddress(e.provider),
+            amount: e.amount
+          })),
+          events: eventNames(events)
+        });
+      }
+    }
+
+    if (sections.includes('recovery')) {
+      const [valid, guardians, events] = await c.TrustRecoveryCenter.getRecoveryPolicy(trust.rootKeyId);
+      state.recovery = !valid ? null : {
+        guardians: guardians.map((g) => ethers.utils.getAddress(g)),
+        events: eventNames(events)
+      };
+    }
+
+    return state;
+  };
+
+  /////////////////////////////////////////////
+  // readable
+  //
+  // The sections there are contracts to read.
+  /////////////////////////////////////////////
+  var readable = function(trust) {
+    return Object.keys(SECTIONS).filter((s) => SECTIONS[s].every((alias) => trust.contracts[alias] !== undefined));
+  };
+
+  /////////////////////////////////////////////
+  // lookupAsset
+  //
+  // The book's entry for an ARN, asking the provider
+  // for its token when the book doesn't know it.
+  /////////////////////////////////////////////
+  var lookupAsset = async function(trust, provider, arn) {
+    const known = trust.book.lookup(arn);
+    if (known !== null) {
+      return known;
+    }
+    const vault = new ethers.Contract(provider, TOKEN_VAULT_ABI, trust.contracts.Locksmith.provider);
+    const token = await vault.arnContracts(arn).catch(() => ethers.constants.AddressZero);
+    return token === ethers.constants.AddressZero ? null :
+      GenieAdmin.resolveAsset(trust.contracts.Locksmith.provider, trust.book, token);
+  };
+
+  /////////////////////////////////////////////
+  // entitlementId
+  //
+  // Tells entitlements apart when comparing them.
+  /////////////////////////////////////////////
+  var entitlementId = function(e) {
+    return [e.source, e.arn, e.provider, e.amount.toString()].join('/');
+  };
+
+  /////////////////////////////////////////////
+  // diffKeys
+  //
+  // Mints the copies the spec's holders are missing, and
+  // sets how many are soulbound. Extra copies are burned
+  // when pruning, after unbinding them, but never those
+  // of the root key.
+  /////////////////////////////////////////////
+  var diffKeys = async function(trust, spec, state, plan) {
+    const locksmith = trust.contracts.Locksmith;
+    const root = trust.rootKeyId;
+
+    const take = function(keyId, name, holder, amount, wanted) {
+      if (keyId === root) {
+        plan.unsupported.push('Root key "' + name + '" is never burned, but ' + holder.address + ' holds ' +
+          amount + ' more than the spec has.');
+        return;
+      }
+      if (holder.soulbound > wanted) {
+        plan.remove('keys', 'Unbind ' + (holder.soulbound - wanted) + ' of key "' + name + '" from ' +
+          holder.address, () => locksmith.soulbindKey(root, holder.address, keyId, wanted));
+      }
+      plan.remove('keys', 'Burn ' + amount + ' of key "' + name + '" held by ' + holder.address,
+        () => locksmith.burnKey(root, keyId, holder.address, amount));
+    };
+
+    for (const key of spec.keys) {
+      const keyId = trust.findKey(key.name);
+      const current = keyId === null ? [] : state.keys.find((k) => k.keyId === keyId).holders;
+      const getId = () => trust.keyId(key.name);
+      const wanted = key.holders.map((h) => ({
+        address: trust.address(h.address),
+        amount: h.amount === undefined ? 1 : h.amount,
+        soulbound: h.soulbound || 0
+      }));
+
+      wanted.forEach((h, i) => {
+        if (wanted.findIndex((w) => w.address === h.address) !== i) {
+          throw new HardhatPluginError('genie', 'Key "' + key.name + '" lists ' + h.address + ' more than once.');
+        }
+        if (h.soulbound > h.amount) {
+          throw new HardhatPluginError('genie', 'Key "' + key.name + '" can\'t soulbind ' + h.soulbound +
+            ' to ' + h.address + ', who only holds ' + h.amount + '.');
+        }
+
+        const held = current.find((c) => c.address === h.address) || { amount: 0, soulbound: 0 };
+        var copies = h.amount - held.amount;
+        if (keyId === null && i === 0) {
+          plan.add('keys', 'Create key "' + key.name + '" for ' + h.address,
+            () => locksmith.createKey(root, Locksmith.toBytes32(key.name), h.address, false));
+          copies--;
+        }
+        for (var n = 0; n < copies; n++) {
+          plan.add('keys', 'Copy key "' + key.name + '" to ' + h.address,
+            async () => locksmith.copyKey(root, await getId(), h.address, false));
+        }
+        if (h.soulbound !== held.soulbound) {
+          plan.add('keys', (h.soulbound === 0 ? 'Unbind key "' + key.name + '" from ' :
+            'Soulbind ' + h.soulbound + ' of key "' + key.name + '" to ') + h.address,
+            async () => locksmith.soulbindKey(root, h.address, await getId(), h.soulbound));
+        }
+        if (h.amount < held.amount) {
+          take(keyId, key.name, { ...held, soulbound: h.soulbound }, held.amount - h.amount, h.soulbound);
+        }
+      });
+
+      for (const holder of current.filter((c) => !wanted.some((w) => w.address === c.address))) {
+        take(keyId, key.name, holder, holder.amount, 0);
+      }
+    }
+
+    const named = spec.keys.map((k) => k.name);
+    for (const key of state.keys.filter((k) => k.keyId !== root && !named.includes(k.name))) {
+      key.holders.forEach((holder) => take(key.keyId, key.name, holder, holder.amount, 0));
+    }
+  };
+
+  /////////////////////////////////////////////
+  // diffRoles
+  //
+  // Trusts and distrusts actors on the ledgers the spec
+  // names, like the wiring manifest does.
+  /////////////////////////////////////////////
+  var diffRoles = async function(trust, spec, plan) {
+    const notary = trust.contracts.Notary;
+    // every alias is in the trust's addresses, so no chain is needed
+    const { changes, unresolved } = await GenieWiring.diffRoles(null, notary, trust.trustId,
+      { roles: spec.roles }, trust.addresses);
+    if (unresolved.length > 0) {
+      throw new HardhatPluginError('genie', 'These roles name contracts that aren\'t in the registry: ' +
+        unresolved.map((u) => u.roleName + ' on ' + u.ledgerAlias + (u.actorAlias ? ' for ' + u.actorAlias : ''))
+          .join(', ') + '.');
+    }
+
+    for (const change of changes) {
+      const description = (change.trustLevel ? 'Trust ' : 'Distrust ') + trust.alias(change.actor) +
+        (change.name ? ' ("' + change.name + '")' : '') + ' as ' + change.roleName + ' on ' + change.ledgerAlias;
+      const submit = () => notary.setTrustedLedgerRole(trust.rootKeyId, change.role, change.ledger, change.actor,
+        change.trustLevel, Locksmith.toBytes32(change.name));
+      change.trustLevel ? plan.add('roles', description, submit) : plan.remove('roles', description, submit);
+    }
+  };
+
+  /////////////////////////////////////////////
+  // diffEvents
+  //
+  // Creates the key oracles and alarms the trust doesn't
+  // have yet. Neither can be changed or removed once
+  // they exist.
+  /////////////////////////////////////////////
+  var diffEvents = async function(trust, spec, state, plan, prune) {
+    const root = trust.rootKeyId;
+
+    for (const oracle of spec.oracles || []) {
+      if (!state.oracles.some((o) => o.key === oracle.key && o.description === oracle.description)) {
+        plan.add('oracles', 'Create key oracle "' + oracle.description + '" for key "' + oracle.key + '"',
+          async () => trust.contracts.KeyOracle.createKeyOracle(root, await trust.keyId(oracle.key),
+            Locksmith.toBytes32(oracle.description)));
+      }
+    }
+    for (const oracle of state.oracles || []) {
+      if (spec.oracles && prune && !spec.oracles.some((o) => o.key === oracle.key &&
+          o.description === oracle.description)) {
+        plan.unsupported.push('Key oracle "' + oracle.description + '" of key "' + oracle.key +
+          '" is not in the spec, but key oracles can\'t be removed.');
+      }
+    }
+
+    for (const alarm of spec.alarms || []) {
+      const time = toTime(alarm.time);
+      const snoozeInterval = alarm.snoozeInterval || 0;
+      const current = state.alarms.find((a) => a.description === alarm.description);
+      if (current === undefined) {
+        plan.add('alarms', 'Create alarm "' + alarm.description + '" for ' + new Date(time * 1000).toISOString() +
+          (snoozeInterval === 0 ? '' : ', snoozed by key "' + alarm.snoozeKey + '" for ' + snoozeInterval + 's'),
+          async () => trust.contracts.AlarmClock.createAlarm(root, Locksmith.toBytes32(alarm.description), time,
+            snoozeInterval, snoozeInterval === 0 ? 0 : await trust.keyId(alarm.snoozeKey)));
+      } else if (current.time !== time || current.snoozeInterval !== snoozeInterval ||
+          (snoozeInterval !== 0 && current.snoozeKey !== alarm.snoozeKey)) {
+        plan.unsupported.push('Alarm "' + alarm.description + '" is set for ' +
+          new Date(current.time * 1000).toISOString() + ', but alarms can\'t be changed.');
+      }
+    }
+    for (const alarm of state.alarms || []) {
+      if (spec.alarms && prune && !spec.alarms.some((a) => a.description === alarm.description)) {
+        plan.unsupported.push('Alarm "' + alarm.description + '" is not in the spec, but alarms can\'t be removed.');
+      }
+    }
+  };
+
+  /////////////////////////////////////////////
+  // diffTrustees
+  //
+  // Sets the trustee policies the spec has. A policy
+  // that differs is removed and set again, when pruning.
+  /////////////////////////////////////////////
+  var diffTrustees = async function(trust, spec, state, plan) {
+    const trustee = trust.contracts.Trustee;
+    const root = trust.rootKeyId;
+
+    for (const policy of spec.trustees) {
+      const events = (policy.events || []).map((e) => trust.eventName(e));
+      const current = state.trustees.find((t) => t.key === policy.key);
+      if (current !== undefined && current.source === policy.source && sameSet(current.beneficiaries,
+          policy.beneficiaries) && sameSet(current.events, events)) {
+        continue;
+      }
+      const set = {
+        description: 'Set the trustee policy of key "' + policy.key + '": from key "' + policy.source +
+          '" to ' + quote(policy.beneficiaries) + (events.length === 0 ? '' : ', after ' + quote(events)),
+        submit: async () => trustee.setPolicy(root, await trust.keyId(policy.key), await trust.keyId(policy.source),
+          await Promise.all(policy.beneficiaries.map((b) => trust.keyId(b))),
+          await Promise.all(events.map((e) => trust.eventHash(e))))
+      };
+      if (current === undefined) {
+        plan.add('trustees', set.description, set.submit);
+        continue;
+      }
+      plan.replace('trustees', [{
+        description: 'Remove the trustee policy of key "' + policy.key + '", to set it again',
+        submit: () => trustee.removePolicy(root, current.keyId)
+      }, set]);
+    }
+
+    for (const current of state.trustees.filter((t) => !spec.trustees.some((p) => p.key === t.key))) {
+      plan.remove('trustees', 'Remove the trustee policy of key "' + current.key + '"',
+        () => trustee.removePolicy(root, current.keyId));
+    }
+  };
+
+  /////////////////////////////////////////////
+  // diffAllowances
+  //
+  // Creates the allowances the spec has, by name. When
+  // only the tranches differ they are set, otherwise the
+  // allowance is removed and created again when pruning,
+  // which starts its tranches and vesting over.
+  /////////////////////////////////////////////
+  var diffAllowances = async function(trust, spec, state, plan) {
+    const allowances = trust.contracts.Allowance;
+    const provider = trust.contracts.Locksmith.provider;
+    const root = trust.rootKeyId;
+
+    for (const allowance of spec.allowances) {
+      const matching = state.allowances.filter((a) => a.name === allowance.name);
+      if (matching.length > 1) {
+        throw new HardhatPluginError('genie', 'There is more than one allowance "' + allowance.name +
+          '" in the trust. Rename one of them, or use another.');
+      }
+      const current = matching[0];
+      const events = (allowance.events || []).map((e) => trust.eventName(e));
+
+      var entitlements = [];
+      for (const e of allowance.entitlements) {
+        const asset = await GenieAdmin.resolveAsset(provider, trust.book, e.asset);
+        entitlements.push({
+          source: e.source,
+          arn: asset.arn,
+          provider: trust.address(e.provider),
+          amount: GenieAdmin.parseAmount(asset, e.amount),
+          display: trust.book.formatBalance(asset.arn, GenieAdmin.parseAmount(asset, e.amount)).display
+        });
+      }
+
+      if (current !== undefined && current.recipient === allowance.recipient &&
+          current.interval === allowance.interval && sameSet(current.events, events) &&
+          sameSet(current.entitlements.map(entitlementId), entitlements.map(entitlementId))) {
+        if (current.tranches !== allowance.tranches) {
+          plan.add('allowances', 'Set the tranches of allowance "' + allowance.name + '" to ' + allowance.tranches,
+            () => allowances.setTrancheCount(current.allowanceId, allowance.tranches));
+        }
+        continue;
+      }
+      const create = {
+        description: 'Create allowance "' + allowance.name + '" for key "' + allowance.recipient + '": ' +
+          entitlements.map((e) => e.display + ' from key "' + e.source + '"').join(', ') + ', every ' +
+          allowance.interval + 's, ' + allowance.tranches + ' times' +
+          (events.length === 0 ? '' : ', after ' + quote(events)),
+        submit: async () => allowances.createAllowance(root, Locksmith.toBytes32(allowance.name),
+          await trust.keyId(allowance.recipient), allowance.tranches, allowance.interval,
+          allowance.start === undefined ? (await provider.getBlock('latest')).timestamp : toTime(allowance.start),
+          await Promise.all(entitlements.map(async (e) => ({
+            sourceKey: await trust.keyId(e.source),
+            arn: e.arn,
+            provider: e.provider,
+            amount: e.amount
+          }))),
+          await Promise.all(events.map((e) => trust.eventHash(e))))
+      };
+      if (current === undefined) {
+        plan.add('allowances', create.description, create.submit);
+        continue;
+      }
+      plan.replace('allowances', [{
+        description: 'Remove allowance "' + allowance.name + '", to create it again with its tranches and ' +
+          'vesting started over',
+        submit: () => allowances.removeAllowance(current.allowanceId)
+      }, create]);
+    }
+
+    for (const current of state.allowances.filter((a) => !spec.allowances.some((s) => s.name === a.name))) {
+      plan.remove('allowances', 'Remove allowance "' + current.name + '"',
+        () => allowances.removeAllowance(current.allowanceId));
+    }
+  };
+
+  /////////////////////////////////////////////
+  // diffRecovery
+  //
+  // Sends the root key to the recovery center with the
+  // policy when there isn't one, which sends it back, or
+  // adds the guardians and events it is missing.
+  /////////////////////////////////////////////
+  var diffRecovery = async function(trust, spec, state, plan) {
+    const center = trust.contracts.TrustRecoveryCenter;
+    const root = trust.rootKeyId;
+    const guardians = spec.recovery.guardians.map((g) => trust.address(g));
+    const events = (spec.recovery.events || []).map((e) => trust.eventName(e));
+    const hashes = async (names) => Promise.all(names.map((e) => trust.eventHash(e)));
+
+    if (state.recovery === null) {
+      plan.add('recovery', 'Create the recovery policy of key ' + root + ' for ' + guardians.join(', ') +
+        (events.length === 0 ? '' : ', after ' + quote(events)),
+        async () => trust.contracts.KeyVault.safeTransferFrom(await trust.contracts.KeyVault.signer.getAddress(),
+          center.address, root, 1, Payloads.encodeRecovery({ guardians: guardians, events: await hashes(events) })));
+      return;
+    }
+
+    const change = function(list, added, description, send) {
+      if (list.length > 0) {
+        const step = added ? plan.add : plan.remove;
+        step('recovery', description + list.join(', '), () => send(list, list.map(() => added)));
+      }
+    };
+    change(guardians.filter((g) => !state.recovery.guardians.includes(g)), true,
+      'Add recovery guardians ', (list, add) => center.changeGuardians(root, list, add));
+    change(state.recovery.guardians.filter((g) => !guardians.includes(g)), false,
+      'Remove recovery guardians ', (list, add) => center.changeGuardians(root, list, add));
+    change(events.filter((e) => !state.recovery.events.includes(e)), true,
+      'Add recovery events ', async (list, add) => center.changeEvents(root, await hashes(list), add));
+    change(state.recovery.events.filter((e) => !events.includes(e)), false,
+      'Remove recovery events ', async (list, add) => center.changeEvents(root, await hashes(list), add));
+  };
+
+  return {
+    /////////////////////////////////////////////
+    // load
+    //
+    // Reads and validates a trust spec, in YAML or JSON.
+    /////////////////////////////////////////////
+    load: function(fileName) {
+      if (validate === null) {
+        validate = ajv.compile(JSON.parse(fs.readFileSync(
+          path.join(__dirname, '..', 'specs', 'trust-spec.schema.json'))));
+      }
+
+      var spec;
+      try {
+        spec = yaml.load(fs.readFileSync(fileName, 'utf8'));
+      } catch (err) {
+        throw new HardhatPluginError('genie', 'Could not read the trust spec ' + fileName + ': ' + err.message);
+      }
+
+      if (!validate(spec)) {
+        throw new HardhatPluginError('genie', 'The trust spec ' + fileName + ' is invalid:\n' +
+          validate.errors.map((e) => '  ' + (e.instancePath || '/') + ' ' + e.message).join('\n'));
+      }
+      return spec;
+    },
+    /////////////////////////////////////////////
+    // save
+    //
+    // Writes a trust spec, as JSON if the file name
+    // ends in .json, and as YAML otherwise.
+    /////////////////////////////////////////////
+    save: function(fileName, spec) {
+      fs.writeFileSync(fileName, /\.json$/i.test(fileName) ? JSON.stringify(spec, null, 2) + '\n' :
+        yaml.dump(spec, { lineWidth: -1 }));
+    },
+    /////////////////////////////////////////////
+    // getAliases
+    //
+    // The contracts needed to diff and apply the spec,
+    // or to read every section without one.
+    /////////////////////////////////////////////
+    getAliases: function(spec) {
+      const sections = Object.keys(SECTIONS).filter((s) => spec === undefined || spec[s] !== undefined);
+      return [...new Set(['Locksmith', 'KeyVault'].concat(...sections.map((s) => SECTIONS[s])))];
+    },
+    /////////////////////////////////////////////
+    // connect
+    //
+    // Reads the trust of the root key through the contracts,
+    // { alias: Contract } connected to the root key holder.
+    // Aliases in the spec are looked up in addresses,
+    // { alias: address }, and assets in the ARN book.
+    /////////////////////////////////////////////
+    connect: async function(contracts, addresses, rootKeyId, book) {
+      return connect(contracts, addresses, rootKeyId, book);
+    },
+    /////////////////////////////////////////////
+    // readState
+    //
+    // What the chain has for the sections given, by
+    // default all of them that there are contracts for.
+    /////////////////////////////////////////////
+    readState: async function(trust, sections) {
+      return readState(trust, sections || readable(trust));
+    },
+    /////////////////////////////////////////////
+    // exportSpec
+    //
+    // The trust as a spec, so that applying it changes
+    // nothing. Defaults are left out.
+    /////////////////////////////////////////////
+    exportSpec: async function(trust) {
+      const state = await readState(trust, readable(trust));
+      var spec = { trust: state.trust };
+
+      if (state.keys !== undefined) {
+        spec.keys = state.keys.map((k) => ({
+          name: k.name,
+          holders: k.holders.map((h) => ({
+            address: trust.alias(h.address),
+            ...(h.amount === 1 ? {} : { amount: h.amount }),
+            ...(h.soulbound === 0 ? {} : { soulbound: h.soulbound })
+          }))
+        })).filter((k) => k.holders.length > 0);
+      }
+      if (state.roles !== undefined && Object.keys(state.roles).length > 0) {
+        spec.roles = state.roles;
+      }
+      if (state.oracles !== undefined && state.oracles.length > 0) {
+        spec.oracles = state.oracles.map((o) => ({ key: o.key, description: o.description }));
+      }
+      if (state.alarms !== undefined && state.alarms.length > 0) {
+        spec.alarms = state.alarms.map((a) => ({
+          description: a.description,
+          time: new Date(a.time * 1000).toISOString(),
+          ...(a.snoozeInterval === 0 ? {} : { snoozeInterval: a.snoozeInterval, snoozeKey: a.snoozeKey })
+        }));
+      }
+      if (state.trustees !== undefined && state.trustees.length > 0) {
+        spec.trustees = state.trustees.map((t) => ({
+          key: t.key,
+          source: t.source,
+          beneficiaries: t.beneficiaries,
+          ...(t.events.length === 0 ? {} : { events: t.events })
+        }));
+      }
+      if (state.allowances !== undefined && state.allowances.length > 0) {
+        spec.allowances = [];
+        for (const a of state.allowances) {
+          var entitlements = [];
+          for (const e of a.entitlements) {
+            const asset = await lookupAsset(trust, e.provider, e.arn);
+            entitlements.push({
+              source: e.source,
+              ...(asset === null || asset.arn === Arn.gasArn() ? {} :
+                { asset: asset.alias || asset.symbol || asset.contract }),
+              provider: trust.alias(e.provider),
+              amount: trust.book.formatBalance(e.arn, e.amount).formatted
+            });
+          }
+          spec.allowances.push({
+            name: a.name,
+            recipient: a.recipient,
+            tranches: a.tranches,
+            interval: a.interval,
+            start: new Date(a.start * 1000).toISOString(),
+            entitlements: entitlements,
+            ...(a.events.length === 0 ? {} : { events: a.events })
+          });
+        }
+      }
+      if (state.recovery) {
+        spec.recovery = {
+          guardians: state.recovery.guardians.map((g) => trust.alias(g)),
+          ...(state.recovery.events.length === 0 ? {} : { events: state.recovery.events })
+        };
+      }
+      return spec;
+    },
+    /////////////////////////////////////////////
+    // diff
+    //
+    // The transactions that bring the trust in line with
+    // the spec, in the order they have to be sent:
+    //
+    //   {
+    //     changes:     [{ description, submit }],
+    //     skipped:     [description], taken away or replaced
+    //                  only with prune
+    //     unsupported: [description], what the contracts can't change
+    //   }
+    //
+    // Keys come first, then roles, events, trustees,
+    // allowances, and recovery. Pruning goes the other
+    // way around, and always comes last, but replacing
+    // stays with its section.
+    /////////////////////////////////////////////
+    diff: async function(trust, spec, options = {}) {
+      if (spec.trust !== trust.name) {
+        throw new HardhatPluginError('genie', 'Key ' + trust.rootKeyId + ' is the root key of trust ' +
+          trust.trustId + ' ("' + trust.name + '"), not "' + spec.trust + '".');
+      }
+      // roles are read by the wiring diff instead
+      const sections = Object.keys(SECTIONS).filter((s) => s !== 'roles' && spec[s] !== undefined);
+      const state = await readState(trust, sections);
+
+      var added = Object.fromEntries(Object.keys(SECTIONS).map((s) => [s, []]));
+      var removed = Object.fromEntries(Object.keys(SECTIONS).map((s) => [s, []]));
+      var plan = {
+        skipped: [],
+        unsupported: [],
+        add: (section, description, submit) => added[section].push({ description, submit }),
+        remove: (section, description, submit) => options.prune ?
+          removed[section].push({ description, submit }) : plan.skipped.push(description),
+        // what is taken away to be set again goes first
+        replace: (section, steps) => options.prune ?
+          added[section].push(...steps) : plan.skipped.push(...steps.map((s) => s.description))
+      };
+
+      if (spec.keys) {
+        await diffKeys(trust, spec, state, plan);
+      }
+      if (spec.roles) {
+        await diffRoles(trust, spec, plan);
+      }
+      if (spec.oracles || spec.alarms) {
+        await diffEvents(trust, spec, state, plan, options.prune);
+      }
+      if (spec.trustees) {
+        await diffTrustees(trust, spec, state, plan);
+      }
+      if (spec.allowances) {
+        await diffAllowances(trust, spec, state, plan);
+      }
+      if (spec.recovery) {
+        await diffRecovery(trust, spec, state, plan);
+      }
+
+      const order = Object.keys(SECTIONS);
+      return {
+        changes: [].concat(...order.map((s) => added[s]), ...[...order].reverse().map((s) => removed[s])),
+        skipped: plan.skipped,
+        unsupported: plan.unsupported
+      };
+    }
+  };
+})();
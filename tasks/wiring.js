@@ -0,0 +1,132 @@
+const { ethers } = require("ethers");
+
+///////////////////////////////////////////
+// GenieWiring
+//
+// After the contracts are deployed, a trust still needs to
+// tell the Notary which actors it trusts on which ledgers.
+// The wiring manifest for a chain declares what that should
+// look like, using registry aliases:
+//
+// {
+//   "respect": true,
+//   "lockRootKey": true,
+//   "roles": {
+//     "<ROLE>": { "<ledger alias>": { "<actor alias>": "<actor name>" } }
+//   }
+// }
+//
+// Roles are named after the Notary's constants. Actors that
+// aren't in the registry can be given by their address.
+// Every chain starts from registries/network-wiring-default.json,
+// and a network-wiring-<chainId>.json only needs to hold what
+// is different on that chain.
+///////////////////////////////////////////
+GenieWiring = (function() {
+  const ROLES = {
+    COLLATERAL_PROVIDER: 0,
+    SCRIBE: 1,
+    EVENT_DISPATCHER: 2
+  };
+
+  /////////////////////////////////////////////
+  // resolveAddress
+  //
+  // Turns a registry alias or a raw address into
+  // a checksummed address, or null if it can't be found.
+  // Aliases are looked up in the given { alias: address }
+  // instead of the registry, if there are any.
+  /////////////////////////////////////////////
+  var resolveAddress = function(chainId, aliasOrAddress, addresses) {
+    if (ethers.utils.isAddress(aliasOrAddress)) {
+      return ethers.utils.getAddress(aliasOrAddress);
+    }
+    const address = addresses ? (addresses[aliasOrAddress] || null) :
+      LocksmithRegistry.getContractAddress(chainId, aliasOrAddress);
+    return address === null ? null : ethers.utils.getAddress(address);
+  };
+
+  return {
+    /////////////////////////////////////////////
+    // getRoles
+    //
+    // The role names, and their IDs on the Notary.
+    /////////////////////////////////////////////
+    getRoles: function() {
+      return ROLES;
+    },
+    /////////////////////////////////////////////
+    // resolveAddress
+    //
+    // A registry alias or an address, checksummed,
+    // or null if it can't be found.
+    /////////////////////////////////////////////
+    resolveAddress: function(chainId, aliasOrAddress, addresses) {
+      return resolveAddress(chainId, aliasOrAddress, addresses);
+    },
+    /////////////////////////////////////////////
+    // getManifest
+    //
+    // Loads the wiring manifest for the given chain.
+    /////////////////////////////////////////////
+    getManifest: function(chainId) {
+      return LocksmithRegistry.getWiringManifest(chainId);
+    },
+    /////////////////////////////////////////////
+    // diffRoles
+    //
+    // Compares the trusted actors the notary knows about for
+    // the trust against the manifest, and produces the list of
+    // role changes that would bring them in line. Only the ledgers
+    // named in the manifest are considered.
+    //
+    // Entries that can't be resolved against the chain's
+    // registry, or the given { alias: address }, are returned
+    // separately, and never become changes.
+    /////////////////////////////////////////////
+    diffRoles: async function(chainId, notary, trustId, manifest, addresses) {
+      var changes = [];
+      var unresolved = [];
+
+      for (const [roleName, ledgers] of Object.entries(manifest.roles || {})) {
+        const role = ROLES[roleName];
+        if (role === undefined) {
+          throw new Error('Unknown role in wiring manifest: ' + roleName);
+        }
+
+        for (const [ledgerAlias, actors] of Object.entries(ledgers)) {
+          const ledger = resolveAddress(chainId, ledgerAlias, addresses);
+          if (ledger === null) {
+            unresolved.push({ roleName, ledgerAlias });
+            continue;
+          }
+
+          const current = (await notary.getTrustedActors(ledger, trustId, role))
+            .map((a) => ethers.utils.getAddress(a));
+          var desired = [];
+
+          for (const [actorAlias, name] of Object.entries(actors)) {
+            const actor = resolveAddress(chainId, actorAlias, addresses);
+            if (actor === null) {
+              unresolved.push({ roleName, ledgerAlias, actorAlias });
+              continue;
+            }
+            desired.push(actor);
+
+            if (!current.includes(actor)) {
+              changes.push({ roleName, role, ledgerAlias, ledger, actorAlias, actor,
+                name: name, trustLevel: true });
+            }
+          }
+
+          for (const actor of current.filter((a) => !desired.includes(a))) {
+            changes.push({ roleName, role, ledgerAlias, ledger, actorAlias: actor, actor,
+              name: '', trustLevel: false });
+          }
+        }
+      }
+
+      return { changes, unresolved };
+    }
+  };
+})();
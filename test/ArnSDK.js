@@ -0,0 +1,128 @@
+//////////////////////////////////////////////////////////////
+// ArnSDK.js
+//
+// The JavaScript asset resource names, checked against the
+// ARNs the vaults put on the ledger, along with the reverse
+// lookup and balance formatting.
+//////////////////////////////////////////////////////////////
+
+//////////////////////////////////////////////////////////////
+/// Imports
+//////////////////////////////////////////////////////////////
+const { expect } = require("chai");    // used for assertions
+const {
+  loadFixture                          // used for test setup
+} = require("@nomicfoundation/hardhat-network-helpers");
+require('./TrustTestUtils.js');        // custom helpers
+const { Arn } = require('../sdk');
+//////////////////////////////////////////////////////////////
+
+//////////////////////////////////////////////////////////////
+describe("ArnSDK", function () {
+  // a book that knows the fixture's coin from a registry
+  const book = function(coin) {
+    return Arn.createArnBook().loadAssets(31337, {
+      assets: { cbeth: { address: coin.address, symbol: 'cbETH', decimals: 18, standard: 20 } }
+    });
+  };
+
+  ////////////////////////////////////////////////////////////
+  // Encoding
+  //
+  // The ARNs have to match the ones the contracts compute.
+  ////////////////////////////////////////////////////////////
+  describe("Encoding", function () {
+    it("Should match the vault ARNs on the ledger", async function() {
+      const {ledger, vault, tokenVault, coin} = await loadFixture(TrustTestFixtures.fundedTokenVault);
+
+      expect(await ledger.getContextArnRegistry(KEY(), 0, vault.address)).eql([Arn.gasArn()]);
+      expect(await ledger.getContextArnRegistry(KEY(), 0, tokenVault.address)).eql([Arn.erc20Arn(coin.address)]);
+    });
+
+    it("Should encode NFTs with their IDs", async function() {
+      const contract = ethers.Wallet.createRandom().address;
+      const encode = (standard, id) => ethers.utils.keccak256(ethers.utils.defaultAbiCoder.encode(
+        ['address', 'uint256', 'uint256'], [contract, standard, id]));
+
+      expect(Arn.erc721Arn(contract, 7)).eql(encode(721, 7));
+      expect(Arn.erc1155Arn(contract, 7)).eql(encode(1155, 7));
+      expect(Arn.erc1155Arn(contract, 7)).not.eql(Arn.erc1155Arn(contract, 8));
+      expect(Arn.arn(ethers.constants.AddressZero, 0)).eql(Arn.gasArn());
+    });
+  });
+
+  ////////////////////////////////////////////////////////////
+  // Reverse Lookup
+  //
+  // ARNs seen in a trust come back as the asset they
+  // stand for.
+  ////////////////////////////////////////////////////////////
+  describe("Reverse lookup", function () {
+    it("Should know the gas token and registry assets", async function() {
+      const {coin} = await loadFixture(TrustTestFixtures.fundedTokenVault);
+      const arns = book(coin);
+
+      expect(arns.lookup(Arn.gasArn())).to.include({ contract: ethers.constants.AddressZero,
+        standard: 0, id: '0', symbol: 'ETH', decimals: 18 });
+      expect(arns.lookup(Arn.erc20Arn(coin.address))).to.include({ contract: coin.address,
+        standard: 20, id: '0', alias: 'cbeth', symbol: 'cbETH', decimals: 18 });
+      expect(arns.lookup(ethers.constants.HashZero)).eql(null);
+    });
+
+    it("Should lend collection metadata to NFT IDs", async function() {
+      const collection = ethers.Wallet.createRandom().address;
+      const arns = Arn.createArnBook({ gasSymbol: 'FIL' }).loadAssets(31337, {
+        assets: { punks: { address: collection, symbol: 'PUNK', standard: 721 } }
+      });
+
+      // collections have no ARN until an ID shows up
+      expect(arns.getAssets().length).eql(1);
+      expect(arns.lookup(Arn.gasArn()).symbol).eql('FIL');
+
+      const punk = arns.addToken(collection, 721, 42);
+      expect(punk.arn).eql(Arn.erc721Arn(collection, 42));
+      expect(arns.lookup(punk.arn)).to.include({ alias: 'punks', symbol: 'PUNK', decimals: 0, id: '42' });
+    });
+
+    it("Should reject unknown token standards", async function() {
+      expect(() => Arn.createArnBook().add({ contract: ethers.constants.AddressZero, standard: 777 }))
+        .to.throw('Unknown token standard 777');
+    });
+  });
+
+  ////////////////////////////////////////////////////////////
+  // Balances
+  //
+  // Ledger balances come back formatted with the
+  // asset's decimals.
+  ////////////////////////////////////////////////////////////
+  describe("Balances", function () {
+    it("Should format trust balances from the ledger", async function() {
+      const {ledger, vault, tokenVault, coin} = await loadFixture(TrustTestFixtures.fundedTokenVault);
+      const arns = book(coin);
+
+      const ether = await arns.getBalances(ledger, Arn.CONTEXTS.TRUST, 0, vault.address);
+      expect(ether.map((b) => b.display)).eql(['40.0 ETH']);
+      expect(ether[0].amount).eql(eth(40).toString());
+
+      const tokens = await arns.getBalances(ledger, Arn.CONTEXTS.KEY, 0, tokenVault.address);
+      expect(tokens.map((b) => b.display)).eql(['5.0 cbETH']);
+    });
+
+    it("Should format NFTs and unknown ARNs", async function() {
+      const {ledger, owner, coin} = await loadFixture(TrustTestFixtures.fundedTokenVault);
+      const arns = book(coin);
+      const keys = ethers.Wallet.createRandom().address;
+      const mystery = Arn.erc20Arn(ethers.Wallet.createRandom().address);
+      arns.add({ contract: keys, standard: 1155, id: 3, symbol: 'KEY' });
+
+      // the owner is a trusted collateral provider in the fixture
+      await ledger.connect(owner).deposit(0, Arn.erc1155Arn(keys, 3), 2);
+      await ledger.connect(owner).deposit(0, mystery, 1234);
+
+      const balances = await arns.getBalances(ledger, Arn.CONTEXTS.KEY, 0, owner.address);
+      expect(balances.map((b) => b.display)).eql(['2 KEY #3', '1234 of ' + mystery]);
+      expect(balances[1].asset).eql(null);
+    });
+  });
+});
@@ -0,0 +1,152 @@
+//////////////////////////////////////////////////////////////
+// ErrorsSDK.js
+//
+// The revert reason decoder and error catalog, checked
+// against real reverts and the error shapes providers
+// wrap them in.
+//////////////////////////////////////////////////////////////
+
+//////////////////////////////////////////////////////////////
+/// Imports
+//////////////////////////////////////////////////////////////
+const { expect } = require("chai");    // used for assertions
+const {
+  loadFixture                          // used for test setup
+} = require("@nomicfoundation/hardhat-network-helpers");
+const fs = require('fs');
+const path = require('path');
+require('./TrustTestUtils.js');        // custom helpers
+const { Errors } = require('../sdk');
+//////////////////////////////////////////////////////////////
+
+//////////////////////////////////////////////////////////////
+describe("ErrorsSDK", function () {
+  // the error a failed call produced
+  const failure = async function(promise) {
+    try {
+      await promise;
+    } catch (err) {
+      return err;
+    }
+    throw new Error('The call did not fail.');
+  };
+
+  const encodeReason = (reason) => '0x08c379a0' + ethers.utils.defaultAbiCoder.encode(['string'], [reason]).slice(2);
+
+  ////////////////////////////////////////////////////////////
+  // Catalog
+  //
+  // Every reason the contracts can revert with needs
+  // an explanation.
+  ////////////////////////////////////////////////////////////
+  describe("Catalog", function () {
+    it("Should explain every require message in the contracts", async function() {
+      var sources = [];
+      const walk = (dir) => fs.readdirSync(dir, { withFileTypes: true }).forEach((f) =>
+        f.isDirectory() ? walk(path.join(dir, f.name)) :
+          f.name.endsWith('.sol') && sources.push(path.join(dir, f.name)));
+      walk(path.join(__dirname, '..', 'contracts'));
+      walk(path.join(__dirname, '..', 'libraries'));
+
+      var reasons = new Set();
+      for (const source of sources) {
+        const code = fs.readFileSync(source, 'utf8').replace(/\/\/[^\n]*/g, '');
+        for (const statement of code.matchAll(/\b(?:require|revert)\s*\(([\s\S]*?)\)\s*;/g)) {
+          const strings = [...statement[1].matchAll(/["']([^"']*)["']/g)];
+          if (strings.length > 0) {
+            reasons.add(strings[strings.length - 1][1]);
+          }
+        }
+      }
+
+      expect(reasons.size).to.be.above(50);
+      expect([...reasons].filter((r) => Errors.explain(r) === null)).eql([]);
+    });
+
+    it("Every entry should explain and remediate", async function() {
+      for (const [reason, entry] of Object.entries(Errors.CATALOG)) {
+        expect(entry.explanation, reason).to.be.a('string').and.not.empty;
+        expect(entry.remediation, reason).to.be.a('string').and.not.empty;
+        expect(entry.contracts, reason).to.be.an('array');
+      }
+    });
+  });
+
+  ////////////////////////////////////////////////////////////
+  // Decoding
+  //
+  // The reason has to come out of whatever was thrown.
+  ////////////////////////////////////////////////////////////
+  describe("Decoding", function () {
+    it("Should decode a reverted transaction", async function() {
+      const {locksmith, second} = await loadFixture(TrustTestFixtures.singleRoot);
+      const err = await failure(locksmith.connect(second).createKey(0, stb('Sneaky'), second.address, false));
+      expect(Errors.getRevertReason(err)).eql('KEY_NOT_HELD');
+    });
+
+    it("Should decode a failed gas estimate", async function() {
+      const {locksmith, root} = await loadFixture(TrustTestFixtures.singleRoot);
+      const err = await failure(locksmith.connect(root).estimateGas.copyKey(0, 7, root.address, false));
+      expect(Errors.getRevertReason(err)).eql('TRUST_KEY_NOT_FOUND');
+    });
+
+    it("Should decode panics", async function() {
+      const {locksmith} = await loadFixture(TrustTestFixtures.singleRoot);
+      const err = await failure(locksmith.getKeys(5));
+      expect(Errors.getRevertReason(err)).eql('Panic(0x01)');
+      expect(Errors.explain(err).contracts).eql(['Locksmith']);
+    });
+
+    it("Should decode nested provider errors", async function() {
+      // a json rpc error body, like zkSync returns from estimateGas
+      expect(Errors.getRevertReason({
+        code: 'UNPREDICTABLE_GAS_LIMIT',
+        error: { code: 'SERVER_ERROR', body: JSON.stringify({ jsonrpc: '2.0', id: 1,
+          error: { code: 3, message: 'execution reverted: KEY_NOT_ROOT', data: encodeReason('KEY_NOT_ROOT') } }) }
+      })).eql('KEY_NOT_ROOT');
+
+      // return data a few levels down
+      expect(Errors.getRevertReason({ error: { error: { data: { data: encodeReason('OVERDRAFT') } } } }))
+        .eql('OVERDRAFT');
+
+      // only a message
+      expect(Errors.getRevertReason(new Error('Failed to submit transaction: execution reverted: LATE')))
+        .eql('LATE');
+      expect(Errors.getRevertReason(new Error('Error function_selector = 0x08c379a0, data = ' +
+        encodeReason('DUPLICATE_EVENT')))).eql('DUPLICATE_EVENT');
+    });
+
+    it("Should not invent reasons", async function() {
+      expect(Errors.getRevertReason(new Error('network does not support ENS'))).eql(null);
+      expect(Errors.getRevertReason({ data: '0x1234' })).eql(null);
+      expect(Errors.getRevertReason(null)).eql(null);
+    });
+  });
+
+  ////////////////////////////////////////////////////////////
+  // Formatting
+  //
+  // What people see when a transaction fails.
+  ////////////////////////////////////////////////////////////
+  describe("Formatting", function () {
+    it("Should explain known reasons", async function() {
+      const {locksmith, second} = await loadFixture(TrustTestFixtures.singleRoot);
+      const err = await failure(locksmith.connect(second).createKey(0, stb('Sneaky'), second.address, false));
+
+      expect(Errors.formatError(err)).eql('The transaction reverted with KEY_NOT_HELD: ' +
+        'The sender does not hold the key the call is made with.\n' +
+        'Send the transaction from a wallet that holds the key, or the root key of its trust.');
+
+      const wrapped = new Errors.LocksmithError(err);
+      expect(wrapped.reason).eql('KEY_NOT_HELD');
+      expect(wrapped.remediation).to.contain('root key');
+      expect(wrapped.cause).eql(err);
+    });
+
+    it("Should pass along unknown reasons and other errors", async function() {
+      expect(Errors.formatError({ data: encodeReason('WHAT') })).eql('The transaction reverted with WHAT.');
+      expect(Errors.explain('WHAT')).eql(null);
+      expect(Errors.formatError(new Error('nonce too low'))).eql('nonce too low');
+    });
+  });
+});
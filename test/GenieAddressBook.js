@@ -0,0 +1,119 @@
+//////////////////////////////////////////////////////////////
+// GenieAddressBook.js
+//
+// The address book genie export generates for frontends,
+// built from the committed registries and a hardhat chain
+// registry written by the suite, then loaded as a module.
+//////////////////////////////////////////////////////////////
+
+//////////////////////////////////////////////////////////////
+/// Imports
+//////////////////////////////////////////////////////////////
+const fs = require('fs');
+const path = require('path');
+const { expect } = require("chai");    // used for assertions
+require('./TrustTestUtils.js');        // custom helpers
+require('../tasks/registry.js');       // genie registries
+require('../tasks/addressbook.js');    // genie address book
+//////////////////////////////////////////////////////////////
+
+//////////////////////////////////////////////////////////////
+describe("GenieAddressBook", function () {
+  // generated inside the repo, so the module can require ethers
+  const outDir = path.join(config.paths.cache, 'genie-addressbook-test');
+  const locksmith = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+  const usdc = '0x8f86403A4DE0BB5791fa46B8e795C547942fE4Cf';
+  const dai = '0x0E801D84Fa97b50751Dbf25036d067dCf18858bF';
+
+  // the hardhat chain's registries are written in a scratch copy
+  scratchRegistries();
+
+  var book, module;
+  before(async function() {
+    LocksmithRegistry.resetNetworkRegistry(31337);
+    LocksmithRegistry.saveContractAddress(31337, 'Locksmith', locksmith);
+    LocksmithRegistry.resetNetworkRegistry(31337, 'assets');
+    LocksmithRegistry.saveAsset(31337, 'usdc', { address: usdc, symbol: 'USDC', decimals: 6, standard: 20 });
+    LocksmithRegistry.saveAsset(31337, 'dai', { address: dai });
+
+    book = await GenieAddressBook.build(outDir);
+    module = require(path.join(outDir, 'index.js'));
+  });
+  after(function() {
+    fs.rmSync(outDir, { recursive: true, force: true });
+  });
+
+  const typings = () => fs.readFileSync(path.join(outDir, 'index.d.ts')).toString();
+
+  ////////////////////////////////////////////////////////////
+  // Contracts
+  //
+  // Every chain with a contracts registry is in the book,
+  // along with the ABIs of the whole contract list.
+  ////////////////////////////////////////////////////////////
+  describe("Contracts", function () {
+    it("Should report what it built", async function() {
+      expect(book.chainIds).to.include.members([5, 31337]);
+      expect(book.chainIds).eql(LocksmithRegistry.getChainIds('contracts'));
+      expect(book.addresses[31337]).eql({ Locksmith: locksmith });
+      expect(book.types).to.be.above(LocksmithRegistry.getContractList().length);
+    });
+
+    it("Should look up addresses by chain", async function() {
+      expect(module.getChainIds()).eql(book.chainIds);
+      expect(module.getAddress(31337, 'Locksmith')).eql(locksmith);
+      expect(module.getAddress(31337, 'Notary')).eql(null);
+      expect(module.getAddress(5, 'Notary')).eql(LocksmithRegistry.getContractAddress(5, 'Notary'));
+      expect(module.getAddress(999, 'Locksmith')).eql(null);
+    });
+
+    it("Should build contracts from the ABIs", async function() {
+      const contract = module.getContract(31337, 'Locksmith', ethers.provider);
+      expect(contract.address).eql(locksmith);
+      expect(contract.interface.getFunction('createKey').inputs.length).eql(4);
+      expect(module.getAbi('Locksmith')).eql((await artifacts.readArtifact('Locksmith')).abi);
+      expect(Object.keys(module.ABIS)).eql(LocksmithRegistry.getContractList());
+      expect(module.getContract(31337, 'Notary', ethers.provider)).eql(null);
+    });
+
+    it("Should write a package with typechain types", async function() {
+      const pkg = JSON.parse(fs.readFileSync(path.join(outDir, 'package.json')));
+      expect(pkg.main).eql('index.js');
+      expect(pkg.types).eql('index.d.ts');
+      expect(pkg.peerDependencies).eql({ ethers: '^5.7.0' });
+      expect(fs.existsSync(path.join(outDir, 'types', 'Locksmith.ts'))).eql(true);
+      expect(typings()).to.include("import type { KeyVault, Locksmith, KeyLocker");
+      expect(typings()).to.include('export type ChainId = ' + book.chainIds.join(' | ') + ';');
+    });
+  });
+
+  ////////////////////////////////////////////////////////////
+  // Assets
+  //
+  // Assets carry their alias, and whatever metadata
+  // the registry knows.
+  ////////////////////////////////////////////////////////////
+  describe("Assets", function () {
+    it("Should carry the asset metadata", async function() {
+      expect(module.getAsset(31337, 'usdc')).eql({
+        alias: 'usdc', address: usdc, symbol: 'USDC', decimals: 6, standard: 20
+      });
+      expect(module.getAsset(31337, 'dai')).eql({ alias: 'dai', address: dai });
+      expect(module.getAssets(31337).map((a) => a.alias)).eql(['usdc', 'dai']);
+      expect(module.getAsset(31337, 'link')).eql(null);
+      expect(module.getAssets(999)).eql([]);
+    });
+
+    it("Should type the asset metadata", async function() {
+      expect(typings()).to.include('export interface Asset {\n' +
+        '  alias: string;\n' +
+        '  address: string;\n' +
+        '  symbol?: string;\n' +
+        '  decimals?: number;\n' +
+        '  standard?: 20 | 721 | 1155;\n' +
+        '}\n');
+      expect(typings()).to.include('export declare function getAsset(chainId: number, alias: string): Asset | null;');
+      expect(typings()).to.include('export declare function getAssets(chainId: number): Asset[];');
+    });
+  });
+});
@@ -0,0 +1,147 @@
+//////////////////////////////////////////////////////////////
+// GenieAdmin.js
+//
+// What the trust administration tasks share: naming keys
+// and trusts, checking the signer's keys, picking assets,
+// asking for confirmation, and describing what a mined
+// transaction logged.
+//////////////////////////////////////////////////////////////
+
+//////////////////////////////////////////////////////////////
+/// Imports
+//////////////////////////////////////////////////////////////
+const { PassThrough } = require('stream');
+const { expect } = require("chai");    // used for assertions
+const {
+  loadFixture                          // used for test setup
+} = require("@nomicfoundation/hardhat-network-helpers");
+require('./TrustTestUtils.js');        // custom helpers
+require('../tasks/registry.js');       // genie registries
+require('../tasks/indexer.js');        // genie event indexer
+require('../tasks/admin.js');          // genie trust administration
+const { Arn } = require('../sdk');
+//////////////////////////////////////////////////////////////
+
+//////////////////////////////////////////////////////////////
+describe("GenieAdmin", function () {
+  // key 1 is given to second, in the trust of root key 0
+  const adminFixture = async function adminFixture() {
+    const contracts = await TrustTestFixtures.fundedTokenVault();
+    await contracts.locksmith.connect(contracts.root).createKey(0, stb('second'), contracts.second.address, false);
+    return contracts;
+  };
+
+  // answers the question with what is written to the input
+  const answer = async function(text) {
+    const input = new PassThrough();
+    const output = new PassThrough();
+    const confirmed = GenieAdmin.confirm('Send it?', { input, output });
+    text === null ? input.end() : input.write(text + '\n');
+    return confirmed;
+  };
+
+  ////////////////////////////////////////////////////////////
+  // Previewing
+  //
+  // Keys, trusts, and assets have to be named and checked
+  // before anything is sent.
+  ////////////////////////////////////////////////////////////
+  describe("Previewing", function () {
+    it("Should name keys and trusts", async function() {
+      const {locksmith} = await loadFixture(adminFixture);
+      const names = GenieAdmin.getNames(locksmith);
+
+      expect(await names.key(1)).eql('key 1 (second)');
+      expect(await names.keys([0, 1])).eql('key 0 (Master Key), key 1 (second)');
+      expect(await names.key(9)).eql('key 9 (invalid)');
+      expect(await names.trust(0)).eql('trust 0 (Conner Trust)');
+    });
+
+    it("Should check the signer's keys", async function() {
+      const {locksmith, root, second} = await loadFixture(adminFixture);
+
+      expect(await GenieAdmin.requireKey(locksmith, root.address, 0, true)).eql(bn(0));
+      expect(await GenieAdmin.requireKey(locksmith, root.address, 1)).eql(bn(0));
+      expect(await GenieAdmin.requireKey(locksmith, second.address, 1)).eql(bn(0));
+      await expect(GenieAdmin.requireKey(locksmith, second.address, 1, true))
+        .to.be.rejectedWith('Key 1 is not a root key.');
+      await expect(GenieAdmin.requireKey(locksmith, second.address, 0, true))
+        .to.be.rejectedWith(second.address + ' does not hold key 0.');
+      await expect(GenieAdmin.requireKey(locksmith, root.address, 9))
+        .to.be.rejectedWith('Key 9 does not exist.');
+    });
+
+    it("Should pick assets and parse amounts", async function() {
+      const {coin} = await loadFixture(adminFixture);
+      const book = Arn.createArnBook();
+
+      const ether = await GenieAdmin.resolveAsset(ethers.provider, book, undefined);
+      expect(ether.arn).eql(ethArn());
+      expect((await GenieAdmin.resolveAsset(ethers.provider, book, 'ETH')).arn).eql(ethArn());
+      expect(GenieAdmin.parseAmount(ether, '1.5')).eql(eth(1.5));
+
+      // unknown tokens are asked for their symbol and decimals
+      const token = await GenieAdmin.resolveAsset(ethers.provider, book, coin.address);
+      expect(token).to.include({ arn: tokenArn(coin.address), symbol: 'cbETH', decimals: 18 });
+      expect((await GenieAdmin.resolveAsset(ethers.provider, book, 'cbeth')).arn).eql(token.arn);
+
+      await expect(GenieAdmin.resolveAsset(ethers.provider, book, 'doge'))
+        .to.be.rejectedWith('There is no asset "doge" in the registry. Use its token address instead.');
+      expect(() => GenieAdmin.parseAmount(ether, '1.2.3'))
+        .to.throw('"1.2.3" is not an amount of ETH, which has 18 decimals.');
+    });
+  });
+
+  ////////////////////////////////////////////////////////////
+  // Confirming
+  //
+  // Only a yes sends anything.
+  ////////////////////////////////////////////////////////////
+  describe("Confirming", function () {
+    it("Should only take yes for an answer", async function() {
+      expect(await answer('y')).eql(true);
+      expect(await answer(' YES ')).eql(true);
+      expect(await answer('')).eql(false);
+      expect(await answer('nope')).eql(false);
+      expect(await answer(null)).eql(false);
+      expect(await GenieAdmin.confirm('Send it?', { yes: true })).eql(true);
+    });
+  });
+
+  ////////////////////////////////////////////////////////////
+  // Reporting
+  //
+  // The events of a mined transaction are described with
+  // names and formatted amounts.
+  ////////////////////////////////////////////////////////////
+  describe("Reporting", function () {
+    it("Should describe the events of a transaction", async function() {
+      const {keyVault, locksmith, notary, ledger, vault, root, second} = await loadFixture(adminFixture);
+      const contracts = await GenieIndexer.getContracts(31337, {
+        KeyVault: keyVault.address,
+        Locksmith: locksmith.address,
+        Ledger: ledger.address,
+        Notary: notary.address
+      });
+
+      const minted = await (await locksmith.connect(root).createKey(0, stb('third'), second.address, true)).wait();
+      const events = GenieIndexer.decodeReceipt(contracts, minted);
+      expect(events.map((e) => e.contract + '.' + e.event)).to.include.members(['KeyVault.TransferSingle',
+        'KeyVault.setSoulboundKeyAmount', 'Locksmith.keyMinted']);
+
+      const names = GenieAdmin.getNames(locksmith);
+      const lines = await GenieAdmin.describeEvents(events.filter((e) => e.event === 'keyMinted'), names,
+        Arn.createArnBook());
+      expect(lines).eql(['Locksmith.keyMinted(creator: ' + root.address + ', trustId: 0, keyId: 2, ' +
+        'keyName: "third", receiver: ' + second.address + ') for trust 0 (Conner Trust), key 2 (third)']);
+
+      const deposited = await (await vault.connect(root).deposit(1, {value: eth(2)})).wait();
+      const [deposit] = GenieIndexer.decodeReceipt(contracts, deposited).filter((e) => e.event === 'depositOccurred');
+      expect(await GenieAdmin.describeEvents([deposit], names, Arn.createArnBook())).eql([
+        'Ledger.depositOccurred(provider: ' + vault.address + ', trustId: 0, keyId: 1, arn: ' + ethArn() +
+        ', amount: 2.0 ETH, keyBalance: 2.0 ETH, trustBalance: 42.0 ETH, ledgerBalance: 42.0 ETH) ' +
+        'for trust 0 (Conner Trust), key 1 (second)'
+      ]);
+    });
+  });
+});
@@ -0,0 +1,191 @@
+//////////////////////////////////////////////////////////////
+// GenieAudit.js
+//
+// The registry audit, run against the fixture's deployment
+// after it is written into the hardhat chain's registry:
+// dependencies, implementation slots, and code hashes.
+//////////////////////////////////////////////////////////////
+
+//////////////////////////////////////////////////////////////
+/// Imports
+//////////////////////////////////////////////////////////////
+const { expect } = require("chai");    // used for assertions
+const {
+  loadFixture                          // used for test setup
+} = require("@nomicfoundation/hardhat-network-helpers");
+require('./TrustTestUtils.js');        // custom helpers
+require('../tasks/registry.js');       // genie registries
+require('../tasks/audit.js');          // genie registry audit
+//////////////////////////////////////////////////////////////
+
+//////////////////////////////////////////////////////////////
+describe("GenieAudit", function () {
+  // the hardhat chain's registries are written in a scratch copy
+  scratchRegistries();
+
+  // the same surface genie's owner has for the hardhat network
+  const getOwner = function(signer) {
+    const owner = {
+      chainId: 31337,
+      zksync: false,
+      signer: signer,
+      loadArtifact: async (alias) => artifacts.readArtifact(alias)
+    };
+    owner.getContract = async function(alias, address) {
+      return new ethers.Contract(address, (await owner.loadArtifact(alias)).abi, signer);
+    };
+    return owner;
+  };
+
+  // registers the fixture's contracts the way genie deploys them
+  const register = async function(contracts) {
+    const deployments = {
+      KeyVault: contracts.keyVault,
+      Locksmith: contracts.locksmith,
+      Notary: contracts.notary,
+      Ledger: contracts.ledger,
+      EtherVault: contracts.vault,
+      TokenVault: contracts.tokenVault,
+      TrustEventLog: contracts.events
+    };
+
+    LocksmithRegistry.resetNetworkRegistry(31337);
+    for (const [alias, contract] of Object.entries(deployments)) {
+      const artifact = await artifacts.readArtifact(alias);
+      const receipt = await contract.deployTransaction.wait();
+      LocksmithRegistry.saveContractDeployment(31337, alias, {
+        action: 'deploy',
+        address: contract.address,
+        codeHash: ethers.utils.keccak256(artifact.bytecode),
+        proxy: await GenieAudit.getProxyInfo(ethers.provider, contract.address, artifact.abi),
+        implementation: await GenieAudit.getImplementationAddress(ethers.provider, contract.address),
+        deployer: receipt.from,
+        txHash: receipt.transactionHash,
+        blockNumber: receipt.blockNumber,
+        timestamp: (await ethers.provider.getBlock(receipt.blockNumber)).timestamp,
+        compiler: 'solc'
+      });
+    }
+  };
+
+  const failed = (result) => result.checks.filter((c) => !c.ok).map((c) => c.check);
+
+  ////////////////////////////////////////////////////////////
+  // Contracts
+  //
+  // Every registered contract is checked against what
+  // is actually on-chain.
+  ////////////////////////////////////////////////////////////
+  describe("Contracts", function () {
+    it("Should pass a matching deployment", async function() {
+      const contracts = await loadFixture(TrustTestFixtures.fundedTokenVault);
+      await register(contracts);
+
+      const result = await GenieAudit.auditContract(getOwner(contracts.owner), 'EtherVault');
+      expect(result.address).eql(contracts.vault.address);
+      expect(result.checks.map((c) => c.check)).eql(['dependency:Locksmith', 'dependency:Ledger',
+        'implementation', 'codeHash']);
+      expect(failed(result)).eql([]);
+    });
+
+    it("Should catch a dependency that doesn't match", async function() {
+      const contracts = await loadFixture(TrustTestFixtures.fundedTokenVault);
+      await register(contracts);
+      LocksmithRegistry.saveContractAddress(31337, 'Ledger', contracts.notary.address);
+
+      const result = await GenieAudit.auditContract(getOwner(contracts.owner), 'EtherVault');
+      const dependency = result.checks.find((c) => c.check === 'dependency:Ledger');
+      expect(failed(result)).eql(['dependency:Ledger']);
+      expect(dependency.expected).eql(contracts.notary.address);
+      expect(dependency.actual).eql(contracts.ledger.address);
+      expect(dependency.message).eql('ledger() does not match the registry.');
+    });
+
+    it("Should catch a proxy pointing elsewhere", async function() {
+      const contracts = await loadFixture(TrustTestFixtures.fundedTokenVault);
+      await register(contracts);
+
+      // the ledger's implementation, registered for the notary
+      const other = await GenieAudit.getImplementationAddress(ethers.provider, contracts.ledger.address);
+      const record = LocksmithRegistry.getContractRecord(31337, 'Notary');
+      LocksmithRegistry.saveContractDeployment(31337, 'Notary', {
+        ...record, action: 'upgrade', implementation: other, previousImplementation: record.implementation
+      });
+
+      const result = await GenieAudit.auditContract(getOwner(contracts.owner), 'Notary');
+      expect(failed(result)).eql(['implementation']);
+      expect(result.implementation).not.eql(other);
+    });
+
+    it("Should catch an implementation that doesn't match the code hash", async function() {
+      const contracts = await loadFixture(TrustTestFixtures.fundedTokenVault);
+      await register(contracts);
+
+      // swap the notary's code for the ledger's, which also
+      // reads the notary's storage as its own
+      const implementation = await GenieAudit.getImplementationAddress(ethers.provider, contracts.notary.address);
+      const ledger = await GenieAudit.getImplementationAddress(ethers.provider, contracts.ledger.address);
+      await ethers.provider.send('hardhat_setCode', [implementation, await ethers.provider.getCode(ledger)]);
+
+      const result = await GenieAudit.auditContract(getOwner(contracts.owner), 'Notary');
+      const codeHash = result.checks.find((c) => c.check === 'codeHash');
+      expect(failed(result)).to.include('codeHash');
+      expect(result.implementation).eql(implementation);
+      expect(codeHash.message).eql('The implementation does not match the registered code hash.');
+    });
+
+    it("Should catch an artifact that doesn't match the code hash", async function() {
+      const contracts = await loadFixture(TrustTestFixtures.fundedTokenVault);
+      await register(contracts);
+      LocksmithRegistry.saveContractCodeHash(31337, 'Ledger', ethers.constants.HashZero);
+
+      const result = await GenieAudit.auditContract(getOwner(contracts.owner), 'Ledger');
+      const codeHash = result.checks.find((c) => c.check === 'codeHash');
+      expect(failed(result)).eql(['codeHash']);
+      expect(codeHash.message).eql('The local artifact does not match the registered code hash, ' +
+        'so the implementation can not be verified.');
+    });
+
+    it("Should catch an address with no code", async function() {
+      const contracts = await loadFixture(TrustTestFixtures.fundedTokenVault);
+      await register(contracts);
+      LocksmithRegistry.saveContractAddress(31337, 'Ledger', contracts.second.address);
+
+      const result = await GenieAudit.auditContract(getOwner(contracts.owner), 'Ledger');
+      expect(failed(result)).eql(['deployed']);
+      expect(result.checks.length).eql(1);
+    });
+  });
+
+  ////////////////////////////////////////////////////////////
+  // Registry
+  //
+  // The whole registry passes when everything deployed
+  // checks out, no matter what is left to deploy.
+  ////////////////////////////////////////////////////////////
+  describe("Registry", function () {
+    it("Should pass the fixture's deployment", async function() {
+      const contracts = await loadFixture(TrustTestFixtures.fundedTokenVault);
+      await register(contracts);
+
+      const report = await GenieAudit.auditRegistry(getOwner(contracts.owner));
+      expect(report.ok).eql(true);
+      expect(report.chainId).eql(31337);
+      expect(report.contracts.map((c) => c.alias)).eql(['KeyVault', 'Locksmith', 'Notary', 'Ledger',
+        'EtherVault', 'TokenVault', 'TrustEventLog']);
+      expect(report.missing).to.include.members(['KeyLocker', 'Trustee', 'TrustCreator']);
+      expect(report.integrity.map((k) => k.ok)).eql([true]);
+    });
+
+    it("Should fail when the key vault respects another locksmith", async function() {
+      const contracts = await loadFixture(TrustTestFixtures.fundedTokenVault);
+      await register(contracts);
+      await contracts.keyVault.connect(contracts.owner).setRespectedLocksmith(contracts.second.address);
+
+      const report = await GenieAudit.auditRegistry(getOwner(contracts.owner));
+      expect(report.ok).eql(false);
+      expect(report.integrity[0].actual).eql(contracts.second.address);
+      expect(report.contracts.every((c) => c.checks.every((k) => k.ok))).eql(true);
+    });
+  });
+});
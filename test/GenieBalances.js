@@ -0,0 +1,164 @@
+//////////////////////////////////////////////////////////////
+// GenieBalances.js
+//
+// The balance sheet genie builds from the Ledger's context
+// views, read against a funded fixture whose contracts and
+// coin are written into the hardhat chain's registries.
+//////////////////////////////////////////////////////////////
+
+//////////////////////////////////////////////////////////////
+/// Imports
+//////////////////////////////////////////////////////////////
+const { expect } = require("chai");    // used for assertions
+const {
+  loadFixture                          // used for test setup
+} = require("@nomicfoundation/hardhat-network-helpers");
+require('./TrustTestUtils.js');        // custom helpers
+require('../tasks/registry.js');       // genie registries
+require('../tasks/balances.js');       // genie balance sheets
+//////////////////////////////////////////////////////////////
+
+//////////////////////////////////////////////////////////////
+describe("GenieBalances", function () {
+  // the hardhat chain's registries are written in a scratch copy
+  scratchRegistries();
+
+  // key 1 for second, with 10 of the root key's 40 ether
+  const balancesFixture = async function balancesFixture() {
+    const contracts = await TrustTestFixtures.fundedTokenVault();
+    const {locksmith, notary, ledger, vault, owner, root, second} = contracts;
+    await locksmith.connect(root).createKey(0, stb('second, "the heir"'), second.address, false);
+    await notary.connect(root).setTrustedLedgerRole(0, SCRIBE(), ledger.address, owner.address, true, stb('Owner'));
+    await ledger.connect(owner).distribute(vault.address, ethArn(), 0, [1], [eth(10)]);
+    return contracts;
+  };
+
+  // registers the fixture's contracts and coin
+  const register = function(contracts) {
+    LocksmithRegistry.resetNetworkRegistry(31337);
+    LocksmithRegistry.saveContractAddress(31337, 'KeyVault', contracts.keyVault.address);
+    LocksmithRegistry.saveContractAddress(31337, 'Locksmith', contracts.locksmith.address);
+    LocksmithRegistry.saveContractAddress(31337, 'Ledger', contracts.ledger.address);
+    LocksmithRegistry.saveContractAddress(31337, 'EtherVault', contracts.vault.address);
+    LocksmithRegistry.saveContractAddress(31337, 'TokenVault', contracts.tokenVault.address);
+    LocksmithRegistry.resetNetworkRegistry(31337, 'assets');
+    LocksmithRegistry.saveAsset(31337, 'coin', { address: contracts.coin.address, symbol: 'COIN', decimals: 18, standard: 20 });
+  };
+
+  const getOwner = (signer) => ({
+    chainId: 31337,
+    signer: signer,
+    getContract: async (alias, address) =>
+      new ethers.Contract(address, (await artifacts.readArtifact(alias)).abi, signer)
+  });
+
+  // the rows of a context, as 'identifier:provider:asset=formatted'
+  const summarize = (sheet, context) => sheet.rows.filter((r) => r.context === context)
+    .map((r) => r.identifier + ':' + r.providerAlias + ':' + r.asset + '=' + r.formatted);
+
+  ////////////////////////////////////////////////////////////
+  // Balance Sheets
+  //
+  // Every context is read by provider and asset, at
+  // the same block.
+  ////////////////////////////////////////////////////////////
+  describe("Balance Sheets", function () {
+    it("Should describe the trust", async function() {
+      const contracts = await loadFixture(balancesFixture);
+      register(contracts);
+
+      const sheet = await GenieBalances.buildBalanceSheet(getOwner(contracts.root), 0);
+      expect(sheet.chainId).eql(31337);
+      expect(sheet.blockNumber).eql(await ethers.provider.getBlockNumber());
+      expect(sheet.trust).eql({ id: 0, name: 'Conner Trust', rootKeyId: 0 });
+    });
+
+    it("Should read the ledger and trust contexts", async function() {
+      const contracts = await loadFixture(balancesFixture);
+      register(contracts);
+
+      const sheet = await GenieBalances.buildBalanceSheet(getOwner(contracts.root), 0);
+      const totals = ['0:EtherVault:gas=40.0', '0:TokenVault:coin=5.0'];
+      expect(summarize(sheet, 'ledger')).eql(totals);
+      expect(summarize(sheet, 'trust')).eql(totals);
+      expect(sheet.rows.find((r) => r.context === 'trust').name).eql('Conner Trust');
+    });
+
+    it("Should read every key of the trust", async function() {
+      const contracts = await loadFixture(balancesFixture);
+      register(contracts);
+
+      const sheet = await GenieBalances.buildBalanceSheet(getOwner(contracts.root), 0);
+      expect(summarize(sheet, 'key')).eql(['0:EtherVault:gas=30.0', '0:TokenVault:coin=5.0',
+        '1:EtherVault:gas=10.0']);
+
+      const coin = sheet.rows.find((r) => r.context === 'key' && r.asset === 'coin');
+      expect(coin).eql({
+        context: 'key',
+        identifier: 0,
+        name: 'Master Key',
+        provider: contracts.tokenVault.address,
+        providerAlias: 'TokenVault',
+        arn: tokenArn(contracts.coin.address),
+        asset: 'coin',
+        symbol: 'COIN',
+        standard: 20,
+        tokenId: '0',
+        amount: eth(5).toString(),
+        formatted: '5.0'
+      });
+    });
+
+    it("Should leave unregistered providers and assets unnamed", async function() {
+      const contracts = await loadFixture(balancesFixture);
+      register(contracts);
+      LocksmithRegistry.resetNetworkRegistry(31337, 'assets');
+      LocksmithRegistry.saveContractAddress(31337, 'TokenVault', contracts.second.address);
+
+      const sheet = await GenieBalances.buildBalanceSheet(getOwner(contracts.root), 0);
+      const coin = sheet.rows.find((r) => r.context === 'trust' && r.arn === tokenArn(contracts.coin.address));
+      expect(coin.providerAlias).eql(null);
+      expect(coin.asset).eql(null);
+      expect(coin.formatted).eql(eth(5).toString());
+    });
+
+    it("Should refuse a trust that doesn't exist", async function() {
+      const contracts = await loadFixture(balancesFixture);
+      register(contracts);
+
+      await expect(GenieBalances.buildBalanceSheet(getOwner(contracts.root), 7))
+        .to.be.rejectedWith('Trust 7 does not exist.');
+    });
+  });
+
+  ////////////////////////////////////////////////////////////
+  // CSV
+  //
+  // One line per row, under a header, with the fields
+  // quoted when they have to be.
+  ////////////////////////////////////////////////////////////
+  describe("CSV", function () {
+    it("Should render every row", async function() {
+      const contracts = await loadFixture(balancesFixture);
+      register(contracts);
+
+      const sheet = await GenieBalances.buildBalanceSheet(getOwner(contracts.root), 0);
+      const lines = GenieBalances.renderCsv(sheet).split('\n');
+      expect(lines[0]).eql('blockNumber,context,identifier,name,provider,providerAlias,' +
+        'arn,asset,symbol,standard,tokenId,amount,formatted');
+      expect(lines.length).eql(sheet.rows.length + 2);
+      expect(lines[lines.length - 1]).eql('');
+      expect(lines[1]).eql([sheet.blockNumber, 'ledger', 0, 'Ledger', contracts.vault.address, 'EtherVault',
+        ethArn(), 'gas', 'ETH', 0, 0, eth(40).toString(), '40.0'].join(','));
+    });
+
+    it("Should quote the fields that need it", async function() {
+      const contracts = await loadFixture(balancesFixture);
+      register(contracts);
+
+      const sheet = await GenieBalances.buildBalanceSheet(getOwner(contracts.root), 0);
+      const heir = GenieBalances.renderCsv(sheet).split('\n').find((l) => l.includes('heir'));
+      expect(heir).to.include(',key,1,"second, ""the heir""",' + contracts.vault.address + ',');
+    });
+  });
+});
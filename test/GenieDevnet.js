@@ -0,0 +1,197 @@
+//////////////////////////////////////////////////////////////
+// GenieDevnet.js
+//
+// The devnet scenarios: the shipped one checked against the
+// schema, and seeded into the fixture's deployment after it
+// is written into the hardhat chain's registry.
+//////////////////////////////////////////////////////////////
+
+//////////////////////////////////////////////////////////////
+/// Imports
+//////////////////////////////////////////////////////////////
+const fs = require('fs');
+const path = require('path');
+const { expect } = require("chai");    // used for assertions
+const {
+  loadFixture                          // used for test setup
+} = require("@nomicfoundation/hardhat-network-helpers");
+require('./TrustTestUtils.js');        // custom helpers
+require('../tasks/registry.js');       // genie registries
+require('../tasks/wiring.js');         // genie wiring manifest
+require('../tasks/devnet.js');         // genie devnet scenarios
+//////////////////////////////////////////////////////////////
+
+//////////////////////////////////////////////////////////////
+describe("GenieDevnet", function () {
+  // the hardhat chain's registries are written in a scratch copy
+  const scratch = scratchRegistries();
+  const devnet = path.join(__dirname, '..', 'scenarios', 'devnet.json');
+  const wallet = '0x0374b3AF8D0d584d750222aDF83957aB005d5F7A';
+
+  // registers what the scenario needs from the fixture
+  const register = function(contracts) {
+    const deployments = {
+      KeyVault: contracts.keyVault,
+      Locksmith: contracts.locksmith,
+      Notary: contracts.notary,
+      Ledger: contracts.ledger,
+      EtherVault: contracts.vault,
+      TokenVault: contracts.tokenVault,
+      TrustEventLog: contracts.events,
+      KeyOracle: contracts.keyOracle,
+      AlarmClock: contracts.alarmClock,
+      Trustee: contracts.trustee,
+      Allowance: contracts.allowance,
+      Distributor: contracts.distributor
+    };
+
+    LocksmithRegistry.resetNetworkRegistry(31337);
+    LocksmithRegistry.resetNetworkRegistry(31337, 'assets');
+    for (const [alias, contract] of Object.entries(deployments)) {
+      LocksmithRegistry.saveContractAddress(31337, alias, contract.address);
+    }
+  };
+
+  // the same surface genie's owner has for the hardhat network
+  const getOwner = (signer) => ({
+    chainId: 31337,
+    signer: signer,
+    loadArtifact: async (alias) => artifacts.readArtifact(alias),
+    getContract: async (alias, address) =>
+      new ethers.Contract(address, (await artifacts.readArtifact(alias)).abi, signer),
+    deploy: async (artifact, args) =>
+      (await ethers.getContractFactory(artifact.contractName, signer)).deploy(...args)
+  });
+
+  // the shipped scenario, seeded next to the fixture's trust
+  const seededFixture = async function seededFixture() {
+    const contracts = await TrustTestFixtures.addedDistributor();
+    register(contracts);
+    const funded = await ethers.provider.getBalance(wallet);
+    const summary = await GenieDevnet.seed(getOwner(contracts.owner), GenieDevnet.loadScenario(devnet));
+    return {...contracts, funded, summary};
+  };
+
+  ////////////////////////////////////////////////////////////
+  // Scenarios
+  //
+  // A scenario is checked against the schema before
+  // anything is seeded.
+  ////////////////////////////////////////////////////////////
+  describe("Scenarios", function () {
+    it("Should accept the shipped scenario", async function() {
+      const scenario = GenieDevnet.loadScenario(devnet);
+      expect(scenario.accounts).eql(['owner', 'root', 'second', 'third']);
+      expect(scenario.trusts.map((t) => t.name)).eql(['Conner Trust', 'Second Trust']);
+    });
+
+    it("Should refuse a scenario that doesn't match the schema", async function() {
+      const fileName = path.join(scratch.directory, 'scenario.json');
+      fs.writeFileSync(fileName, JSON.stringify({ accounts: [], trusts: [{ name: 'Trust', holder: 'root',
+        deposits: [{ asset: 'ether', amount: '-1' }] }] }));
+      expect(() => GenieDevnet.loadScenario(fileName)).to.throw('The scenario ' + fileName + ' is invalid:\n' +
+        '  /accounts must NOT have fewer than 1 items\n' +
+        '  /trusts/0/deposits/0/amount must match pattern "^[0-9]+(\\.[0-9]+)?$"');
+    });
+
+    it("Should refuse a scenario that isn't JSON", async function() {
+      const fileName = path.join(scratch.directory, 'scenario.json');
+      fs.writeFileSync(fileName, '{ "accounts": ');
+      expect(() => GenieDevnet.loadScenario(fileName)).to.throw('Could not read the scenario ' + fileName + ': ');
+      expect(() => GenieDevnet.loadScenario(path.join(scratch.directory, 'missing.json')))
+        .to.throw('Could not read the scenario ');
+    });
+  });
+
+  ////////////////////////////////////////////////////////////
+  // Seeding
+  //
+  // Every trust in the scenario is created with its keys,
+  // roles, deposits and distributions, and every asset is
+  // deployed and registered.
+  ////////////////////////////////////////////////////////////
+  describe("Seeding", function () {
+    it("Should fund the outside wallets", async function() {
+      const {funded} = await loadFixture(seededFixture);
+      expect(await ethers.provider.getBalance(wallet)).eql(funded.add(eth(15)));
+    });
+
+    it("Should register the assets", async function() {
+      const {root, second, summary} = await loadFixture(seededFixture);
+      const assets = LocksmithRegistry.getAssets(31337);
+      expect(Object.keys(assets)).eql(['matic', 'avax', 'grt', 'dai', 'usdc', 'link']);
+      expect(Object.keys(summary.assets)).eql(Object.keys(assets));
+
+      for (const [alias, asset] of Object.entries(assets)) {
+        expect(asset).to.include({ address: summary.assets[alias], decimals: 18, standard: 20 });
+      }
+      expect(assets.usdc.symbol).eql('USDC');
+
+      const usdc = await ethers.getContractAt('ShadowERC', assets.usdc.address);
+      expect(await usdc.balanceOf(root.address)).eql(eth(583 - 167));
+      expect(await usdc.balanceOf(second.address)).eql(eth(1000));
+    });
+
+    it("Should create the trusts and their keys", async function() {
+      const {locksmith, keyVault, owner, root, second, third, summary} = await loadFixture(seededFixture);
+      const [conner, other] = summary.trusts;
+
+      // the fixture already has trust 0 and its keys
+      expect(summary.trusts.map((t) => [t.name, t.trustId])).eql([['Conner Trust', 1], ['Second Trust', 2]]);
+      expect(await locksmith.inspectKey(conner.rootKeyId)).eql([true, stb('Master Key'), bn(1), true,
+        Object.values(conner.keys).map(bn)]);
+      expect(await keyVault.keyBalanceOf(root.address, conner.rootKeyId, false)).eql(bn(1));
+      expect(await keyVault.keyBalanceOf(second.address, other.rootKeyId, false)).eql(bn(1));
+
+      expect(Object.keys(conner.keys)).eql(['root', 'Testing One', 'Testing Two', 'Testing Three',
+        'Testing Four', 'Testing Five', 'Soulbound Six']);
+      expect((await locksmith.inspectKey(conner.keys['Testing One'])).slice(0, 4))
+        .eql([true, stb('Testing One'), bn(1), false]);
+      expect(await keyVault.keyBalanceOf(second.address, conner.keys['Testing One'], false)).eql(bn(1));
+
+      // every holder, and the soulbound ones
+      const four = conner.keys['Testing Four'];
+      for (const holder of [root, second, third, owner]) {
+        expect(await keyVault.keyBalanceOf(holder.address, four, false)).eql(bn(1));
+      }
+      expect(await keyVault.keyBalanceOf(second.address, four, true)).eql(bn(1));
+      expect(await keyVault.keyBalanceOf(third.address, four, true)).eql(bn(0));
+      expect(await keyVault.keyBalanceOf(root.address, conner.keys['Soulbound Six'], true)).eql(bn(1));
+      expect(await keyVault.keyBalanceOf(root.address, other.keys['Trustee'], true)).eql(bn(1));
+    });
+
+    it("Should wire the trusts' roles", async function() {
+      const {notary, ledger, events, vault, tokenVault, trustee, allowance, distributor,
+        keyOracle, alarmClock, summary} = await loadFixture(seededFixture);
+
+      for (const {trustId} of summary.trusts) {
+        expect(await notary.getTrustedActors(ledger.address, trustId, 0))
+          .eql([vault.address, tokenVault.address]);
+        expect(await notary.getTrustedActors(ledger.address, trustId, SCRIBE()))
+          .eql([trustee.address, allowance.address, distributor.address]);
+        expect(await notary.getTrustedActors(events.address, trustId, DISPATCHER()))
+          .eql([keyOracle.address, alarmClock.address]);
+      }
+    });
+
+    it("Should deposit and distribute", async function() {
+      const {ledger, vault, tokenVault, summary} = await loadFixture(seededFixture);
+      const [conner, other] = summary.trusts;
+      const usdc = tokenArn(summary.assets.usdc);
+      const balance = async (keyId, provider, arn) =>
+        (await ledger.getContextArnBalances(KEY(), keyId, provider, [arn]))[0];
+
+      // the ether is all distributed, and the usdc in part
+      expect(await balance(conner.rootKeyId, vault.address, ethArn())).eql(eth(0));
+      expect(await balance(conner.keys['Testing One'], vault.address, ethArn())).eql(eth(7.2));
+      expect(await balance(conner.keys['Testing Two'], vault.address, ethArn())).eql(eth(8.23));
+      expect(await balance(conner.keys['Testing Three'], vault.address, ethArn())).eql(eth(15.7));
+      expect(await balance(conner.rootKeyId, tokenVault.address, usdc)).eql(eth(117));
+      expect(await balance(conner.keys['Testing Four'], tokenVault.address, usdc)).eql(eth(50));
+      expect(await balance(conner.rootKeyId, tokenVault.address, tokenArn(summary.assets.matic))).eql(eth(305));
+
+      expect(await balance(other.rootKeyId, vault.address, ethArn())).eql(eth(4));
+      expect(await balance(other.rootKeyId, tokenVault.address, tokenArn(summary.assets.link))).eql(eth(250));
+    });
+  });
+});
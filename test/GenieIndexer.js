@@ -0,0 +1,252 @@
+//////////////////////////////////////////////////////////////
+// GenieIndexer.js
+//
+// The offline event indexer, run against the hardhat chain:
+// decoding, filing events by trust and key, resuming, and
+// rolling back reorganized blocks.
+//////////////////////////////////////////////////////////////
+
+//////////////////////////////////////////////////////////////
+/// Imports
+//////////////////////////////////////////////////////////////
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require("chai");    // used for assertions
+const {
+  loadFixture,                         // used for test setup
+  takeSnapshot                         // used to fake reorgs
+} = require("@nomicfoundation/hardhat-network-helpers");
+require('./TrustTestUtils.js');        // custom helpers
+require('../tasks/registry.js');       // genie registries
+require('../tasks/indexer.js');        // genie event indexer
+//////////////////////////////////////////////////////////////
+
+//////////////////////////////////////////////////////////////
+describe("GenieIndexer", function () {
+  var fileName;
+  beforeEach(function() {
+    fileName = path.join(os.tmpdir(), 'genie-index-' + process.pid + '.json');
+  });
+  afterEach(function() {
+    fs.rmSync(fileName, { force: true });
+  });
+
+  // index the fixture's contracts instead of the registry's
+  const sync = async function(contracts, options = {}, provider = ethers.provider) {
+    const {keyVault, locksmith, notary, ledger, vault, tokenVault, events} = contracts;
+    return GenieIndexer.sync(provider, 31337, {
+      fileName: fileName,
+      fromBlock: 0,
+      addresses: {
+        KeyVault: keyVault.address,
+        Locksmith: locksmith.address,
+        Notary: notary.address,
+        Ledger: ledger.address,
+        EtherVault: vault.address,
+        TokenVault: tokenVault.address,
+        TrustEventLog: events.address
+      },
+      ...options
+    });
+  };
+
+  const names = (events) => events.map((e) => e.contract + '.' + e.event);
+
+  ////////////////////////////////////////////////////////////
+  // Indexing
+  //
+  // Events have to be decoded and filed under the
+  // trusts and keys they concern.
+  ////////////////////////////////////////////////////////////
+  describe("Indexing", function () {
+    it("Should file the fixture's events by trust", async function() {
+      const contracts = await loadFixture(TrustTestFixtures.fundedTokenVault);
+      const result = await sync(contracts);
+      const db = GenieIndexer.load(fileName);
+
+      expect(result.fromBlock).eql(0);
+      expect(result.toBlock).eql(await ethers.provider.getBlockNumber());
+      expect(result.added).eql(db.events.length);
+      expect(result.trusts).eql(1);
+
+      const trust = names(GenieIndexer.getTrustEvents(db, 0));
+      expect(trust).to.include.members(['Locksmith.trustCreated', 'Locksmith.keyMinted',
+        'Notary.trustedRoleChange', 'Notary.notaryDepositApproval', 'Ledger.depositOccurred',
+        'KeyVault.TransferSingle']);
+      expect(GenieIndexer.getTrustEvents(db, 1)).eql([]);
+    });
+
+    it("Should decode arguments", async function() {
+      const contracts = await loadFixture(TrustTestFixtures.fundedTokenVault);
+      await sync(contracts);
+      const db = GenieIndexer.load(fileName);
+
+      const [ether, token] = GenieIndexer.getKeyEvents(db, 0).filter((e) => e.event === 'depositOccurred');
+      expect(ether.address).eql(contracts.ledger.address);
+      expect(ether.args.provider).eql(contracts.vault.address);
+      expect(ether.args.arn).eql(ethArn());
+      expect(ether.args.amount).eql(eth(40).toString());
+      expect(ether.trustIds).eql(['0']);
+      expect(ether.keyIds).eql(['0']);
+      expect(token.args.arn).eql(tokenArn(contracts.coin.address));
+      expect(token.args.amount).eql(eth(5).toString());
+    });
+
+    it("Should file key events under the key's trust", async function() {
+      const contracts = await loadFixture(TrustTestFixtures.fundedTokenVault);
+      const {locksmith, root, second} = contracts;
+      await locksmith.connect(root).createKey(0, stb('second'), second.address, false);
+      await sync(contracts);
+      const db = GenieIndexer.load(fileName);
+
+      // the key vault transfer only names the key
+      const transfer = GenieIndexer.getKeyEvents(db, 1).find((e) => e.event === 'TransferSingle');
+      expect(transfer.args.to).eql(second.address);
+      expect(transfer.trustIds).eql(['0']);
+      expect(names(GenieIndexer.getKeyEvents(db, 1))).to.have.members(['Locksmith.keyMinted', 'KeyVault.TransferSingle']);
+    });
+
+    it("Should stop at the given block", async function() {
+      const contracts = await loadFixture(TrustTestFixtures.fundedTokenVault);
+      const {locksmith, root, second} = contracts;
+      const head = await ethers.provider.getBlockNumber();
+      await locksmith.connect(root).createKey(0, stb('second'), second.address, false);
+
+      const result = await sync(contracts, { toBlock: head });
+      expect(result.toBlock).eql(head);
+      expect(GenieIndexer.getKeyEvents(GenieIndexer.load(fileName), 1)).eql([]);
+    });
+
+    it("Should refuse an index for another chain", async function() {
+      const contracts = await loadFixture(TrustTestFixtures.fundedTokenVault);
+      await sync(contracts);
+      const db = GenieIndexer.load(fileName);
+      db.chainId = 1;
+      GenieIndexer.save(db, fileName);
+
+      await expect(sync(contracts)).to.be.rejectedWith('is for chain ID 1, not 31337');
+    });
+  });
+
+  ////////////////////////////////////////////////////////////
+  // Resuming
+  //
+  // Indexing again only picks up the new blocks.
+  ////////////////////////////////////////////////////////////
+  describe("Resuming", function () {
+    it("Should pick up where it left off", async function() {
+      const contracts = await loadFixture(TrustTestFixtures.fundedTokenVault);
+      const {locksmith, root, second} = contracts;
+      const first = await sync(contracts);
+
+      await locksmith.connect(root).createKey(0, stb('second'), second.address, false);
+      const next = await sync(contracts);
+      expect(next.fromBlock).eql(first.toBlock + 1);
+      expect(next.added).eql(2);
+      expect(next.events).eql(first.events + 2);
+
+      const again = await sync(contracts);
+      expect(again.added).eql(0);
+      expect(names(GenieIndexer.getKeyEvents(GenieIndexer.load(fileName), 1)))
+        .to.have.members(['Locksmith.keyMinted', 'KeyVault.TransferSingle']);
+    });
+
+    it("Should keep the batches it finished when a sync fails", async function() {
+      const contracts = await loadFixture(TrustTestFixtures.fundedTokenVault);
+      const head = await ethers.provider.getBlockNumber();
+
+      // a node that gives out before the last block
+      const getLogs = async function(filter) {
+        if (filter.toBlock === head) {
+          throw new Error('The node went away.');
+        }
+        return ethers.provider.getLogs(filter);
+      };
+      const failing = new Proxy(ethers.provider, {
+        get: (provider, name) => name === 'getLogs' ? getLogs : provider[name]
+      });
+
+      await expect(sync(contracts, { batchSize: 1 }, failing)).to.be.rejectedWith('The node went away.');
+      const db = GenieIndexer.load(fileName);
+      expect(db.lastBlock).eql(head - 1);
+      expect(db.lastBlockHash).eql((await ethers.provider.getBlock(head - 1)).hash);
+      expect(db.events.length).to.be.above(0);
+
+      const resumed = await sync(contracts, { batchSize: 1 });
+      expect(resumed.fromBlock).eql(head);
+      expect(resumed.events).eql((await sync(contracts, { reset: true })).events);
+    });
+
+    it("Should need a start block the registry doesn't know", async function() {
+      const {locksmith, notary} = await loadFixture(TrustTestFixtures.fundedTokenVault);
+
+      // a chain without a registry
+      await expect(GenieIndexer.sync(ethers.provider, 999, {
+        fileName: fileName,
+        addresses: { Locksmith: locksmith.address, Notary: notary.address }
+      })).to.be.rejectedWith('The registry has no deployment block for Locksmith, Notary on chain ID 999. ' +
+        'Give the block to start at with --fromBlock.');
+      expect(GenieIndexer.load(fileName)).eql(null);
+    });
+
+    it("Should start over when reset", async function() {
+      const contracts = await loadFixture(TrustTestFixtures.fundedTokenVault);
+      const first = await sync(contracts);
+      const reset = await sync(contracts, { reset: true });
+      expect(reset.fromBlock).eql(0);
+      expect(reset.events).eql(first.events);
+    });
+  });
+
+  ////////////////////////////////////////////////////////////
+  // Reorgs
+  //
+  // Blocks that left the chain have to leave the index.
+  ////////////////////////////////////////////////////////////
+  describe("Reorgs", function () {
+    it("Should refuse to roll back less than a block", async function() {
+      const contracts = await loadFixture(TrustTestFixtures.fundedTokenVault);
+      await expect(sync(contracts, { reorgDepth: 0 }))
+        .to.be.rejectedWith('The reorg depth has to be at least 1 block, not 0.');
+      await expect(sync(contracts, { reorgDepth: -3 }))
+        .to.be.rejectedWith('The reorg depth has to be at least 1 block, not -3.');
+      expect(GenieIndexer.load(fileName)).eql(null);
+    });
+
+    it("Should roll back blocks", async function() {
+      const contracts = await loadFixture(TrustTestFixtures.fundedTokenVault);
+      const {locksmith, root, second} = contracts;
+      await locksmith.connect(root).createKey(0, stb('second'), second.address, false);
+      const result = await sync(contracts);
+
+      const db = GenieIndexer.rollback(GenieIndexer.load(fileName), 1);
+      expect(db.lastBlock).eql(result.toBlock - 1);
+      expect(db.lastBlockHash).eql(null);
+      expect(GenieIndexer.getKeyEvents(db, 1)).eql([]);
+      expect(db.events.every((e) => e.blockNumber < result.toBlock)).eql(true);
+      expect(GenieIndexer.getTrustEvents(db, 0).length).to.be.above(0);
+    });
+
+    it("Should reindex a reorganized chain", async function() {
+      const contracts = await loadFixture(TrustTestFixtures.fundedTokenVault);
+      const {locksmith, root, second, third} = contracts;
+      const fork = await takeSnapshot();
+
+      await locksmith.connect(root).createKey(0, stb('second'), second.address, false);
+      await sync(contracts);
+
+      // the same block, mined again with another key
+      await fork.restore();
+      await locksmith.connect(root).createKey(0, stb('third'), third.address, false);
+      const result = await sync(contracts, { reorgDepth: 2 });
+      expect(result.rolledBack).eql(2);
+
+      const minted = GenieIndexer.getKeyEvents(GenieIndexer.load(fileName), 1)
+        .filter((e) => e.event === 'keyMinted');
+      expect(minted.length).eql(1);
+      expect(minted[0].args.keyName).eql(stb('third'));
+      expect(minted[0].args.receiver).eql(third.address);
+    });
+  });
+});
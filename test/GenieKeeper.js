@@ -0,0 +1,272 @@
+//////////////////////////////////////////////////////////////
+// GenieKeeper.js
+//
+// The alarm clock keeper, run against the hardhat chain while
+// time moves: learning alarms, following snoozes, challenging
+// what is due, and leaving fired events alone.
+//////////////////////////////////////////////////////////////
+
+//////////////////////////////////////////////////////////////
+/// Imports
+//////////////////////////////////////////////////////////////
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require("chai");    // used for assertions
+const {
+  loadFixture,                         // used for test setup
+  time                                 // used to make alarms due
+} = require("@nomicfoundation/hardhat-network-helpers");
+require('./TrustTestUtils.js');        // custom helpers
+require('../tasks/registry.js');       // genie registries
+require('../tasks/rounds.js');         // genie rounds
+require('../tasks/keeper.js');         // genie alarm keeper
+//////////////////////////////////////////////////////////////
+
+//////////////////////////////////////////////////////////////
+describe("GenieKeeper", function () {
+  // two alarms, one of them snoozable every hour by key 1
+  const keeperFixture = async function keeperFixture() {
+    const contracts = await TrustTestFixtures.addedAlarmClock();
+    const {alarmClock, root} = contracts;
+    const start = await now();
+
+    await alarmClock.connect(root).createAlarm(0, stb('proof-of-life'), start + 3600, 3600, 1);
+    await alarmClock.connect(root).createAlarm(0, stb('deadline'), start + 7200, 0, 0);
+    const [snoozable, deadline] = (await alarmClock.queryFilter(alarmClock.filters.alarmClockRegistered()))
+      .map((e) => e.args);
+
+    return {...contracts, snoozable, deadline};
+  };
+
+  var fileName;
+  beforeEach(function() {
+    fileName = path.join(os.tmpdir(), 'genie-keeper-' + process.pid + '.json');
+  });
+  afterEach(function() {
+    fs.rmSync(fileName, { force: true });
+  });
+
+  // one round of the keeper, with a stranger's signer
+  const keep = async function(contracts, options = {}) {
+    var reports = [];
+    const state = await GenieKeeper.run({
+      alarmClock: contracts.alarmClock.connect(contracts.third),
+      trustEventLog: contracts.events
+    }, 31337, {
+      fileName: fileName,
+      fromBlock: 0,
+      rounds: 1,
+      onRound: (report) => reports.push(report),
+      ...options
+    });
+    if (reports[0].error) {
+      throw reports[0].error;
+    }
+    return {state, report: reports[0]};
+  };
+
+  ////////////////////////////////////////////////////////////
+  // Challenging
+  //
+  // Alarms that are due get challenged, and only those.
+  ////////////////////////////////////////////////////////////
+  describe("Challenging", function () {
+    it("Should learn the alarms and wait for them", async function() {
+      const contracts = await loadFixture(keeperFixture);
+      const {snoozable, deadline} = contracts;
+      const {state, report} = await keep(contracts);
+
+      expect(report.found).eql(2);
+      expect(report.waiting).eql(2);
+      expect(report.results).eql([]);
+      expect(state.alarms[snoozable.eventHash]).to.include({
+        trustId: '0', rootKeyId: '0', alarmTime: snoozable.alarmTime.toNumber(),
+        snoozeInterval: 3600, snoozeKeyId: '1', status: 'waiting'
+      });
+      expect(state.alarms[deadline.eventHash].snoozeInterval).eql(0);
+    });
+
+    it("Should challenge alarms once they are due", async function() {
+      const contracts = await loadFixture(keeperFixture);
+      const {alarmClock, events, snoozable, deadline, third} = contracts;
+      await time.increaseTo(snoozable.alarmTime);
+      const {state, report} = await keep(contracts);
+
+      expect(report.results.length).eql(1);
+      expect(report.results[0]).to.include({ eventHash: snoozable.eventHash, action: 'challenged' });
+      expect(await events.firedEvents(snoozable.eventHash)).eql(true);
+      expect(await events.firedEvents(deadline.eventHash)).eql(false);
+      expect(state.alarms[snoozable.eventHash].status).eql('challenged');
+
+      const [challenge] = await alarmClock.queryFilter(alarmClock.filters.alarmClockChallenged());
+      expect(challenge.transactionHash).eql(report.results[0].transactionHash);
+      expect(challenge.args.operator).eql(third.address);
+    });
+
+    it("Should not challenge an alarm twice", async function() {
+      const contracts = await loadFixture(keeperFixture);
+      await time.increaseTo(contracts.deadline.alarmTime);
+      const first = await keep(contracts);
+      expect(first.report.results.map((r) => r.action)).eql(['challenged', 'challenged']);
+
+      const second = await keep(contracts);
+      expect(second.report.results).eql([]);
+      expect(second.report.waiting).eql(0);
+    });
+
+    it("Should skip events that already fired", async function() {
+      const contracts = await loadFixture(keeperFixture);
+      const {alarmClock, deadline, root} = contracts;
+      await time.increaseTo(deadline.alarmTime);
+      await alarmClock.connect(root).challengeAlarm(deadline.eventHash);
+      const {state, report} = await keep(contracts);
+
+      expect(report.results.find((r) => r.eventHash === deadline.eventHash).action).eql('fired');
+      expect(state.alarms[deadline.eventHash]).to.include({ status: 'fired', transactionHash: null });
+      expect((await alarmClock.queryFilter(alarmClock.filters.alarmClockChallenged())).length).eql(2);
+    });
+  });
+
+  ////////////////////////////////////////////////////////////
+  // Snoozing
+  //
+  // A snoozed alarm is due when the snooze says so.
+  ////////////////////////////////////////////////////////////
+  describe("Snoozing", function () {
+    it("Should follow snoozes", async function() {
+      const contracts = await loadFixture(keeperFixture);
+      const {alarmClock, events, snoozable, owner} = contracts;
+      await alarmClock.connect(owner).snoozeAlarm(snoozable.eventHash);
+      const snoozed = (await alarmClock.alarms(snoozable.eventHash)).alarmTime.toNumber();
+
+      await time.increaseTo(snoozable.alarmTime);
+      const {state, report} = await keep(contracts);
+      expect(report.found).eql(3);
+      expect(report.results).eql([]);
+      expect(state.alarms[snoozable.eventHash].alarmTime).eql(snoozed);
+
+      await time.increaseTo(snoozed);
+      const again = await keep(contracts);
+      expect(again.report.results[0]).to.include({ eventHash: snoozable.eventHash, action: 'challenged' });
+      expect(await events.firedEvents(snoozable.eventHash)).eql(true);
+    });
+
+    it("Should check for snoozes it hasn't seen", async function() {
+      const contracts = await loadFixture(keeperFixture);
+      const {alarmClock, events, snoozable, owner} = contracts;
+      const keeper = { alarmClock: alarmClock.connect(contracts.third), trustEventLog: events };
+      var state = (await keep(contracts)).state;
+
+      // snoozed late, after the keeper last scanned
+      await time.increaseTo(snoozable.alarmTime);
+      await alarmClock.connect(owner).snoozeAlarm(snoozable.eventHash);
+      const results = await GenieKeeper.tick(keeper, state);
+
+      expect(results[0]).to.include({ eventHash: snoozable.eventHash, action: 'snoozed' });
+      expect(results[0].alarmTime).eql((await alarmClock.alarms(snoozable.eventHash)).alarmTime.toNumber());
+      expect(state.alarms[snoozable.eventHash].status).eql('waiting');
+      expect(await events.firedEvents(snoozable.eventHash)).eql(false);
+    });
+  });
+
+  ////////////////////////////////////////////////////////////
+  // Running
+  //
+  // Dry runs change nothing, and the state carries
+  // over from run to run.
+  ////////////////////////////////////////////////////////////
+  describe("Running", function () {
+    it("Should only report in a dry run", async function() {
+      const contracts = await loadFixture(keeperFixture);
+      const {events, snoozable, deadline} = contracts;
+      await time.increaseTo(deadline.alarmTime);
+      const {state, report} = await keep(contracts, { dryRun: true });
+
+      expect(report.results.map((r) => r.action)).eql(['due', 'due']);
+      expect(await events.firedEvents(snoozable.eventHash)).eql(false);
+      expect(await events.firedEvents(deadline.eventHash)).eql(false);
+      expect(Object.values(state.alarms).map((a) => a.status)).eql(['waiting', 'waiting']);
+    });
+
+    it("Should pick up where it left off", async function() {
+      const contracts = await loadFixture(keeperFixture);
+      const {alarmClock, root} = contracts;
+      const first = await keep(contracts);
+      expect(GenieKeeper.load(fileName)).eql(first.state);
+
+      await alarmClock.connect(root).createAlarm(0, stb('another'), (await now()) + 60, 0, 0);
+      const next = await keep(contracts);
+      expect(next.report.fromBlock).eql(first.report.toBlock + 1);
+      expect(next.report.found).eql(1);
+      expect(Object.keys(next.state.alarms).length).eql(3);
+    });
+
+    it("Should report failed rounds and keep going", async function() {
+      const contracts = await loadFixture(keeperFixture);
+      var reports = [];
+      const keeper = {
+        alarmClock: contracts.alarmClock.connect(contracts.third),
+        trustEventLog: contracts.events.attach(contracts.alarmClock.address)
+      };
+      await time.increaseTo(contracts.deadline.alarmTime);
+      await GenieKeeper.run(keeper, 31337, {
+        fileName: fileName,
+        fromBlock: 0,
+        rounds: 2,
+        interval: 0,
+        onRound: (report) => reports.push(report)
+      });
+
+      // the scan went through, only the challenges failed
+      const state = GenieKeeper.load(fileName);
+      expect(reports.map((r) => r.round)).eql([1, 2]);
+      expect(reports.every((r) => r.error !== undefined)).eql(true);
+      expect(state.lastBlock).eql(await ethers.provider.getBlockNumber());
+      expect(Object.values(state.alarms).map((a) => a.status)).eql(['waiting', 'waiting']);
+    });
+
+    it("Should keep the batches it scanned when a scan fails", async function() {
+      const contracts = await loadFixture(keeperFixture);
+      const head = await ethers.provider.getBlockNumber();
+
+      // a node that gives out before the last block
+      const queryFilter = contracts.alarmClock.queryFilter.bind(contracts.alarmClock);
+      const alarmClock = contracts.alarmClock.connect(contracts.third);
+      alarmClock.queryFilter = async function(filter, fromBlock, toBlock) {
+        if (toBlock === head) {
+          throw new Error('The node went away.');
+        }
+        return queryFilter(filter, fromBlock, toBlock);
+      };
+
+      var reports = [];
+      await GenieKeeper.run({ alarmClock, trustEventLog: contracts.events }, 31337, {
+        fileName: fileName,
+        fromBlock: 0,
+        rounds: 1,
+        batchSize: 1,
+        onRound: (report) => reports.push(report)
+      });
+      expect(reports[0].error.message).eql('The node went away.');
+
+      // the fixture's second alarm is in the last block
+      expect(GenieKeeper.load(fileName).lastBlock).eql(head - 1);
+      expect(Object.keys(GenieKeeper.load(fileName).alarms).length).eql(1);
+    });
+
+    it("Should need a block to start a new state at", async function() {
+      const contracts = await loadFixture(keeperFixture);
+      await expect(keep(contracts, { fromBlock: undefined })).to.be.rejectedWith('There is no keeper state in ' +
+        fileName + ' yet, so give the block to start scanning at with --fromBlock.');
+      expect(GenieKeeper.load(fileName)).eql(null);
+    });
+
+    it("Should refuse the state of another alarm clock", async function() {
+      const contracts = await loadFixture(keeperFixture);
+      await keep(contracts);
+      await expect(keep({...contracts, alarmClock: contracts.alarmClock.attach(contracts.events.address)}))
+        .to.be.rejectedWith('The keeper state ' + fileName + ' is for the alarm clock');
+    });
+  });
+});
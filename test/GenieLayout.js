@@ -0,0 +1,159 @@
+//////////////////////////////////////////////////////////////
+// GenieLayout.js
+//
+// The storage layout comparison genie runs before upgrading
+// a proxy, exercised against the Locksmith's real layout.
+//////////////////////////////////////////////////////////////
+
+//////////////////////////////////////////////////////////////
+/// Imports
+//////////////////////////////////////////////////////////////
+const { expect } = require("chai");    // used for assertions
+require('../tasks/layout.js');         // genie storage layouts
+//////////////////////////////////////////////////////////////
+
+//////////////////////////////////////////////////////////////
+describe("GenieLayout", function () {
+  // a fresh copy of the locksmith's layout to tamper with
+  const locksmithLayout = async function() {
+    return GenieLayout.getStorageLayout(await artifacts.readArtifact('Locksmith'));
+  };
+
+  const variable = (layout, label) => layout.storage.find((v) => v.label === label);
+  const kinds = (changes) => changes.map((c) => c.kind + ':' + c.label);
+
+  ////////////////////////////////////////////////////////////
+  // Snapshots
+  //
+  // The snapshot has to be stable across builds, and
+  // fit the layouts registry.
+  ////////////////////////////////////////////////////////////
+  describe("Snapshots", function () {
+    it("Should not contain AST ids", async function() {
+      const layout = await locksmithLayout();
+      expect(variable(layout, 'trustRegistry').type).eql('t_mapping(t_uint256,t_struct(Trust)_storage)');
+      expect(layout.types['t_struct(Trust)_storage'].members.length).to.be.above(0);
+      expect(JSON.stringify(layout)).to.not.match(/t_struct\(Trust\)\d/);
+    });
+
+    it("Should be compatible with itself", async function() {
+      const changes = GenieLayout.compareLayouts(await locksmithLayout(), await locksmithLayout());
+      expect(changes).eql([]);
+      expect(GenieLayout.isCompatible(changes)).eql(true);
+    });
+  });
+
+  ////////////////////////////////////////////////////////////
+  // Incompatible Upgrades
+  //
+  // Anything that moves existing storage has to be refused.
+  ////////////////////////////////////////////////////////////
+  describe("Incompatible upgrades", function () {
+    it("Should catch reordered variables", async function() {
+      const before = await locksmithLayout();
+      const after = await locksmithLayout();
+      const trustCount = variable(after, 'trustCount');
+      const keyCount = variable(after, 'keyCount');
+      [trustCount.slot, keyCount.slot] = [keyCount.slot, trustCount.slot];
+
+      const changes = GenieLayout.compareLayouts(before, after);
+      expect(kinds(changes)).eql(['moved:trustCount', 'moved:keyCount']);
+      expect(GenieLayout.isCompatible(changes)).eql(false);
+      expect(GenieLayout.formatChanges(changes)[0])
+        .eql(' - [moved] Locksmith.trustCount moved from slot 203 (offset 0) to slot 205 (offset 0)');
+    });
+
+    it("Should catch retyped variables", async function() {
+      const before = await locksmithLayout();
+      const after = await locksmithLayout();
+      after.types['t_uint128'] = { label: 'uint128', encoding: 'inplace', numberOfBytes: '16' };
+      variable(after, 'keyCount').type = 't_uint128';
+
+      const changes = GenieLayout.compareLayouts(before, after);
+      expect(kinds(changes)).eql(['retyped:keyCount']);
+      expect(changes[0].message).eql('uint256 is now uint128');
+    });
+
+    it("Should catch retyped mapping values", async function() {
+      const before = await locksmithLayout();
+      const after = await locksmithLayout();
+      variable(after, 'keyTrustAssociations').type = 't_mapping(t_uint256,t_bool)';
+      after.types['t_mapping(t_uint256,t_bool)'] = { label: 'mapping(uint256 => bool)',
+        encoding: 'mapping', numberOfBytes: '32', key: 't_uint256', value: 't_bool' };
+
+      expect(kinds(GenieLayout.compareLayouts(before, after))).eql(['retyped:keyTrustAssociations']);
+    });
+
+    it("Should catch reordered struct members", async function() {
+      const before = await locksmithLayout();
+      const after = await locksmithLayout();
+      const members = after.types['t_struct(Trust)_storage'].members;
+      [members[0].label, members[1].label] = [members[1].label, members[0].label];
+
+      const changes = GenieLayout.compareLayouts(before, after);
+      expect(kinds(changes)).eql(['retyped:trustRegistry']);
+      expect(GenieLayout.isCompatible(changes)).eql(false);
+    });
+
+    it("Should catch removed variables", async function() {
+      const before = await locksmithLayout();
+      const after = await locksmithLayout();
+      after.storage = after.storage.filter((v) => v.label !== 'keyCount');
+
+      expect(kinds(GenieLayout.compareLayouts(before, after))).eql(['removed:keyCount']);
+    });
+
+    it("Should catch a gap that no longer lines up", async function() {
+      const before = await locksmithLayout();
+      const after = await locksmithLayout();
+      const gap = after.storage.filter((v) => v.label === '__gap')[1];
+      after.types['t_array(t_uint256)10_storage'] = { label: 'uint256[10]', encoding: 'inplace',
+        numberOfBytes: '320', base: 't_uint256' };
+      gap.type = 't_array(t_uint256)10_storage';
+
+      const changes = GenieLayout.compareLayouts(before, after);
+      expect(kinds(changes)).eql(['gap:__gap']);
+      expect(GenieLayout.isCompatible(changes)).eql(false);
+    });
+  });
+
+  ////////////////////////////////////////////////////////////
+  // Compatible Upgrades
+  //
+  // Upgrades that leave existing storage alone are fine,
+  // but still show up in the diff.
+  ////////////////////////////////////////////////////////////
+  describe("Compatible upgrades", function () {
+    it("Should allow appended variables", async function() {
+      const before = await locksmithLayout();
+      const after = await locksmithLayout();
+      after.storage.push({ label: 'newCount', contract: 'contracts/Locksmith.sol:Locksmith',
+        slot: '206', offset: 0, type: 't_uint256' });
+
+      const changes = GenieLayout.compareLayouts(before, after);
+      expect(kinds(changes)).eql(['added:newCount']);
+      expect(GenieLayout.isCompatible(changes)).eql(true);
+      expect(GenieLayout.formatChanges(changes)).eql([' + [added] Locksmith.newCount is new in slot 206 (uint256)']);
+    });
+
+    it("Should allow appended struct members", async function() {
+      const before = await locksmithLayout();
+      const after = await locksmithLayout();
+      const trust = after.types['t_struct(Trust)_storage'];
+      trust.members.push({ label: 'extra', contract: 'contracts/Locksmith.sol:Locksmith',
+        slot: '' + parseInt(trust.numberOfBytes) / 32, offset: 0, type: 't_uint256' });
+
+      expect(GenieLayout.compareLayouts(before, after)).eql([]);
+    });
+
+    it("Should allow renamed variables", async function() {
+      const before = await locksmithLayout();
+      const after = await locksmithLayout();
+      variable(after, 'keyCount').label = 'totalKeys';
+
+      const changes = GenieLayout.compareLayouts(before, after);
+      expect(kinds(changes)).eql(['renamed:keyCount']);
+      expect(GenieLayout.isCompatible(changes)).eql(true);
+    });
+  });
+});
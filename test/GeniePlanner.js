@@ -0,0 +1,171 @@
+//////////////////////////////////////////////////////////////
+// GeniePlanner.js
+//
+// The deployment plan genie builds from the initializers of
+// the contract list, against a scratch registry for a chain
+// nothing is deployed on: its order, the action of each
+// step, and resuming an apply that failed.
+//////////////////////////////////////////////////////////////
+
+//////////////////////////////////////////////////////////////
+/// Imports
+//////////////////////////////////////////////////////////////
+const { expect } = require("chai");    // used for assertions
+require('./TrustTestUtils.js');        // custom helpers
+require('../tasks/registry.js');       // genie registries
+require('../tasks/planner.js');        // genie deployment planner
+//////////////////////////////////////////////////////////////
+
+//////////////////////////////////////////////////////////////
+describe("GeniePlanner", function () {
+  const chainId = 999;
+  const owner = { chainId: chainId, loadArtifact: async (alias) => artifacts.readArtifact(alias) };
+  const address = (n) => ethers.utils.getAddress('0x' + n.toString(16).padStart(40, '0'));
+  const codeHash = async (alias) => ethers.utils.keccak256((await artifacts.readArtifact(alias)).bytecode);
+
+  // the registry is a scratch copy, and the progress is
+  // kept for a chain of its own
+  scratchRegistries();
+  beforeEach(function() {
+    LocksmithRegistry.resetNetworkRegistry(chainId);
+    GeniePlanner.clearProgress(chainId);
+  });
+  after(function() {
+    GeniePlanner.clearProgress(chainId);
+  });
+
+  ////////////////////////////////////////////////////////////
+  // Ordering
+  //
+  // Every contract comes after what it is initialized
+  // with, in the contract list's order otherwise.
+  ////////////////////////////////////////////////////////////
+  describe("Ordering", function () {
+    it("Should read the dependencies from the initializers", async function() {
+      const graph = await GeniePlanner.getDependencyGraph(owner);
+      expect(Object.keys(graph)).eql(LocksmithRegistry.getContractList());
+      expect(graph.KeyVault).eql([]);
+      expect(graph.Locksmith).eql(['KeyVault']);
+      expect(graph.EtherVault).eql(['Locksmith', 'Ledger']);
+    });
+
+    it("Should put dependencies first", async function() {
+      const graph = await GeniePlanner.getDependencyGraph(owner);
+      const sorted = GeniePlanner.sortDependencyGraph(graph);
+      expect([...sorted].sort()).eql([...LocksmithRegistry.getContractList()].sort());
+      for (const alias of sorted) {
+        for (const dependency of graph[alias]) {
+          expect(sorted.indexOf(dependency)).to.be.below(sorted.indexOf(alias));
+        }
+      }
+    });
+
+    it("Should break ties by the list's order", async function() {
+      expect(GeniePlanner.sortDependencyGraph({ C: ['B'], B: [], A: [] })).eql(['B', 'C', 'A']);
+      expect(GeniePlanner.sortDependencyGraph({ A: ['C'], B: ['C'], C: [] })).eql(['C', 'A', 'B']);
+    });
+
+    it("Should refuse a cycle", async function() {
+      expect(() => GeniePlanner.sortDependencyGraph({ A: ['B'], B: ['C'], C: ['A'], D: [] }))
+        .to.throw('There is a dependency cycle between: A, B, C');
+    });
+  });
+
+  ////////////////////////////////////////////////////////////
+  // Planning
+  //
+  // Each step deploys, upgrades, or skips, by what the
+  // registry has for it.
+  ////////////////////////////////////////////////////////////
+  describe("Planning", function () {
+    it("Should deploy what isn't registered", async function() {
+      const plan = await GeniePlanner.buildPlan(owner);
+      expect(plan.chainId).eql(chainId);
+      expect(plan.steps.map((s) => s.alias)).eql(
+        GeniePlanner.sortDependencyGraph(await GeniePlanner.getDependencyGraph(owner)));
+      expect(plan.steps.every((s) => s.action === 'deploy' && s.status === 'pending')).eql(true);
+    });
+
+    it("Should upgrade or skip by the code hash", async function() {
+      LocksmithRegistry.saveContractAddress(chainId, 'KeyVault', address(1));
+      LocksmithRegistry.saveContractCodeHash(chainId, 'KeyVault', await codeHash('KeyVault'));
+      LocksmithRegistry.saveContractAddress(chainId, 'Locksmith', address(2));
+      LocksmithRegistry.saveContractCodeHash(chainId, 'Locksmith', ethers.constants.HashZero);
+
+      const steps = Object.fromEntries((await GeniePlanner.buildPlan(owner)).steps.map((s) => [s.alias, s]));
+      expect(steps.KeyVault).to.include({ action: 'skip', status: 'done', address: address(1) });
+      expect(steps.Locksmith).to.include({ action: 'upgrade', status: 'pending', address: address(2),
+        codeHash: ethers.constants.HashZero, localCodeHash: await codeHash('Locksmith') });
+      expect(steps.Notary).to.include({ action: 'deploy', status: 'pending', address: null });
+    });
+  });
+
+  ////////////////////////////////////////////////////////////
+  // Applying
+  //
+  // The progress is saved after every step, so an apply
+  // that failed picks up at the step that failed.
+  ////////////////////////////////////////////////////////////
+  describe("Applying", function () {
+    // applies steps by registering them, until told to fail
+    const applier = function(failAt = null) {
+      var applied = [];
+      const applyStep = async function(step) {
+        if (step.alias === failAt) {
+          return 1;
+        }
+        applied.push(step.alias);
+        LocksmithRegistry.saveContractAddress(chainId, step.alias, address(applied.length));
+        LocksmithRegistry.saveContractCodeHash(chainId, step.alias, step.localCodeHash);
+        return 0;
+      };
+      return { applied, applyStep };
+    };
+
+    it("Should save the progress of every step", async function() {
+      const plan = await GeniePlanner.buildPlan(owner);
+      const { applied, applyStep } = applier();
+
+      expect(await GeniePlanner.applyPlan(plan, applyStep)).eql(null);
+      expect(applied).eql(plan.steps.map((s) => s.alias));
+      expect(GeniePlanner.getProgress(chainId).steps.every((s) => s.status === 'done')).eql(true);
+    });
+
+    it("Should resume from the step that failed", async function() {
+      const plan = await GeniePlanner.buildPlan(owner);
+      const aliases = plan.steps.map((s) => s.alias);
+      const first = applier(aliases[2]);
+
+      const failed = await GeniePlanner.applyPlan(plan, first.applyStep);
+      expect(failed.alias).eql(aliases[2]);
+      expect(first.applied).eql(aliases.slice(0, 2));
+
+      const progress = GeniePlanner.getProgress(chainId);
+      expect(progress.steps.map((s) => s.status)).eql(['done', 'done', 'failed']
+        .concat(aliases.slice(3).map(() => 'pending')));
+
+      // the next step landed before the failure was noticed
+      const landed = progress.steps[3];
+      LocksmithRegistry.saveContractAddress(chainId, landed.alias, address(100));
+      LocksmithRegistry.saveContractCodeHash(chainId, landed.alias, landed.localCodeHash);
+
+      const second = applier();
+      var moved = [];
+      expect(await GeniePlanner.applyPlan(progress, second.applyStep, (s) => moved.push(s.alias))).eql(null);
+      expect(moved).eql([landed.alias]);
+      expect(second.applied).eql([aliases[2]].concat(aliases.slice(4)));
+      expect(GeniePlanner.getProgress(chainId).steps.every((s) => s.status === 'done')).eql(true);
+    });
+
+    it("Should find the steps whose code changed", async function() {
+      const plan = await GeniePlanner.buildPlan(owner);
+      const fresh = await GeniePlanner.buildPlan(owner);
+      expect(GeniePlanner.getStaleSteps(plan, fresh)).eql([]);
+
+      plan.steps[0].status = 'done';
+      plan.steps[0].localCodeHash = ethers.constants.HashZero;
+      plan.steps[1].localCodeHash = ethers.constants.HashZero;
+      expect(GeniePlanner.getStaleSteps(plan, fresh).map((s) => s.alias)).eql([plan.steps[1].alias]);
+    });
+  });
+});
@@ -0,0 +1,169 @@
+//////////////////////////////////////////////////////////////
+// GenieRecovery.js
+//
+// The recovery readiness check, for a root key whose policy
+// waits on an alarm and a key oracle, as time moves and the
+// events fire.
+//////////////////////////////////////////////////////////////
+
+//////////////////////////////////////////////////////////////
+/// Imports
+//////////////////////////////////////////////////////////////
+const { expect } = require("chai");    // used for assertions
+const {
+  loadFixture,                         // used for test setup
+  time                                 // used to make alarms due
+} = require("@nomicfoundation/hardhat-network-helpers");
+require('./TrustTestUtils.js');        // custom helpers
+require('../tasks/recovery.js');       // genie recovery readiness
+//////////////////////////////////////////////////////////////
+
+//////////////////////////////////////////////////////////////
+describe("GenieRecovery", function () {
+  // key 0 can be recovered by owner and second, once an
+  // alarm goes off and the holder of key 2 says so
+  const recoveryFixture = async function recoveryFixture() {
+    const contracts = await TrustTestFixtures.addedRecoveryCenter();
+    const {keyVault, alarmClock, keyOracle, recovery, root, owner, second} = contracts;
+
+    await alarmClock.connect(root).createAlarm(0, stb('Dead man'), (await now()) + 3600, 0, 0);
+    await keyOracle.connect(root).createKeyOracle(0, 2, stb('Proof of death'));
+    const alarm = (await alarmClock.queryFilter(alarmClock.filters.alarmClockRegistered()))[0].args.eventHash;
+    const oracle = (await keyOracle.queryFilter(keyOracle.filters.keyOracleRegistered()))[0].args.eventHash;
+
+    await keyVault.connect(root).safeTransferFrom(root.address, recovery.address, 0, 1,
+      ethers.utils.defaultAbiCoder.encode(['address[]', 'bytes32[]'], [[owner.address, second.address], [alarm, oracle]]));
+
+    return {...contracts, alarm, oracle};
+  };
+
+  const check = async function(contracts, rootKeyId = 0) {
+    const {recovery, events, keyVault, alarmClock, keyOracle} = contracts;
+    return GenieRecovery.checkReadiness({
+      recovery, keyVault, alarmClock, keyOracle, trustEventLog: events
+    }, rootKeyId);
+  };
+
+  ////////////////////////////////////////////////////////////
+  // Events
+  //
+  // Every event is resolved to what it takes to fire it.
+  ////////////////////////////////////////////////////////////
+  describe("Events", function () {
+    it("Should refuse a key without a policy", async function() {
+      const contracts = await loadFixture(recoveryFixture);
+      const report = await check(contracts, 1);
+      expect(report).to.include({ rootKeyId: '1', policy: false, ready: false });
+      expect(report.events).eql([]);
+      expect(report.guardians).eql([]);
+      expect(report.blockers).eql(['There is no recovery policy for key 1.']);
+    });
+
+    it("Should resolve alarms and key oracles", async function() {
+      const contracts = await loadFixture(recoveryFixture);
+      const {alarmClock, keyOracle, alarm, oracle, second} = contracts;
+      const report = await check(contracts);
+      const alarmTime = (await alarmClock.alarms(alarm)).alarmTime.toNumber();
+
+      expect(report).to.include({ policy: true, keyHeld: true, ready: false });
+      expect(report.events).eql([{
+        eventHash: alarm, registered: true, description: 'Dead man', dispatcher: alarmClock.address, fired: false,
+        backing: { type: 'alarm', alarmTime: alarmTime, due: false, snoozeInterval: 0, snoozeKeyId: null },
+        blocker: 'The alarm "Dead man" is due at ' + new Date(alarmTime * 1000).toISOString() + '.'
+      }, {
+        eventHash: oracle, registered: true, description: 'Proof of death', dispatcher: keyOracle.address,
+        fired: false, backing: { type: 'oracle', keyId: '2', holders: [second.address] },
+        blocker: 'The key oracle "Proof of death" has to be fired by a holder of key 2: ' + second.address + '.'
+      }]);
+      expect(report.blockers).eql(report.events.map((e) => e.blocker));
+    });
+
+    it("Should flag events that can never fire", async function() {
+      const contracts = await loadFixture(recoveryFixture);
+      const {recovery, root} = contracts;
+      await recovery.connect(root).changeEvents(0, [stb('ghost')], [true]);
+      const report = await check(contracts);
+
+      expect(report.events[2]).to.include({ registered: false, description: null, dispatcher: null, backing: null });
+      expect(report.blockers[2]).eql('The event ' + stb('ghost') + ' is not registered, so it can never fire.');
+    });
+
+    it("Should name other dispatchers", async function() {
+      const contracts = await loadFixture(recoveryFixture);
+      const {notary, events, recovery, root, third} = contracts;
+      await notary.connect(root).setTrustedLedgerRole(0, DISPATCHER(), events.address, third.address, true, stb('third'));
+      await events.connect(third).registerTrustEvent(0, stb('wedding'), stb('Wedding'));
+      const wedding = ethers.utils.keccak256(ethers.utils.defaultAbiCoder.encode(
+        ['address', 'bytes32'], [third.address, stb('wedding')]));
+      await recovery.connect(root).changeEvents(0, [wedding], [true]);
+      const report = await check(contracts);
+
+      expect(report.events[2]).to.include({ dispatcher: third.address, backing: null });
+      expect(report.blockers[2]).eql('The event "Wedding" has to be fired by its dispatcher ' + third.address + '.');
+    });
+  });
+
+  ////////////////////////////////////////////////////////////
+  // Guardians
+  //
+  // What each guardian could do about what is left.
+  ////////////////////////////////////////////////////////////
+  describe("Guardians", function () {
+    it("Should tell what each guardian can fire", async function() {
+      const contracts = await loadFixture(recoveryFixture);
+      const {alarm, oracle, owner, second} = contracts;
+      const before = await check(contracts);
+      expect(before.guardians).eql([
+        { address: owner.address, ready: false, canFire: [], canFinish: false },
+        { address: second.address, ready: false, canFire: [oracle], canFinish: false }
+      ]);
+
+      await time.increaseTo((await contracts.alarmClock.alarms(alarm)).alarmTime);
+      const after = await check(contracts);
+      expect(after.blockers[0]).eql('The alarm "Dead man" is due, and fires once anyone challenges it.');
+      expect(after.guardians).eql([
+        { address: owner.address, ready: false, canFire: [alarm], canFinish: false },
+        { address: second.address, ready: false, canFire: [alarm, oracle], canFinish: true }
+      ]);
+    });
+
+    it("Should be ready once every event fired", async function() {
+      const contracts = await loadFixture(recoveryFixture);
+      const {alarmClock, keyOracle, keyVault, recovery, alarm, oracle, owner, second} = contracts;
+      await time.increaseTo((await alarmClock.alarms(alarm)).alarmTime);
+      await alarmClock.connect(owner).challengeAlarm(alarm);
+      await keyOracle.connect(second).fireKeyOracleEvent(2, oracle);
+      const report = await check(contracts);
+
+      expect(report).to.include({ ready: true, keyHeld: true });
+      expect(report.blockers).eql([]);
+      expect(report.events.map((e) => e.blocker)).eql([null, null]);
+      expect(report.guardians.every((g) => g.ready && g.canFire.length === 0 && !g.canFinish)).eql(true);
+
+      // and it is
+      await recovery.connect(owner).recoverKey(0);
+      expect(await keyVault.keyBalanceOf(owner.address, 0, false)).eql(bn(1));
+    });
+
+    it("Should notice the key is gone", async function() {
+      const contracts = await loadFixture(recoveryFixture);
+      const {locksmith, recovery, root} = contracts;
+      await locksmith.connect(root).burnKey(0, 0, recovery.address, 1);
+      const report = await check(contracts);
+
+      expect(report.keyHeld).eql(false);
+      expect(report.blockers[0]).eql('The recovery center no longer holds a transferable copy of key 0.');
+      expect(report.guardians.every((g) => !g.canFinish)).eql(true);
+    });
+
+    it("Should notice the guardians are gone", async function() {
+      const contracts = await loadFixture(recoveryFixture);
+      const {recovery, root, owner, second} = contracts;
+      await recovery.connect(root).changeGuardians(0, [owner.address, second.address], [false, false]);
+      const report = await check(contracts);
+
+      expect(report.guardians).eql([]);
+      expect(report.blockers[0]).eql('The policy has no guardians left.');
+    });
+  });
+});
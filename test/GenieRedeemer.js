@@ -0,0 +1,232 @@
+//////////////////////////////////////////////////////////////
+// GenieRedeemer.js
+//
+// The allowance redeemer, run by the holder of key 1 while
+// time moves: reporting vest dates, waiting on events, and
+// redeeming what has vested.
+//////////////////////////////////////////////////////////////
+
+//////////////////////////////////////////////////////////////
+/// Imports
+//////////////////////////////////////////////////////////////
+const { expect } = require("chai");    // used for assertions
+const {
+  loadFixture,                         // used for test setup
+  time                                 // used to vest tranches
+} = require("@nomicfoundation/hardhat-network-helpers");
+require('./TrustTestUtils.js');        // custom helpers
+require('../tasks/rounds.js');         // genie rounds
+require('../tasks/redeemer.js');       // genie allowance redeemer
+//////////////////////////////////////////////////////////////
+
+//////////////////////////////////////////////////////////////
+describe("GenieRedeemer", function () {
+  // allowances for key 1 that are vesting, waiting on an
+  // event, and unaffordable, and one for key 2
+  const redeemerFixture = async function redeemerFixture() {
+    const contracts = await TrustTestFixtures.addedAllowance();
+    const {allowance, notary, events, vault, tokenVault, coin, root, third} = contracts;
+    const start = await now();
+    const ether = (amount) => ({ sourceKey: 0, arn: ethArn(), provider: vault.address, amount: eth(amount) });
+
+    // the event college waits on, dispatched by third
+    await notary.connect(root).setTrustedLedgerRole(0, DISPATCHER(), events.address, third.address, true, stb('third'));
+    await events.connect(third).registerTrustEvent(0, stb('graduated'), stb('graduated'));
+    const graduated = ethers.utils.keccak256(ethers.utils.defaultAbiCoder.encode(
+      ['address', 'bytes32'], [third.address, stb('graduated')]));
+
+    await allowance.connect(root).createAllowance(0, stb('chores'), 1, 3, 100, start + 100, [ether(1)], []);
+    await allowance.connect(root).createAllowance(0, stb('college'), 1, 2, 1000, start, [ether(1), {
+      sourceKey: 0, arn: tokenArn(coin.address), provider: tokenVault.address, amount: eth(1)
+    }], [graduated]);
+    await allowance.connect(root).createAllowance(0, stb('yacht'), 1, 1, 100, start, [ether(100)], []);
+    await allowance.connect(root).createAllowance(0, stb('treats'), 2, 1, 100, start, [ether(1)], []);
+
+    const [chores, college, yacht, treats] = (await allowance.queryFilter(allowance.filters.allowanceCreated()))
+      .map((e) => e.args);
+    return {...contracts, start, graduated, chores, college, yacht, treats};
+  };
+
+  // what key 1's holder sees
+  const redeemer = function(contracts) {
+    return {
+      allowance: contracts.allowance.connect(contracts.owner),
+      keyVault: contracts.keyVault,
+      trustEventLog: contracts.events
+    };
+  };
+
+  // one round, for key 1 unless told otherwise
+  const round = async function(contracts, options = {}) {
+    var reports = [];
+    await GenieRedeemer.run(redeemer(contracts), {
+      keys: ['1'],
+      rounds: 1,
+      onRound: (report) => reports.push(report),
+      ...options
+    });
+    if (reports[0].error) {
+      throw reports[0].error;
+    }
+    return reports[0];
+  };
+
+  const byName = (allowances) => Object.fromEntries(allowances.map((a) => [a.name, a]));
+
+  ////////////////////////////////////////////////////////////
+  // Reporting
+  //
+  // Every allowance of the keys is listed, with why it
+  // can or can't be redeemed and when it vests next.
+  ////////////////////////////////////////////////////////////
+  describe("Reporting", function () {
+    it("Should report the allowances of the keys", async function() {
+      const contracts = await loadFixture(redeemerFixture);
+      const {chores, college, graduated, vault} = contracts;
+      const allowances = await GenieRedeemer.getAllowances(redeemer(contracts), ['1']);
+      const {chores: a, college: b, yacht: c} = byName(allowances);
+
+      expect(allowances.map((x) => x.name)).eql(['chores', 'college', 'yacht']);
+      expect(a).to.include({ allowanceId: chores.allowanceId, rootKeyId: '0', recipientKeyId: '1',
+        remainingTrancheCount: 3, vestingInterval: 100, redeemableTrancheCount: 0, status: 'vesting' });
+      expect(a.entitlements).eql([{ sourceKey: '0', arn: ethArn(), provider: vault.address, amount: eth(1).toString() }]);
+      expect(a.upcoming).eql([chores.vestTime.toNumber(), chores.vestTime.toNumber() + 100,
+        chores.vestTime.toNumber() + 200]);
+      expect(b.status).eql('waiting for events');
+      expect(b.requiredEvents).eql([{ eventHash: graduated, fired: false }]);
+      expect(b.upcoming).eql([college.vestTime.toNumber(), college.vestTime.toNumber() + 1000]);
+      expect(c.status).eql('unaffordable');
+    });
+
+    it("Should limit the vest dates", async function() {
+      const contracts = await loadFixture(redeemerFixture);
+      const allowances = byName(await GenieRedeemer.getAllowances(redeemer(contracts), ['1', '2'], 1));
+      expect(allowances.chores.upcoming).eql([contracts.chores.vestTime.toNumber()]);
+      expect(allowances.treats.status).eql('redeemable');
+    });
+
+    it("Should look up the signer's keys", async function() {
+      const contracts = await loadFixture(redeemerFixture);
+      const report = await round(contracts, { keys: undefined, dryRun: true });
+      expect(report.keys).eql(['1']);
+      expect(report.allowances.map((a) => a.name)).eql(['chores', 'college', 'yacht']);
+    });
+  });
+
+  ////////////////////////////////////////////////////////////
+  // Redeeming
+  //
+  // Only what has vested, is activated, and is
+  // affordable gets redeemed.
+  ////////////////////////////////////////////////////////////
+  describe("Redeeming", function () {
+    it("Should redeem vested tranches", async function() {
+      const contracts = await loadFixture(redeemerFixture);
+      const {allowance, ledger, vault, chores, owner} = contracts;
+      await time.increaseTo(chores.vestTime.toNumber() + 150);
+      const report = await round(contracts);
+
+      expect(report.results.length).eql(1);
+      expect(report.results[0]).to.include({ allowanceId: chores.allowanceId, action: 'redeemed',
+        redeemedTranches: 2, nextVestTime: chores.vestTime.toNumber() + 200 });
+      expect(await ledger.getContextArnBalances(KEY(), 1, vault.address, [ethArn()])).eql([eth(2)]);
+
+      const [award] = await allowance.queryFilter(allowance.filters.allowanceAwarded());
+      expect(award.transactionHash).eql(report.results[0].transactionHash);
+      expect(award.args.operator).eql(owner.address);
+
+      // nothing more until the last tranche vests
+      const again = await round(contracts);
+      expect(again.results).eql([]);
+      expect(byName(again.allowances).chores).to.include({ remainingTrancheCount: 1, status: 'vesting' });
+    });
+
+    it("Should wait for required events", async function() {
+      const contracts = await loadFixture(redeemerFixture);
+      const {events, ledger, tokenVault, coin, college, graduated, third} = contracts;
+      expect((await round(contracts)).results).eql([]);
+
+      await events.connect(third).logTrustEvent(graduated);
+      const report = await round(contracts);
+      expect(report.results[0]).to.include({ allowanceId: college.allowanceId, action: 'redeemed',
+        redeemedTranches: 1 });
+      expect(await ledger.getContextArnBalances(KEY(), 1, tokenVault.address, [tokenArn(coin.address)]))
+        .eql([eth(1)]);
+    });
+
+    it("Should only report in a dry run", async function() {
+      const contracts = await loadFixture(redeemerFixture);
+      const {allowance, events, ledger, vault, chores, college, graduated, third} = contracts;
+      await events.connect(third).logTrustEvent(graduated);
+      await time.increaseTo(chores.vestTime);
+      const report = await round(contracts, { dryRun: true });
+
+      expect(report.results).eql([
+        { allowanceId: chores.allowanceId, action: 'due' },
+        { allowanceId: college.allowanceId, action: 'due' }
+      ]);
+      expect(await ledger.getContextArnBalances(KEY(), 1, vault.address, [ethArn()])).eql([eth(0)]);
+      expect(await allowance.queryFilter(allowance.filters.allowanceAwarded())).eql([]);
+    });
+
+    it("Should redeem in batches", async function() {
+      const contracts = await loadFixture(redeemerFixture);
+      const {events, ledger, vault, chores, graduated, third} = contracts;
+      await events.connect(third).logTrustEvent(graduated);
+      await time.increaseTo(chores.vestTime);
+      const report = await round(contracts, { batchSize: 1 });
+
+      expect(report.results.map((r) => r.action)).eql(['redeemed', 'redeemed']);
+      expect(await ledger.getContextArnBalances(KEY(), 1, vault.address, [ethArn()])).eql([eth(2)]);
+    });
+
+    it("Should report redemptions that revert", async function() {
+      const contracts = await loadFixture(redeemerFixture);
+      const {chores} = contracts;
+      await time.increaseTo(chores.vestTime);
+      const allowances = await GenieRedeemer.getAllowances(redeemer(contracts), ['1']);
+      await GenieRedeemer.redeem(redeemer(contracts), allowances);
+
+      // the same redemption, with what is now stale
+      const results = await GenieRedeemer.redeem(redeemer(contracts), allowances);
+      expect(results[0]).to.include({ allowanceId: chores.allowanceId, action: 'failed', reason: 'TOO_EARLY' });
+      expect(results[0].error).to.contain('TOO_EARLY');
+    });
+
+    it("Should keep going when a receipt can't be had", async function() {
+      const contracts = await loadFixture(redeemerFixture);
+      const {chores} = contracts;
+      await time.increaseTo(chores.vestTime);
+      const allowances = await GenieRedeemer.getAllowances(redeemer(contracts), ['1']);
+
+      // the first redemption is mined, but its receipt is lost
+      const allowance = redeemer(contracts).allowance;
+      var sent = 0;
+      const lossy = new Proxy({}, { get: (_, name) => name !== 'redeemAllowance' ? allowance[name] :
+        async (allowanceId) => {
+          const tx = await allowance.redeemAllowance(allowanceId);
+          return sent++ > 0 ? tx : {...tx, wait: () => Promise.reject(new Error('timeout'))};
+        }
+      });
+
+      const due = allowances.filter((a) => a.status === 'redeemable');
+      const results = await GenieRedeemer.redeem({...redeemer(contracts), allowance: lossy}, due.concat(due));
+      expect(results.length).eql(2);
+      expect(results[0]).eql({ allowanceId: chores.allowanceId, action: 'failed', reason: null, error: 'timeout' });
+      expect(results[1]).to.include({ allowanceId: chores.allowanceId, action: 'failed', reason: 'TOO_EARLY' });
+    });
+
+    it("Should report failed rounds and keep going", async function() {
+      const contracts = await loadFixture(redeemerFixture);
+      var reports = [];
+      await GenieRedeemer.run({...redeemer(contracts), trustEventLog: contracts.events.attach(contracts.vault.address)}, {
+        keys: ['1'],
+        rounds: 2,
+        interval: 0,
+        onRound: (report) => reports.push(report)
+      });
+      expect(reports.map((r) => r.round)).eql([1, 2]);
+      expect(reports.every((r) => r.error !== undefined)).eql(true);
+    });
+  });
+});
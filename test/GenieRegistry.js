@@ -0,0 +1,124 @@
+//////////////////////////////////////////////////////////////
+// GenieRegistry.js
+//
+// The network registries, in a scratch directory: checked
+// against their schemas, written through a temporary file,
+// and guarded by an advisory lock between genies.
+//////////////////////////////////////////////////////////////
+
+//////////////////////////////////////////////////////////////
+/// Imports
+//////////////////////////////////////////////////////////////
+const fs = require('fs');
+const path = require('path');
+const { spawn, spawnSync } = require('child_process');
+const { expect } = require("chai");    // used for assertions
+require('./TrustTestUtils.js');        // custom helpers
+require('../tasks/registry.js');       // genie registries
+//////////////////////////////////////////////////////////////
+
+//////////////////////////////////////////////////////////////
+describe("GenieRegistry", function () {
+  const scratch = scratchRegistries();
+  const locksmith = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+
+  const fileName = () => path.join(scratch.directory, 'network-contracts-31337.json');
+  const lockName = () => fileName() + '.lock';
+
+  beforeEach(function() {
+    LocksmithRegistry.resetNetworkRegistry(31337);
+  });
+  afterEach(function() {
+    delete process.env.GENIE_LOCK_TIMEOUT;
+    fs.rmSync(lockName(), { force: true });
+  });
+
+  ////////////////////////////////////////////////////////////
+  // Validation
+  //
+  // Every read and write is checked against the schema,
+  // so a hand-edit gone wrong is caught with its errors.
+  ////////////////////////////////////////////////////////////
+  describe("Validation", function () {
+    it("Should read and write a valid registry", async function() {
+      LocksmithRegistry.saveContractAddress(31337, 'Locksmith', locksmith);
+      expect(LocksmithRegistry.getContractAddress(31337, 'Locksmith')).eql(locksmith);
+      expect(JSON.parse(fs.readFileSync(fileName()))).eql({ Locksmith: { address: locksmith } });
+
+      // written through a temporary file, and unlocked
+      expect(fs.readdirSync(scratch.directory).filter((f) => f.includes('31337') && !f.endsWith('.json')))
+        .eql([]);
+    });
+
+    it("Should reject a registry that doesn't match the schema", async function() {
+      fs.writeFileSync(fileName(), JSON.stringify({ Locksmith: { address: locksmith.toLowerCase(), owner: 'me' } }));
+      expect(() => LocksmithRegistry.getContractAddress(31337, 'Locksmith')).to.throw('The registry ' +
+        fileName() + ' is invalid:\n' +
+        '  /Locksmith must NOT have additional properties\n' +
+        '  /Locksmith/address must match format "checksum-address"');
+    });
+
+    it("Should reject a registry that isn't JSON", async function() {
+      fs.writeFileSync(fileName(), '{ "Locksmith": ');
+      expect(() => LocksmithRegistry.getContractAddress(31337, 'Locksmith'))
+        .to.throw('The registry ' + fileName() + ' is not valid JSON: ');
+    });
+
+    it("Should never write an invalid registry", async function() {
+      expect(() => LocksmithRegistry.saveContractAddress(31337, 'Locksmith', 'nowhere'))
+        .to.throw('/Locksmith/address must match format "checksum-address"');
+      expect(JSON.parse(fs.readFileSync(fileName()))).eql({});
+      expect(fs.existsSync(lockName())).eql(false);
+    });
+  });
+
+  ////////////////////////////////////////////////////////////
+  // Locking
+  //
+  // A registry is only written by the genie holding its
+  // lock. The others wait, unless the holder is gone.
+  ////////////////////////////////////////////////////////////
+  describe("Locking", function () {
+    it("Should wait for the lock to be released", async function() {
+      // another genie, holding the lock for a second
+      const holder = spawn(process.execPath, ['-e',
+        'setTimeout(() => require("fs").unlinkSync(' + JSON.stringify(lockName()) + '), 1000)']);
+      const exited = new Promise((resolve) => holder.on('exit', resolve));
+      fs.writeFileSync(lockName(), '' + holder.pid);
+
+      const started = Date.now();
+      LocksmithRegistry.saveContractAddress(31337, 'Locksmith', locksmith);
+      expect(Date.now() - started).to.be.above(500);
+      expect(LocksmithRegistry.getContractAddress(31337, 'Locksmith')).eql(locksmith);
+      await exited;
+    });
+
+    it("Should time out on a lock that is held", async function() {
+      process.env.GENIE_LOCK_TIMEOUT = '300';
+      fs.writeFileSync(lockName(), '' + process.pid);
+
+      expect(() => LocksmithRegistry.saveContractAddress(31337, 'Locksmith', locksmith)).to.throw(
+        'Timed out waiting for the registry lock ' + lockName() + ', held by process ' + process.pid);
+      expect(JSON.parse(fs.readFileSync(fileName()))).eql({});
+      expect(fs.readFileSync(lockName()).toString()).eql('' + process.pid);
+    });
+
+    it("Should never break a lock it can't read", async function() {
+      process.env.GENIE_LOCK_TIMEOUT = '300';
+      fs.writeFileSync(lockName(), 'garbage');
+
+      expect(() => LocksmithRegistry.saveContractAddress(31337, 'Locksmith', locksmith)).to.throw(
+        'Timed out waiting for the registry lock ' + lockName() + ', held by an unknown process');
+      expect(fs.readFileSync(lockName()).toString()).eql('garbage');
+    });
+
+    it("Should clean up a lock left by a process that died", async function() {
+      const dead = spawnSync(process.execPath, ['-e', 'process.pid']).pid;
+      fs.writeFileSync(lockName(), '' + dead);
+
+      LocksmithRegistry.saveContractAddress(31337, 'Locksmith', locksmith);
+      expect(LocksmithRegistry.getContractAddress(31337, 'Locksmith')).eql(locksmith);
+      expect(fs.existsSync(lockName())).eql(false);
+    });
+  });
+});
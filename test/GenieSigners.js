@@ -0,0 +1,140 @@
+//////////////////////////////////////////////////////////////
+// GenieSigners.js
+//
+// The signer selection for genie, and the offline signer
+// that prints unsigned transactions instead of sending them.
+// Nothing here needs a hardware device.
+//////////////////////////////////////////////////////////////
+
+//////////////////////////////////////////////////////////////
+/// Imports
+//////////////////////////////////////////////////////////////
+const { expect } = require("chai");    // used for assertions
+const {
+  loadFixture                          // used for test setup
+} = require("@nomicfoundation/hardhat-network-helpers");
+require('./TrustTestUtils.js');        // custom helpers
+require('../tasks/signers.js');        // genie signers
+//////////////////////////////////////////////////////////////
+
+//////////////////////////////////////////////////////////////
+describe("GenieSigners", function () {
+  ////////////////////////////////////////////////////////////
+  // Signer Selection
+  //
+  // Makes sure the flags resolve to a signer genie can
+  // build on the network, and nothing else.
+  ////////////////////////////////////////////////////////////
+  describe("Signer selection", function () {
+    it("Should default to the hardhat accounts on EVM networks", async function() {
+      const options = GenieSigners.resolveSignerOptions({}, false);
+      expect(options.type).eql('hardhat');
+      expect(options.derivationPath).eql("m/44'/60'/0'/0/0");
+    });
+
+    it("Should default to the raw key on zkSync networks", async function() {
+      expect(GenieSigners.resolveSignerOptions({}, true).type).eql('key');
+    });
+
+    it("Should reject unknown signers", async function() {
+      expect(() => GenieSigners.resolveSignerOptions({signer: 'hot'}, false))
+        .to.throw('Unknown signer "hot"');
+    });
+
+    it("Should only allow key and mnemonic signers on zkSync", async function() {
+      expect(() => GenieSigners.resolveSignerOptions({signer: 'ledger'}, true))
+        .to.throw('The ledger signer is not supported on zkSync networks, where the zkSync Deployer ' +
+          'signs with a private key. Use the key or mnemonic signer.');
+      expect(() => GenieSigners.resolveSignerOptions({signer: 'offline', from: ethers.constants.AddressZero}, true))
+        .to.throw('not supported on zkSync');
+      expect(GenieSigners.resolveSignerOptions({signer: 'mnemonic'}, true).type).eql('mnemonic');
+    });
+
+    it("Offline signer requires a valid from address", async function() {
+      expect(() => GenieSigners.resolveSignerOptions({signer: 'offline'}, false))
+        .to.throw('needs the --from address');
+      expect(() => GenieSigners.resolveSignerOptions({signer: 'offline', from: 'nope'}, false))
+        .to.throw('is not an address');
+    });
+
+    it("Mnemonic signer uses the derivation path", async function() {
+      const mnemonic = 'test test test test test test test test test test test junk';
+      const previous = process.env.MY_MNEMONIC;
+      process.env.MY_MNEMONIC = mnemonic;
+      try {
+        const signer = await GenieSigners.getEthersSigner(GenieSigners.resolveSignerOptions(
+          {signer: 'mnemonic', derivationPath: "m/44'/60'/0'/0/1"}, false));
+        expect(await signer.getAddress()).eql(
+          ethers.Wallet.fromMnemonic(mnemonic, "m/44'/60'/0'/0/1").address);
+      } finally {
+        process.env.MY_MNEMONIC = previous;
+        if (previous === undefined) {
+          delete process.env.MY_MNEMONIC;
+        }
+      }
+    });
+  });
+
+  ////////////////////////////////////////////////////////////
+  // Offline Signer
+  //
+  // The offline signer should produce a complete unsigned
+  // transaction, that once signed elsewhere, does what
+  // the task intended.
+  ////////////////////////////////////////////////////////////
+  describe("Offline signer", function () {
+    it("Should refuse to sign", async function() {
+      const signer = new GenieSigners.OfflineSigner(ethers.constants.AddressZero, ethers.provider);
+      await expect(signer.signMessage('hello')).to.be.rejectedWith('can not sign messages');
+      await expect(signer.signTransaction({})).to.be.rejectedWith('can not sign transactions');
+    });
+
+    it("Should print the unsigned transaction instead of sending it", async function() {
+      const {locksmith, owner} = await loadFixture(TrustTestFixtures.freshLocksmithProxy);
+      const signer = new GenieSigners.OfflineSigner(owner.address, ethers.provider);
+      const nonce = await owner.getTransactionCount();
+
+      await expect(locksmith.connect(signer).createTrustAndRootKey(stb('Cold Trust'), owner.address))
+        .to.be.rejectedWith('does not send transactions');
+
+      // nothing was sent
+      expect(await owner.getTransactionCount()).eql(nonce);
+      expect(await locksmith.trustCount()).eql(ethers.BigNumber.from(0));
+    });
+
+    it("Unsigned transaction can be signed and broadcast elsewhere", async function() {
+      const {keyVault, locksmith, owner} = await loadFixture(TrustTestFixtures.freshLocksmithProxy);
+
+      // the cold wallet only ever signs
+      const cold = ethers.Wallet.createRandom();
+      await owner.sendTransaction({to: cold.address, value: eth(1)});
+
+      const signer = new GenieSigners.OfflineSigner(cold.address, ethers.provider);
+      const unsigned = await signer.getUnsignedTransaction(
+        await locksmith.connect(signer).populateTransaction.createTrustAndRootKey(stb('Cold Trust'), cold.address));
+      expect(unsigned.from).eql(cold.address);
+      expect(unsigned.transaction.to).eql(locksmith.address);
+      expect(unsigned.transaction.chainId).eql(31337);
+      expect(unsigned.transaction.nonce).eql(0);
+
+      // everything needed is in the serialized transaction
+      const parsed = ethers.utils.parseTransaction(unsigned.serialized);
+      expect(parsed.data).eql(unsigned.transaction.data);
+      const signed = await cold.signTransaction({
+        type: parsed.type,
+        chainId: parsed.chainId,
+        nonce: parsed.nonce,
+        to: parsed.to,
+        data: parsed.data,
+        value: parsed.value,
+        gasLimit: parsed.gasLimit,
+        maxFeePerGas: parsed.maxFeePerGas,
+        maxPriorityFeePerGas: parsed.maxPriorityFeePerGas
+      });
+      await (await ethers.provider.sendTransaction(signed)).wait();
+
+      expect(await locksmith.trustCount()).eql(ethers.BigNumber.from(1));
+      expect(await keyVault.balanceOf(cold.address, 0)).eql(ethers.BigNumber.from(1));
+    });
+  });
+});
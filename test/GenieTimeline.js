@@ -0,0 +1,197 @@
+//////////////////////////////////////////////////////////////
+// GenieTimeline.js
+//
+// The trust timeline, built from an index of a trust that
+// has seen keys minted, funds distributed, an alarm snoozed,
+// an inbox receive ether, and its root key recovered.
+//////////////////////////////////////////////////////////////
+
+//////////////////////////////////////////////////////////////
+/// Imports
+//////////////////////////////////////////////////////////////
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require("chai");    // used for assertions
+const {
+  loadFixture                          // used for test setup
+} = require("@nomicfoundation/hardhat-network-helpers");
+require('./TrustTestUtils.js');        // custom helpers
+require('../tasks/registry.js');       // genie registries
+require('../tasks/indexer.js');        // genie event indexer
+require('../tasks/timeline.js');       // genie trust timelines
+const { Arn } = require('../sdk');
+//////////////////////////////////////////////////////////////
+
+//////////////////////////////////////////////////////////////
+describe("GenieTimeline", function () {
+  // a trust with a little of everything in its history
+  const timelineFixture = async function timelineFixture() {
+    const contracts = await TrustTestFixtures.addedRecoveryCenter();
+    const {keyVault, locksmith, notary, ledger, vault, alarmClock,
+      addressFactory, postOffice, recovery, root, second, third} = contracts;
+
+    // an executor (key 4), funded by a scribe
+    await locksmith.connect(root).createKey(0, stb('Executor'), second.address, false);
+    await notary.connect(root).setTrustedLedgerRole(0, SCRIBE(), ledger.address, third.address, true, stb('Third'));
+    await ledger.connect(third).distribute(vault.address, ethArn(), 0, [4], [eth(1)]);
+
+    // a dead man's switch the executor snoozes
+    await alarmClock.connect(root).createAlarm(0, stb('Dead man'), (await now()) + 1800, 3600, 4);
+    const [alarm] = await alarmClock.queryFilter(alarmClock.filters.alarmClockRegistered());
+    await alarmClock.connect(second).snoozeAlarm(alarm.args.eventHash);
+
+    // an inbox for the executor, that gets paid
+    await keyVault.connect(root).safeTransferFrom(root.address, addressFactory.address, 0, 1,
+      ethers.utils.defaultAbiCoder.encode(['uint256', 'address', 'bool'], [4, vault.address, true]));
+    const inbox = await postOffice.getKeyInbox(4);
+    await root.sendTransaction({to: inbox, value: eth(2)});
+
+    // the executor recovers the root key
+    await keyVault.connect(root).safeTransferFrom(root.address, recovery.address, 0, 1,
+      ethers.utils.defaultAbiCoder.encode(['address[]', 'bytes32[]'], [[second.address], []]));
+    await recovery.connect(second).recoverKey(0);
+
+    return {...contracts, inbox};
+  };
+
+  var fileName;
+  beforeEach(function() {
+    fileName = path.join(os.tmpdir(), 'genie-timeline-' + process.pid + '.json');
+  });
+  afterEach(function() {
+    fs.rmSync(fileName, { force: true });
+  });
+
+  // index the fixture and build the trust's timeline
+  const timeline = async function(contracts, trustId = 0) {
+    const {keyVault, locksmith, notary, ledger, vault, tokenVault, events,
+      alarmClock, keyOracle, addressFactory, postOffice, recovery} = contracts;
+    await GenieIndexer.sync(ethers.provider, 31337, {
+      fileName: fileName,
+      fromBlock: 0,
+      addresses: {
+        KeyVault: keyVault.address,
+        Locksmith: locksmith.address,
+        Notary: notary.address,
+        Ledger: ledger.address,
+        EtherVault: vault.address,
+        TokenVault: tokenVault.address,
+        TrustEventLog: events.address,
+        KeyOracle: keyOracle.address,
+        AlarmClock: alarmClock.address,
+        PostOffice: postOffice.address,
+        KeyAddressFactory: addressFactory.address,
+        TrustRecoveryCenter: recovery.address
+      }
+    });
+    return GenieTimeline.buildTimeline(GenieIndexer.load(fileName), ethers.provider, trustId,
+      Arn.createArnBook().loadAssets(31337, {
+        assets: { cbeth: { address: contracts.coin.address, symbol: 'cbETH', decimals: 18, standard: 20 } }
+      }));
+  };
+
+  ////////////////////////////////////////////////////////////
+  // Timeline
+  //
+  // The history has to read like what happened.
+  ////////////////////////////////////////////////////////////
+  describe("Timeline", function () {
+    it("Should tell the trust's history in order", async function() {
+      const contracts = await loadFixture(timelineFixture);
+      const {root, second, third, inbox} = contracts;
+      const result = await timeline(contracts);
+
+      expect(result.trust).eql({ id: 0, name: 'Conner Trust' });
+      const said = result.entries.map((e) => e.description);
+      // the root key is minted before the trust is announced
+      expect(said).to.include.ordered.members([
+        root.address + ' minted key 0 (Master Key) to ' + root.address,
+        root.address + ' created the trust "Conner Trust" for ' + root.address
+      ]);
+      expect(said).to.include.members([
+        'EtherVault deposited 40.0 ETH into key 0 (Master Key)',
+        'TokenVault deposited 5.0 cbETH into key 0 (Master Key)',
+        root.address + ' trusted EtherVault as a collateral provider for Ledger',
+        root.address + ' minted key 4 (Executor) to ' + second.address,
+        third.address + ' moved 1.0 ETH to key 4 (Executor) from key 0 (Master Key) at EtherVault',
+        'AlarmClock registered the event "Dead man"',
+        second.address + ' snoozed the alarm "Dead man" with key 4 (Executor) until ' +
+          result.entries.find((e) => e.event === 'alarmClockSnoozed').description.split(' until ')[1],
+        'KeyAddressFactory registered the inbox of key 4 (' + inbox + ')',
+        'the inbox of key 4 received 2.0 ETH, deposited at EtherVault',
+        root.address + ' set up the recovery of key 0 (Master Key) by ' + second.address,
+        second.address + ' recovered key 0 (Master Key)'
+      ]);
+
+      const blocks = result.entries.map((e) => e.blockNumber);
+      expect(blocks).eql([...blocks].sort((a, b) => a - b));
+      expect(said.slice(-2)).eql([
+        'TrustRecoveryCenter sent key 0 (Master Key) to ' + second.address,
+        second.address + ' recovered key 0 (Master Key)'
+      ]);
+    });
+
+    it("Should describe alarms with their times", async function() {
+      const contracts = await loadFixture(timelineFixture);
+      const result = await timeline(contracts);
+
+      const alarm = result.entries.find((e) => e.event === 'alarmClockRegistered');
+      expect(alarm.actor).eql(contracts.root.address);
+      expect(alarm.description).to.match(new RegExp('^' + contracts.root.address +
+        ' set the alarm "Dead man" for \\d{4}-\\d\\d-\\d\\dT[\\d:.]+Z, snoozable every 1 hour by key 4 \\(Executor\\)$'));
+      expect(alarm.time).eql(new Date(alarm.timestamp * 1000).toISOString());
+    });
+
+    it("Should leave out echoes", async function() {
+      const contracts = await loadFixture(timelineFixture);
+      const result = await timeline(contracts);
+
+      const kinds = result.entries.map((e) => e.event);
+      expect(kinds).to.not.include('notaryDepositApproval');
+      expect(kinds).to.not.include('notaryDistributionApproval');
+      expect(result.entries.filter((e) => e.event === 'TransferSingle').map((e) => e.description)).eql([
+        contracts.root.address + ' sent key 0 (Master Key) to KeyAddressFactory',
+        'KeyAddressFactory sent key 0 (Master Key) to ' + contracts.root.address,
+        contracts.root.address + ' sent key 0 (Master Key) to TrustRecoveryCenter',
+        'TrustRecoveryCenter sent key 0 (Master Key) to ' + contracts.root.address,
+        'TrustRecoveryCenter sent key 0 (Master Key) to ' + contracts.second.address
+      ]);
+    });
+
+    it("Should refuse a trust without events", async function() {
+      const contracts = await loadFixture(timelineFixture);
+      await expect(timeline(contracts, 7)).to.be.rejectedWith('Trust 7 has no events in the index up to block');
+    });
+  });
+
+  ////////////////////////////////////////////////////////////
+  // Exports
+  ////////////////////////////////////////////////////////////
+  describe("Exports", function () {
+    it("Should render markdown", async function() {
+      const contracts = await loadFixture(timelineFixture);
+      const result = await timeline(contracts);
+      const lines = GenieTimeline.renderMarkdown(result).split('\n');
+
+      expect(lines[0]).eql('# Trust 0: Conner Trust');
+      expect(lines[2]).eql('Chain ID 31337, as of block ' + result.lastBlock + '.');
+      expect(lines[4]).eql('| Time (UTC) | Block | Activity | Transaction |');
+      expect(lines.length).eql(result.entries.length + 7);
+      expect(lines[7]).to.match(/^\| \d{4}-\d\d-\d\d \d\d:\d\d:\d\d \| \d+ \| .* created the trust "Conner Trust" .* \| `0x[0-9a-f]{64}` \|$/);
+    });
+
+    it("Should render csv", async function() {
+      const contracts = await loadFixture(timelineFixture);
+      const result = await timeline(contracts);
+      const lines = GenieTimeline.renderCsv(result).trim().split('\n');
+
+      expect(lines[0]).eql('time,timestamp,blockNumber,transactionHash,logIndex,contract,event,actor,description');
+      expect(lines.length).eql(result.entries.length + 1);
+      const deposit = lines.find((l) => l.includes('depositOccurred'));
+      expect(deposit).to.match(/,Ledger,depositOccurred,0x[0-9a-fA-F]{40},EtherVault deposited 40.0 ETH into key 0 \(Master Key\)$/);
+      expect(lines.find((l) => l.includes('trustCreated'))).to.contain(',"' + contracts.root.address +
+        ' created the trust ""Conner Trust"" for ' + contracts.root.address + '"');
+    });
+  });
+});
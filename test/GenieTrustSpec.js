@@ -0,0 +1,280 @@
+//////////////////////////////////////////////////////////////
+// GenieTrustSpec.js
+//
+// Trust specs: reading them, exporting a trust as one, and
+// diffing and applying them against the fixture's trust.
+//////////////////////////////////////////////////////////////
+
+//////////////////////////////////////////////////////////////
+/// Imports
+//////////////////////////////////////////////////////////////
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require("chai");    // used for assertions
+const {
+  loadFixture                          // used for test setup
+} = require("@nomicfoundation/hardhat-network-helpers");
+require('./TrustTestUtils.js');        // custom helpers
+require('../tasks/registry.js');       // genie registries
+require('../tasks/wiring.js');         // genie notary wiring
+require('../tasks/admin.js');          // genie trust administration
+require('../tasks/trustspec.js');      // genie trust specs
+const { Arn } = require('../sdk');
+//////////////////////////////////////////////////////////////
+
+//////////////////////////////////////////////////////////////
+describe("GenieTrustSpec", function () {
+  // the fixture's trust, read through the root key holder
+  const connect = async function(fixture) {
+    const {keyVault, locksmith, notary, ledger, vault, tokenVault, events, trustee, allowance,
+      keyOracle, alarmClock, recovery, root} = fixture;
+    const contracts = {
+      Locksmith: locksmith,
+      KeyVault: keyVault,
+      Notary: notary,
+      TrustEventLog: events,
+      KeyOracle: keyOracle,
+      AlarmClock: alarmClock,
+      Trustee: trustee,
+      Allowance: allowance,
+      TrustRecoveryCenter: recovery
+    };
+    const addresses = Object.fromEntries(Object.entries(contracts).map(([alias, c]) => [alias, c.address]));
+    Object.keys(contracts).forEach((alias) => contracts[alias] = contracts[alias].connect(root));
+    return GenieTrustSpec.connect(contracts, {...addresses, Ledger: ledger.address, EtherVault: vault.address,
+      TokenVault: tokenVault.address}, 0, Arn.createArnBook());
+  };
+
+  // sends the changes in order
+  const apply = async function(changes) {
+    for (const change of changes) {
+      await (await change.submit()).wait();
+    }
+  };
+
+  // writes a spec file to a temporary directory
+  const write = function(name, text) {
+    const fileName = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'trust-spec-')), name);
+    fs.writeFileSync(fileName, text);
+    return fileName;
+  };
+
+  ////////////////////////////////////////////////////////////
+  // Loading
+  //
+  // Specs are YAML or JSON, and checked against the schema.
+  ////////////////////////////////////////////////////////////
+  describe("Loading", function () {
+    it("Should read YAML and JSON specs", async function() {
+      const yaml = write('trust.yml', [
+        'trust: Conner Trust',
+        'keys:',
+        '  - name: Beneficiary',
+        '    holders:',
+        '      - address: Ledger',
+        '        amount: 2',
+        'recovery:',
+        '  guardians: [KeyOracle]'
+      ].join('\n'));
+      const spec = {
+        trust: 'Conner Trust',
+        keys: [{ name: 'Beneficiary', holders: [{ address: 'Ledger', amount: 2 }] }],
+        recovery: { guardians: ['KeyOracle'] }
+      };
+      expect(GenieTrustSpec.load(yaml)).eql(spec);
+      expect(GenieTrustSpec.load(write('trust.json', JSON.stringify(spec)))).eql(spec);
+      expect(GenieTrustSpec.getAliases(spec)).eql(['Locksmith', 'KeyVault', 'TrustRecoveryCenter', 'TrustEventLog']);
+    });
+
+    it("Should reject invalid specs", async function() {
+      const fileName = write('invalid.json', JSON.stringify({
+        trust: 'Conner Trust',
+        keys: [{ name: 'Beneficiary' }],
+        alarms: [{ description: 'Retirement', time: 5, snoozeInterval: 60 }]
+      }));
+      expect(() => GenieTrustSpec.load(fileName)).to.throw(/\/keys\/0 must have required property 'holders'/);
+      expect(() => GenieTrustSpec.load(fileName)).to.throw(/\/alarms\/0 must have property snoozeKey/);
+      expect(() => GenieTrustSpec.load(write('broken.yml', 'trust: [')))
+        .to.throw(/Could not read the trust spec/);
+    });
+  });
+
+  ////////////////////////////////////////////////////////////
+  // Exporting
+  //
+  // What the chain has reads back as a spec that, applied,
+  // changes nothing.
+  ////////////////////////////////////////////////////////////
+  describe("Exporting", function () {
+    it("Should export the trust as a spec", async function() {
+      const fixture = await loadFixture(TrustTestFixtures.addedRecoveryCenter);
+      const {owner, root, second, third} = fixture;
+      const trust = await connect(fixture);
+      const spec = await GenieTrustSpec.exportSpec(trust);
+
+      expect(spec.trust).eql('Conner Trust');
+      expect(spec.keys).eql([
+        { name: 'Master Key', holders: [{ address: root.address }] },
+        { name: 'one', holders: [{ address: owner.address }] },
+        { name: 'two', holders: [{ address: second.address }] },
+        { name: 'three', holders: [{ address: third.address }] }
+      ]);
+      expect(spec.roles).eql({
+        COLLATERAL_PROVIDER: { Ledger: { [owner.address]: 'Owner', EtherVault: 'Ether Vault',
+          TokenVault: 'Token Vault' } },
+        SCRIBE: { Ledger: { Trustee: 'Trustees', Allowance: 'Allowances' } },
+        EVENT_DISPATCHER: { TrustEventLog: { KeyOracle: 'key-oracle', AlarmClock: 'alarm-clock' } }
+      });
+      expect(spec.recovery).eql(undefined);
+
+      const { changes, skipped, unsupported } = await GenieTrustSpec.diff(trust, spec, { prune: true });
+      expect([changes, skipped, unsupported]).eql([[], [], []]);
+    });
+  });
+
+  ////////////////////////////////////////////////////////////
+  // Applying
+  //
+  // Changes come in an order where everything they refer
+  // to exists first, and nothing is taken away without
+  // pruning.
+  ////////////////////////////////////////////////////////////
+  describe("Applying", function () {
+    it("Should set up a trust in order", async function() {
+      const fixture = await loadFixture(TrustTestFixtures.addedRecoveryCenter);
+      const {keyVault, allowance, recovery, owner, second, third} = fixture;
+      const trust = await connect(fixture);
+      const spec = {
+        trust: 'Conner Trust',
+        keys: [
+          { name: 'Executor', holders: [{ address: third.address }] },
+          { name: 'Beneficiary', holders: [{ address: second.address, amount: 2, soulbound: 1 }] }
+        ],
+        oracles: [{ key: 'Executor', description: 'Death' }],
+        alarms: [{ description: 'Retirement', time: '2040-01-01T00:00:00Z' }],
+        trustees: [{ key: 'Executor', source: 'Master Key', beneficiaries: ['Beneficiary'], events: ['Death'] }],
+        allowances: [{ name: 'Pocket money', recipient: 'Beneficiary', tranches: 3, interval: 86400,
+          entitlements: [{ source: 'Master Key', provider: 'EtherVault', amount: '0.5' }], events: ['Retirement'] }],
+        recovery: { guardians: [second.address], events: ['Death'] }
+      };
+
+      // the keys the spec leaves out would be burned
+      const { changes, skipped } = await GenieTrustSpec.diff(trust, spec);
+      expect(skipped).eql([
+        'Burn 1 of key "one" held by ' + owner.address,
+        'Burn 1 of key "two" held by ' + second.address,
+        'Burn 1 of key "three" held by ' + third.address
+      ]);
+      expect(changes.map((c) => c.description)).eql([
+        'Create key "Executor" for ' + third.address,
+        'Create key "Beneficiary" for ' + second.address,
+        'Copy key "Beneficiary" to ' + second.address,
+        'Soulbind 1 of key "Beneficiary" to ' + second.address,
+        'Create key oracle "Death" for key "Executor"',
+        'Create alarm "Retirement" for 2040-01-01T00:00:00.000Z',
+        'Set the trustee policy of key "Executor": from key "Master Key" to "Beneficiary", after "Death"',
+        'Create allowance "Pocket money" for key "Beneficiary": 0.5 ETH from key "Master Key", every 86400s, ' +
+          '3 times, after "Retirement"',
+        'Create the recovery policy of key 0 for ' + second.address + ', after "Death"'
+      ]);
+      await apply(changes);
+
+      expect(await keyVault.keyBalanceOf(second.address, 5, false)).eql(bn(2));
+      expect(await keyVault.keyBalanceOf(second.address, 5, true)).eql(bn(1));
+      const [valid, guardians] = await recovery.getRecoveryPolicy(0);
+      expect([valid, guardians]).eql([true, [second.address]]);
+      expect((await allowance.getKeyAllowances([5]))[0].allowanceIds.length).eql(1);
+      expect((await GenieTrustSpec.diff(trust, spec)).changes).eql([]);
+
+      // fewer tranches are only set, but a changed policy is
+      // set again, and only with prune
+      spec.trustees[0].beneficiaries.push('two');
+      spec.allowances[0].tranches = 1;
+      const replace = [
+        'Remove the trustee policy of key "Executor", to set it again',
+        'Set the trustee policy of key "Executor": from key "Master Key" to "Beneficiary", "two", after "Death"'
+      ];
+      const kept = await GenieTrustSpec.diff(trust, spec);
+      expect(kept.changes.map((c) => c.description)).eql(['Set the tranches of allowance "Pocket money" to 1']);
+      expect(kept.skipped).eql(skipped.concat(replace));
+      await apply(kept.changes);
+
+      const pruned = await GenieTrustSpec.diff(trust, spec, { prune: true });
+      expect(pruned.changes.map((c) => c.description)).eql(replace.concat(skipped));
+      await apply(pruned.changes);
+      expect((await GenieTrustSpec.diff(trust, spec, { prune: true })).changes).eql([]);
+
+      // so is an allowance, which starts over
+      spec.allowances[0].interval = 3600;
+      expect((await GenieTrustSpec.diff(trust, spec)).skipped).eql([
+        'Remove allowance "Pocket money", to create it again with its tranches and vesting started over',
+        'Create allowance "Pocket money" for key "Beneficiary": 0.5 ETH from key "Master Key", every 3600s, ' +
+          '1 times, after "Retirement"'
+      ]);
+
+      // alarms can't be moved
+      spec.alarms[0].time = '2041-01-01T00:00:00Z';
+      expect((await GenieTrustSpec.diff(trust, spec)).unsupported).eql([
+        'Alarm "Retirement" is set for 2040-01-01T00:00:00.000Z, but alarms can\'t be changed.'
+      ]);
+    });
+
+    it("Should only take away with prune", async function() {
+      const fixture = await loadFixture(TrustTestFixtures.addedRecoveryCenter);
+      const {keyVault, notary, ledger, locksmith, tokenVault, root, second} = fixture;
+      const trust = await connect(fixture);
+      await locksmith.connect(root).soulbindKey(0, second.address, 2, 1);
+      const spec = await GenieTrustSpec.exportSpec(trust);
+      spec.keys = spec.keys.filter((k) => k.name !== 'two');
+      delete spec.roles.COLLATERAL_PROVIDER.Ledger.TokenVault;
+
+      const kept = await GenieTrustSpec.diff(trust, spec);
+      expect(kept.changes).eql([]);
+      expect(kept.skipped).eql([
+        'Unbind 1 of key "two" from ' + second.address,
+        'Burn 1 of key "two" held by ' + second.address,
+        'Distrust TokenVault as COLLATERAL_PROVIDER on Ledger'
+      ]);
+
+      const pruned = await GenieTrustSpec.diff(trust, spec, { prune: true });
+      expect(pruned.changes.map((c) => c.description)).eql([
+        'Distrust TokenVault as COLLATERAL_PROVIDER on Ledger',
+        'Unbind 1 of key "two" from ' + second.address,
+        'Burn 1 of key "two" held by ' + second.address
+      ]);
+      await apply(pruned.changes);
+
+      expect(await keyVault.keyBalanceOf(second.address, 2, false)).eql(bn(0));
+      expect(await notary.getTrustedActors(ledger.address, 0, 0)).to.not.include(tokenVault.address);
+      expect((await GenieTrustSpec.diff(trust, spec, { prune: true })).changes).eql([]);
+
+      // the root key is never burned
+      spec.keys[0].holders = [{ address: second.address }];
+      expect((await GenieTrustSpec.diff(trust, spec, { prune: true })).unsupported).eql([
+        'Root key "Master Key" is never burned, but ' + root.address + ' holds 1 more than the spec has.'
+      ]);
+    });
+
+    it("Should refuse specs it can't apply", async function() {
+      const fixture = await loadFixture(TrustTestFixtures.addedRecoveryCenter);
+      const {locksmith, root, second} = fixture;
+      const trust = await connect(fixture);
+
+      await expect(GenieTrustSpec.diff(trust, { trust: 'Other Trust' }))
+        .to.be.rejectedWith('Key 0 is the root key of trust 0 ("Conner Trust"), not "Other Trust".');
+      await expect(GenieTrustSpec.diff(trust, { trust: 'Conner Trust', keys: [
+        { name: 'two', holders: [{ address: 'Nowhere' }] }
+      ]})).to.be.rejectedWith('There is no "Nowhere" in the registry.');
+      await expect(GenieTrustSpec.diff(trust, { trust: 'Conner Trust', keys: [
+        { name: 'two', holders: [{ address: second.address, amount: 1, soulbound: 2 }] }
+      ]})).to.be.rejectedWith('Key "two" can\'t soulbind 2 to ' + second.address + ', who only holds 1.');
+
+      await locksmith.connect(root).createKey(0, stb('two'), second.address, false);
+      await trust.refresh();
+      await expect(GenieTrustSpec.diff(trust, { trust: 'Conner Trust', keys: [
+        { name: 'two', holders: [{ address: second.address }] }
+      ]})).to.be.rejectedWith('There is more than one key "two" in the trust.');
+    });
+  });
+});
@@ -0,0 +1,167 @@
+//////////////////////////////////////////////////////////////
+// GenieWiring.js
+//
+// The wiring manifest, with its per-chain overrides, diffed
+// against the roles the fixture's notary knows for trust 0,
+// after the fixture is written into the hardhat chain's
+// registry.
+//////////////////////////////////////////////////////////////
+
+//////////////////////////////////////////////////////////////
+/// Imports
+//////////////////////////////////////////////////////////////
+const fs = require('fs');
+const path = require('path');
+const { expect } = require("chai");    // used for assertions
+const {
+  loadFixture                          // used for test setup
+} = require("@nomicfoundation/hardhat-network-helpers");
+require('./TrustTestUtils.js');        // custom helpers
+require('../tasks/registry.js');       // genie registries
+require('../tasks/wiring.js');         // genie wiring manifest
+//////////////////////////////////////////////////////////////
+
+//////////////////////////////////////////////////////////////
+describe("GenieWiring", function () {
+  // the hardhat chain's registries are written in a scratch copy
+  const scratch = scratchRegistries();
+  const overrides = () => path.join(scratch.directory, 'network-wiring-31337.json');
+
+  afterEach(function() {
+    fs.rmSync(overrides(), { force: true });
+  });
+
+  // registers everything the default manifest names but
+  // the distributor, which the fixture doesn't have
+  const register = function(contracts) {
+    const deployments = {
+      Ledger: contracts.ledger,
+      EtherVault: contracts.vault,
+      TokenVault: contracts.tokenVault,
+      Trustee: contracts.trustee,
+      Allowance: contracts.allowance,
+      TrustEventLog: contracts.events,
+      KeyOracle: contracts.keyOracle,
+      AlarmClock: contracts.alarmClock
+    };
+
+    LocksmithRegistry.resetNetworkRegistry(31337);
+    for (const [alias, contract] of Object.entries(deployments)) {
+      LocksmithRegistry.saveContractAddress(31337, alias, contract.address);
+    }
+  };
+
+  // the fixture also trusts the owner to deposit,
+  // which the manifest doesn't
+  const wiredFixture = async function wiredFixture() {
+    const contracts = await TrustTestFixtures.addedAlarmClock();
+    register(contracts);
+    return contracts;
+  };
+
+  ////////////////////////////////////////////////////////////
+  // Manifest
+  //
+  // Every chain starts from the default manifest, and its
+  // overrides are merged over it down to the actor.
+  ////////////////////////////////////////////////////////////
+  describe("Manifest", function () {
+    it("Should wire a chain like the default", async function() {
+      expect(GenieWiring.getManifest(31337)).eql(JSON.parse(fs.readFileSync(
+        path.join(__dirname, '..', 'registries', 'network-wiring-default.json'))));
+    });
+
+    it("Should merge the chain's overrides", async function() {
+      fs.writeFileSync(overrides(), JSON.stringify({
+        lockRootKey: false,
+        roles: {
+          SCRIBE: { Ledger: { Distributor: 'Payouts' } },
+          EVENT_DISPATCHER: { Notary: { KeyOracle: 'Key Oracle' } }
+        }
+      }));
+
+      const manifest = GenieWiring.getManifest(31337);
+      expect(manifest.respect).eql(true);
+      expect(manifest.lockRootKey).eql(false);
+      expect(manifest.roles.COLLATERAL_PROVIDER)
+        .eql({ Ledger: { EtherVault: 'Ether Vault', TokenVault: 'Token Vault' } });
+      expect(manifest.roles.SCRIBE)
+        .eql({ Ledger: { Trustee: 'Trustee', Allowance: 'Allowance', Distributor: 'Payouts' } });
+      expect(manifest.roles.EVENT_DISPATCHER).eql({
+        TrustEventLog: { KeyOracle: 'Key Oracle', AlarmClock: 'Alarm Clock' },
+        Notary: { KeyOracle: 'Key Oracle' }
+      });
+    });
+
+    it("Should refuse overrides that don't match the schema", async function() {
+      fs.writeFileSync(overrides(), JSON.stringify({ roles: { OWNER: {} } }));
+      expect(() => GenieWiring.getManifest(31337)).to.throw('The registry ' + overrides() +
+        ' is invalid:\n  /roles must NOT have additional properties');
+    });
+  });
+
+  ////////////////////////////////////////////////////////////
+  // Diffing
+  //
+  // Only the actors that are missing from a role, or are
+  // in it without being in the manifest, become changes.
+  ////////////////////////////////////////////////////////////
+  describe("Diffing", function () {
+    it("Should only change what differs from the manifest", async function() {
+      const {notary, ledger, owner} = await loadFixture(wiredFixture);
+      const { changes, unresolved } = await GenieWiring.diffRoles(31337, notary, 0, GenieWiring.getManifest(31337));
+
+      expect(changes).eql([
+        { roleName: 'COLLATERAL_PROVIDER', role: 0, ledgerAlias: 'Ledger', ledger: ledger.address,
+          actorAlias: owner.address, actor: owner.address, name: '', trustLevel: false }
+      ]);
+      expect(unresolved).eql([{ roleName: 'SCRIBE', ledgerAlias: 'Ledger', actorAlias: 'Distributor' }]);
+    });
+
+    it("Should trust the actors that are missing", async function() {
+      const contracts = await loadFixture(wiredFixture);
+      const {notary, ledger, owner, second} = contracts;
+      fs.writeFileSync(overrides(), JSON.stringify({
+        roles: { COLLATERAL_PROVIDER: { Ledger: { [owner.address]: 'Owner', [second.address]: 'Second' } } }
+      }));
+
+      const { changes } = await GenieWiring.diffRoles(31337, notary, 0, GenieWiring.getManifest(31337));
+      expect(changes.filter((c) => c.roleName === 'COLLATERAL_PROVIDER')).eql([
+        { roleName: 'COLLATERAL_PROVIDER', role: 0, ledgerAlias: 'Ledger', ledger: ledger.address,
+          actorAlias: second.address, actor: second.address, name: 'Second', trustLevel: true }
+      ]);
+    });
+
+    it("Should have nothing to change once wired", async function() {
+      const {notary, root} = await loadFixture(wiredFixture);
+      const manifest = GenieWiring.getManifest(31337);
+      for (const c of (await GenieWiring.diffRoles(31337, notary, 0, manifest)).changes) {
+        await notary.connect(root).setTrustedLedgerRole(0, c.role, c.ledger, c.actor, c.trustLevel, stb(c.name));
+      }
+      expect((await GenieWiring.diffRoles(31337, notary, 0, manifest)).changes).eql([]);
+    });
+
+    it("Should report what can't be resolved", async function() {
+      const {notary, ledger, vault, tokenVault, owner} = await loadFixture(wiredFixture);
+      const manifest = { roles: {
+        COLLATERAL_PROVIDER: { Ledger: { EtherVault: 'Ether Vault', Missing: 'Missing' } },
+        SCRIBE: { Nowhere: { Trustee: 'Trustee' } }
+      } };
+
+      // the given addresses stand in for the registry
+      const { changes, unresolved } = await GenieWiring.diffRoles(31337, notary, 0, manifest,
+        { Ledger: ledger.address, EtherVault: vault.address });
+      expect(changes.map((c) => [c.actor, c.trustLevel])).eql([[owner.address, false], [tokenVault.address, false]]);
+      expect(unresolved).eql([
+        { roleName: 'COLLATERAL_PROVIDER', ledgerAlias: 'Ledger', actorAlias: 'Missing' },
+        { roleName: 'SCRIBE', ledgerAlias: 'Nowhere' }
+      ]);
+    });
+
+    it("Should refuse an unknown role", async function() {
+      const {notary} = await loadFixture(wiredFixture);
+      await expect(GenieWiring.diffRoles(31337, notary, 0, { roles: { OWNER: {} } }))
+        .to.be.rejectedWith('Unknown role in wiring manifest: OWNER');
+    });
+  });
+});
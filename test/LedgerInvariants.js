@@ -0,0 +1,394 @@
+//////////////////////////////////////////////////////////////
+// LedgerInvariants.js
+//
+// Drives random sequences of deposits, withdrawals, allowances,
+// and distributions across two trusts and three collateral
+// providers, checking after every step that the ledger
+// conserves funds:
+//
+//   - per provider and arn, the ledger's balance is the sum of
+//     the trusts' balances, which are the sums of their keys'
+//   - the vaults actually hold what the ledger says they do
+//
+// A failing sequence is shrunk to a minimal reproduction. The
+// same seeds are played every run. Set INVARIANT_SEED to replay
+// a single seed, or to 'random' to play random ones instead.
+//////////////////////////////////////////////////////////////
+
+//////////////////////////////////////////////////////////////
+/// Imports
+//////////////////////////////////////////////////////////////
+const { expect } = require("chai");    // used for assertions
+const {
+  loadFixture                          // used for test setup
+} = require("@nomicfoundation/hardhat-network-helpers");
+require('./TrustTestUtils.js');        // custom helpers
+const { Errors } = require('../sdk');
+//////////////////////////////////////////////////////////////
+
+//////////////////////////////////////////////////////////////
+describe("LedgerInvariants", function () {
+  // random sequences take a while to play and shrink
+  this.timeout(600000);
+
+  const SEEDS = [1, 2, 3];             // seeds per run, unless one is given
+  const STEPS = 25;                    // actions per sequence
+
+  // the keys of each trust, root first
+  const TRUSTS = [[0, 1, 2], [3, 4, 5]];
+
+  // two trusts, each trusting the owner, ether vault, and token
+  // vault as collateral providers and third as a scribe
+  const invariantFixture = async function invariantFixture() {
+    const {keyVault, locksmith, events,
+      notary, ledger, vault, tokenVault, coin,
+      owner, root, second, third} =
+      await TrustTestFixtures.fundedTokenVault();
+
+    await locksmith.connect(root).createKey(0, stb('one'), second.address, false);
+    await locksmith.connect(root).createKey(0, stb('two'), third.address, false);
+    await notary.connect(root).setTrustedLedgerRole(0, SCRIBE(), ledger.address, third.address, true, stb('Third'));
+
+    await locksmith.connect(second).createTrustAndRootKey(stb('Second Trust'), second.address);
+    await locksmith.connect(second).createKey(3, stb('three'), root.address, false);
+    await locksmith.connect(second).createKey(3, stb('four'), third.address, false);
+    await notary.connect(second).setTrustedLedgerRole(3, COLLATERAL_PROVIDER(), ledger.address, owner.address, true, stb('Owner'));
+    await notary.connect(second).setTrustedLedgerRole(3, COLLATERAL_PROVIDER(), ledger.address, vault.address, true, stb('Ether Vault'));
+    await notary.connect(second).setTrustedLedgerRole(3, COLLATERAL_PROVIDER(), ledger.address, tokenVault.address, true, stb('Token Vault'));
+    await notary.connect(second).setTrustedLedgerRole(3, SCRIBE(), ledger.address, third.address, true, stb('Third'));
+
+    return {keyVault, locksmith, events,
+      notary, ledger, vault, tokenVault, coin,
+      owner, root, second, third};
+  };
+
+  ////////////////////////////////////////////////////////////
+  // random
+  //
+  // A seeded generator (mulberry32), so that every
+  // sequence can be replayed from its seed.
+  ////////////////////////////////////////////////////////////
+  const random = function(seed) {
+    var state = seed >>> 0;
+    const next = function() {
+      state = (state + 0x6D2B79F5) >>> 0;
+      var t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    const int = (min, max) => min + Math.floor(next() * (max - min + 1));
+    const pick = (list) => list[int(0, list.length - 1)];
+    return { next, int, pick };
+  };
+
+  ////////////////////////////////////////////////////////////
+  // generate
+  //
+  // A sequence of actions. Actions only describe what to
+  // attempt, and don't depend on the state they run against,
+  // so any subsequence can be replayed. Plenty of them will
+  // be rejected, which is fine: a rejected action must not
+  // break the invariants either. To have withdrawals and
+  // distributions go through at all, they mostly reuse the
+  // targets of earlier deposits and allowances.
+  ////////////////////////////////////////////////////////////
+  const generate = function(seed, steps) {
+    const rng = random(seed);
+    var actions = [];
+    var deposited = [];
+    var allowed = [];
+
+    const target = function(earlier) {
+      if (earlier.length > 0 && rng.next() < 0.7) {
+        return rng.pick(earlier);
+      }
+      const provider = rng.pick(['owner', 'ether', 'token']);
+      return {
+        provider: provider,
+        arn: provider === 'owner' ? rng.pick(['ether', 'coin']) : (provider === 'ether' ? 'ether' : 'coin'),
+        key: rng.pick(rng.pick(TRUSTS))
+      };
+    };
+
+    for (var s = 0; s < steps; s++) {
+      const roll = rng.next();
+      if (roll < 0.35) {
+        const t = target([]);
+        deposited.push(t);
+        actions.push({ op: 'deposit', ...t, amount: rng.int(1, 4) });
+      } else if (roll < 0.55) {
+        const t = target(deposited);
+        allowed.push(t);
+        actions.push({ op: 'allowance', ...t, amount: rng.int(0, 6) });
+      } else if (roll < 0.75) {
+        actions.push({ op: 'withdrawal', ...target(allowed), amount: rng.int(1, 4) });
+      } else {
+        const t = target(deposited);
+        const others = TRUSTS.find((keys) => keys.includes(t.key)).filter((k) => k !== t.key);
+        const to = others.filter(() => rng.next() < 0.7);
+        actions.push({ op: 'distribute', ...t,
+          to: to.length === 0 ? [others[0]] : to,
+          amounts: (to.length === 0 ? [0] : to).map(() => rng.int(0, 3)) });
+      }
+    }
+    return actions;
+  };
+
+  ////////////////////////////////////////////////////////////
+  // play
+  //
+  // Attempts an action, returning whether it went through.
+  // Reverts are expected, anything else is a harness bug.
+  ////////////////////////////////////////////////////////////
+  const play = async function(env, action) {
+    const {notary, ledger, vault, tokenVault, coin, owner, root, second, third} = env;
+    const holder = TRUSTS[0].includes(action.key) ? root : second;
+    const provider = {owner: owner.address, ether: vault.address, token: tokenVault.address}[action.provider];
+    const arn = action.arn === 'ether' ? ethArn() : tokenArn(coin.address);
+    const amount = action.amount === undefined ? null : eth(action.amount);
+
+    var transaction;
+    if (action.op === 'deposit') {
+      transaction = {
+        owner: () => ledger.connect(owner).deposit(action.key, arn, amount),
+        ether: () => vault.connect(holder).deposit(action.key, {value: amount}),
+        token: () => tokenVault.connect(holder).deposit(action.key, coin.address, amount)
+      }[action.provider];
+    } else if (action.op === 'allowance') {
+      transaction = () => notary.connect(holder).setWithdrawalAllowance(
+        ledger.address, provider, action.key, arn, amount);
+    } else if (action.op === 'withdrawal') {
+      transaction = {
+        owner: () => ledger.connect(owner).withdrawal(action.key, arn, amount),
+        ether: () => vault.connect(holder).withdrawal(action.key, amount),
+        token: () => tokenVault.connect(holder).withdrawal(action.key, coin.address, amount)
+      }[action.provider];
+    } else {
+      transaction = () => ledger.connect(third).distribute(provider, arn, action.key,
+        action.to, action.amounts.map((a) => eth(a)));
+    }
+
+    try {
+      await doTransaction(transaction());
+      return true;
+    } catch (err) {
+      if (Errors.getRevertReason(err) === null) {
+        throw err;
+      }
+      return false;
+    }
+  };
+
+  ////////////////////////////////////////////////////////////
+  // conservation
+  //
+  // The ledger invariants. Returns a description of the
+  // first one that doesn't hold, or null.
+  ////////////////////////////////////////////////////////////
+  const conservation = async function(env) {
+    const {ledger, vault, tokenVault, coin, owner} = env;
+    const arns = [ethArn(), tokenArn(coin.address)];
+    const names = ['ether', 'coin'];
+    const balances = (context, identifier, provider) =>
+      ledger.getContextArnBalances(context, identifier, provider, arns);
+    const providers = {owner: owner.address, ether: vault.address, token: tokenVault.address};
+    var providerSum = arns.map(() => bn(0));
+
+    for (const [name, provider] of Object.entries(providers).concat([['all', zero()]])) {
+      const ledgerBalances = await balances(LEDGER(), 0, provider);
+      var trustSum = arns.map(() => bn(0));
+
+      for (const [trustId, keys] of TRUSTS.entries()) {
+        const trustBalances = await balances(TRUST(), trustId, provider);
+        var keySum = arns.map(() => bn(0));
+        for (const keyId of keys) {
+          keySum = (await balances(KEY(), keyId, provider)).map((b, i) => keySum[i].add(b));
+        }
+        for (const i of arns.keys()) {
+          if (!trustBalances[i].eq(keySum[i])) {
+            return 'trust ' + trustId + ' holds ' + trustBalances[i] + ' ' + names[i] + ' for ' +
+              name + ', but its keys hold ' + keySum[i];
+          }
+        }
+        trustSum = trustBalances.map((b, i) => trustSum[i].add(b));
+      }
+
+      for (const i of arns.keys()) {
+        if (!ledgerBalances[i].eq(trustSum[i])) {
+          return 'the ledger holds ' + ledgerBalances[i] + ' ' + names[i] + ' for ' + name +
+            ', but its trusts hold ' + trustSum[i];
+        }
+        if (name === 'all' && !ledgerBalances[i].eq(providerSum[i])) {
+          return 'the ledger holds ' + ledgerBalances[i] + ' ' + names[i] +
+            ', but its providers hold ' + providerSum[i];
+        }
+      }
+      providerSum = ledgerBalances.map((b, i) => providerSum[i].add(b));
+    }
+
+    const [ledgerEther] = await ledger.getContextArnBalances(LEDGER(), 0, vault.address, [arns[0]]);
+    const vaultEther = await ethers.provider.getBalance(vault.address);
+    if (vaultEther.lt(ledgerEther)) {
+      return 'the ether vault holds ' + vaultEther + ', but the ledger has ' + ledgerEther;
+    }
+    const [ledgerCoin] = await ledger.getContextArnBalances(LEDGER(), 0, tokenVault.address, [arns[1]]);
+    const vaultCoin = await coin.balanceOf(tokenVault.address);
+    if (vaultCoin.lt(ledgerCoin)) {
+      return 'the token vault holds ' + vaultCoin + ' coin, but the ledger has ' + ledgerCoin;
+    }
+    return null;
+  };
+
+  ////////////////////////////////////////////////////////////
+  // run
+  //
+  // Plays the actions from a fresh fixture, checking the
+  // invariant after every step. Returns the first failure
+  // as { step, action, message }, or null, along with how
+  // many of each action went through.
+  ////////////////////////////////////////////////////////////
+  const run = async function(actions, invariant) {
+    const env = await loadFixture(invariantFixture);
+    var played = {};
+
+    for (const [step, action] of actions.entries()) {
+      if (await play(env, action)) {
+        played[action.op] = (played[action.op] || 0) + 1;
+      }
+      const message = await invariant(env);
+      if (message !== null) {
+        return { failure: { step, action, message }, played };
+      }
+    }
+    return { failure: null, played };
+  };
+
+  ////////////////////////////////////////////////////////////
+  // shrink
+  //
+  // Removes ever smaller chunks of a failing sequence for
+  // as long as it keeps failing, leaving a sequence where
+  // no single action can be dropped.
+  ////////////////////////////////////////////////////////////
+  const shrink = async function(actions, failure, invariant) {
+    actions = actions.slice(0, failure.step + 1);
+    var chunk = Math.ceil(actions.length / 2);
+
+    while (chunk > 0) {
+      var removed = false;
+      for (var i = 0; i < actions.length; ) {
+        const candidate = actions.slice(0, i).concat(actions.slice(i + chunk));
+        const result = candidate.length === 0 ? { failure: null } : await run(candidate, invariant);
+        if (result.failure !== null) {
+          failure = result.failure;
+          actions = candidate.slice(0, failure.step + 1);
+          removed = true;
+        } else {
+          i += chunk;
+        }
+      }
+      if (!removed) {
+        chunk = chunk === 1 ? 0 : Math.ceil(chunk / 2);
+      }
+    }
+    return { actions, failure };
+  };
+
+  ////////////////////////////////////////////////////////////
+  // reproduction
+  //
+  // What a failure reports: the seed, the broken invariant,
+  // and the minimal sequence that breaks it.
+  ////////////////////////////////////////////////////////////
+  const reproduction = function(seed, shrunk) {
+    return 'Seed ' + seed + ' broke an invariant after step ' + shrunk.failure.step +
+      ': ' + shrunk.failure.message + '\n' +
+      shrunk.actions.map((a, i) => '  ' + i + ': ' + JSON.stringify(a)).join('\n');
+  };
+
+  ////////////////////////////////////////////////////////////
+  // Conservation
+  //
+  // Random sequences against the real invariants.
+  ////////////////////////////////////////////////////////////
+  describe("Conservation", function () {
+    it("Should hold in the fixture", async function() {
+      const env = await loadFixture(invariantFixture);
+      expect(await conservation(env)).to.equal(null);
+    });
+
+    it("Should hold after every step of random sequences", async function() {
+      const seeds = process.env.INVARIANT_SEED === 'random' ?
+        SEEDS.map(() => Math.floor(Math.random() * 4294967296)) :
+        process.env.INVARIANT_SEED ? [parseInt(process.env.INVARIANT_SEED)] : SEEDS;
+      var played = {};
+
+      for (const seed of seeds) {
+        const actions = generate(seed, STEPS);
+        const result = await run(actions, conservation);
+        if (result.failure !== null) {
+          expect.fail(reproduction(seed, await shrink(actions, result.failure, conservation)));
+        }
+        for (const [op, count] of Object.entries(result.played)) {
+          played[op] = (played[op] || 0) + count;
+        }
+      }
+
+      // the sequences have to move funds to mean anything
+      expect(played.deposit).to.be.above(0);
+      expect(played.allowance).to.be.above(0);
+      expect((played.withdrawal || 0) + (played.distribute || 0)).to.be.above(0);
+    });
+
+    it("Should hold through a known sequence", async function() {
+      const result = await run([
+        { op: 'deposit', provider: 'ether', arn: 'ether', key: 3, amount: 4 },
+        { op: 'deposit', provider: 'owner', arn: 'coin', key: 4, amount: 2 },
+        { op: 'distribute', provider: 'ether', arn: 'ether', key: 3, to: [4, 5], amounts: [1, 2] },
+        { op: 'allowance', provider: 'ether', arn: 'ether', key: 5, amount: 2 },
+        { op: 'withdrawal', provider: 'ether', arn: 'ether', key: 5, amount: 2 },
+        { op: 'withdrawal', provider: 'ether', arn: 'ether', key: 4, amount: 1 },
+        { op: 'allowance', provider: 'owner', arn: 'coin', key: 4, amount: 1 },
+        { op: 'withdrawal', provider: 'owner', arn: 'coin', key: 4, amount: 1 },
+        { op: 'distribute', provider: 'token', arn: 'coin', key: 0, to: [4], amounts: [1] }
+      ], conservation);
+
+      expect(result.failure).to.equal(null);
+      expect(result.played).eql({ deposit: 2, distribute: 1, allowance: 2, withdrawal: 2 });
+    });
+  });
+
+  ////////////////////////////////////////////////////////////
+  // Shrinking
+  //
+  // A deliberately broken invariant, to make sure failures
+  // come back minimal.
+  ////////////////////////////////////////////////////////////
+  describe("Shrinking", function () {
+    it("Should shrink a failing sequence to the action that breaks it", async function() {
+      // key 4 is never supposed to hold ether from the vault
+      const noEther = async function({ledger, vault}) {
+        const [balance] = await ledger.getContextArnBalances(KEY(), 4, vault.address, [ethArn()]);
+        return balance.gt(0) ? 'key 4 holds ' + balance + ' ether' : null;
+      };
+      const actions = [
+        { op: 'deposit', provider: 'owner', arn: 'ether', key: 1, amount: 1 },
+        { op: 'deposit', provider: 'ether', arn: 'ether', key: 3, amount: 3 },
+        { op: 'allowance', provider: 'ether', arn: 'ether', key: 3, amount: 1 },
+        { op: 'withdrawal', provider: 'ether', arn: 'ether', key: 3, amount: 1 },
+        { op: 'deposit', provider: 'token', arn: 'coin', key: 4, amount: 1 },
+        { op: 'distribute', provider: 'ether', arn: 'ether', key: 3, to: [4, 5], amounts: [1, 1] },
+        { op: 'deposit', provider: 'ether', arn: 'ether', key: 5, amount: 2 }
+      ];
+
+      const result = await run(actions, noEther);
+      expect(result.failure.step).to.equal(5);
+
+      const shrunk = await shrink(actions, result.failure, noEther);
+      expect(shrunk.actions).eql([actions[1], actions[5]]);
+      expect(shrunk.failure.message).to.equal('key 4 holds ' + eth(1) + ' ether');
+      expect(reproduction(7, shrunk)).to.contain('Seed 7 broke an invariant after step 1: key 4 holds');
+    });
+  });
+});
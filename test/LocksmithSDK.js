@@ -0,0 +1,164 @@
+//////////////////////////////////////////////////////////////
+// LocksmithSDK.js
+//
+// The JavaScript client for trusts and keys, run against
+// the Locksmith and KeyVault fixtures.
+//////////////////////////////////////////////////////////////
+
+//////////////////////////////////////////////////////////////
+/// Imports
+//////////////////////////////////////////////////////////////
+const { expect } = require("chai");    // used for assertions
+const {
+  loadFixture                          // used for test setup
+} = require("@nomicfoundation/hardhat-network-helpers");
+require('./TrustTestUtils.js');        // custom helpers
+const { Locksmith, Errors } = require('../sdk');
+//////////////////////////////////////////////////////////////
+
+//////////////////////////////////////////////////////////////
+describe("LocksmithSDK", function () {
+  // a client for the fixture's contracts
+  const connect = async function(signer, locksmith, keyVault) {
+    return Locksmith.connect(signer, {
+      addresses: { Locksmith: locksmith.address, KeyVault: keyVault.address }
+    });
+  };
+
+  ////////////////////////////////////////////////////////////
+  // Connecting
+  //
+  // The client has to find the contracts for the chain.
+  ////////////////////////////////////////////////////////////
+  describe("Connecting", function () {
+    it("Should resolve addresses from an address book", async function() {
+      const {keyVault, locksmith, root} = await loadFixture(TrustTestFixtures.singleRoot);
+      const addressBook = {
+        getAddress: (chainId, alias) => chainId === 31337 && alias === 'Locksmith' ? locksmith.address : null
+      };
+
+      // the key vault comes from the locksmith
+      const sdk = await Locksmith.connect(root, { addressBook });
+      expect(sdk.chainId).eql(31337);
+      expect(sdk.locksmith.address).eql(locksmith.address);
+      expect(sdk.keyVault.address).eql(keyVault.address);
+    });
+
+    it("Should fail without a known locksmith", async function() {
+      await expect(Locksmith.connect(ethers.provider, { chainId: 8675309 }))
+        .to.be.rejectedWith('There is no known address for Locksmith on chain ID 8675309');
+    });
+
+    it("Names survive the round trip", async function() {
+      expect(Locksmith.fromBytes32(Locksmith.toBytes32('Conner Trust'))).eql('Conner Trust');
+      const full = 'x'.repeat(32);
+      expect(Locksmith.fromBytes32(ethers.utils.hexlify(ethers.utils.toUtf8Bytes(full)))).eql(full);
+    });
+  });
+
+  ////////////////////////////////////////////////////////////
+  // Reading
+  //
+  // Trusts and keys come back decoded.
+  ////////////////////////////////////////////////////////////
+  describe("Reading", function () {
+    it("Should decode a trust", async function() {
+      const {keyVault, locksmith, root} = await loadFixture(TrustTestFixtures.singleRoot);
+      const sdk = await connect(ethers.provider, locksmith, keyVault);
+
+      expect(await sdk.getTrust(0)).eql({ id: 0, name: 'Conner Trust', rootKeyId: 0, keyCount: 1, keys: [0] });
+      expect(await sdk.getTrust(1)).eql(null);
+      expect(await sdk.getTrustKeys(0)).eql([
+        { id: 0, valid: true, name: 'Master Key', trustId: 0, isRoot: true }
+      ]);
+      expect(await sdk.getHolderKeys(root.address)).eql([0]);
+    });
+
+    it("Should read at a block", async function() {
+      const {keyVault, locksmith, root, second} = await loadFixture(TrustTestFixtures.singleRoot);
+      const sdk = await connect(ethers.provider, locksmith, keyVault);
+      const at = { blockTag: await ethers.provider.getBlockNumber() };
+      await locksmith.connect(root).createKey(0, stb('Beneficiary'), second.address, false);
+      await locksmith.connect(second).createTrustAndRootKey(stb('Second Trust'), second.address);
+
+      expect(await sdk.getTrust(0, at)).eql({ id: 0, name: 'Conner Trust', rootKeyId: 0, keyCount: 1, keys: [0] });
+      expect(await sdk.getTrust(1, at)).eql(null);
+      expect(await sdk.getKey(1, at)).eql({ id: 1, valid: false, name: '', trustId: null, isRoot: false });
+      expect((await sdk.getTrustKeys(0, at)).map((k) => k.id)).eql([0]);
+      expect((await sdk.getTrustKeys(0)).map((k) => k.id)).eql([0, 1]);
+    });
+
+    it("Should report invalid keys", async function() {
+      const {keyVault, locksmith} = await loadFixture(TrustTestFixtures.singleRoot);
+      const sdk = await connect(ethers.provider, locksmith, keyVault);
+      expect(await sdk.getKey(9)).eql({ id: 9, valid: false, name: '', trustId: null, isRoot: false });
+    });
+  });
+
+  ////////////////////////////////////////////////////////////
+  // Writing
+  //
+  // Each write waits for its transaction, and returns
+  // what happened according to the events.
+  ////////////////////////////////////////////////////////////
+  describe("Writing", function () {
+    it("Should create a trust and root key", async function() {
+      const {keyVault, locksmith, root, second} = await loadFixture(TrustTestFixtures.singleRoot);
+      const sdk = await connect(root, locksmith, keyVault);
+
+      const trust = await sdk.createTrust('SDK Trust');
+      expect(trust.trustId).eql(1);
+      expect(trust.rootKeyId).eql(1);
+      expect(trust.name).eql('SDK Trust');
+      expect(trust.recipient).eql(root.address);
+      expect(trust.receipt.status).eql(1);
+
+      const other = await sdk.createTrust('Other Trust', second.address);
+      expect(other.trustId).eql(2);
+      expect(other.rootKeyId).eql(2);
+      expect(await sdk.getHolderKeys(second.address)).eql([2]);
+    });
+
+    it("Should create, copy, and inspect keys", async function() {
+      const {keyVault, locksmith, root, second, third} = await loadFixture(TrustTestFixtures.singleRoot);
+      const sdk = await connect(root, locksmith, keyVault);
+
+      const key = await sdk.createKey(0, 'Beneficiary', second.address, true);
+      expect(key).to.include({ trustId: 0, keyId: 1, keyName: 'Beneficiary', receiver: second.address,
+        soulbound: true });
+
+      const copy = await sdk.copyKey(0, 1, third.address);
+      expect(copy).to.include({ trustId: 0, keyId: 1, receiver: third.address, soulbound: false });
+
+      expect(await sdk.getKey(1)).eql({ id: 1, valid: true, name: 'Beneficiary', trustId: 0, isRoot: false });
+      expect(await sdk.getKeyHolders(1)).eql([
+        { address: second.address, balance: 1, soulbound: 1 },
+        { address: third.address, balance: 1, soulbound: 0 }
+      ]);
+      expect((await sdk.getTrust(0)).keys).eql([0, 1]);
+    });
+
+    it("Should soulbind and burn keys", async function() {
+      const {keyVault, locksmith, root, second} = await loadFixture(TrustTestFixtures.singleRoot);
+      const sdk = await connect(root, locksmith, keyVault);
+      await sdk.createKey(0, 'Beneficiary', second.address);
+
+      expect(await sdk.soulbindKey(0, second.address, 1)).to.include({ keyId: 1, holder: second.address, amount: 1 });
+      expect((await sdk.getKeyHolders(1))[0].soulbound).eql(1);
+
+      // burning needs the key unbound first
+      await sdk.soulbindKey(0, second.address, 1, 0);
+      expect(await sdk.burnKey(0, 1, second.address)).to.include({ trustId: 0, keyId: 1,
+        holder: second.address, amount: 1 });
+      expect(await sdk.getKeyHolders(1)).eql([]);
+      expect(await sdk.getHolderKeys(second.address)).eql([]);
+    });
+
+    it("Should fail writes without the root key", async function() {
+      const {keyVault, locksmith, second} = await loadFixture(TrustTestFixtures.singleRoot);
+      const sdk = await connect(second, locksmith, keyVault);
+      await expect(sdk.createKey(0, 'Sneaky', second.address)).to.be.rejectedWith(Errors.LocksmithError,
+        'The transaction reverted with KEY_NOT_HELD: The sender does not hold the key');
+    });
+  });
+});
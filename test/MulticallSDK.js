@@ -0,0 +1,161 @@
+//////////////////////////////////////////////////////////////
+// MulticallSDK.js
+//
+// The multicall builder for virtual key addresses, funding
+// and sending the fixture inbox's calls.
+//////////////////////////////////////////////////////////////
+
+//////////////////////////////////////////////////////////////
+/// Imports
+//////////////////////////////////////////////////////////////
+const { expect } = require("chai");    // used for assertions
+const {
+  loadFixture                          // used for test setup
+} = require("@nomicfoundation/hardhat-network-helpers");
+require('./TrustTestUtils.js');        // custom helpers
+const { Multicall, Errors } = require('../sdk');
+//////////////////////////////////////////////////////////////
+
+//////////////////////////////////////////////////////////////
+describe("MulticallSDK", function () {
+  // the inbox holds the root key, which has 40 ether
+  // and 5 coins on the ledger
+  const multicallFixture = async function multicallFixture() {
+    const contracts = await TrustTestFixtures.addedInbox();
+    const {locksmith, inbox, root} = contracts;
+    await locksmith.connect(root).copyKey(0, 0, inbox.address, true);
+    return contracts;
+  };
+
+  ////////////////////////////////////////////////////////////
+  // Preparing
+  //
+  // The funding is worked out from what the calls spend.
+  ////////////////////////////////////////////////////////////
+  describe("Preparing", function () {
+    it("Should fund the calls from the key's providers", async function() {
+      const {inbox, vault, tokenVault, coin, root, third} = await loadFixture(multicallFixture);
+      const builder = await Multicall.connect(root, inbox.address);
+      builder.sendEther(third.address, eth(1))
+        .sendToken(coin.address, third.address, eth(2))
+        .sendEther(third.address, eth(3));
+
+      expect(builder.getSpending()).eql([
+        { arn: ethArn(), amount: eth(4) },
+        { arn: tokenArn(coin.address), amount: eth(2) }
+      ]);
+      const { assets, calls } = await builder.prepare();
+      expect(assets).eql([
+        { provider: vault.address, arn: ethArn(), amount: eth(4) },
+        { provider: tokenVault.address, arn: tokenArn(coin.address), amount: eth(2) }
+      ]);
+      expect(calls).eql([
+        { target: third.address, callData: '0x', msgValue: eth(1) },
+        { target: coin.address, callData: coin.interface.encodeFunctionData('transfer', [third.address, eth(2)]),
+          msgValue: eth(0) },
+        { target: third.address, callData: '0x', msgValue: eth(3) }
+      ]);
+    });
+
+    it("Should split an asset across providers", async function() {
+      const {locksmith, notary, ledger, inbox, vault, root, third} = await loadFixture(multicallFixture);
+      const Vault = await ethers.getContractFactory("EtherVault");
+      const other = await upgrades.deployProxy(Vault, [locksmith.address, ledger.address]);
+      await notary.connect(root).setTrustedLedgerRole(0, 0, ledger.address, other.address, true, stb('Other Vault'));
+      await other.connect(root).deposit(0, {value: eth(2)});
+
+      const builder = await Multicall.connect(root, inbox.address);
+      const { assets } = await builder.sendEther(third.address, eth(41)).prepare();
+      expect(assets).eql([
+        { provider: vault.address, arn: ethArn(), amount: eth(40) },
+        { provider: other.address, arn: ethArn(), amount: eth(1) }
+      ]);
+    });
+
+    it("Should skip providers that can't be withdrawn from", async function() {
+      const {ledger, inbox, vault, root, owner, third} = await loadFixture(multicallFixture);
+
+      // the fixture trusts the owner's account to deposit
+      await ledger.connect(owner).deposit(0, ethArn(), eth(100));
+
+      const builder = await Multicall.connect(root, inbox.address);
+      const { assets } = await builder.sendEther(third.address, eth(4)).prepare();
+      expect(assets).eql([{ provider: vault.address, arn: ethArn(), amount: eth(4) }]);
+      await expect(builder.sendEther(third.address, eth(37)).prepare())
+        .to.be.rejectedWith('Key 0 only has ' + eth(40) + ' of ' + ethArn() +
+          ' across its providers, but the calls spend ' + eth(41) + '.');
+    });
+
+    it("Should refuse what the key can't cover", async function() {
+      const {inbox, coin, root, third} = await loadFixture(multicallFixture);
+      const builder = await Multicall.connect(root, inbox.address);
+      await expect(builder.sendToken(coin.address, third.address, eth(6)).prepare())
+        .to.be.rejectedWith('Key 0 only has ' + eth(5) + ' of ' + tokenArn(coin.address) +
+          ' across its providers, but the calls spend ' + eth(6) + '.');
+    });
+
+    it("Should refuse to call the locksmith", async function() {
+      const {locksmith, inbox, root} = await loadFixture(multicallFixture);
+      const builder = await Multicall.connect(root, inbox.address);
+      expect(() => builder.call(locksmith.address, '0x')).to.throw('The inbox can\'t call the Locksmith.');
+    });
+  });
+
+  ////////////////////////////////////////////////////////////
+  // Sending
+  //
+  // The multicall is simulated, then sent.
+  ////////////////////////////////////////////////////////////
+  describe("Sending", function () {
+    it("Should send ether and tokens", async function() {
+      const {ledger, inbox, vault, tokenVault, coin, root, third} = await loadFixture(multicallFixture);
+      const etherBefore = await ethers.provider.getBalance(third.address);
+      const coinBefore = await coin.balanceOf(third.address);
+      const builder = await Multicall.connect(root, inbox.address);
+      const { receipt } = await builder.sendEther(third.address, eth(1))
+        .sendToken(coin.address, third.address, eth(2))
+        .send();
+
+      expect(receipt.status).eql(1);
+      expect(await ethers.provider.getBalance(third.address)).eql(etherBefore.add(eth(1)));
+      expect(await coin.balanceOf(third.address)).eql(coinBefore.add(eth(2)));
+      expect(await ledger.getContextArnBalances(KEY(), 0, vault.address, [ethArn()])).eql([eth(39)]);
+      expect(await ledger.getContextArnBalances(KEY(), 0, tokenVault.address, [tokenArn(coin.address)]))
+        .eql([eth(3)]);
+      expect(await ethers.provider.getBalance(inbox.address)).eql(eth(0));
+    });
+
+    it("Should approve and call a dApp", async function() {
+      const {ledger, inbox, tokenVault, coin, root} = await loadFixture(multicallFixture);
+      const builder = await Multicall.connect(root, inbox.address);
+
+      // the token vault takes the coins back as a deposit
+      await builder.approveAndCall(coin.address, eth(2), tokenVault.address,
+        tokenVault.interface.encodeFunctionData('deposit', [0, coin.address, eth(2)])).send();
+
+      expect(await coin.balanceOf(inbox.address)).eql(eth(0));
+      expect(await coin.allowance(inbox.address, tokenVault.address)).eql(eth(0));
+      expect(await ledger.getContextArnBalances(KEY(), 0, tokenVault.address, [tokenArn(coin.address)]))
+        .eql([eth(5)]);
+    });
+
+    it("Should not send what fails the simulation", async function() {
+      const {inbox, coin, root, second} = await loadFixture(multicallFixture);
+      const builder = await Multicall.connect(root, inbox.address);
+
+      // the transfer doesn't say what it spends, so the inbox has no coins
+      builder.call(coin.address, coin.interface.encodeFunctionData('transfer', [second.address, eth(1)]));
+      const failure = await builder.send().catch((err) => err);
+      expect(failure).to.be.instanceof(Errors.LocksmithError);
+      expect(failure.reason).eql('Panic(0x01)');
+      expect(await inbox.transactionCount()).eql(bn(0));
+    });
+
+    it("Should explain a signer without the key", async function() {
+      const {inbox, owner, third} = await loadFixture(multicallFixture);
+      const builder = await Multicall.connect(owner, inbox.address);
+      const failure = await builder.sendEther(third.address, eth(1)).simulate().catch((err) => err);
+      expect(failure.reason).eql('INVALID_OPERATOR');
+    });
+  });
+});
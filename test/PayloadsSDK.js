@@ -0,0 +1,211 @@
+//////////////////////////////////////////////////////////////
+// PayloadsSDK.js
+//
+// The instructions sent along with keys to the agents,
+// encoded, checked, and sent to the fixture's agents.
+//////////////////////////////////////////////////////////////
+
+//////////////////////////////////////////////////////////////
+/// Imports
+//////////////////////////////////////////////////////////////
+const { expect } = require("chai");    // used for assertions
+const {
+  loadFixture                          // used for test setup
+} = require("@nomicfoundation/hardhat-network-helpers");
+require('./TrustTestUtils.js');        // custom helpers
+const { Payloads, Errors } = require('../sdk');
+//////////////////////////////////////////////////////////////
+
+//////////////////////////////////////////////////////////////
+describe("PayloadsSDK", function () {
+  const guardian = '0x' + '11'.repeat(20);
+
+  // a policy with one of each event
+  const policy = function(start, options = {}) {
+    return {
+      guardians: [guardian],
+      deadmen: [{ description: 'Dead man', alarmTime: start + 3600, snoozeInterval: 60, snoozeKeyId: 1 }],
+      keyOracles: [{ description: 'Proof of death', keyId: 2 }],
+      ...options
+    };
+  };
+
+  ////////////////////////////////////////////////////////////
+  // Encoding
+  //
+  // Every payload survives the round trip, and matches
+  // what the contracts decode.
+  ////////////////////////////////////////////////////////////
+  describe("Encoding", function () {
+    it("Should round trip every payload", async function() {
+      const inbox = { virtualKeyId: 3, defaultEthDepositProvider: guardian, copyKey: true };
+      expect(Payloads.decodeInboxRequest(Payloads.encodeInboxRequest(inbox))).eql(inbox);
+
+      const megaKey = { keyName: 'Beneficiary', provider: guardian, receivers: [guardian, guardian],
+        soulbound: [true, false] };
+      expect(Payloads.decodeMegaKey(Payloads.encodeMegaKey(megaKey))).eql(megaKey);
+
+      const config = { needAlarmNotary: true, needOracleNotary: false, ...policy(1000) };
+      expect(Payloads.decodeRecoveryPolicy(Payloads.encodeRecoveryPolicy(config))).eql(config);
+
+      const recovery = { guardians: [guardian], events: [stb('wedding')] };
+      expect(Payloads.decodeRecovery(Payloads.encodeRecovery(recovery))).eql(recovery);
+
+      const locker = { destination: guardian, data: Payloads.encodeRecovery(recovery) };
+      expect(Payloads.decodeKeyLocker(Payloads.encodeKeyLocker(locker))).eql(locker);
+    });
+
+    it("Should encode what the contracts decode", async function() {
+      expect(Payloads.encodeInboxRequest({ virtualKeyId: 0, defaultEthDepositProvider: guardian, copyKey: true }))
+        .eql(ethers.utils.defaultAbiCoder.encode(['uint256', 'address', 'bool'], [0, guardian, true]));
+      expect(Payloads.encodeMegaKey({ keyName: 'my key', provider: guardian, receivers: [guardian] }))
+        .eql(ethers.utils.defaultAbiCoder.encode(['bytes32', 'address', 'address[]', 'bool[]'],
+          [stb('my key'), guardian, [guardian], [false]]));
+      expect(Payloads.encodeRecoveryPolicy({ guardians: [guardian] }))
+        .eql(ethers.utils.defaultAbiCoder.encode(
+          ['tuple(bool,bool,address[],tuple(bytes32,uint256,uint256,uint256)[],tuple(bytes32,uint256)[])'],
+          [[false, false, [guardian], [], []]]));
+      expect(Payloads.encodeKeyLocker({ destination: guardian }))
+        .eql(ethers.utils.defaultAbiCoder.encode(['tuple(address,bytes)'], [[guardian, []]]));
+    });
+
+    it("Should refuse what the agents would revert on", async function() {
+      expect(() => Payloads.encodeMegaKey({ keyName: 'my key', provider: guardian, receivers: [guardian],
+        soulbound: [true, false] })).to.throw('There are 1 receivers, but 2 soulbound flags.');
+      expect(() => Payloads.encodeMegaKey({ keyName: 'x'.repeat(32), provider: guardian }))
+        .to.throw('The key name "' + 'x'.repeat(32) + '" is longer than 31 bytes.');
+      expect(() => Payloads.encodeRecoveryPolicy(policy(1000, { guardians: [] })))
+        .to.throw('A recovery policy needs at least one guardian.');
+      expect(() => Payloads.encodeRecovery({ events: [stb('wedding')] }))
+        .to.throw('A recovery policy needs at least one guardian.');
+      expect(() => Payloads.encodeRecoveryPolicy(policy(1000, {
+        deadmen: [{ description: 'Dead man', alarmTime: 1000, snoozeInterval: 60 }]
+      }))).to.throw('The alarm "Dead man" can be snoozed, but has no snooze key.');
+      expect(() => Payloads.encodeRecovery({ guardians: ['0x1234'] }))
+        .to.throw('The guardian 0x1234 is not an address.');
+      expect(() => Payloads.encodeInboxRequest({ virtualKeyId: -1, defaultEthDepositProvider: guardian }))
+        .to.throw('The virtual key ID -1 is negative.');
+      expect(() => Payloads.encodeKeyLocker({ destination: ethers.constants.AddressZero }))
+        .to.throw('The key locker can\'t lend the key to the zero address.');
+    });
+  });
+
+  ////////////////////////////////////////////////////////////
+  // Notary Flags
+  //
+  // The flags depend on what the trust's notary already
+  // trusts.
+  ////////////////////////////////////////////////////////////
+  describe("Notary Flags", function () {
+    it("Should refuse flags the notary would reject", async function() {
+      const {notary, events, alarmClock, keyOracle} = await loadFixture(TrustTestFixtures.addedCreator);
+      const contracts = { notary, trustEventLog: events, alarmClock, keyOracle };
+
+      // the fixture trust already trusts both
+      expect(await Payloads.checkNotaryFlags(contracts, 0, policy(1000)))
+        .eql({ needAlarmNotary: false, needOracleNotary: false });
+      await expect(Payloads.checkNotaryFlags(contracts, 0, policy(1000, { needOracleNotary: true })))
+        .to.be.rejectedWith('The key oracle is already a trusted dispatcher of trust 0, so needOracleNotary has to be false.');
+    });
+
+    it("Should ask for the flags a new trust needs", async function() {
+      const {keyVault, locksmith, notary, events, alarmClock, keyOracle, policy: creator, recovery, second} =
+        await loadFixture(TrustTestFixtures.addedCreator);
+      const contracts = { notary, trustEventLog: events, alarmClock, keyOracle };
+      await locksmith.connect(second).createTrustAndRootKey(stb('Second Trust'), second.address);
+      const rootKeyId = (await locksmith.keyCount()).sub(1);
+      const trustId = (await locksmith.trustCount()).sub(1);
+      const config = policy(await now(), { deadmen: [], keyOracles: [{ description: 'Proof', keyId: rootKeyId }] });
+
+      await expect(Payloads.checkNotaryFlags(contracts, trustId, config))
+        .to.be.rejectedWith('The key oracle is not a trusted dispatcher of trust ' + trustId + ' yet, so needOracleNotary has to be true.');
+      expect(await Payloads.checkNotaryFlags(contracts, trustId, { ...config, needOracleNotary: true }))
+        .eql({ needAlarmNotary: false, needOracleNotary: true });
+
+      // and the creator agrees
+      await Payloads.safeTransferFrom(keyVault.connect(second), creator.address, rootKeyId,
+        Payloads.encodeRecoveryPolicy({ ...config, needOracleNotary: true }), 1,
+        { ...contracts, recoveryPolicyCreator: creator });
+      const [valid, guardians, eventHashes] = await recovery.getRecoveryPolicy(rootKeyId);
+      expect(valid).eql(true);
+      expect(guardians).eql([guardian]);
+      expect(eventHashes.length).eql(1);
+    });
+
+    it("Should check the flags before sending a policy", async function() {
+      const {keyVault, notary, events, alarmClock, keyOracle, policy: creator, keyLocker, root} =
+        await loadFixture(TrustTestFixtures.addedCreator);
+      const contracts = { notary, trustEventLog: events, alarmClock, keyOracle, recoveryPolicyCreator: creator,
+        keyLocker };
+      const data = Payloads.encodeRecoveryPolicy(policy(await now(), { needAlarmNotary: true }));
+      const refusal = 'The alarm clock is already a trusted dispatcher of trust 0, so needAlarmNotary has to be false.';
+
+      await expect(Payloads.safeTransferFrom(keyVault.connect(root), creator.address, 0, data, 1, contracts))
+        .to.be.rejectedWith(refusal);
+      await expect(Payloads.safeTransferFrom(keyVault.connect(root), keyLocker.address, 0,
+        Payloads.encodeKeyLocker({ destination: creator.address, data: data }), 1, contracts))
+        .to.be.rejectedWith(refusal);
+      expect(await keyVault.keyBalanceOf(root.address, 0, false)).eql(bn(1));
+      expect(await keyVault.keyBalanceOf(keyLocker.address, 0, false)).eql(bn(0));
+    });
+  });
+
+  ////////////////////////////////////////////////////////////
+  // Sending
+  //
+  // The agents take the keys, and do as told.
+  ////////////////////////////////////////////////////////////
+  describe("Sending", function () {
+    it("Should create inboxes", async function() {
+      const {keyVault, postOffice, addressFactory, vault, root} = await loadFixture(TrustTestFixtures.addedCreator);
+      await Payloads.safeTransferFrom(keyVault.connect(root), addressFactory.address, 0,
+        Payloads.encodeInboxRequest({ virtualKeyId: 1, defaultEthDepositProvider: vault.address, copyKey: true }));
+
+      const [inbox] = await postOffice.getInboxesForKey(0);
+      expect(await postOffice.getKeyInbox(1)).eql(inbox);
+      expect(await keyVault.keyBalanceOf(inbox, 1, false)).eql(bn(1));
+      expect(await keyVault.keyBalanceOf(root.address, 0, false)).eql(bn(1));
+    });
+
+    it("Should create mega keys", async function() {
+      const {keyVault, postOffice, megaKey, vault, root, owner, second} = await loadFixture(TrustTestFixtures.addedCreator);
+      const keyCount = (await keyVault.getKeys(owner.address)).length;
+      await Payloads.safeTransferFrom(keyVault.connect(root), megaKey.address, 0, Payloads.encodeMegaKey({
+        keyName: 'Beneficiary', provider: vault.address, receivers: [owner.address, second.address],
+        soulbound: [true, false]
+      }));
+
+      const keyId = (await keyVault.getKeys(owner.address))[keyCount];
+      expect(await postOffice.getKeyInbox(keyId)).not.eql(ethers.constants.AddressZero);
+      expect(await keyVault.keyBalanceOf(owner.address, keyId, true)).eql(bn(1));
+      expect(await keyVault.keyBalanceOf(second.address, keyId, true)).eql(bn(0));
+      expect(await keyVault.keyBalanceOf(second.address, keyId, false)).eql(bn(1));
+    });
+
+    it("Should lend locked keys to other agents", async function() {
+      const {keyVault, keyLocker, recovery, alarmClock, keyOracle, policy: creator, root} =
+        await loadFixture(TrustTestFixtures.addedCreator);
+      await Payloads.safeTransferFrom(keyVault.connect(root), keyLocker.address, 0, Payloads.encodeKeyLocker({
+        destination: creator.address,
+        data: Payloads.encodeRecoveryPolicy(policy(await now()))
+      }));
+
+      expect(await keyVault.keyBalanceOf(keyLocker.address, 0, false)).eql(bn(1));
+      expect(await keyVault.keyBalanceOf(root.address, 0, true)).eql(bn(1));
+      const [alarm] = await alarmClock.queryFilter(alarmClock.filters.alarmClockRegistered());
+      const [oracle] = await keyOracle.queryFilter(keyOracle.filters.keyOracleRegistered());
+      expect(await recovery.getRecoveryPolicy(0))
+        .eql([true, [guardian], [alarm.args.eventHash, oracle.args.eventHash]]);
+    });
+
+    it("Should explain the agent's refusal", async function() {
+      const {keyVault, megaKey, vault, owner} = await loadFixture(TrustTestFixtures.addedCreator);
+      const data = Payloads.encodeMegaKey({ keyName: 'my key', provider: vault.address, receivers: [owner.address] });
+      const failure = await Payloads.safeTransferFrom(keyVault.connect(owner), megaKey.address, 1, data)
+        .catch((err) => err);
+
+      expect(failure).to.be.instanceof(Errors.LocksmithError);
+      expect(failure.reason).eql('KEY_NOT_ROOT');
+    });
+  });
+});
@@ -0,0 +1,120 @@
+//////////////////////////////////////////////////////////////
+// StatementSDK.js
+//
+// Inbox statements, read from the transaction logs of the
+// fixture's virtual key addresses.
+//////////////////////////////////////////////////////////////
+
+//////////////////////////////////////////////////////////////
+/// Imports
+//////////////////////////////////////////////////////////////
+const { expect } = require("chai");    // used for assertions
+const {
+  loadFixture                          // used for test setup
+} = require("@nomicfoundation/hardhat-network-helpers");
+require('./TrustTestUtils.js');        // custom helpers
+const { Arn, Multicall, Statement } = require('../sdk');
+//////////////////////////////////////////////////////////////
+
+//////////////////////////////////////////////////////////////
+describe("StatementSDK", function () {
+  // two inboxes owned by the root key, one that received,
+  // sent, and made a multicall, and one for key 1 that
+  // only received
+  const statementFixture = async function statementFixture() {
+    const contracts = await TrustTestFixtures.addedPostOffice();
+    const {locksmith, postOffice, inbox, vault, coin, root, third} = contracts;
+    await locksmith.connect(root).copyKey(0, 0, inbox.address, true);
+    await postOffice.connect(root).registerInbox(inbox.address);
+
+    const VirtualAddress = await ethers.getContractFactory("VirtualKeyAddress");
+    const other = await upgrades.deployProxy(VirtualAddress, [locksmith.address, vault.address, 0, 1]);
+    await locksmith.connect(root).copyKey(0, 1, other.address, true);
+    await postOffice.connect(root).registerInbox(other.address);
+
+    await root.sendTransaction({ to: inbox.address, value: eth(3) });
+    await inbox.connect(root).send(vault.address, eth(2), third.address);
+    await (await Multicall.connect(root, inbox.address)).sendToken(coin.address, third.address, eth(1)).send();
+    await root.sendTransaction({ to: other.address, value: eth(1) });
+
+    return {...contracts, other};
+  };
+
+  ////////////////////////////////////////////////////////////
+  // Reading
+  //
+  // The log is paged through and decoded.
+  ////////////////////////////////////////////////////////////
+  describe("Reading", function () {
+    it("Should page through the log", async function() {
+      const {inbox, vault, tokenVault, coin, root, third} = await loadFixture(statementFixture);
+      const all = await Statement.getTransactions(ethers.provider, inbox.address, { pageSize: 2 });
+
+      expect(all.map((t) => t.index)).eql([0, 1, 2]);
+      expect(all.map((t) => t.txType)).eql(['RECEIVE', 'SEND', 'ABI']);
+      expect(all[1]).to.include({ operator: root.address, target: third.address, provider: vault.address,
+        arn: ethArn() });
+      expect(all[1].amount).eql(eth(2));
+      expect(all[2]).to.include({ target: inbox.address, provider: tokenVault.address, arn: tokenArn(coin.address) });
+
+      const page = await Statement.getTransactions(ethers.provider, inbox.address, { start: 1, count: 1 });
+      expect(page).eql([all[1]]);
+      expect(await Statement.getTransactions(ethers.provider, inbox.address, { start: 5 })).eql([]);
+    });
+  });
+
+  ////////////////////////////////////////////////////////////
+  // Statements
+  //
+  // Amounts are formatted, assets and providers named.
+  ////////////////////////////////////////////////////////////
+  describe("Statements", function () {
+    it("Should build an inbox statement", async function() {
+      const {inbox, vault, tokenVault, coin} = await loadFixture(statementFixture);
+      const statement = await Statement.buildStatement(ethers.provider, inbox.address, Arn.createArnBook(), {
+        names: { [vault.address]: 'EtherVault' }
+      });
+
+      expect(statement).to.include({ inbox: inbox.address, keyId: '0', ownerKeyId: '0', transactionCount: 3 });
+      expect(statement.transactions.map((t) => [t.type, t.direction, t.providerName, t.asset, t.display])).eql([
+        ['RECEIVE', 'in', 'EtherVault', 'ETH', '3.0 ETH'],
+        ['SEND', 'out', 'EtherVault', 'ETH', '2.0 ETH'],
+        ['ABI', 'out', null, 'cbETH', '1.0 cbETH']
+      ]);
+      expect(statement.transactions[2]).to.include({ provider: tokenVault.address, arn: tokenArn(coin.address),
+        amount: eth(1).toString(), formatted: '1.0' });
+      expect(statement.totals).eql([
+        { arn: ethArn(), asset: 'ETH', in: '3.0', out: '2.0', net: '1.0 ETH' },
+        { arn: tokenArn(coin.address), asset: 'cbETH', in: '0.0', out: '1.0', net: '-1.0 cbETH' }
+      ]);
+    });
+
+    it("Should merge the inboxes of a key", async function() {
+      const {postOffice, inbox, other} = await loadFixture(statementFixture);
+      const statement = await Statement.buildKeyStatement(ethers.provider, postOffice.address, 0,
+        Arn.createArnBook());
+
+      expect(statement.keyId).eql('0');
+      expect(statement.inboxes.map((s) => [s.inbox, s.keyId])).eql([[inbox.address, '0'], [other.address, '1']]);
+      expect(statement.transactions.map((t) => [t.inbox, t.index])).eql([
+        [inbox.address, 0], [inbox.address, 1], [inbox.address, 2], [other.address, 0]
+      ]);
+      expect(statement.totals[0]).eql({ arn: ethArn(), asset: 'ETH', in: '4.0', out: '2.0', net: '2.0 ETH' });
+      expect((await Statement.buildKeyStatement(ethers.provider, postOffice.address, 1, Arn.createArnBook()))
+        .inboxes).eql([]);
+    });
+
+    it("Should render CSV", async function() {
+      const {inbox, third} = await loadFixture(statementFixture);
+      const statement = await Statement.buildStatement(ethers.provider, inbox.address, Arn.createArnBook());
+      const lines = Statement.renderCsv(statement).trim().split('\n');
+
+      expect(lines.length).eql(4);
+      expect(lines[0]).eql('inbox,index,time,timestamp,type,direction,operator,target,provider,providerName,' +
+        'arn,asset,amount,formatted');
+      expect(lines[2].split(',').slice(4, 8)).eql(['SEND', 'out', statement.transactions[1].operator,
+        third.address]);
+      expect(lines[2].split(',').slice(-2)).eql([eth(2).toString(), '2.0']);
+    });
+  });
+});
@@ -5,7 +5,11 @@
 // used across all test files in the trust test suite.
 //
 //////////////////////////////////////////////////////
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const { expect } = require("chai");    // used for assertions
+const { Arn } = require("../sdk");     // asset resource names
 
 //////////////////////////////////////////////////////
 // Key Type Functions
@@ -37,21 +41,11 @@ zero = function() {
 }
 
 ethArn = function() {
-  return ethers.utils.keccak256(
-    ethers.utils.defaultAbiCoder.encode(
-      ['address','uint256','uint256'],
-      [zero(), 0, 0]
-    )
-  );
+  return Arn.gasArn();
 }
 
 tokenArn = function(contract) {
-  return ethers.utils.keccak256(
-    ethers.utils.defaultAbiCoder.encode(
-      ['address','uint256','uint256'],
-      [contract, 20, 0]
-    )
-  );
+  return Arn.erc20Arn(contract);
 }
 
 now = async function() {
@@ -95,6 +89,31 @@ assertKey = async function(locksmith, account, keyId, isValid, name, trustId, is
   }
 }
 
+//////////////////////////////////////////////////////
+// scratchRegistries
+//
+// Points genie at a copy of the committed registries
+// in a temporary directory for the suite that calls
+// it, so the registries a local node has recorded are
+// never written over. Returns the directory.
+//////////////////////////////////////////////////////
+scratchRegistries = function() {
+  var scratch = { directory: null };
+  before(function() {
+    scratch.directory = fs.mkdtempSync(path.join(os.tmpdir(), 'genie-registries-'));
+    fs.cpSync(path.join(__dirname, '..', 'registries'), scratch.directory, {
+      recursive: true,
+      filter: (source) => !/-31337\.json$|\.(lock|tmp)$/.test(source)
+    });
+    process.env.GENIE_REGISTRY_DIR = scratch.directory;
+  });
+  after(function() {
+    delete process.env.GENIE_REGISTRY_DIR;
+    fs.rmSync(scratch.directory, { recursive: true, force: true });
+  });
+  return scratch;
+};
+
 TrustTestFixtures = (function() {
   return {
     ////////////////////////////////////////////////////////////